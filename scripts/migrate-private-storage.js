@@ -0,0 +1,51 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { migrateToPrivateStorage } = require('../src/services/storageMigration');
+
+const usage = () => {
+  console.log('Usage: node scripts/migrate-private-storage.js [--dry-run]');
+  console.log('  --dry-run  Count the documents and objects that would change without changing them');
+};
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      return null;
+    }
+  }
+  return options;
+};
+
+const migratePrivateStorage = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    usage();
+    process.exit(1);
+  }
+
+  try {
+    if (await connectDB() === false) {
+      process.exit(1);
+    }
+
+    const stats = await migrateToPrivateStorage(options);
+
+    console.log(`Private storage migration${options.dryRun ? ' (dry run)' : ''}:`);
+    console.log(`  generations rewritten to keys: ${stats.generationsUpdated}`);
+    console.log(`  profile pictures rewritten to keys: ${stats.usersUpdated}`);
+    console.log(`  URLs outside our storage left as they are: ${stats.externalUrls}`);
+    console.log(`  objects made private: ${stats.objectsMadePrivate}`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Private storage migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migratePrivateStorage();
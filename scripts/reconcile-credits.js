@@ -0,0 +1,64 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { runReconciliation } = require('../src/services/reconciliation');
+const BalanceDiscrepancy = require('../src/models/BalanceDiscrepancy');
+
+const usage = () => {
+  console.log('Usage: node scripts/reconcile-credits.js [--fix] [--user <userId>]');
+  console.log('  --fix   Correct drifting balances with audited adjustment transactions');
+  console.log('  --user  Only reconcile one user');
+};
+
+const parseArgs = (argv) => {
+  const options = { autoCorrect: false, userId: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fix') {
+      options.autoCorrect = true;
+    } else if (argv[i] === '--user' && argv[i + 1]) {
+      options.userId = argv[++i];
+    } else {
+      return null;
+    }
+  }
+  return options;
+};
+
+const reconcileCredits = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    usage();
+    process.exit(1);
+  }
+
+  if (options.userId && !mongoose.Types.ObjectId.isValid(options.userId)) {
+    console.error(`Invalid user id: ${options.userId}`);
+    process.exit(1);
+  }
+
+  try {
+    if (await connectDB() === false) {
+      process.exit(1);
+    }
+
+    const run = await runReconciliation({ trigger: 'command', ...options });
+    const discrepancies = await BalanceDiscrepancy.find({ runId: run._id }).lean();
+
+    console.log(`Reconciliation run ${run._id}: ${run.usersScanned} users scanned, ${run.discrepancies} drifting, ${run.corrected} corrected`);
+    discrepancies.forEach(discrepancy => {
+      console.log(
+        `  user ${discrepancy.userId}: credits ${discrepancy.storedCredits} (ledger ${discrepancy.ledgerCredits}), ` +
+        `reserved ${discrepancy.storedReservedCredits} (ledger ${discrepancy.ledgerReservedCredits}) - ${discrepancy.status}` +
+        (discrepancy.note ? ` (${discrepancy.note})` : '')
+      );
+    });
+
+    await mongoose.connection.close();
+    process.exit(run.discrepancies > run.corrected ? 2 : 0);
+  } catch (error) {
+    console.error('Reconciliation failed:', error);
+    process.exit(1);
+  }
+};
+
+reconcileCredits();
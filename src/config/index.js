@@ -1,4 +1,11 @@
 require('dotenv').config();
+const path = require('path');
+
+// `a.com, *.b.com` -> ['a.com', 'b.com']
+const hostList = (value) => (value || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase().replace(/^\*?\./, ''))
+  .filter(Boolean);
 
 const config = {
   port: process.env.PORT || 3000,
@@ -19,12 +26,99 @@ const config = {
     secretKey: process.env.STRIPE_SECRET_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
     publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+    // Recurring price for the premium subscription
+    premiumPriceId: process.env.STRIPE_PREMIUM_PRICE_ID,
+  },
+
+  revenuecat: {
+    // Sent by RevenueCat as the Authorization header of webhook calls
+    webhookSecret: process.env.REVENUECAT_WEBHOOK_SECRET,
+    allowSandbox: process.env.REVENUECAT_ALLOW_SANDBOX ? process.env.REVENUECAT_ALLOW_SANDBOX === 'true' : process.env.NODE_ENV !== 'production',
   },
   
   fal: {
     apiKey: process.env.FAL_AI_API_KEY,
   },
+
+  ai: {
+    // Route every model through one provider, e.g. `mock` for local development and tests
+    provider: process.env.AI_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : null),
+    maxRetries: parseInt(process.env.AI_MAX_RETRIES) || 3,
+    retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 1000,
+  },
+
+  mockAi: {
+    latencyMs: process.env.MOCK_AI_LATENCY_MS !== undefined ? parseInt(process.env.MOCK_AI_LATENCY_MS) : 1500,
+    queuePosition: parseInt(process.env.MOCK_AI_QUEUE_POSITION) || 2,
+    // Fraction of requests (picked deterministically from the prompt) that fail or are rate limited
+    failureRate: parseFloat(process.env.MOCK_AI_FAILURE_RATE) || 0,
+    rateLimitRate: parseFloat(process.env.MOCK_AI_RATE_LIMIT_RATE) || 0,
+    // Number of 429 responses returned before a rate limited request succeeds
+    rateLimitCount: parseInt(process.env.MOCK_AI_RATE_LIMIT_COUNT) || 1,
+  },
   
+  queue: {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 2000,
+    leaseMs: parseInt(process.env.QUEUE_LEASE_MS) || 5 * 60 * 1000, // visibility timeout
+    heartbeatMs: parseInt(process.env.QUEUE_HEARTBEAT_MS) || 30 * 1000,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+    retryBaseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS) || 5000,
+    // How often a worker checks whether the generation it runs was cancelled
+    cancelCheckIntervalMs: parseInt(process.env.QUEUE_CANCEL_CHECK_INTERVAL_MS) || 2000,
+    // Run a worker inside the API process; set to false when running `npm run worker` separately
+    embeddedWorker: process.env.QUEUE_EMBEDDED_WORKER !== 'false',
+  },
+
+  events: {
+    pollIntervalMs: parseInt(process.env.EVENTS_POLL_INTERVAL_MS) || 1000,
+    heartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS) || 15 * 1000,
+    retentionMs: parseInt(process.env.EVENTS_RETENTION_MS) || 24 * 60 * 60 * 1000,
+  },
+
+  webhooks: {
+    maxEndpointsPerUser: parseInt(process.env.WEBHOOK_MAX_ENDPOINTS_PER_USER) || 5,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000, // 1, 2, 4, 8, 16 minutes
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 5,
+    // Endpoints are disabled after this many deliveries in a row fail permanently
+    disableAfterFailures: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 20,
+    allowHttp: process.env.WEBHOOK_ALLOW_HTTP ? process.env.WEBHOOK_ALLOW_HTTP === 'true' : process.env.NODE_ENV !== 'production',
+    // Lets endpoints on loopback and private networks receive deliveries, e.g. a
+    // local receiver in development. Never enable this where the API can reach
+    // internal services.
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+  },
+
+  credits: {
+    // `credits.low` is emitted when a balance drops below this
+    lowBalanceThreshold: parseInt(process.env.LOW_CREDITS_THRESHOLD) || 3,
+  },
+
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    timezone: process.env.SCHEDULER_TIMEZONE || 'UTC',
+  },
+
+  reaper: {
+    schedule: process.env.REAPER_CRON || '*/5 * * * *', // every 5 minutes
+    processingTimeoutMs: parseInt(process.env.REAPER_PROCESSING_TIMEOUT_MS) || 15 * 60 * 1000,
+    pendingTimeoutMs: parseInt(process.env.REAPER_PENDING_TIMEOUT_MS) || 10 * 60 * 1000,
+    // Generations still processing after this are failed even if a worker holds a live lease
+    hardTimeoutMs: parseInt(process.env.REAPER_HARD_TIMEOUT_MS) || 60 * 60 * 1000,
+    maxRecoveries: process.env.REAPER_MAX_RECOVERIES !== undefined ? parseInt(process.env.REAPER_MAX_RECOVERIES) : 1,
+    batchSize: parseInt(process.env.REAPER_BATCH_SIZE) || 100,
+  },
+
+  reconciliation: {
+    schedule: process.env.RECONCILIATION_CRON || '30 3 * * *', // daily at 03:30
+    autoCorrect: process.env.RECONCILIATION_AUTO_CORRECT === 'true',
+    // Larger drifts are only reported, never corrected automatically
+    maxAutoCorrect: parseInt(process.env.RECONCILIATION_MAX_AUTO_CORRECT) || 100,
+    batchSize: parseInt(process.env.RECONCILIATION_BATCH_SIZE) || 500,
+  },
+
   aws: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
@@ -32,10 +126,23 @@ const config = {
     s3Bucket: process.env.AWS_S3_BUCKET,
   },
   
-  cloudinary: {
-    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-    apiKey: process.env.CLOUDINARY_API_KEY,
-    apiSecret: process.env.CLOUDINARY_API_SECRET,
+  storage: {
+    // `s3`, `local` or `memory`; S3 when AWS credentials are set, otherwise local disk
+    driver: process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test'
+      ? 'memory'
+      : (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY ? 's3' : 'local')),
+    // Where the API serves objects of the local and memory drivers
+    publicUrl: (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/api/files`).replace(/\/+$/, ''),
+    // Signs URLs of objects served by the API
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'fallback-storage-secret',
+    // Objects are private; responses carry signed URLs valid for this long (seconds)
+    urlTtl: {
+      images: parseInt(process.env.STORAGE_URL_TTL_SECONDS) || 3600,
+      profilePictures: parseInt(process.env.STORAGE_PROFILE_URL_TTL_SECONDS) || 86400,
+    },
+    local: {
+      root: process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'storage'),
+    },
   },
   
   email: {
@@ -54,15 +161,101 @@ const config = {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB
     allowedTypes: process.env.ALLOWED_FILE_TYPES?.split(',') || ['image/jpeg', 'image/png', 'image/webp'],
   },
+
+  // Limits for downloading client image URLs (`inputImageUrl`) and provider outputs
+  remoteImages: {
+    // Comma separated hosts, each also matching its subdomains. An empty allow list
+    // allows any public host; the allow list only applies to client URLs.
+    allowedHosts: hostList(process.env.REMOTE_IMAGE_ALLOWED_HOSTS),
+    deniedHosts: hostList(process.env.REMOTE_IMAGE_DENIED_HOSTS),
+    maxBytes: parseInt(process.env.REMOTE_IMAGE_MAX_BYTES) || 20971520, // 20MB
+    timeoutMs: parseInt(process.env.REMOTE_IMAGE_TIMEOUT_MS) || 15 * 1000,
+    maxRedirects: process.env.REMOTE_IMAGE_MAX_REDIRECTS !== undefined ? parseInt(process.env.REMOTE_IMAGE_MAX_REDIRECTS) : 3,
+    // Lets URLs reach loopback and private networks, e.g. a local object store in
+    // development. Never enable this where the API can reach internal services.
+    allowPrivateNetworks: process.env.REMOTE_IMAGE_ALLOW_PRIVATE_NETWORKS === 'true',
+  },
   
   ads: {
     maxPerDay: parseInt(process.env.MAX_ADS_PER_DAY) || 3,
     rewardCredits: parseInt(process.env.AD_REWARD_CREDITS) || 1,
+    // Shortest reported watch that earns a reward
+    minWatchDurationMs: parseInt(process.env.AD_MIN_WATCH_DURATION_MS) || 30 * 1000,
+    // Watches scoring at least this are flagged as fraud and not rewarded
+    fraudThreshold: parseFloat(process.env.AD_FRAUD_THRESHOLD) || 0.7,
+    admob: {
+      // AdMob rewards are only granted from verified server-side verification callbacks
+      requireSsv: process.env.ADMOB_SSV_REQUIRED ? process.env.ADMOB_SSV_REQUIRED === 'true' : process.env.NODE_ENV === 'production',
+      verifierKeysUrl: process.env.ADMOB_SSV_KEYS_URL || 'https://www.gstatic.com/admob/reward/verifier-keys.json',
+      verifierKeysTtlMs: parseInt(process.env.ADMOB_SSV_KEYS_TTL_MS) || 24 * 60 * 60 * 1000,
+    },
   },
   
+  referrals: {
+    enabled: process.env.REFERRALS_ENABLED !== 'false',
+    // `email_verified` or `purchase`: when an invitee earns both rewards
+    qualifyOn: process.env.REFERRAL_QUALIFY_ON || 'email_verified',
+    referrerCredits: parseInt(process.env.REFERRAL_REFERRER_CREDITS) || 5,
+    refereeCredits: parseInt(process.env.REFERRAL_REFEREE_CREDITS) || 3,
+    maxRewardsPerReferrer: parseInt(process.env.REFERRAL_MAX_REWARDS_PER_REFERRER) || 50,
+    // Invitees a referrer can have from one signup IP
+    maxPerIp: parseInt(process.env.REFERRAL_MAX_PER_IP) || 2,
+  },
+
+  currency: {
+    // Charged when the client asks for no currency and its locale implies none
+    default: (process.env.DEFAULT_CURRENCY || 'usd').toLowerCase(),
+    // Revenue statistics are reported in this currency
+    reporting: (process.env.REPORTING_CURRENCY || 'usd').toLowerCase(),
+    // Value of one unit of each currency in the reporting currency, e.g. `eur:1.08,gbp:1.27`
+    exchangeRates: Object.fromEntries((process.env.CURRENCY_EXCHANGE_RATES || '')
+      .split(',')
+      .filter(Boolean)
+      .map(pair => {
+        const [code, rate] = pair.split(':');
+        return [code.trim().toLowerCase(), parseFloat(rate)];
+      })),
+  },
+
+  tax: {
+    // Calculate sales tax and VAT at checkout with Stripe Tax
+    enabled: process.env.STRIPE_TAX_ENABLED === 'true',
+    // Whether package prices include tax, as is usual for consumers in the EU and
+    // UK, or tax is added on top of them
+    pricesIncludeTax: process.env.PRICES_INCLUDE_TAX !== 'false',
+    // Stripe product tax code of credit packages; the default is electronically supplied services
+    productTaxCode: process.env.STRIPE_TAX_CODE || 'txcd_10000000',
+  },
+
+  refunds: {
+    // What happens when a refund takes back credits the user already spent:
+    // `negative_balance` leaves the balance below zero, which blocks generation until
+    // it is repaid; `clamp` only takes what the user still has and forgives the rest
+    clawbackPolicy: process.env.REFUND_CLAWBACK_POLICY || 'negative_balance',
+    // How long after a purchase users can refund it themselves
+    userWindowHours: parseInt(process.env.REFUND_USER_WINDOW_HOURS) || 24,
+  },
+
+  packages: {
+    // How long the package catalog is cached per process
+    cacheTtlMs: parseInt(process.env.PACKAGES_CACHE_TTL_MS) || 60 * 1000,
+  },
+
+  promoCodes: {
+    // A discount's use is given back when its checkout hasn't been paid after this long
+    pendingTtlMs: parseInt(process.env.PROMO_PENDING_TTL_MS) || 60 * 60 * 1000,
+    releaseSchedule: process.env.PROMO_RELEASE_CRON || '*/15 * * * *', // every 15 minutes
+    releaseBatchSize: parseInt(process.env.PROMO_RELEASE_BATCH_SIZE) || 100,
+  },
+
   premium: {
     price: parseInt(process.env.PREMIUM_PRICE) || 999, // cents
     credits: parseInt(process.env.PREMIUM_CREDITS) || 100,
+    durationDays: parseInt(process.env.PREMIUM_DURATION_DAYS) || 30,
+    // Premium is kept this long after a failed subscription renewal while Stripe retries
+    gracePeriodDays: parseInt(process.env.PREMIUM_GRACE_PERIOD_DAYS) || 3,
+    expirySchedule: process.env.PREMIUM_EXPIRY_CRON || '*/15 * * * *', // every 15 minutes
+    expiryBatchSize: parseInt(process.env.PREMIUM_EXPIRY_BATCH_SIZE) || 500,
   },
 };
 
@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const AdWatch = require('../models/AdWatch');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const {
+  getAdAvailability,
+  startAdWatch,
+  completeAdWatch,
+  verifyAdMobSignature,
+  handleAdMobCallback,
+} = require('../services/adRewards');
+
+const formatAdWatch = (adWatch) => ({
+  id: adWatch._id,
+  adId: adWatch.adId,
+  adProvider: adWatch.adProvider,
+  status: adWatch.status,
+  rewardCredited: adWatch.rewardCredited,
+  creditsEarned: adWatch.creditsEarned,
+  requiredDurationMs: adWatch.requiredDurationMs,
+  watchedAt: adWatch.watchedAt,
+  completedAt: adWatch.completedAt,
+});
+
+const getAvailability = asyncHandler(async (req, res) => {
+  const availability = await getAdAvailability(req.user);
+
+  return ApiResponse.success(res, availability, 'Ad availability retrieved successfully');
+});
+
+const startWatch = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { adId, adProvider } = req.body;
+
+  const { adWatch, error } = await startAdWatch(user, {
+    adId,
+    adProvider,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceId: req.get('X-Device-ID') || user.deviceId,
+  });
+  if (error) {
+    return ApiResponse.error(res, error, 429);
+  }
+
+  // AdMob apps pass these as the rewarded ad's server-side verification options
+  return ApiResponse.created(res, {
+    adWatch: formatAdWatch(adWatch),
+    ssv: {
+      userId: user._id,
+      customData: adWatch._id,
+    },
+  }, 'Ad watch started');
+});
+
+const completeWatch = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { adWatchId, watchDurationMs } = req.body;
+
+  const adWatch = await AdWatch.findOne({ _id: adWatchId, userId: user._id });
+  if (!adWatch) {
+    return ApiResponse.notFoundError(res, 'Ad watch not found');
+  }
+
+  const result = await completeAdWatch(adWatch, { watchDurationMs, ipAddress: req.ip });
+  const { credits } = await User.findById(user._id).select('credits');
+
+  const messages = {
+    abandoned: 'Ad was not watched long enough to earn a reward',
+    fraud_detected: 'Ad watch could not be verified',
+    limit_reached: 'Daily ad limit reached',
+  };
+  const message = result.rewardCredited
+    ? `You earned ${result.creditsEarned} credit${result.creditsEarned === 1 ? '' : 's'}`
+    : messages[result.status] || 'Ad watch recorded; the reward is added once the ad network confirms it';
+
+  return ApiResponse.success(res, {
+    adWatch: formatAdWatch(result),
+    credits,
+  }, message);
+});
+
+// AdMob calls this with a signed query string when a rewarded ad is earned
+const handleAdMobSsv = asyncHandler(async (req, res) => {
+  const queryString = req.originalUrl.split('?')[1] || '';
+
+  if (!await verifyAdMobSignature(queryString)) {
+    logger.warn('AdMob SSV signature verification failed');
+    return ApiResponse.error(res, 'Invalid signature', 400);
+  }
+
+  const note = await handleAdMobCallback(req.query);
+  if (note) {
+    logger.info(`AdMob SSV callback ignored: ${note}`);
+  }
+
+  res.json({ received: true, rewarded: !note });
+});
+
+module.exports = {
+  getAvailability,
+  startWatch,
+  completeWatch,
+  handleAdMobSsv,
+};
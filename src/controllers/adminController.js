@@ -1,9 +1,24 @@
 const User = require('../models/User');
 const Generation = require('../models/Generation');
 const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const StripeEvent = require('../models/StripeEvent');
+const Package = require('../models/Package');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const config = require('../config');
+const { getQueueStats } = require('../utils/jobQueue');
+const { reapStaleGenerations, countStaleGenerations } = require('../services/generationReaper');
+const { runReconciliation, correctDiscrepancy } = require('../services/reconciliation');
+const { replayStripeEvent } = require('../services/stripeEvents');
+const { invalidatePackageCache } = require('../services/packages');
+const { getRedemptionSummary } = require('../services/promoCodes');
+const { refundableAmount, refundStripePayment } = require('../services/refunds');
 
 const getAppStats = asyncHandler(async (req, res) => {
   const { days = 30 } = req.query;
@@ -57,7 +72,7 @@ const getAppStats = asyncHandler(async (req, res) => {
           type: { $in: ['credit_purchase', 'premium_subscription'] },
         },
       },
-      { $group: { _id: null, total: { $sum: '$amount' } } },
+      { $group: { _id: null, total: { $sum: Transaction.reportingRevenue() } } },
     ]),
     
     // Recent revenue
@@ -69,7 +84,7 @@ const getAppStats = asyncHandler(async (req, res) => {
           createdAt: { $gte: startDate },
         },
       },
-      { $group: { _id: null, total: { $sum: '$amount' } } },
+      { $group: { _id: null, total: { $sum: Transaction.reportingRevenue() } } },
     ]),
     
     // Top users by generations
@@ -203,6 +218,10 @@ const updateUser = asyncHandler(async (req, res) => {
   delete updates.password;
   delete updates.refreshTokens;
 
+  // Premium goes through the subscription methods so it gets a period
+  const { isPremium } = updates;
+  delete updates.isPremium;
+
   const user = await User.findByIdAndUpdate(
     userId,
     updates,
@@ -213,6 +232,24 @@ const updateUser = asyncHandler(async (req, res) => {
     return ApiResponse.notFoundError(res, 'User not found');
   }
 
+  if (isPremium !== undefined && isPremium !== user.isPremiumActive) {
+    if (isPremium) {
+      await user.activatePremium(config.premium.durationDays, { source: 'admin' });
+    } else {
+      await user.deactivatePremium();
+    }
+
+    await AuditLog.record({
+      action: isPremium ? 'premium.granted' : 'premium.revoked',
+      actorType: 'admin',
+      actorId: req.user._id,
+      targetType: 'User',
+      targetId: user._id,
+      userId: user._id,
+      details: { premiumExpiresAt: user.premiumExpiresAt },
+    });
+  }
+
   logger.info(`User ${userId} updated by admin ${req.user._id}`, { updates });
 
   return ApiResponse.success(res, { user }, 'User updated successfully');
@@ -361,6 +398,57 @@ const getTransactions = asyncHandler(async (req, res) => {
   }, 'Transactions retrieved successfully');
 });
 
+const getTransactionRefunds = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.transactionId);
+  if (!transaction) {
+    return ApiResponse.notFoundError(res, 'Transaction not found');
+  }
+
+  const refunds = await Transaction.find({
+    type: 'refund',
+    'metadata.originalTransactionId': transaction._id,
+  }).sort({ createdAt: -1 });
+
+  return ApiResponse.success(res, {
+    transaction,
+    refundableAmount: refundableAmount(transaction),
+    refunds,
+  }, 'Transaction refunds retrieved successfully');
+});
+
+const refundTransaction = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const transaction = await Transaction.findOne({
+    _id: req.params.transactionId,
+    status: 'completed',
+  });
+  if (!transaction) {
+    return ApiResponse.notFoundError(res, 'Transaction not found');
+  }
+
+  const result = await refundStripePayment(transaction, {
+    amount,
+    source: 'admin',
+    reason,
+    actorId: req.user._id,
+  });
+  if (result.error) {
+    return ApiResponse.validationError(res, [{ field: 'amount', message: result.error }]);
+  }
+
+  const refund = result.refund || result.duplicate;
+  const user = await User.findById(transaction.userId).select('credits');
+
+  logger.info(`Admin ${req.user._id} refunded ${refund.amount} of transaction ${transaction._id}: ${reason}`);
+
+  return ApiResponse.success(res, {
+    refund,
+    refundableAmount: refundableAmount(await Transaction.findById(transaction._id)),
+    newCreditBalance: user ? user.credits : null,
+  }, 'Refund processed successfully');
+});
+
 const getRevenueStats = asyncHandler(async (req, res) => {
   const { startDate, endDate, groupBy = 'day' } = req.query;
 
@@ -412,7 +500,7 @@ const getRevenueStats = asyncHandler(async (req, res) => {
     {
       $group: {
         _id: groupFormat,
-        revenue: { $sum: '$amount' },
+        revenue: { $sum: Transaction.reportingRevenue() },
         count: { $sum: 1 },
       },
     },
@@ -420,12 +508,435 @@ const getRevenueStats = asyncHandler(async (req, res) => {
   ]);
 
   return ApiResponse.success(res, {
+    currency: stats.reportingCurrency,
     summary: stats.total,
+    byCurrency: stats.byCurrency,
     timeline: detailedStats,
     period: { start, end, groupBy },
   }, 'Revenue statistics retrieved successfully');
 });
 
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    action,
+    targetType,
+    targetId,
+    userId,
+  } = req.query;
+
+  // Build query
+  const query = {};
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (userId) query.userId = userId;
+
+  const skip = (page - 1) * limit;
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate('actorId', 'email username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    AuditLog.countDocuments(query),
+  ]);
+
+  return ApiResponse.paginated(res, logs, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Audit logs retrieved successfully');
+});
+
+const reapStuckGenerations = asyncHandler(async (req, res) => {
+  const summary = await reapStaleGenerations({ trigger: 'manual', actorId: req.user._id });
+
+  logger.info(`Stale generation reaper triggered by admin ${req.user._id}`, summary);
+
+  return ApiResponse.success(res, { summary }, 'Stale generation recovery completed');
+});
+
+const getReconciliationRuns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+  const [runs, total] = await Promise.all([
+    ReconciliationRun.find(query)
+      .populate('actorId', 'email username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ReconciliationRun.countDocuments(query),
+  ]);
+
+  return ApiResponse.paginated(res, runs, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Reconciliation runs retrieved successfully');
+});
+
+const startReconciliation = asyncHandler(async (req, res) => {
+  const { autoCorrect = false, userId } = req.body;
+
+  const run = await runReconciliation({
+    trigger: 'manual',
+    actorId: req.user._id,
+    userId: userId || null,
+    autoCorrect,
+  });
+
+  logger.info(`Credit reconciliation triggered by admin ${req.user._id}`, {
+    runId: run._id.toString(),
+    discrepancies: run.discrepancies,
+    corrected: run.corrected,
+  });
+
+  return ApiResponse.success(res, { run }, 'Credit reconciliation completed');
+});
+
+const getReconciliationRun = asyncHandler(async (req, res) => {
+  const run = await ReconciliationRun.findById(req.params.runId).populate('actorId', 'email username');
+  if (!run) {
+    return ApiResponse.notFoundError(res, 'Reconciliation run not found');
+  }
+
+  const discrepancies = await BalanceDiscrepancy.find({ runId: run._id })
+    .populate('userId', 'email username')
+    .sort({ createdAt: 1 });
+
+  return ApiResponse.success(res, { run, discrepancies }, 'Reconciliation run retrieved successfully');
+});
+
+const getBalanceDiscrepancies = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, userId, runId } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (userId) query.userId = userId;
+  if (runId) query.runId = runId;
+
+  const skip = (page - 1) * limit;
+  const [discrepancies, total] = await Promise.all([
+    BalanceDiscrepancy.find(query)
+      .populate('userId', 'email username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    BalanceDiscrepancy.countDocuments(query),
+  ]);
+
+  return ApiResponse.paginated(res, discrepancies, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Balance discrepancies retrieved successfully');
+});
+
+const correctBalanceDiscrepancy = asyncHandler(async (req, res) => {
+  const discrepancy = await BalanceDiscrepancy.findById(req.params.discrepancyId);
+  if (!discrepancy) {
+    return ApiResponse.notFoundError(res, 'Balance discrepancy not found');
+  }
+
+  if (discrepancy.status !== 'open') {
+    return ApiResponse.validationError(res, [{
+      field: 'status',
+      message: 'Only open discrepancies can be corrected',
+    }]);
+  }
+
+  const corrected = await correctDiscrepancy(discrepancy, { actorId: req.user._id });
+
+  logger.info(`Balance discrepancy ${discrepancy._id} handled by admin ${req.user._id}: ${corrected.status}`);
+
+  return ApiResponse.success(res, { discrepancy: corrected }, 'Balance discrepancy processed');
+});
+
+const getStripeEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, type, objectId } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (objectId) query.objectId = objectId;
+
+  const skip = (page - 1) * limit;
+  const [events, total] = await Promise.all([
+    StripeEvent.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    StripeEvent.countDocuments(query),
+  ]);
+
+  return ApiResponse.paginated(res, events, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Stripe events retrieved successfully');
+});
+
+const getStripeEvent = asyncHandler(async (req, res) => {
+  const event = await StripeEvent.findOne({ eventId: req.params.eventId });
+  if (!event) {
+    return ApiResponse.notFoundError(res, 'Stripe event not found');
+  }
+
+  return ApiResponse.success(res, { event }, 'Stripe event retrieved successfully');
+});
+
+const replayStripeEventById = asyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const existing = await StripeEvent.findOne({ eventId }).select('status');
+  if (!existing) {
+    return ApiResponse.notFoundError(res, 'Stripe event not found');
+  }
+
+  let event;
+  try {
+    event = await replayStripeEvent(eventId);
+  } catch (error) {
+    // The failure is recorded on the event
+    event = await StripeEvent.findOne({ eventId }).select('-payload');
+  }
+
+  if (!event) {
+    return ApiResponse.validationError(res, [{
+      field: 'status',
+      message: 'Only failed events can be replayed',
+    }]);
+  }
+
+  await AuditLog.record({
+    action: 'stripe_event.replayed',
+    actorType: 'admin',
+    actorId: req.user._id,
+    targetType: 'StripeEvent',
+    targetId: event._id,
+    details: {
+      eventId,
+      type: event.type,
+      status: event.status,
+      attempts: event.attempts,
+      error: event.error,
+    },
+  });
+
+  logger.info(`Stripe event ${eventId} replayed by admin ${req.user._id}: ${event.status}`);
+
+  if (event.status === 'failed') {
+    return ApiResponse.error(res, `Stripe event replay failed: ${event.error}`, 500);
+  }
+
+  return ApiResponse.success(res, { event }, 'Stripe event replayed successfully');
+});
+
+const getPackages = asyncHandler(async (req, res) => {
+  const { isActive } = req.query;
+
+  const query = {};
+  if (isActive !== undefined) query.isActive = isActive;
+
+  const packages = await Package.find(query).sort({ sortOrder: 1, createdAt: 1 });
+
+  return ApiResponse.success(res, { packages }, 'Packages retrieved successfully');
+});
+
+const createPackage = asyncHandler(async (req, res) => {
+  const pkg = await Package.create(req.body);
+  invalidatePackageCache();
+
+  await AuditLog.record({
+    action: 'package.created',
+    actorType: 'admin',
+    actorId: req.user._id,
+    targetType: 'Package',
+    targetId: pkg._id,
+    details: { key: pkg.key, price: pkg.price, currency: pkg.currency, credits: pkg.credits },
+  });
+
+  logger.info(`Package ${pkg.key} created by admin ${req.user._id}`);
+
+  return ApiResponse.created(res, { package: pkg }, 'Package created successfully');
+});
+
+const updatePackage = asyncHandler(async (req, res) => {
+  const pkg = await Package.findById(req.params.packageId);
+  if (!pkg) {
+    return ApiResponse.notFoundError(res, 'Package not found');
+  }
+
+  // Product ids are merged so one platform can be changed without resending the others
+  const { productIds, ...updates } = req.body;
+  pkg.set(updates);
+  Object.entries(productIds || {}).forEach(([platform, productId]) => {
+    pkg.set(`productIds.${platform}`, productId);
+  });
+
+  await pkg.save();
+  invalidatePackageCache();
+
+  await AuditLog.record({
+    action: 'package.updated',
+    actorType: 'admin',
+    actorId: req.user._id,
+    targetType: 'Package',
+    targetId: pkg._id,
+    details: { key: pkg.key, changes: req.body },
+  });
+
+  logger.info(`Package ${pkg.key} updated by admin ${req.user._id}`);
+
+  return ApiResponse.updated(res, { package: pkg }, 'Package updated successfully');
+});
+
+// Packages are referenced by past purchases, so they are withdrawn rather than deleted
+const deactivatePackage = asyncHandler(async (req, res) => {
+  const pkg = await Package.findByIdAndUpdate(
+    req.params.packageId,
+    { isActive: false },
+    { new: true }
+  );
+  if (!pkg) {
+    return ApiResponse.notFoundError(res, 'Package not found');
+  }
+  invalidatePackageCache();
+
+  await AuditLog.record({
+    action: 'package.deactivated',
+    actorType: 'admin',
+    actorId: req.user._id,
+    targetType: 'Package',
+    targetId: pkg._id,
+    details: { key: pkg.key },
+  });
+
+  logger.info(`Package ${pkg.key} deactivated by admin ${req.user._id}`);
+
+  return ApiResponse.success(res, { package: pkg }, 'Package deactivated successfully');
+});
+
+const getPromoCodes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, isActive, type, search } = req.query;
+
+  const query = {};
+  if (isActive !== undefined) query.isActive = isActive;
+  if (type) query.type = type;
+  if (search) query.code = { $regex: search, $options: 'i' };
+
+  const skip = (page - 1) * limit;
+  const [promoCodes, total] = await Promise.all([
+    PromoCode.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PromoCode.countDocuments(query),
+  ]);
+
+  return ApiResponse.paginated(res, promoCodes, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Promo codes retrieved successfully');
+});
+
+const createPromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.create({
+    ...req.body,
+    createdBy: req.user._id,
+  });
+
+  await AuditLog.record({
+    action: 'promo_code.created',
+    actorType: 'admin',
+    actorId: req.user._id,
+    targetType: 'PromoCode',
+    targetId: promoCode._id,
+    details: {
+      code: promoCode.code,
+      type: promoCode.type,
+      credits: promoCode.credits,
+      percentOff: promoCode.percentOff,
+      maxRedemptions: promoCode.maxRedemptions,
+    },
+  });
+
+  logger.info(`Promo code ${promoCode.code} created by admin ${req.user._id}`);
+
+  return ApiResponse.created(res, { promoCode }, 'Promo code created successfully');
+});
+
+const getPromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.promoCodeId);
+  if (!promoCode) {
+    return ApiResponse.notFoundError(res, 'Promo code not found');
+  }
+
+  const redemptions = await getRedemptionSummary(promoCode._id);
+
+  return ApiResponse.success(res, { promoCode, redemptions }, 'Promo code retrieved successfully');
+});
+
+const updatePromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await PromoCode.findById(req.params.promoCodeId);
+  if (!promoCode) {
+    return ApiResponse.notFoundError(res, 'Promo code not found');
+  }
+
+  promoCode.set(req.body);
+  await promoCode.save();
+
+  await AuditLog.record({
+    action: 'promo_code.updated',
+    actorType: 'admin',
+    actorId: req.user._id,
+    targetType: 'PromoCode',
+    targetId: promoCode._id,
+    details: { code: promoCode.code, changes: req.body },
+  });
+
+  logger.info(`Promo code ${promoCode.code} updated by admin ${req.user._id}`);
+
+  return ApiResponse.updated(res, { promoCode }, 'Promo code updated successfully');
+});
+
+const getPromoRedemptions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, userId } = req.query;
+
+  const promoCode = await PromoCode.findById(req.params.promoCodeId).select('_id');
+  if (!promoCode) {
+    return ApiResponse.notFoundError(res, 'Promo code not found');
+  }
+
+  const query = { promoCodeId: promoCode._id };
+  if (status) query.status = status;
+  if (userId) query.userId = userId;
+
+  const skip = (page - 1) * limit;
+  const [redemptions, total] = await Promise.all([
+    PromoRedemption.find(query)
+      .populate('userId', 'username email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PromoRedemption.countDocuments(query),
+  ]);
+
+  return ApiResponse.paginated(res, redemptions, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Promo code redemptions retrieved successfully');
+});
+
 // Helper Functions
 const getUserStats = async (userId) => {
   const [
@@ -459,6 +970,8 @@ const getSystemHealth = async () => {
     recentErrors,
     pendingGenerations,
     processingGenerations,
+    stuckGenerations,
+    queue,
     avgProcessingTime,
   ] = await Promise.all([
     // Count recent failed generations
@@ -472,6 +985,12 @@ const getSystemHealth = async () => {
     
     // Count processing generations
     Generation.countDocuments({ status: 'processing' }),
+
+    // Count generations processing longer than the reaper timeout
+    countStaleGenerations(),
+
+    // Job queue backlog and expired leases
+    getQueueStats(),
     
     // Average processing time for completed generations
     Generation.aggregate([
@@ -495,11 +1014,13 @@ const getSystemHealth = async () => {
     recentErrors,
     pendingGenerations,
     processingGenerations,
+    stuckGenerations,
+    queue,
     avgProcessingTimeMs: avgProcessingTime[0]?.avgTime || 0,
     avgProcessingTimeSeconds: avgProcessingTime[0]?.avgTime 
       ? Math.round(avgProcessingTime[0].avgTime / 1000) 
       : 0,
-    status: recentErrors > 10 ? 'unhealthy' : 'healthy',
+    status: recentErrors > 10 || stuckGenerations > 0 ? 'unhealthy' : 'healthy',
     lastChecked: now,
   };
 };
@@ -514,5 +1035,26 @@ module.exports = {
   getGenerations,
   deleteGeneration,
   getTransactions,
+  getTransactionRefunds,
+  refundTransaction,
   getRevenueStats,
+  getAuditLogs,
+  reapStuckGenerations,
+  getReconciliationRuns,
+  startReconciliation,
+  getReconciliationRun,
+  getBalanceDiscrepancies,
+  correctBalanceDiscrepancy,
+  getStripeEvents,
+  getStripeEvent,
+  replayStripeEventById,
+  getPackages,
+  createPackage,
+  updatePackage,
+  deactivatePackage,
+  getPromoCodes,
+  createPromoCode,
+  getPromoCode,
+  updatePromoCode,
+  getPromoRedemptions,
 };
\ No newline at end of file
@@ -4,10 +4,11 @@ const config = require('../config');
 const ApiResponse = require('../utils/apiResponse');
 const { sendWelcomeEmail, sendEmailVerificationCode, sendPasswordResetCode } = require('../utils/email');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { findReferrer, createReferral, qualifyReferral } = require('../services/referrals');
 const { OAuth2Client } = require('google-auth-library');
 
 const register = asyncHandler(async (req, res) => {
-  const { email, password, username, firstName, lastName, deviceId } = req.body;
+  const { email, password, username, firstName, lastName, deviceId, referralCode } = req.body;
 
   console.log('Registration attempt:', { email: email.toLowerCase(), username, firstName, lastName });
 
@@ -22,6 +23,18 @@ const register = asyncHandler(async (req, res) => {
     return ApiResponse.conflictError(res, `User with this ${field} already exists`);
   }
 
+  // Check the referral code before creating the account
+  let referrer = null;
+  if (referralCode && config.referrals.enabled) {
+    referrer = await findReferrer(referralCode);
+    if (!referrer) {
+      return ApiResponse.validationError(res, [{
+        field: 'referralCode',
+        message: 'Invalid referral code',
+      }]);
+    }
+  }
+
   // Create new user
   const userData = {
     email: email.toLowerCase(),
@@ -80,6 +93,11 @@ const register = asyncHandler(async (req, res) => {
     },
   });
 
+  // Rewarded once the email is verified (or on first purchase, if configured)
+  if (referrer) {
+    await createReferral(referrer, user, { ipAddress: req.ip, deviceId });
+  }
+
   // Remove sensitive fields  
   const userResponse = {
     id: user._id,
@@ -155,7 +173,7 @@ const login = asyncHandler(async (req, res) => {
     isPremium: user.isPremium,
     isPremiumActive: user.isPremiumActive,
     role: user.role,
-    profilePicture: user.profilePicture,
+    profilePicture: User.profilePictureUrl(user.profilePicture),
     lastLogin: user.lastLogin,
   };
 
@@ -261,8 +279,9 @@ const getProfile = asyncHandler(async (req, res) => {
     isPremiumActive: user.isPremiumActive,
     premiumExpiresAt: user.premiumExpiresAt,
     role: user.role,
-    profilePicture: user.profilePicture,
+    profilePicture: User.profilePictureUrl(user.profilePicture),
     deviceId: user.deviceId,
+    referralCode: user.referralCode,
     lastLogin: user.lastLogin,
     createdAt: user.createdAt,
     updatedAt: user.updatedAt,
@@ -465,6 +484,11 @@ const verifyEmail = asyncHandler(async (req, res) => {
   
   await user.save();
 
+  // Reward the referral if this user was invited (don't fail verification over it)
+  await qualifyReferral(user._id, 'email_verified').catch(err => {
+    console.error('Failed to reward referral:', err);
+  });
+
   // Generate tokens
   const tokenPayload = { id: user._id, email: user.email, role: user.role };
   const { accessToken, refreshToken } = jwt.generateTokens(tokenPayload);
@@ -494,7 +518,7 @@ const verifyEmail = asyncHandler(async (req, res) => {
     isPremium: user.isPremium,
     isPremiumActive: user.isPremiumActive,
     role: user.role,
-    profilePicture: user.profilePicture,
+    profilePicture: User.profilePictureUrl(user.profilePicture),
     lastLogin: user.lastLogin,
   };
 
@@ -545,7 +569,7 @@ const resendPasswordResetCode = asyncHandler(async (req, res) => {
 });
 
 const googleSignIn = asyncHandler(async (req, res) => {
-  const { idToken, email, firstName, lastName, googleId, photo } = req.body;
+  const { idToken, email, firstName, lastName, googleId, photo, deviceId, referralCode } = req.body;
 
   if (!idToken || !email || !googleId) {
     return ApiResponse.error(res, 'Google ID token, email, and Google ID are required', 400);
@@ -596,6 +620,18 @@ const googleSignIn = asyncHandler(async (req, res) => {
       user.lastLogin = new Date();
       await user.save();
     } else {
+      // Check the referral code before creating the account
+      let referrer = null;
+      if (referralCode && config.referrals.enabled) {
+        referrer = await findReferrer(referralCode);
+        if (!referrer) {
+          return ApiResponse.validationError(res, [{
+            field: 'referralCode',
+            message: 'Invalid referral code',
+          }]);
+        }
+      }
+
       // Create new user
       const userData = {
         email: email.toLowerCase(),
@@ -604,6 +640,7 @@ const googleSignIn = asyncHandler(async (req, res) => {
         lastName: lastName || '',
         username: Math.random().toString().substring(2, 12), // Random username
         profilePicture: photo,
+        deviceId,
         lastLogin: new Date(),
         isEmailVerified: true, // Google accounts are pre-verified
       };
@@ -626,6 +663,14 @@ const googleSignIn = asyncHandler(async (req, res) => {
           userAgent: req.get('User-Agent'),
         },
       });
+
+      // Google accounts are pre-verified, so the invite can qualify right away
+      if (referrer) {
+        await createReferral(referrer, user, { ipAddress: req.ip, deviceId });
+        await qualifyReferral(user._id, 'email_verified').catch(err => {
+          console.error('Failed to reward referral:', err);
+        });
+      }
       
       // Send welcome email (don't wait for it)
       sendWelcomeEmail(user).catch(err => {
@@ -656,7 +701,7 @@ const googleSignIn = asyncHandler(async (req, res) => {
       isPremium: user.isPremium,
       isPremiumActive: user.isPremiumActive,
       role: user.role,
-      profilePicture: user.profilePicture,
+      profilePicture: User.profilePictureUrl(user.profilePicture),
       createdAt: user.createdAt,
     };
 
@@ -0,0 +1,38 @@
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getStorage, verifySignature } = require('../storage');
+
+// Keys are relative paths without empty or `..` segments
+const isValidKey = (key) => Boolean(key) && key.split('/').every(segment => segment && segment !== '..' && segment !== '.');
+
+const getFile = asyncHandler(async (req, res) => {
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!isValidKey(key)) {
+    return ApiResponse.notFoundError(res, 'File not found');
+  }
+
+  // Objects are private; only signed URLs that haven't expired are served
+  if (!verifySignature(key, expires, signature)) {
+    return ApiResponse.forbiddenError(res, 'File URL is invalid or has expired');
+  }
+
+  const object = await getStorage().get(key);
+  if (!object) {
+    return ApiResponse.notFoundError(res, 'File not found');
+  }
+
+  res.set({
+    'Content-Type': object.contentType,
+    'Content-Length': object.size,
+    // Keys are never reused for other content, but the URL stops working when it expires
+    'Cache-Control': `private, max-age=${Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))}, immutable`,
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+  return res.send(object.body);
+});
+
+module.exports = {
+  getFile,
+};
@@ -1,141 +1,30 @@
 const Generation = require('../models/Generation');
 const User = require('../models/User');
 const ApiResponse = require('../utils/apiResponse');
-const { uploadImage, deleteImage } = require('../utils/upload');
-const axios = require('axios');
+const { uploadImageWithVariants, deleteImage } = require('../utils/upload');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
-const { fal } = require('@fal-ai/client');
 const config = require('../config');
-
-// Configure fal.ai client
-if (!config.fal.apiKey || config.fal.apiKey === 'your_fal_ai_api_key_here') {
-  logger.warn('FAL AI API key not configured properly. Please set FAL_AI_API_KEY in environment variables.');
-}
-
-fal.config({
-  credentials: config.fal.apiKey,
-});
-
-// Helper function for exponential backoff
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// FAL AI Flux Pro API call with retry mechanism
-const callFalAI = async (prompt, imageUrl, parameters = {}, maxRetries = 3) => {
-  let attempt = 0;
-  
-  while (attempt <= maxRetries) {
-    try {
-      logger.info(`Calling fal.ai Flux Pro (attempt ${attempt + 1}/${maxRetries + 1}):`, {
-        prompt,
-        image_url: imageUrl,
-        num_images: parameters.num_images || 1
-      });
-
-      const result = await fal.subscribe('fal-ai/flux-pro/kontext', {
-        input: {
-          prompt: prompt,
-          image_url: imageUrl,
-          num_images: parameters.num_images || 1,
-          // Add other parameters as needed
-        },
-        logs: true,
-        onQueueUpdate: (update) => {
-          console.log("FAtih",update)
-          if (update.status === 'IN_PROGRESS') {
-            update.logs.map((log) => log.message).forEach(message => {
-              logger.info(`FAL AI Progress: ${message}`);
-            });
-          }
-        },
-      });
-
-      logger.info('FAL AI result:', {
-        requestId: result.requestId,
-        dataKeys: Object.keys(result.data || {})
-      });
-
-      return result.data;
-    } catch (error) {
-      console.log(error)
-      const isRateLimitError = error.message?.includes('429') || 
-                              error.message?.includes('Too many requests') ||
-                              error.message?.includes('rate limit');
-      
-      logger.error(`FAL AI API error (attempt ${attempt + 1}):`, {
-        message: error.message,
-        isRateLimitError,
-        willRetry: attempt < maxRetries && isRateLimitError
-      });
-
-      // If it's a rate limit error and we have retries left, wait and retry
-      if (isRateLimitError && attempt < maxRetries) {
-        const backoffDelay = Math.pow(2, attempt) * 1000 + Math.random() * 1000; // 1-2s, 2-3s, 4-5s
-        logger.info(`Rate limit hit, waiting ${Math.round(backoffDelay)}ms before retry...`);
-        await sleep(backoffDelay);
-        attempt++;
-        continue;
-      }
-
-      // If it's not a rate limit error or we're out of retries, throw the error
-      if (isRateLimitError) {
-        throw new Error('AI generation service is temporarily overloaded. Please try again in a few minutes.');
-      } else {
-        throw new Error('AI generation service unavailable: ' + (error.message || 'Unknown error'));
-      }
-    }
-  }
-};
-
-// Download and upload image to S3
-const downloadAndUploadToS3 = async (imageUrl, filename) => {
-  try {
-    if (!imageUrl) return null;
-    
-    logger.info(`Processing image for S3 upload: ${filename}`, { imageUrl });
-    
-    // Check if this is a local file path (mobile app sends these)
-    if (imageUrl.startsWith('file://')) {
-      logger.warn(`Received local file path, cannot download: ${imageUrl}`);
-      return null; // Cannot process local file paths
-    }
-    
-    // Download the image
-    const axios = require('axios');
-    const response = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-    const buffer = Buffer.from(response.data);
-    
-    // Create a fake file object for uploadImage function
-    const fakeFile = {
-      buffer: buffer,
-      mimetype: 'image/jpeg',
-      originalname: filename
-    };
-    
-    // Upload to S3
-    const s3Url = await uploadImage(fakeFile, {
-      processOptions: {
-        width: 1024,
-        height: 1024,
-        quality: 90,
-        format: 'jpeg',
-      },
-    });
-    
-    logger.info(`Image uploaded to S3: ${s3Url}`);
-    return s3Url;
-  } catch (error) {
-    logger.error(`Failed to download and upload image ${filename}:`, error);
-    
-    // Don't fallback to original URL for local file paths
-    if (imageUrl.startsWith('file://')) {
-      logger.warn('Returning null for local file path that failed to process');
-      return null;
-    }
-    
-    return imageUrl; // Fallback to original URL only for valid URLs
-  }
-};
+const { storeRemoteImage, enqueueGeneration, cancelGenerationRun } = require('../services/generationProcessor');
+const { isImageUrlError } = require('../utils/remoteImage');
+const { urlFor } = require('../storage');
+const { reserveCredits, releaseHold } = require('../services/credits');
+const {
+  TERMINAL_EVENTS,
+  publishGenerationEvent,
+  clearGenerationEvents,
+  getGenerationEvents,
+  subscribeToGeneration,
+} = require('../services/generationEvents');
+const {
+  getModel,
+  getDefaultModel,
+  getSupportedModes,
+  supportsMode,
+  listModels,
+  calculateCredits,
+  validateModelInput,
+} = require('../providers');
 
 const uploadReferenceImage = asyncHandler(async (req, res) => {
   const user = req.user;
@@ -165,10 +54,9 @@ const uploadReferenceImage = asyncHandler(async (req, res) => {
   }
 
   try {
-    logger.info('Starting S3 upload...');
-    
-    // Upload image to cloud storage
-    const imageUrl = await uploadImage(req.file, {
+    // Store the image; the client passes its URL back as `inputImageUrl`
+    const { key, variants } = await uploadImageWithVariants(req.file, {
+      prefix: `uploads/${user._id}`,
       processOptions: {
         width: 1024,
         height: 1024,
@@ -177,10 +65,12 @@ const uploadReferenceImage = asyncHandler(async (req, res) => {
       },
     });
 
-    logger.info(`Reference image uploaded successfully for user ${user._id}: ${imageUrl}`);
+    logger.info(`Reference image uploaded successfully for user ${user._id}: ${key}`);
 
     return ApiResponse.success(res, {
-      imageUrl,
+      imageUrl: urlFor(key),
+      // Previews; the generation stores its own copies
+      variants: variants && Object.fromEntries(Object.entries(variants).map(([name, ref]) => [name, urlFor(ref)])),
       fileName: req.file.originalname,
       size: req.file.size,
     }, 'Reference image uploaded successfully');
@@ -193,29 +83,24 @@ const uploadReferenceImage = asyncHandler(async (req, res) => {
 
 const createGeneration = asyncHandler(async (req, res) => {
   const user = req.user;
-  const { parameters = {}, inputImageUrl } = req.body;
+  const { model: modelId, parameters = {}, inputImageUrl } = req.body;
   
   // Debug logging
   logger.info('Generation request received:', {
     userId: user._id,
+    model: modelId,
     hasParameters: !!parameters,
     parametersKeys: Object.keys(parameters),
     hasInputImageUrl: !!inputImageUrl,
     requestBody: req.body
   });
-  
-  const { prompt,  imageCount } = parameters;
-
-  // Validate prompt (required)
-  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-    logger.warn('Generation validation failed: missing or invalid prompt', {
-      prompt,
-      promptType: typeof prompt,
-      parameters
-    });
+
+  // Resolve the requested model (or the default) from the registry
+  const model = modelId ? getModel(modelId) : getDefaultModel();
+  if (!model) {
     return ApiResponse.validationError(res, [{
-      field: 'parameters.prompt',
-      message: 'Prompt is required and cannot be empty',
+      field: 'model',
+      message: `Unknown model: ${modelId}`,
     }]);
   }
 
@@ -227,69 +112,113 @@ const createGeneration = asyncHandler(async (req, res) => {
     }]);
   }
 
-  // Calculate credits required based on number of images
-  const numImages = Math.min(Math.max(parseInt(imageCount) || 1, 1), 4); // 1-4 images
-  const creditsRequired = numImages; // 1 credit per image
+  const mode = inputImageUrl ? 'image-to-image' : 'text-to-image';
+  if (!supportsMode(model, mode)) {
+    return ApiResponse.validationError(res, [{
+      field: inputImageUrl ? 'inputImageUrl' : 'model',
+      message: `${model.name} does not support ${mode}. Supported modes: ${getSupportedModes(model).join(', ')}`,
+    }]);
+  }
+
+  // Validate parameters against the model's input schema
+  const { value: modelParameters, errors, ignored } = validateModelInput(model, parameters);
+  if (errors) {
+    logger.warn('Generation validation failed:', { model: model.id, errors });
+    return ApiResponse.validationError(res, errors);
+  }
+
+  // Calculate credits required based on the model's cost and number of images
+  const numImages = modelParameters.imageCount;
+  const creditsRequired = calculateCredits(model, numImages);
+
+  const generation = new Generation({
+    userId: user._id,
+    prompt: modelParameters.prompt,
+    modelUsed: model.id,
+    mode,
+    parameters: {
+      ...modelParameters,
+      num_images: numImages,
+    },
+    creditsUsed: creditsRequired,
+    status: 'pending',
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      deviceInfo: req.get('X-Device-Info'),
+    },
+  });
+
+  // A refund left the balance negative; it has to be repaid first, even by premium users
+  if (user.credits < 0) {
+    return ApiResponse.forbiddenError(res, `Credit balance is ${user.credits} after a refund. Add credits to continue generating.`);
+  }
 
-  // Check if user has enough credits (skip for premium users)
-  if (!user.isPremiumActive && user.credits < creditsRequired) {
-    return ApiResponse.forbiddenError(res, `Insufficient credits. Required: ${creditsRequired}, Available: ${user.credits}`);
+  // Hold the credits now so concurrent requests can't overspend (premium users aren't charged).
+  // They are charged when the generation completes and released if it fails or is cancelled.
+  let hold = null;
+  if (!user.isPremiumActive) {
+    hold = await reserveCredits(user, creditsRequired, generation);
+    if (!hold) {
+      return ApiResponse.forbiddenError(res, `Insufficient credits. Required: ${creditsRequired}, Available: ${user.credits}`);
+    }
   }
 
   try {
-    // Upload input image to S3 if provided
-    let s3InputImageUrl = null;
+    // Copy the input image into storage if provided
     if (inputImageUrl) {
-      s3InputImageUrl = await downloadAndUploadToS3(
-        inputImageUrl, 
-        `input-${Date.now()}-${user._id}.jpg`
-      );
+      const stored = await storeRemoteImage(inputImageUrl, { prefix: `inputs/${user._id}` });
+      generation.originalImageUrl = stored.key;
+      generation.variants.original = stored.variants;
     }
 
-    // Create generation record
-    const generationData = {
-      userId: user._id,
-      originalImageUrl: s3InputImageUrl || null,
-      prompt: prompt.trim(),
-      modelUsed: 'fal-ai/flux-pro/kontext',
-      parameters: {
-        prompt: prompt.trim(),
-        num_images: numImages,
-      },
-      creditsUsed: creditsRequired,
-      status: 'pending',
-      metadata: {
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        deviceInfo: req.get('X-Device-Info'),
-      },
-    };
-
-    const generation = await Generation.create(generationData);
+    await generation.save();
 
-    // Don't deduct credits yet - wait for successful completion
-    // Credits will be deducted in processGeneration when AI completes successfully
+    // Queue processing; a worker picks the job up even if this process restarts
+    await enqueueGeneration(generation._id);
 
     logger.info(`Generation created: ${generation._id} for user ${user._id}`);
 
-    // Start processing generation asynchronously
-    processGeneration(generation._id).catch(error => {
-      logger.error(`Generation processing failed: ${generation._id}`, error);
-    });
-
     return ApiResponse.created(res, {
       generationId: generation._id,
       status: generation.status,
+      model: generation.modelUsed,
+      mode: generation.mode,
+      parameters: generation.parameters,
+      ignoredParameters: ignored,
       creditsUsed: generation.creditsUsed,
       estimatedCompletionTime: '2-3 minutes',
     }, 'Generation request created successfully');
 
   } catch (error) {
+    // The generation won't run, so don't keep its credits
+    if (!generation.isNew) {
+      await generation.fail('Failed to queue generation').catch(() => null);
+    }
+    if (hold) {
+      await releaseHold(hold, 'Generation request failed').catch(() => null);
+    }
+
+    if (isImageUrlError(error)) {
+      logger.warn(`Input image rejected for user ${user._id}: ${error.message}`);
+      return ApiResponse.validationError(res, [{ field: 'inputImageUrl', message: error.message }]);
+    }
+
     logger.error('Generation creation failed:', error);
     return ApiResponse.serverError(res, 'Failed to create generation request');
   }
 });
 
+const getModels = asyncHandler(async (req, res) => {
+  const models = listModels();
+  const defaultModel = getDefaultModel();
+
+  return ApiResponse.success(res, {
+    models,
+    defaultModel: defaultModel ? defaultModel.id : null,
+  }, 'Models retrieved successfully');
+});
+
 const getGeneration = asyncHandler(async (req, res) => {
   const user = req.user;
   const { id } = req.params;
@@ -306,9 +235,107 @@ const getGeneration = asyncHandler(async (req, res) => {
   return ApiResponse.success(res, { generation }, 'Generation retrieved successfully');
 });
 
+// Final state for generations whose terminal event is missing (legacy or expired events)
+const buildTerminalEvent = (generation, seq) => ({
+  seq,
+  type: generation.status,
+  data: generation.status === 'completed'
+    ? {
+      status: 'completed',
+      generatedImageUrls: generation.generatedImageUrls.map(ref => urlFor(ref)),
+      seed: generation.parameters.seed,
+      processingTimeMs: generation.processingTimeMs,
+    }
+    : { status: generation.status, reason: generation.failureReason },
+});
+
+const streamGenerationEvents = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { id } = req.params;
+
+  const generation = await Generation.findOne({
+    _id: id,
+    userId: user._id,
+  });
+
+  if (!generation) {
+    return ApiResponse.notFoundError(res, 'Generation not found');
+  }
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  const isFinished = TERMINAL_EVENTS.includes(generation.status);
+
+  // 204 tells EventSource to stop reconnecting once the client has seen the final event
+  if (isFinished && lastEventId > 0 && lastEventId >= generation.eventSeq) {
+    return res.status(204).end();
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform stops compression from buffering events
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let lastSeq = lastEventId;
+  let closed = false;
+  let draining = Promise.resolve();
+  const timers = [];
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    timers.forEach(clearInterval);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event) => {
+    if (closed || event.seq <= lastSeq) return;
+    lastSeq = event.seq;
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      close();
+    }
+  };
+
+  const drain = () => {
+    draining = draining.then(async () => {
+      if (closed) return;
+      const events = await getGenerationEvents(generation._id, lastSeq);
+      events.forEach(send);
+    }).catch(error => {
+      logger.error(`Failed to stream events for generation ${generation._id}:`, error);
+    });
+    return draining;
+  };
+
+  req.on('close', close);
+
+  // Current state first so clients render immediately, then replay missed events
+  res.write(`retry: ${config.events.pollIntervalMs * 3}\n`);
+  res.write(`event: status\ndata: ${JSON.stringify({ status: generation.status })}\n\n`);
+  await drain();
+
+  if (isFinished) {
+    send(buildTerminalEvent(generation, Math.max(generation.eventSeq, lastSeq + 1)));
+    return close();
+  }
+
+  // Events published in this process arrive immediately; polling covers other workers
+  unsubscribe = subscribeToGeneration(generation._id, () => drain());
+  timers.push(setInterval(drain, config.events.pollIntervalMs));
+  timers.push(setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, config.events.heartbeatMs));
+});
+
 const getGenerationHistory = asyncHandler(async (req, res) => {
   const user = req.user;
-  const { page = 1, limit = 10, status, modelUsed } = req.query;
+  const { page = 1, limit = 10, status, modelUsed, size } = req.query;
 
   // Build query
   const query = { userId: user._id };
@@ -326,7 +353,7 @@ const getGenerationHistory = asyncHandler(async (req, res) => {
     Generation.countDocuments(query),
   ]);
 
-  return ApiResponse.paginated(res, generations, {
+  return ApiResponse.paginated(res, generations.map(generation => generation.toSizedJSON(size)), {
     page: parseInt(page),
     limit: parseInt(limit),
     total,
@@ -346,41 +373,43 @@ const retryGeneration = asyncHandler(async (req, res) => {
     return ApiResponse.notFoundError(res, 'Generation not found');
   }
 
+  const notRetryable = () => ApiResponse.validationError(res, [{
+    field: 'status',
+    message: 'Only failed generations can be retried',
+  }]);
+
   if (generation.status !== 'failed') {
-    return ApiResponse.validationError(res, [{
-      field: 'status',
-      message: 'Only failed generations can be retried',
-    }]);
+    return notRetryable();
+  }
+
+  if (user.credits < 0) {
+    return ApiResponse.forbiddenError(res, `Credit balance is ${user.credits} after a refund. Add credits to continue generating.`);
   }
 
-  // Check credits again for non-premium users
-  if (!user.isPremiumActive && user.credits < generation.creditsUsed) {
-    return ApiResponse.forbiddenError(res, 'Insufficient credits for retry');
+  // Hold credits again for non-premium users
+  let hold = null;
+  if (!user.isPremiumActive) {
+    hold = await reserveCredits(user, generation.creditsUsed, generation);
+    if (!hold) {
+      return ApiResponse.forbiddenError(res, 'Insufficient credits for retry');
+    }
   }
 
   try {
-    // Reset generation status
-    generation.status = 'pending';
-    generation.processingStartedAt = null;
-    generation.completedAt = null;
-    generation.failureReason = null;
-    generation.processingTimeMs = null;
-    generation.generatedImageUrls = [];
-    
-    // Ensure parameters.prompt exists for validation
-    if (!generation.parameters.prompt && generation.prompt) {
-      generation.parameters.prompt = generation.prompt;
+    // Reset generation status; null means a concurrent retry got there first
+    if (!await generation.resetForRetry()) {
+      if (hold) {
+        await releaseHold(hold, 'Generation already retried');
+      }
+      return notRetryable();
     }
-    
-    await generation.save();
 
-    // Don't deduct credits yet for retry - wait for successful completion
-    // Credits will be deducted in processGeneration when AI completes successfully
+    // Drop the previous attempt's events so new streams don't replay its failure
+    await clearGenerationEvents(generation._id);
 
-    // Start processing again
-    processGeneration(generation._id).catch(error => {
-      logger.error(`Generation retry processing failed: ${generation._id}`, error);
-    });
+    // Queue processing again
+    await enqueueGeneration(generation._id);
+    await publishGenerationEvent(generation._id, 'status', { status: 'pending', retried: true });
 
     return ApiResponse.success(res, {
       generationId: generation._id,
@@ -389,6 +418,14 @@ const retryGeneration = asyncHandler(async (req, res) => {
 
   } catch (error) {
     logger.error('Generation retry failed:', error);
+
+    if (generation.status === 'pending') {
+      await generation.fail('Failed to queue generation retry').catch(() => null);
+    }
+    if (hold) {
+      await releaseHold(hold, 'Generation retry failed').catch(() => null);
+    }
+
     return ApiResponse.serverError(res, 'Failed to retry generation');
   }
 });
@@ -406,23 +443,30 @@ const cancelGeneration = asyncHandler(async (req, res) => {
     return ApiResponse.notFoundError(res, 'Generation not found');
   }
 
-  if (!['pending', 'processing'].includes(generation.status)) {
-    return ApiResponse.validationError(res, [{
-      field: 'status',
-      message: 'Only pending or processing generations can be cancelled',
-    }]);
+  const notCancellable = () => ApiResponse.validationError(res, [{
+    field: 'status',
+    message: 'Only pending or processing generations can be cancelled',
+  }]);
+
+  if (!Generation.ACTIVE_STATUSES.includes(generation.status)) {
+    return notCancellable();
   }
 
   try {
-    // Update generation status
-    await generation.fail('Cancelled by user');
+    // Marks the generation cancelled (unless it just finished) and cancels the upstream job
+    const cancelled = await cancelGenerationRun(generation, 'Cancelled by user');
+    if (!cancelled) {
+      return notCancellable();
+    }
 
-    // No need to refund credits since they weren't deducted yet
-    // Credits are only deducted on successful completion
+    // cancelGenerationRun released the credits held for it; nothing was charged
 
     logger.info(`Generation cancelled: ${generation._id} for user ${user._id}`);
 
-    return ApiResponse.success(res, null, 'Generation cancelled successfully');
+    return ApiResponse.success(res, {
+      generationId: cancelled._id,
+      status: cancelled.status,
+    }, 'Generation cancelled successfully');
 
   } catch (error) {
     logger.error('Generation cancellation failed:', error);
@@ -497,17 +541,21 @@ const deleteGeneration = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Delete images from S3 (optional - clean up storage)
-    if (generation.originalImageUrl) {
-      await deleteImage(generation.originalImageUrl);
-    }
-    
-    if (generation.generatedImageUrls && generation.generatedImageUrls.length > 0) {
-      for (const imageUrl of generation.generatedImageUrls) {
-        await deleteImage(imageUrl);
+    // Active generations are cancelled first so their credit hold is released and the
+    // worker and provider stop. If it finished meanwhile, reload it for its images.
+    let target = generation;
+    if (Generation.ACTIVE_STATUSES.includes(generation.status)) {
+      target = await cancelGenerationRun(generation, 'Deleted by user') || await Generation.findById(id);
+      if (!target) {
+        return ApiResponse.notFoundError(res, 'Generation not found');
       }
     }
 
+    // Delete images and their variants from storage (optional - clean up storage)
+    for (const ref of target.storedImages()) {
+      await deleteImage(ref);
+    }
+
     // Delete generation from database
     await Generation.findByIdAndDelete(id);
 
@@ -521,117 +569,12 @@ const deleteGeneration = asyncHandler(async (req, res) => {
   }
 });
 
-// Helper Functions
-const calculateCreditsRequired = (numImages, parameters = {}) => {
-  // Simple credit calculation: 1 credit per image
-  const baseCredits = numImages || 1;
-  
-  // Future: add premium features that cost more credits
-  // const width = parameters.width || 1024;
-  // const height = parameters.height || 1024;
-  // const steps = parameters.steps || 25;
-  
-  return Math.max(baseCredits, 1); // Minimum 1 credit
-};
-
-const processGeneration = async (generationId) => {
-  try {
-    const generation = await Generation.findById(generationId);
-    if (!generation || generation.status !== 'pending') {
-      return;
-    }
-
-    // Start processing
-    await generation.startProcessing();
-    logger.info(`Started processing generation: ${generationId}`);
-
-    // Call FAL AI service
-    const result = await callFalAI(
-      generation.prompt,
-      generation.originalImageUrl,
-      generation.parameters
-    );
-
-    // Extract generated image URLs from FAL AI response
-    let falImageUrls = [];
-    if (result.images && Array.isArray(result.images)) {
-      falImageUrls = result.images.map(img => img.url || img);
-    } else if (result.image_url) {
-      // Single image response
-      falImageUrls = [result.image_url];
-    } else if (result.url) {
-      // Alternative single image format
-      falImageUrls = [result.url];
-    }
-
-    if (falImageUrls.length === 0) {
-      throw new Error('No images generated by FAL AI service');
-    }
-
-    logger.info(`Generated ${falImageUrls.length} images for generation: ${generationId}`);
-    
-    // Upload generated images to S3
-    const generatedImageUrls = [];
-    for (let i = 0; i < falImageUrls.length; i++) {
-      const filename = `generated-${generationId}-${i + 1}.jpg`;
-      const s3Url = await downloadAndUploadToS3(falImageUrls[i], filename);
-      if (s3Url) {
-        generatedImageUrls.push(s3Url);
-      }
-    }
-    
-    logger.info(`Uploaded ${generatedImageUrls.length} images to S3 for generation: ${generationId}`);
-
-    // Complete generation
-    await generation.complete(generatedImageUrls);
-    
-    // Deduct credits only on successful completion (only for non-premium users)
-    const user = await User.findById(generation.userId);
-    if (user && !user.isPremiumActive) {
-      await user.deductCredits(generation.creditsUsed);
-      logger.info(`Credits deducted for successful generation: ${generation.creditsUsed} for user ${user._id}`);
-      
-      // Create transaction record for credit usage
-      const Transaction = require('../models/Transaction');
-      await Transaction.create({
-        userId: user._id,
-        type: 'credit_usage',
-        amount: 0,
-        creditsAdded: -generation.creditsUsed, // Negative for deduction
-        description: `AI Image Generation - ${generation.prompt.substring(0, 50)}${generation.prompt.length > 50 ? '...' : ''}`,
-        status: 'completed',
-        metadata: {
-          generationId: generation._id,
-          prompt: generation.prompt,
-          model: generation.model,
-          imagesGenerated: generatedImageUrls.length,
-        },
-      });
-    }
-    
-    logger.info(`Completed generation: ${generationId}`);
-
-  } catch (error) {
-    logger.error(`Generation processing failed: ${generationId}`, error);
-    
-    try {
-      const generation = await Generation.findById(generationId);
-      if (generation) {
-        await generation.fail(error.message);
-        
-        // No need to refund credits since they weren't deducted yet
-        logger.info(`Generation failed, no credits were deducted: ${generationId}`);
-      }
-    } catch (updateError) {
-      logger.error(`Failed to update generation status: ${generationId}`, updateError);
-    }
-  }
-};
-
 module.exports = {
   uploadReferenceImage,
+  getModels,
   createGeneration,
   getGeneration,
+  streamGenerationEvents,
   getGenerationHistory,
   retryGeneration,
   cancelGeneration,
@@ -1,63 +1,74 @@
-const stripe = require('stripe')(require('../config').stripe.secretKey);
-const User = require('../models/User');
+const stripe = require('../utils/stripe');
 const Transaction = require('../models/Transaction');
+const Subscription = require('../models/Subscription');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
-const { sendPremiumUpgradeEmail } = require('../utils/email');
+const { processSuccessfulPayment } = require('../services/payments');
+const { listActivePackages, findWebPackage } = require('../services/packages');
+const { redeemCreditsCode, applyDiscountCode, releaseRedemption } = require('../services/promoCodes');
+const { localeFromHeader, resolveCurrency, formatPrice } = require('../utils/currency');
+const {
+  ensureStripeCustomer,
+  getPremiumPriceId,
+  createSubscription: startSubscription,
+  cancelSubscription: cancelStripeSubscription,
+  resumeSubscription: resumeStripeSubscription,
+} = require('../services/stripeSubscriptions');
+const { processStripeEvent } = require('../services/stripeEvents');
+const { calculateTax } = require('../services/tax');
+const { refundStripePayment } = require('../services/refunds');
+const revenuecat = require('../services/revenuecat');
 const config = require('../config');
 
-// Credit packages configuration
-const CREDIT_PACKAGES = {
-  small: {
-    id: 'small',
-    name: '10 Credits',
-    credits: 10,
-    price: 199, // $1.99 in cents
-    description: 'Perfect for trying out the app',
-  },
-  medium: {
-    id: 'medium',
-    name: '50 Credits',
-    credits: 50,
-    price: 799, // $7.99 in cents
-    description: 'Most popular package',
-    discount: 20, // 20% discount
-  },
-  large: {
-    id: 'large',
-    name: '100 Credits',
-    credits: 100,
-    price: 1299, // $12.99 in cents
-    description: 'Best value for heavy users',
-    discount: 35, // 35% discount
-  },
-  premium: {
-    id: 'premium',
-    name: 'Premium Monthly',
-    credits: 0, // Unlimited
-    price: config.premium.price, // $9.99 in cents
-    description: 'Unlimited generations for 30 days',
-    isPremium: true,
-  },
+// Public view of a package; clients buy it by `id`
+// Priced in the requested currency where the package has a price point for it
+const formatPackage = (pkg, { currency, locale } = {}) => {
+  const point = pkg.priceFor(currency);
+
+  return {
+    id: pkg.key,
+    name: pkg.name,
+    description: pkg.description,
+    credits: pkg.credits,
+    price: point.amount,
+    currency: point.currency,
+    priceFormatted: formatPrice(point.amount, point.currency, locale),
+    discount: pkg.discount,
+    originalPrice: point.originalPrice,
+    originalPriceFormatted: point.originalPrice ? formatPrice(point.originalPrice, point.currency, locale) : null,
+    isPremium: pkg.isPremium,
+    productIds: {
+      appStore: pkg.productIds.appStore,
+      playStore: pkg.productIds.playStore,
+    },
+  };
 };
 
-const getCreditPackages = asyncHandler(async (req, res) => {
-  const packages = Object.values(CREDIT_PACKAGES).map(pkg => ({
-    ...pkg,
-    priceFormatted: `$${(pkg.price / 100).toFixed(2)}`,
-    originalPrice: pkg.discount ? Math.round(pkg.price / (1 - pkg.discount / 100)) : null,
-  }));
+// The client's locale comes from `locale` or its Accept-Language header
+const pricingOptions = (req, source) => {
+  const locale = source.locale || localeFromHeader(req.get('Accept-Language'));
+  return { locale, currency: resolveCurrency({ currency: source.currency, locale }) };
+};
 
-  return ApiResponse.success(res, { packages }, 'Credit packages retrieved successfully');
+const getCreditPackages = asyncHandler(async (req, res) => {
+  const { platform } = req.query;
+  const pricing = pricingOptions(req, req.query);
+  const packages = (await listActivePackages({ platform })).map(pkg => formatPackage(pkg, pricing));
+
+  return ApiResponse.success(res, {
+    packages,
+    currency: pricing.currency,
+    locale: pricing.locale,
+  }, 'Credit packages retrieved successfully');
 });
 
 const createPaymentIntent = asyncHandler(async (req, res) => {
   const user = req.user;
-  const { packageId, paymentMethodId } = req.body;
+  const { packageId, paymentMethodId, promoCode } = req.body;
 
   // Validate package
-  const selectedPackage = CREDIT_PACKAGES[packageId];
+  const selectedPackage = await findWebPackage(packageId);
   if (!selectedPackage) {
     return ApiResponse.validationError(res, [{
       field: 'packageId',
@@ -65,19 +76,52 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
     }]);
   }
 
+  const pricing = pricingOptions(req, req.body);
+  const point = selectedPackage.priceFor(pricing.currency);
+
+  // A promo code reserves one of its uses until the payment succeeds or fails
+  let promo = null;
+  if (promoCode) {
+    promo = await applyDiscountCode(user, promoCode, {
+      key: selectedPackage.key,
+      price: point.amount,
+      currency: point.currency,
+    });
+    if (promo.error) {
+      return ApiResponse.validationError(res, [{
+        field: 'promoCode',
+        message: promo.error,
+      }]);
+    }
+  }
+  const price = promo ? promo.price : point.amount;
+
   try {
+    // Tax is either part of the price or added to it
+    const tax = await calculateTax({
+      amount: price,
+      currency: point.currency,
+      ipAddress: req.ip,
+      reference: selectedPackage.key,
+    });
+
     // Create transaction record
     const transactionData = {
       userId: user._id,
       type: selectedPackage.isPremium ? 'premium_subscription' : 'credit_purchase',
-      amount: selectedPackage.price,
+      amount: tax.total,
+      taxAmount: tax.taxAmount,
+      currency: point.currency,
       creditsAdded: selectedPackage.credits,
       description: selectedPackage.name,
       status: 'pending',
       metadata: {
         packageName: selectedPackage.name,
-        originalPrice: selectedPackage.discount ? Math.round(selectedPackage.price / (1 - selectedPackage.discount / 100)) : selectedPackage.price,
-        discount: selectedPackage.discount || 0,
+        originalPrice: point.originalPrice || point.amount,
+        discount: selectedPackage.discount,
+        promotionCode: promo ? promo.redemption.code : undefined,
+        promoDiscount: promo ? promo.discountAmount : undefined,
+        taxCalculationId: tax.calculationId || undefined,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
       },
@@ -85,15 +129,21 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
 
     const transaction = await Transaction.create(transactionData);
 
+    if (promo) {
+      promo.redemption.transactionId = transaction._id;
+      await promo.redemption.save();
+    }
+
     // Create Stripe payment intent
     const paymentIntentData = {
-      amount: selectedPackage.price,
-      currency: 'usd',
-      customer: user.stripeCustomerId,
+      amount: tax.total,
+      currency: point.currency,
+      customer: await ensureStripeCustomer(user),
       metadata: {
         userId: user._id.toString(),
         transactionId: transaction._id.toString(),
         packageId: packageId,
+        taxCalculationId: tax.calculationId || undefined,
       },
       description: `${selectedPackage.name} for ${user.email}`,
     };
@@ -117,12 +167,26 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
       paymentIntentId: paymentIntent.id,
       clientSecret: paymentIntent.client_secret,
       transactionId: transaction._id,
-      package: selectedPackage,
+      package: formatPackage(selectedPackage, pricing),
+      amount: tax.total,
+      currency: point.currency,
+      amountFormatted: formatPrice(tax.total, point.currency, pricing.locale),
+      promoDiscount: promo ? promo.discountAmount : 0,
+      tax: {
+        amount: tax.taxAmount,
+        amountFormatted: formatPrice(tax.taxAmount, point.currency, pricing.locale),
+        inclusive: tax.inclusive,
+        subtotal: tax.subtotal,
+      },
     }, 'Payment intent created successfully');
 
   } catch (error) {
     logger.error('Payment intent creation failed:', error);
-    
+
+    if (promo) {
+      await releaseRedemption(promo.redemption);
+    }
+
     if (error.type === 'StripeCardError') {
       return ApiResponse.validationError(res, [{
         field: 'payment',
@@ -151,13 +215,14 @@ const confirmPayment = asyncHandler(async (req, res) => {
       return ApiResponse.notFoundError(res, 'Transaction not found');
     }
 
-    if (paymentIntent.status === 'succeeded' && transaction.status === 'pending') {
-      // Payment successful - process the transaction
-      await processSuccessfulPayment(transaction, paymentIntent);
-      
+    if (paymentIntent.status === 'succeeded') {
+      // Payment successful - process the transaction unless the webhook already did
+      const processed = await processSuccessfulPayment(transaction, paymentIntent);
+      const current = processed ? null : await Transaction.findById(transaction._id).select('status');
+
       return ApiResponse.success(res, {
         transactionId: transaction._id,
-        status: 'completed',
+        status: processed ? 'completed' : current.status,
       }, 'Payment confirmed successfully');
     }
 
@@ -184,35 +249,105 @@ const handleStripeWebhook = asyncHandler(async (req, res) => {
   }
 
   try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
-        break;
-      
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object);
-        break;
-      
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdate(event.data.object);
-        break;
-      
-      case 'customer.subscription.deleted':
-        await handleSubscriptionCancelled(event.data.object);
-        break;
-      
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
-    }
-
-    res.json({ received: true });
+    const record = await processStripeEvent(event);
+    res.json({ received: true, status: record ? record.status : 'duplicate' });
   } catch (error) {
     logger.error('Stripe webhook processing failed:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
+const redeemPromoCode = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  const result = await redeemCreditsCode(user, req.body.code);
+  if (result.error) {
+    return ApiResponse.validationError(res, [{
+      field: 'code',
+      message: result.error,
+    }]);
+  }
+
+  return ApiResponse.success(res, {
+    code: result.redemption.code,
+    creditsAdded: result.redemption.creditsGranted,
+    newBalance: user.credits,
+    transactionId: result.transaction._id,
+  }, 'Promo code redeemed successfully');
+});
+
+const getSubscription = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findOne({ userId: req.user._id })
+    .sort({ createdAt: -1 });
+
+  return ApiResponse.success(res, {
+    subscription,
+    premium: {
+      isActive: req.user.isPremiumActive,
+      expiresAt: req.user.premiumExpiresAt,
+      source: req.user.premiumSource,
+    },
+  }, 'Subscription retrieved successfully');
+});
+
+const createSubscription = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { paymentMethodId } = req.body;
+
+  const existing = await Subscription.findLiveForUser(user._id);
+  if (existing) {
+    return ApiResponse.conflictError(res, 'You already have an active subscription');
+  }
+
+  const priceId = await getPremiumPriceId();
+  if (!priceId) {
+    return ApiResponse.serverError(res, 'Subscriptions are not available');
+  }
+
+  const { subscription, clientSecret } = await startSubscription(user, { priceId, paymentMethodId, ipAddress: req.ip });
+
+  return ApiResponse.created(res, {
+    subscription,
+    clientSecret,
+  }, 'Subscription created successfully');
+});
+
+const cancelSubscription = asyncHandler(async (req, res) => {
+  const existing = await Subscription.findLiveForUser(req.user._id);
+  if (!existing) {
+    return ApiResponse.notFoundError(res, 'No active subscription found');
+  }
+
+  if (existing.cancelAtPeriodEnd) {
+    return ApiResponse.validationError(res, [{
+      field: 'subscription',
+      message: 'Subscription is already set to cancel at the end of the period',
+    }]);
+  }
+
+  const subscription = await cancelStripeSubscription(existing);
+
+  return ApiResponse.success(res, { subscription }, 'Subscription will cancel at the end of the current period');
+});
+
+const resumeSubscription = asyncHandler(async (req, res) => {
+  const existing = await Subscription.findLiveForUser(req.user._id);
+  if (!existing) {
+    return ApiResponse.notFoundError(res, 'No active subscription found');
+  }
+
+  if (!existing.cancelAtPeriodEnd) {
+    return ApiResponse.validationError(res, [{
+      field: 'subscription',
+      message: 'Subscription is not scheduled to cancel',
+    }]);
+  }
+
+  const subscription = await resumeStripeSubscription(existing);
+
+  return ApiResponse.success(res, { subscription }, 'Subscription resumed successfully');
+});
+
 const getPaymentHistory = asyncHandler(async (req, res) => {
   const user = req.user;
   const { page = 1, limit = 10 } = req.query;
@@ -241,6 +376,7 @@ const refundPayment = asyncHandler(async (req, res) => {
   const transaction = await Transaction.findOne({
     _id: transactionId,
     userId: user._id,
+    type: { $in: ['credit_purchase', 'premium_subscription'] },
     status: 'completed',
   });
 
@@ -248,32 +384,32 @@ const refundPayment = asyncHandler(async (req, res) => {
     return ApiResponse.notFoundError(res, 'Transaction not found');
   }
 
-  // Check if refund is allowed (within 24 hours for example)
-  const hoursAgo24 = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  if (transaction.processedAt < hoursAgo24) {
+  // Users can only refund recent purchases themselves
+  const windowHours = config.refunds.userWindowHours;
+  if (transaction.processedAt < new Date(Date.now() - windowHours * 60 * 60 * 1000)) {
     return ApiResponse.validationError(res, [{
       field: 'transaction',
-      message: 'Refunds are only allowed within 24 hours of purchase',
+      message: `Refunds are only allowed within ${windowHours} hours of purchase`,
     }]);
   }
 
   try {
-    // Create refund in Stripe
-    const refund = await stripe.refunds.create({
-      payment_intent: transaction.stripePaymentIntentId,
-      reason: 'requested_by_customer',
-      metadata: {
-        reason: reason || 'User requested refund',
-        userId: user._id.toString(),
-      },
+    const result = await refundStripePayment(transaction, {
+      source: 'user',
+      reason: reason || 'User requested refund',
+      actorId: user._id,
     });
+    if (result.error) {
+      return ApiResponse.validationError(res, [{ field: 'transaction', message: result.error }]);
+    }
 
-    // Process refund
-    await processRefund(transaction, refund);
-
+    const refund = result.refund || result.duplicate;
     return ApiResponse.success(res, {
-      refundId: refund.id,
+      refundId: refund.stripeRefundId,
       transactionId: transaction._id,
+      refundTransactionId: refund._id,
+      amount: refund.amount,
+      creditsClawedBack: -refund.creditsAdded,
     }, 'Refund processed successfully');
 
   } catch (error) {
@@ -282,141 +418,26 @@ const refundPayment = asyncHandler(async (req, res) => {
   }
 });
 
-// Helper functions
-const processSuccessfulPayment = async (transaction, paymentIntent) => {
-  try {
-    const user = await User.findById(transaction.userId);
-    const packageId = paymentIntent.metadata.packageId;
-    const selectedPackage = CREDIT_PACKAGES[packageId];
-
-    if (selectedPackage.isPremium) {
-      // Activate premium subscription
-      await user.activatePremium(30); // 30 days
-      await user.addCredits(config.premium.credits);
-      
-      // Send premium upgrade email
-      sendPremiumUpgradeEmail(user).catch(err => {
-        logger.error('Failed to send premium upgrade email:', err);
-      });
-    } else {
-      // Add credits
-      await user.addCredits(selectedPackage.credits);
-    }
-
-    // Complete transaction
-    await transaction.complete();
-
-    logger.info(`Payment processed successfully: ${paymentIntent.id} for user ${user._id}`);
-  } catch (error) {
-    logger.error('Payment processing failed:', error);
-    await transaction.fail('Payment processing failed');
-    throw error;
-  }
-};
-
-const handlePaymentIntentSucceeded = async (paymentIntent) => {
-  const transaction = await Transaction.findOne({
-    stripePaymentIntentId: paymentIntent.id,
-  });
-
-  if (transaction && transaction.status === 'pending') {
-    await processSuccessfulPayment(transaction, paymentIntent);
-  }
-};
-
-const handlePaymentIntentFailed = async (paymentIntent) => {
-  const transaction = await Transaction.findOne({
-    stripePaymentIntentId: paymentIntent.id,
-  });
-
-  if (transaction && transaction.status === 'pending') {
-    await transaction.fail('Payment failed');
-    logger.info(`Payment failed: ${paymentIntent.id}`);
-  }
-};
-
-const handleSubscriptionUpdate = async (subscription) => {
-  // Handle subscription updates if you implement recurring subscriptions
-  logger.info(`Subscription updated: ${subscription.id}`);
-};
-
-const handleSubscriptionCancelled = async (subscription) => {
-  // Handle subscription cancellations
-  logger.info(`Subscription cancelled: ${subscription.id}`);
-};
-
-const processRefund = async (transaction, refund) => {
-  const user = await User.findById(transaction.userId);
-  
-  // Deduct credits if they were added
-  if (transaction.creditsAdded > 0) {
-    const creditsToDeduct = Math.min(user.credits, transaction.creditsAdded);
-    await User.findByIdAndUpdate(user._id, {
-      $inc: { credits: -creditsToDeduct },
-    });
+const handleRevenueCatWebhook = asyncHandler(async (req, res) => {
+  if (!revenuecat.verifyAuthorization(req.headers.authorization)) {
+    logger.warn('RevenueCat webhook authorization failed');
+    return ApiResponse.unauthorizedError(res, 'Invalid webhook authorization');
   }
 
-  // Deactivate premium if it was a premium purchase
-  if (transaction.type === 'premium_subscription') {
-    user.isPremium = false;
-    user.premiumExpiresAt = null;
-    await user.save();
+  const event = req.body && req.body.event;
+  if (!event || !event.id || !event.type) {
+    return ApiResponse.validationError(res, [{
+      field: 'event',
+      message: 'Event id and type are required',
+    }]);
   }
 
-  // Update transaction status
-  await transaction.refund();
-
-  logger.info(`Refund processed: ${refund.id} for transaction ${transaction._id}`);
-};
-
-const addCreditsFromRevenueCat = asyncHandler(async (req, res) => {
-  const user = req.user;
-  const { productId, credits, customerInfo } = req.body;
-
   try {
-    // Get package info for better description
-    const packageNames = {
-      'try': 'Try Package',
-      'mini': 'Mini Package', 
-      'starter': 'Starter Package',
-      'popular': 'Popular Package',
-      'value': 'Value Package',
-      'mega': 'Mega Package',
-    };
-    const packageName = packageNames[productId] || 'Credit Package';
-    // Create transaction record for RevenueCat purchase
-    const transactionData = {
-      userId: user._id,
-      type: 'credit_purchase',
-      amount: 0, // RevenueCat handles pricing
-      creditsAdded: credits,
-      description: `${packageName} - ${credits} Credits`,
-      status: 'completed', // RevenueCat verified the purchase
-      metadata: {
-        productId,
-        revenueCatUserId: customerInfo?.userId,
-        originalPurchaseDate: customerInfo?.originalPurchaseDate,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-      },
-    };
-
-    const transaction = await Transaction.create(transactionData);
-
-    // Skip credit addition during closed testing
-    // await user.addCredits(credits);
-
-    logger.info(`RevenueCat purchase processed (no credits added during testing): ${credits} for user ${user._id}, product ${productId}`);
-
-    return ApiResponse.success(res, {
-      transactionId: transaction._id,
-      creditsAdded: credits,
-      newBalance: user.credits, // Return current balance without adding credits
-    }, 'Credits added successfully');
-
+    const record = await revenuecat.processEvent(event);
+    res.json({ received: true, status: record ? record.status : 'duplicate' });
   } catch (error) {
-    logger.error('RevenueCat credit addition failed:', error);
-    return ApiResponse.serverError(res, 'Failed to add credits');
+    logger.error('RevenueCat webhook processing failed:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
@@ -425,7 +446,12 @@ module.exports = {
   createPaymentIntent,
   confirmPayment,
   handleStripeWebhook,
+  redeemPromoCode,
+  getSubscription,
+  createSubscription,
+  cancelSubscription,
+  resumeSubscription,
   getPaymentHistory,
   refundPayment,
-  addCreditsFromRevenueCat,
+  handleRevenueCatWebhook,
 };
\ No newline at end of file
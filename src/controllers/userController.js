@@ -1,9 +1,11 @@
 const User = require('../models/User');
 const Generation = require('../models/Generation');
 const Transaction = require('../models/Transaction');
+const Referral = require('../models/Referral');
 const ApiResponse = require('../utils/apiResponse');
-const { uploadImage } = require('../utils/upload');
+const { uploadImage, deleteImage } = require('../utils/upload');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { ensureReferralCode, getReferralSummary } = require('../services/referrals');
 
 const getProfile = asyncHandler(async (req, res) => {
   const user = req.user;
@@ -43,7 +45,7 @@ const getProfile = asyncHandler(async (req, res) => {
     isPremium: user.isPremium,
     isPremiumActive: user.isPremiumActive,
     premiumExpiresAt: user.premiumExpiresAt,
-    profilePicture: user.profilePicture,
+    profilePicture: User.profilePictureUrl(user.profilePicture),
     role: user.role,
     lastLogin: user.lastLogin,
     createdAt: user.createdAt,
@@ -96,7 +98,7 @@ const updateProfile = asyncHandler(async (req, res) => {
     credits: updatedUser.credits,
     isPremium: updatedUser.isPremium,
     isPremiumActive: updatedUser.isPremiumActive,
-    profilePicture: updatedUser.profilePicture,
+    profilePicture: User.profilePictureUrl(updatedUser.profilePicture),
     updatedAt: updatedUser.updatedAt,
   };
 
@@ -114,8 +116,9 @@ const uploadProfilePicture = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Upload image to cloud storage
-    const imageUrl = await uploadImage(req.file, {
+    // Store the image and keep its key
+    const key = await uploadImage(req.file, {
+      prefix: `profile-pictures/${user._id}`,
       processOptions: {
         width: 300,
         height: 300,
@@ -125,14 +128,13 @@ const uploadProfilePicture = asyncHandler(async (req, res) => {
     });
 
     // Update user profile picture
-    const updatedUser = await User.findByIdAndUpdate(
-      user._id,
-      { profilePicture: imageUrl },
-      { new: true }
-    );
+    const previous = await User.findByIdAndUpdate(user._id, { profilePicture: key });
+    if (previous && previous.profilePicture) {
+      await deleteImage(previous.profilePicture);
+    }
 
     return ApiResponse.success(res, {
-      profilePicture: updatedUser.profilePicture,
+      profilePicture: User.profilePictureUrl(key),
     }, 'Profile picture updated successfully');
 
   } catch (error) {
@@ -143,8 +145,11 @@ const uploadProfilePicture = asyncHandler(async (req, res) => {
 const removeProfilePicture = asyncHandler(async (req, res) => {
   const user = req.user;
 
-  // Update user profile picture to null
-  await User.findByIdAndUpdate(user._id, { profilePicture: null });
+  // Update user profile picture to null; an uploaded picture is deleted from storage
+  const previous = await User.findByIdAndUpdate(user._id, { profilePicture: null });
+  if (previous && previous.profilePicture) {
+    await deleteImage(previous.profilePicture);
+  }
 
   return ApiResponse.success(res, null, 'Profile picture removed successfully');
 });
@@ -152,27 +157,47 @@ const removeProfilePicture = asyncHandler(async (req, res) => {
 const getCredits = asyncHandler(async (req, res) => {
   const user = req.user;
 
-  // Get recent credit transactions
-  const recentTransactions = await Transaction.find({
-    userId: user._id,
-    status: 'completed',
-  })
-    .sort({ createdAt: -1 })
-    .limit(10)
-    .select('type creditsAdded amount description createdAt');
+  const [recentTransactions, premiumHistory] = await Promise.all([
+    // Get recent credit transactions
+    Transaction.find({
+      userId: user._id,
+      status: 'completed',
+    })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .select('type creditsAdded amount description createdAt'),
+
+    // Premium subscription purchases and the period each one paid for
+    Transaction.find({
+      userId: user._id,
+      type: 'premium_subscription',
+      status: { $in: ['completed', 'refunded'] },
+    })
+      .sort({ createdAt: -1 })
+      .limit(24)
+      .select('amount status description metadata.premiumDays metadata.premiumPeriodStart metadata.premiumPeriodEnd createdAt'),
+  ]);
 
   return ApiResponse.success(res, {
     credits: user.credits,
+    reservedCredits: user.reservedCredits,
     isPremium: user.isPremium,
     isPremiumActive: user.isPremiumActive,
     premiumExpiresAt: user.premiumExpiresAt,
+    premium: {
+      isActive: user.isPremiumActive,
+      startedAt: user.isPremiumActive ? user.premiumStartedAt : null,
+      expiresAt: user.premiumExpiresAt,
+      source: user.premiumSource,
+      history: premiumHistory,
+    },
     recentTransactions,
   }, 'Credits retrieved successfully');
 });
 
 const getGenerationHistory = asyncHandler(async (req, res) => {
   const user = req.user;
-  const { page = 1, limit = 10, status } = req.query;
+  const { page = 1, limit = 10, status, size } = req.query;
 
   // Build query
   const query = { userId: user._id };
@@ -191,7 +216,7 @@ const getGenerationHistory = asyncHandler(async (req, res) => {
     Generation.countDocuments(query),
   ]);
 
-  return ApiResponse.paginated(res, generations, {
+  return ApiResponse.paginated(res, generations.map(generation => generation.toSizedJSON(size)), {
     page: parseInt(page),
     limit: parseInt(limit),
     total,
@@ -282,6 +307,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   const stats = {
     credits: {
       current: user.credits,
+      reserved: user.reservedCredits,
       totalSpent: totalCreditsSpent[0]?.total || 0,
     },
     generations: {
@@ -357,6 +383,46 @@ const getNotifications = asyncHandler(async (req, res) => {
   return ApiResponse.success(res, { notifications }, 'Notifications retrieved successfully');
 });
 
+const getReferrals = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { page = 1, limit = 10 } = req.query;
+
+  const referralCode = await ensureReferralCode(user);
+
+  const skip = (page - 1) * limit;
+  const [referrals, total, summary] = await Promise.all([
+    Referral.find({ referrerId: user._id })
+      .populate('refereeId', 'username profilePicture')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('refereeId status referrerCredits qualifiedBy rewardedAt createdAt'),
+    Referral.countDocuments({ referrerId: user._id }),
+    getReferralSummary(user._id),
+  ]);
+
+  // Invitees only see each other's public profile
+  const invites = referrals.map(referral => ({
+    id: referral._id,
+    invitee: referral.refereeId,
+    status: referral.status === 'processing' ? 'pending' : referral.status,
+    creditsEarned: referral.referrerCredits,
+    qualifiedBy: referral.qualifiedBy,
+    rewardedAt: referral.rewardedAt,
+    createdAt: referral.createdAt,
+  }));
+
+  return ApiResponse.paginated(res, {
+    referralCode,
+    summary,
+    referrals: invites,
+  }, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Referrals retrieved successfully');
+});
+
 module.exports = {
   getProfile,
   updateProfile,
@@ -367,4 +433,5 @@ module.exports = {
   getTransactionHistory,
   getDashboardStats,
   getNotifications,
+  getReferrals,
 };
\ No newline at end of file
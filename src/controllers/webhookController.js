@@ -0,0 +1,200 @@
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { replayDelivery, SIGNATURE_HEADER } = require('../services/webhooks');
+const { isPublicHost } = require('../utils/remoteImage');
+const config = require('../config');
+
+const findUserEndpoint = (req) => WebhookEndpoint.findOne({
+  _id: req.params.id,
+  userId: req.user._id,
+});
+
+// Deliveries are checked again when sent; this catches internal URLs up front
+const isAllowedUrl = async (url) => config.webhooks.allowPrivateNetworks || await isPublicHost(new URL(url).hostname);
+
+const privateUrlError = [{
+  field: 'url',
+  message: 'Webhook URL must point to a public host',
+}];
+
+const getWebhookEndpoints = asyncHandler(async (req, res) => {
+  const endpoints = await WebhookEndpoint.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+  return ApiResponse.success(res, {
+    endpoints,
+    supportedEvents: WebhookEndpoint.EVENTS,
+    signatureHeader: SIGNATURE_HEADER,
+  }, 'Webhook endpoints retrieved successfully');
+});
+
+const createWebhookEndpoint = asyncHandler(async (req, res) => {
+  const user = req.user;
+  const { url, events, description } = req.body;
+
+  if (!await isAllowedUrl(url)) {
+    return ApiResponse.validationError(res, privateUrlError);
+  }
+
+  const count = await WebhookEndpoint.countDocuments({ userId: user._id });
+  if (count >= config.webhooks.maxEndpointsPerUser) {
+    return ApiResponse.forbiddenError(res, `You can register at most ${config.webhooks.maxEndpointsPerUser} webhook endpoints`);
+  }
+
+  const secret = WebhookEndpoint.generateSecret();
+  const endpoint = await WebhookEndpoint.create({
+    userId: user._id,
+    url,
+    events,
+    description,
+    secret,
+  });
+
+  logger.info(`Webhook endpoint ${endpoint._id} created for user ${user._id}`);
+
+  // The secret is only shown here and when rotated
+  return ApiResponse.created(res, {
+    endpoint,
+    secret,
+  }, 'Webhook endpoint created successfully');
+});
+
+const getWebhookEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await findUserEndpoint(req);
+  if (!endpoint) {
+    return ApiResponse.notFoundError(res, 'Webhook endpoint not found');
+  }
+
+  return ApiResponse.success(res, { endpoint }, 'Webhook endpoint retrieved successfully');
+});
+
+const updateWebhookEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await findUserEndpoint(req);
+  if (!endpoint) {
+    return ApiResponse.notFoundError(res, 'Webhook endpoint not found');
+  }
+
+  const { url, events, description, isActive } = req.body;
+  if (url !== undefined && !await isAllowedUrl(url)) {
+    return ApiResponse.validationError(res, privateUrlError);
+  }
+
+  if (url !== undefined) endpoint.url = url;
+  if (events !== undefined) endpoint.events = events;
+  if (description !== undefined) endpoint.description = description;
+
+  if (isActive !== undefined) {
+    // Re-enabling an endpoint gives it a fresh failure budget
+    if (isActive && !endpoint.isActive) {
+      endpoint.consecutiveFailures = 0;
+      endpoint.disabledAt = null;
+      endpoint.disabledReason = null;
+    }
+    endpoint.isActive = isActive;
+  }
+
+  await endpoint.save();
+
+  return ApiResponse.updated(res, { endpoint }, 'Webhook endpoint updated successfully');
+});
+
+const deleteWebhookEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await findUserEndpoint(req);
+  if (!endpoint) {
+    return ApiResponse.notFoundError(res, 'Webhook endpoint not found');
+  }
+
+  // Delivery history is kept; pending deliveries fail because the endpoint is gone
+  await endpoint.deleteOne();
+
+  logger.info(`Webhook endpoint ${endpoint._id} deleted by user ${req.user._id}`);
+
+  return ApiResponse.deleted(res, 'Webhook endpoint deleted successfully');
+});
+
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const endpoint = await findUserEndpoint(req);
+  if (!endpoint) {
+    return ApiResponse.notFoundError(res, 'Webhook endpoint not found');
+  }
+
+  const secret = WebhookEndpoint.generateSecret();
+  endpoint.secret = secret;
+  await endpoint.save();
+
+  return ApiResponse.success(res, {
+    endpoint,
+    secret,
+  }, 'Webhook secret rotated successfully');
+});
+
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const endpoint = await findUserEndpoint(req);
+  if (!endpoint) {
+    return ApiResponse.notFoundError(res, 'Webhook endpoint not found');
+  }
+
+  const { page = 1, limit = 20, status, event } = req.query;
+
+  const query = { endpointId: endpoint._id };
+  if (status) query.status = status;
+  if (event) query.event = event;
+
+  const skip = (page - 1) * limit;
+  const [deliveries, total] = await Promise.all([
+    // Deliveries logged before response bodies were dropped still carry one
+    WebhookDelivery.find(query)
+      .select('-responseBody')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    WebhookDelivery.countDocuments(query),
+  ]);
+
+  return ApiResponse.paginated(res, deliveries, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+  }, 'Webhook deliveries retrieved successfully');
+});
+
+const replayWebhookDelivery = asyncHandler(async (req, res) => {
+  const endpoint = await findUserEndpoint(req);
+  if (!endpoint) {
+    return ApiResponse.notFoundError(res, 'Webhook endpoint not found');
+  }
+
+  if (!endpoint.isActive) {
+    return ApiResponse.validationError(res, [{
+      field: 'endpoint',
+      message: 'Enable the webhook endpoint before replaying deliveries',
+    }]);
+  }
+
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    endpointId: endpoint._id,
+  });
+  if (!delivery) {
+    return ApiResponse.notFoundError(res, 'Webhook delivery not found');
+  }
+
+  const replay = await replayDelivery(delivery);
+
+  logger.info(`Webhook delivery ${delivery._id} replayed as ${replay._id} by user ${req.user._id}`);
+
+  return ApiResponse.created(res, { delivery: replay }, 'Webhook delivery replay queued');
+});
+
+module.exports = {
+  getWebhookEndpoints,
+  createWebhookEndpoint,
+  getWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+};
@@ -34,6 +34,15 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// EventSource can't send an Authorization header, so streaming endpoints also
+// accept the access token as `?access_token=`. Only mount this on those routes.
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
 const requirePremium = (req, res, next) => {
   if (!req.user) {
     return ApiResponse.unauthorizedError(res, 'Authentication required');
@@ -100,6 +109,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  allowQueryToken,
   requirePremium,
   requireAdmin,
   requireCredits,
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const ApiResponse = require('../utils/apiResponse');
 const config = require('../config');
+const { redactUrl } = require('./logging');
 
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -74,7 +75,7 @@ const errorHandler = (err, req, res, next) => {
 };
 
 const notFound = (req, res, next) => {
-  const error = new Error(`Route ${req.originalUrl} not found`);
+  const error = new Error(`Route ${redactUrl(req)} not found`);
   error.status = 404;
   next(error);
 };
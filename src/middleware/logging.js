@@ -6,6 +6,14 @@ morgan.token('user-id', (req) => {
   return req.user ? req.user._id.toString() : 'anonymous';
 });
 
+// Request URL with access tokens passed in the query string (SSE clients can't set
+// headers) redacted. Use it wherever a request URL is logged.
+const redactUrl = (req) => {
+  return (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/g, '$1[REDACTED]');
+};
+
+morgan.token('url', redactUrl);
+
 // Custom token for request body (sanitized)
 morgan.token('body', (req) => {
   const sanitizedBody = { ...req.body };
@@ -83,7 +91,7 @@ const analyticsLogger = (req, res, next) => {
     const analyticsData = {
       timestamp: new Date().toISOString(),
       method: req.method,
-      endpoint: req.route ? req.route.path : req.url,
+      endpoint: req.route ? req.route.path : redactUrl(req),
       statusCode: res.statusCode,
       duration,
       userId: req.user ? req.user._id.toString() : null,
@@ -136,7 +144,7 @@ const securityLogger = (req, res, next) => {
       timestamp: new Date().toISOString(),
       ip: req.ip,
       method: req.method,
-      url: req.url,
+      url: redactUrl(req),
       userAgent: req.get('User-Agent'),
       events: securityEvents,
       userId: req.user ? req.user._id.toString() : null,
@@ -152,4 +160,5 @@ module.exports = {
   analyticsLogger,
   requestId,
   securityLogger,
+  redactUrl,
 };
\ No newline at end of file
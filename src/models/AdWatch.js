@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// One rewarded ad shown to a user, from start to reward
+const adWatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  adId: {
+    type: String,
+    required: [true, 'Ad ID is required'],
+    maxlength: [200, 'Ad ID cannot exceed 200 characters'],
+  },
+  adProvider: {
+    type: String,
+    enum: ['admob', 'facebook', 'unity', 'custom'],
+    default: 'admob',
+  },
+  // `started` until the client reports completion or AdMob confirms the reward
+  status: {
+    type: String,
+    enum: ['started', 'completed', 'abandoned', 'fraud_detected', 'limit_reached'],
+    default: 'started',
+  },
+  watchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // As reported by the client
+  watchDurationMs: {
+    type: Number,
+    default: null,
+    min: [0, 'Watch duration cannot be negative'],
+  },
+  requiredDurationMs: {
+    type: Number,
+    default: 0,
+  },
+  rewardCredited: {
+    type: Boolean,
+    default: false,
+  },
+  creditsEarned: {
+    type: Number,
+    default: 0,
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  // 0 (looks genuine) to 1 (certainly fraud), with the signals that contributed
+  fraudScore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1,
+  },
+  fraudReasons: {
+    type: [String],
+    default: [],
+  },
+  // AdMob server-side verification callback
+  ssvVerified: {
+    type: Boolean,
+    default: false,
+  },
+  ssvTransactionId: {
+    type: String,
+    default: null,
+  },
+  ipAddress: String,
+  userAgent: String,
+  deviceId: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+adWatchSchema.index({ userId: 1, watchedAt: -1 });
+adWatchSchema.index({ userId: 1, rewardCredited: 1, watchedAt: -1 });
+adWatchSchema.index({ deviceId: 1, watchedAt: -1 });
+adWatchSchema.index({ status: 1, watchedAt: -1 });
+adWatchSchema.index(
+  { ssvTransactionId: 1 },
+  { unique: true, partialFilterExpression: { ssvTransactionId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('AdWatch', adWatchSchema);
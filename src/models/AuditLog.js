@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+  },
+  actorType: {
+    type: String,
+    enum: ['system', 'admin', 'user'],
+    default: 'system',
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required'],
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Static method to record an action without breaking the caller if logging fails
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    logger.error('Failed to write audit log:', { entry, error: error.message });
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A user whose stored balances don't match their Transaction ledger
+const balanceDiscrepancySchema = new mongoose.Schema({
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun',
+    required: [true, 'Run ID is required'],
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  storedCredits: {
+    type: Number,
+    required: true,
+  },
+  ledgerCredits: {
+    type: Number,
+    required: true,
+  },
+  // storedCredits - ledgerCredits
+  drift: {
+    type: Number,
+    required: true,
+  },
+  storedReservedCredits: {
+    type: Number,
+    default: 0,
+  },
+  ledgerReservedCredits: {
+    type: Number,
+    default: 0,
+  },
+  reservedDrift: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    // resolved: the drift disappeared before it was corrected
+    enum: ['open', 'corrected', 'resolved'],
+    default: 'open',
+  },
+  note: {
+    type: String,
+    default: null,
+  },
+  adjustmentTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  correctedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  correctedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+balanceDiscrepancySchema.index({ runId: 1, createdAt: -1 });
+balanceDiscrepancySchema.index({ userId: 1, createdAt: -1 });
+balanceDiscrepancySchema.index({ status: 1 });
+
+module.exports = mongoose.model('BalanceDiscrepancy', balanceDiscrepancySchema);
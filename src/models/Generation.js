@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const { isKnownModel, MODES } = require('../providers');
+const eventBus = require('../utils/eventBus');
+const { urlFor } = require('../storage');
+const { VARIANT_NAMES } = require('../utils/imageVariants');
+
+// Model ids that may exist on documents created before the model registry
+const LEGACY_MODEL_IDS = ['fal-ai', 'custom-model-1', 'custom-model-2'];
+
+// Keys of one image's variants by name (see utils/imageVariants)
+const variantSetSchema = new mongoose.Schema(
+  Object.fromEntries(VARIANT_NAMES.map(name => [name, String])),
+  { _id: false }
+);
+
+// What was stored for a generated image
+const imageMetadataSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  bytes: Number,
+  format: String,
+}, { _id: false });
+
+// Statuses a generation can still leave; completed, failed and cancelled are final
+const ACTIVE_STATUSES = ['pending', 'processing'];
 
 const generationSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +30,8 @@ const generationSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'User ID is required'],
   },
+  // Storage keys; documents from before storage keys may hold absolute URLs.
+  // Responses carry URLs for them.
   originalImageUrl: {
     type: String,
     required: false, // Made optional for text-to-image generations
@@ -14,6 +40,24 @@ const generationSchema = new mongoose.Schema({
   generatedImageUrls: [{
     type: String,
   }],
+  // Dimensions, size and format of each generated image, by index. Empty for
+  // images stored before this was recorded or kept as the provider's URL.
+  generatedImageMetadata: {
+    type: [imageMetadataSchema],
+    default: [],
+  },
+  // Variants of the original and of each generated image, by index. Missing for
+  // documents from before variants and for images whose variants failed.
+  variants: {
+    original: {
+      type: variantSetSchema,
+      default: null,
+    },
+    generated: {
+      type: [variantSetSchema],
+      default: [],
+    },
+  },
   prompt: {
     type: String,
     required: [true, 'Prompt is required'],
@@ -22,9 +66,20 @@ const generationSchema = new mongoose.Schema({
   modelUsed: {
     type: String,
     required: true,
-    enum: ['fal-ai', 'fal-ai/flux-pro/kontext', 'custom-model-1', 'custom-model-2'],
+    validate: {
+      validator: (value) => isKnownModel(value) || LEGACY_MODEL_IDS.includes(value),
+      message: 'Unknown model: {VALUE}',
+    },
     default: 'fal-ai/flux-pro/kontext',
   },
+  mode: {
+    type: String,
+    enum: MODES,
+    default: null,
+  },
+  // Parameters the generation was requested with. Optional parameters left
+  // unset (null) fall back to the model's defaults; `seed` is filled in with the
+  // seed the provider used so a result can be reproduced.
   parameters: {
     prompt: {
       type: String,
@@ -36,7 +91,7 @@ const generationSchema = new mongoose.Schema({
     },
     style: {
       type: String,
-      default: 'photographic',
+      default: null,
     },
     quality: {
       type: Number,
@@ -48,13 +103,13 @@ const generationSchema = new mongoose.Schema({
       type: Number,
       min: 10,
       max: 50,
-      default: 25,
+      default: null,
     },
     guidanceScale: {
       type: Number,
       min: 1,
       max: 20,
-      default: 7.5,
+      default: null,
     },
     seed: {
       type: Number,
@@ -64,13 +119,13 @@ const generationSchema = new mongoose.Schema({
       type: Number,
       min: 512,
       max: 2048,
-      default: 1024,
+      default: null,
     },
     height: {
       type: Number,
       min: 512,
       max: 2048,
-      default: 1024,
+      default: null,
     },
     imageCount: {
       type: Number,
@@ -111,7 +166,7 @@ const generationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'pending',
   },
   processingStartedAt: {
@@ -126,14 +181,29 @@ const generationSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  cancelledAt: {
+    type: Date,
+    default: null,
+  },
   processingTimeMs: {
     type: Number,
     default: null,
   },
+  // Request id of the upstream provider job (fal queue request id)
   externalJobId: {
     type: String,
     default: null,
   },
+  // Number of times the stale generation reaper re-enqueued this generation
+  recoveryAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // Sequence number of the last progress event published for this generation
+  eventSeq: {
+    type: Number,
+    default: 0,
+  },
   metadata: {
     ipAddress: String,
     userAgent: String,
@@ -146,6 +216,7 @@ const generationSchema = new mongoose.Schema({
 // Indexes for performance
 generationSchema.index({ userId: 1, createdAt: -1 });
 generationSchema.index({ status: 1 });
+generationSchema.index({ status: 1, processingStartedAt: 1 });
 generationSchema.index({ externalJobId: 1 });
 generationSchema.index({ createdAt: -1 });
 
@@ -157,7 +228,7 @@ generationSchema.virtual('processingTimeSeconds').get(function() {
 // Virtual for backward compatibility - single image URL
 generationSchema.virtual('imageUrl').get(function() {
   return this.generatedImageUrls && this.generatedImageUrls.length > 0 
-    ? this.generatedImageUrls[0] 
+    ? urlFor(this.generatedImageUrls[0])
     : null;
 });
 
@@ -166,28 +237,105 @@ generationSchema.virtual('cost').get(function() {
   return this.creditsUsed;
 });
 
-// Include virtuals when converting to JSON
-generationSchema.set('toJSON', { virtuals: true });
+// Signed URLs for a set of variant keys
+const variantUrls = (variants) => {
+  if (!variants) return null;
+  return Object.fromEntries(VARIANT_NAMES.filter(name => variants[name]).map(name => [name, urlFor(variants[name])]));
+};
+
+// Include virtuals when converting to JSON, with signed URLs for the stored image keys
+generationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.originalImageUrl) {
+      ret.originalImageUrl = urlFor(ret.originalImageUrl);
+    }
+    if (ret.generatedImageUrls) {
+      ret.generatedImageUrls = ret.generatedImageUrls.map(ref => urlFor(ref));
+    }
+    if (ret.variants) {
+      ret.variants = {
+        original: variantUrls(ret.variants.original),
+        generated: (ret.variants.generated || []).map(variantUrls),
+      };
+    }
+    return ret;
+  },
+});
+
+// JSON with the image URLs of one size; images without that variant keep the original
+generationSchema.methods.toSizedJSON = function(size = 'original') {
+  const json = this.toJSON();
+  if (size === 'original' || !json.variants) {
+    return json;
+  }
+
+  const sized = (variants, url) => (variants && variants[size]) || url;
+  if (json.originalImageUrl) {
+    json.originalImageUrl = sized(json.variants.original, json.originalImageUrl);
+  }
+  if (json.generatedImageUrls) {
+    json.generatedImageUrls = json.generatedImageUrls.map((url, index) => sized(json.variants.generated[index], url));
+    json.imageUrl = json.generatedImageUrls[0] || null;
+  }
+  return json;
+};
+
+// Keys and legacy URLs of every stored image, variants included
+generationSchema.methods.storedImages = function() {
+  const variantKeys = (variants) => (variants ? VARIANT_NAMES.map(name => variants[name]).filter(Boolean) : []);
+  const generatedVariants = (this.variants && this.variants.generated) || [];
+
+  return [
+    this.originalImageUrl,
+    ...this.generatedImageUrls,
+    ...variantKeys(this.variants && this.variants.original),
+    ...generatedVariants.flatMap(variantKeys),
+  ].filter(Boolean);
+};
 generationSchema.set('toObject', { virtuals: true });
 
+// Save a status change only if the stored status is still one of `fromStatuses`, so
+// a concurrent cancel is never overwritten. Resolves to null when the generation
+// already moved on.
+const saveTransition = async (generation, fromStatuses = ACTIVE_STATUSES) => {
+  generation.$where = { status: { $in: fromStatuses } };
+  try {
+    return await generation.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return null;
+    }
+    throw error;
+  } finally {
+    generation.$where = null;
+  }
+};
+
 // Method to start processing
 generationSchema.methods.startProcessing = async function() {
   this.status = 'processing';
   this.processingStartedAt = new Date();
-  return await this.save();
+  return await saveTransition(this);
 };
 
 // Method to complete generation
-generationSchema.methods.complete = async function(imageUrls) {
+generationSchema.methods.complete = async function(imageUrls, variants = [], metadata = []) {
   this.status = 'completed';
   this.completedAt = new Date();
   this.generatedImageUrls = imageUrls;
+  this.variants.generated = variants.map(set => set || {});
+  this.generatedImageMetadata = metadata.map(entry => entry || {});
   
   if (this.processingStartedAt) {
     this.processingTimeMs = Date.now() - this.processingStartedAt.getTime();
   }
   
-  return await this.save();
+  const saved = await saveTransition(this);
+  if (saved) {
+    eventBus.emit('generation.completed', saved);
+  }
+  return saved;
 };
 
 // Method to mark as failed
@@ -200,7 +348,50 @@ generationSchema.methods.fail = async function(reason) {
     this.processingTimeMs = Date.now() - this.processingStartedAt.getTime();
   }
   
-  return await this.save();
+  const saved = await saveTransition(this);
+  if (saved) {
+    eventBus.emit('generation.failed', saved);
+  }
+  return saved;
+};
+
+// Method to cancel a pending or processing generation
+generationSchema.methods.cancel = async function(reason = 'Cancelled by user') {
+  this.status = 'cancelled';
+  this.failureReason = reason;
+  this.cancelledAt = new Date();
+  this.completedAt = this.cancelledAt;
+  
+  if (this.processingStartedAt) {
+    this.processingTimeMs = Date.now() - this.processingStartedAt.getTime();
+  }
+  
+  const saved = await saveTransition(this);
+  if (saved) {
+    eventBus.emit('generation.cancelled', saved);
+  }
+  return saved;
+};
+
+// Method to queue a failed generation again; null if it is no longer failed
+generationSchema.methods.resetForRetry = async function() {
+  this.status = 'pending';
+  this.processingStartedAt = null;
+  this.completedAt = null;
+  this.failureReason = null;
+  this.processingTimeMs = null;
+  // Nothing from the failed run may leak into the new one, including the upstream job a cancel would target
+  this.generatedImageUrls = [];
+  this.variants.generated = [];
+  this.generatedImageMetadata = [];
+  this.externalJobId = null;
+
+  // Ensure parameters.prompt exists for validation
+  if (!this.parameters.prompt && this.prompt) {
+    this.parameters.prompt = this.prompt;
+  }
+
+  return await saveTransition(this, ['failed']);
 };
 
 // Pre-save middleware to calculate processing time
@@ -211,4 +402,6 @@ generationSchema.pre('save', function(next) {
   next();
 });
 
+generationSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
 module.exports = mongoose.model('Generation', generationSchema);
\ No newline at end of file
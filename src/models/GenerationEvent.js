@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Progress events for a generation, streamed to clients over SSE.
+// Events are stored so any API instance can serve them and clients can resume
+// with Last-Event-ID, whichever worker process produced them.
+const generationEventSchema = new mongoose.Schema({
+  generationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Generation',
+    required: [true, 'Generation ID is required'],
+  },
+  seq: {
+    type: Number,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['status', 'queue', 'log', 'upload', 'completed', 'failed', 'cancelled'],
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for performance
+generationEventSchema.index({ generationId: 1, seq: 1 }, { unique: true });
+generationEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: Math.round(config.events.retentionMs / 1000) });
+
+module.exports = mongoose.model('GenerationEvent', generationEventSchema);
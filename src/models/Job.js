@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    enum: ['generation', 'webhook'],
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'active', 'completed', 'failed'],
+    default: 'queued',
+  },
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'At least 1 attempt is required'],
+  },
+  // Job becomes claimable once runAt has passed (used for delayed retries)
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Lease: worker that owns the job and when its visibility timeout expires
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for claiming and lease recovery
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ type: 1, 'payload.generationId': 1 });
+jobSchema.index({ completedAt: 1 });
+
+// Virtual for whether the current lease has expired
+jobSchema.virtual('isLeaseExpired').get(function() {
+  return this.status === 'active' && (!this.lockedUntil || this.lockedUntil < new Date());
+});
+
+jobSchema.set('toJSON', { virtuals: true });
+jobSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Job', jobSchema);
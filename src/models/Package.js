@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// A credit package or premium plan offered for sale
+const packageSchema = new mongoose.Schema({
+  // Stable identifier clients send when buying, e.g. `medium`
+  key: {
+    type: String,
+    required: [true, 'Package key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Package key can only contain letters, numbers, dashes and underscores'],
+    maxlength: [50, 'Package key cannot exceed 50 characters'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Package name is required'],
+    trim: true,
+    maxlength: [100, 'Package name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  // In the smallest currency unit (cents)
+  price: {
+    type: Number,
+    required: [true, 'Package price is required'],
+    min: [0, 'Price cannot be negative'],
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true,
+    match: [/^[a-z]{3}$/, 'Currency must be a three-letter ISO code'],
+  },
+  credits: {
+    type: Number,
+    required: [true, 'Package credits are required'],
+    min: [0, 'Credits cannot be negative'],
+  },
+  // Prices in other currencies, in their smallest unit; `price` and `currency` are the default
+  prices: [{
+    _id: false,
+    currency: {
+      type: String,
+      required: [true, 'Price currency is required'],
+      lowercase: true,
+      match: [/^[a-z]{3}$/, 'Currency must be a three-letter ISO code'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Price amount is required'],
+      min: [0, 'Price cannot be negative'],
+    },
+  }],
+  // Shown as a saving against the undiscounted price
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [99, 'Discount must be below 100%'],
+  },
+  isPremium: {
+    type: Boolean,
+    default: false,
+  },
+  // Product ids on each platform; a store package is offered where it has one
+  productIds: {
+    stripePriceId: { type: String, default: null },
+    appStore: { type: String, default: null },
+    playStore: { type: String, default: null },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Sold on the web through Stripe payment intents
+  availableOnWeb: {
+    type: Boolean,
+    default: true,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+packageSchema.index({ key: 1 }, { unique: true });
+packageSchema.index({ isActive: 1, sortOrder: 1 });
+packageSchema.index(
+  { 'productIds.appStore': 1 },
+  { unique: true, partialFilterExpression: { 'productIds.appStore': { $type: 'string' } } }
+);
+packageSchema.index(
+  { 'productIds.playStore': 1 },
+  { unique: true, partialFilterExpression: { 'productIds.playStore': { $type: 'string' } } }
+);
+
+const undiscounted = (amount, discount) => (discount ? Math.round(amount / (1 - discount / 100)) : null);
+
+// Virtual for the price before the discount
+packageSchema.virtual('originalPrice').get(function() {
+  return undiscounted(this.price, this.discount);
+});
+
+packageSchema.pre('validate', function(next) {
+  const currencies = this.prices.map(point => point.currency);
+  if (new Set([this.currency, ...currencies]).size !== currencies.length + 1) {
+    this.invalidate('prices', 'Each currency can only have one price');
+  }
+  next();
+});
+
+// Method to get the price point in `currency`, or the default price without one
+packageSchema.methods.priceFor = function(currency) {
+  const point = this.prices.find(candidate => candidate.currency === currency);
+  const amount = point ? point.amount : this.price;
+
+  return {
+    currency: point ? point.currency : this.currency,
+    amount,
+    originalPrice: undiscounted(amount, this.discount),
+  };
+};
+
+packageSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Package', packageSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// A code users redeem for free credits or enter at checkout for a discount
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Promo code must be 3-32 letters, numbers, dashes or underscores'],
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  // `credits` codes are redeemed directly; `discount` codes apply to a package purchase
+  type: {
+    type: String,
+    enum: ['credits', 'discount'],
+    required: [true, 'Promo code type is required'],
+  },
+  credits: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credits cannot be negative'],
+  },
+  percentOff: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%'],
+  },
+  // Package keys a discount applies to; empty for every package
+  packageKeys: {
+    type: [String],
+    default: [],
+  },
+  // Null for unlimited
+  maxRedemptions: {
+    type: Number,
+    default: null,
+    min: [1, 'Max redemptions must be at least 1'],
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1,
+    min: [1, 'Max redemptions per user must be at least 1'],
+  },
+  // Pending and completed redemptions; released ones give their use back
+  redemptionCount: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+promoCodeSchema.index({ code: 1 }, { unique: true });
+promoCodeSchema.index({ isActive: 1, createdAt: -1 });
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.type === 'credits' && !(this.credits > 0)) {
+    this.invalidate('credits', 'Credits codes must grant at least 1 credit');
+  }
+  if (this.type === 'discount' && !(this.percentOff > 0)) {
+    this.invalidate('percentOff', 'Discount codes must take at least 1% off');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+// Method to check whether the code can be used at `now`
+promoCodeSchema.methods.isRedeemableAt = function(now = new Date()) {
+  return this.isActive &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
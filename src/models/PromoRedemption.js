@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code by a user
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: [true, 'Promo code ID is required'],
+  },
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  type: {
+    type: String,
+    enum: ['credits', 'discount'],
+    required: [true, 'Redemption type is required'],
+  },
+  // A discount is `pending` until its payment succeeds, and `released` if it fails
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'released'],
+    default: 'pending',
+  },
+  creditsGranted: {
+    type: Number,
+    default: 0,
+  },
+  // Amount taken off the package price, in the smallest unit of `currency`
+  discountAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Discounts only; older ones don't record it and were all in USD
+  currency: {
+    type: String,
+    default: null,
+    lowercase: true,
+  },
+  packageKey: {
+    type: String,
+    default: null,
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+promoRedemptionSchema.index({ promoCodeId: 1, createdAt: -1 });
+promoRedemptionSchema.index({ transactionId: 1 });
+promoRedemptionSchema.index({ userId: 1, createdAt: -1 });
+promoRedemptionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
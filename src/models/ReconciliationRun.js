@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One pass comparing every user's stored balances with their Transaction ledger
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual', 'command'],
+    required: [true, 'Trigger is required'],
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  autoCorrect: {
+    type: Boolean,
+    default: false,
+  },
+  // Set when the run was limited to a single user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  usersScanned: {
+    type: Number,
+    default: 0,
+  },
+  discrepancies: {
+    type: Number,
+    default: 0,
+  },
+  corrected: {
+    type: Number,
+    default: 0,
+  },
+  // Sum of stored minus ledger credits over all discrepancies
+  netDrift: {
+    type: Number,
+    default: 0,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+reconciliationRunSchema.index({ createdAt: -1 });
+reconciliationRunSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// An invitee who signed up with another user's referral code
+const referralSchema = new mongoose.Schema({
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referrer ID is required'],
+  },
+  // A user can only be referred once
+  refereeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referee ID is required'],
+  },
+  code: {
+    type: String,
+    required: [true, 'Referral code is required'],
+  },
+  // `pending` until the invitee qualifies; `rejected` when the abuse checks fail
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'rewarded', 'rejected'],
+    default: 'pending',
+  },
+  rejectReason: {
+    type: String,
+    default: null,
+  },
+  // What qualified the invitee: a verified email or a first purchase
+  qualifiedBy: {
+    type: String,
+    enum: ['email_verified', 'purchase', null],
+    default: null,
+  },
+  // Captured at signup for the abuse checks
+  signupIp: {
+    type: String,
+    default: null,
+  },
+  deviceId: {
+    type: String,
+    default: null,
+  },
+  referrerCredits: {
+    type: Number,
+    default: 0,
+  },
+  refereeCredits: {
+    type: Number,
+    default: 0,
+  },
+  referrerTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  refereeTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  rewardedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+referralSchema.index({ refereeId: 1 }, { unique: true });
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+referralSchema.index({ referrerId: 1, status: 1 });
+referralSchema.index({ referrerId: 1, signupIp: 1 });
+referralSchema.index({ deviceId: 1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
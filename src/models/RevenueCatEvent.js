@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A RevenueCat webhook event, recorded so redeliveries are applied only once
+const revenueCatEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+  },
+  appUserId: {
+    type: String,
+    default: null,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  productId: {
+    type: String,
+    default: null,
+  },
+  environment: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing',
+  },
+  // Why an event was ignored
+  note: {
+    type: String,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+revenueCatEventSchema.index({ eventId: 1 }, { unique: true });
+revenueCatEventSchema.index({ userId: 1, createdAt: -1 });
+revenueCatEventSchema.index({ status: 1 });
+
+module.exports = mongoose.model('RevenueCatEvent', revenueCatEventSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A Stripe webhook event, recorded so each one is applied once and failures can be replayed
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+  },
+  livemode: {
+    type: Boolean,
+    default: false,
+  },
+  // ID of the object the event is about (payment intent, invoice, subscription, ...)
+  objectId: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    // `ignored` for event types nothing handles
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing',
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  // The verified event as received, used for replays
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Event payload is required'],
+  },
+  stripeCreatedAt: {
+    type: Date,
+    default: null,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+stripeEventSchema.index({ eventId: 1 }, { unique: true });
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+stripeEventSchema.index({ type: 1, createdAt: -1 });
+stripeEventSchema.index({ objectId: 1 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A recurring premium subscription billed by an external provider. The user's
+// premium fields hold the resulting entitlement.
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  provider: {
+    type: String,
+    enum: ['stripe', 'revenuecat'],
+    default: 'stripe',
+  },
+  externalId: {
+    type: String,
+    required: [true, 'External subscription ID is required'],
+  },
+  customerId: {
+    type: String,
+    default: null,
+  },
+  priceId: {
+    type: String,
+    default: null,
+  },
+  // Mirrors the provider status (Stripe: incomplete, trialing, active, past_due, canceled, unpaid, ...;
+  // RevenueCat: active, expired, refunded)
+  status: {
+    type: String,
+    required: [true, 'Subscription status is required'],
+  },
+  currentPeriodStart: {
+    type: Date,
+    default: null,
+  },
+  currentPeriodEnd: {
+    type: Date,
+    default: null,
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false,
+  },
+  canceledAt: {
+    type: Date,
+    default: null,
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+  // Premium is kept until then after a failed renewal payment
+  graceUntil: {
+    type: Date,
+    default: null,
+  },
+  latestInvoiceId: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+subscriptionSchema.index({ provider: 1, externalId: 1 }, { unique: true });
+subscriptionSchema.index({ userId: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1 });
+
+// Statuses in which the subscription is still being billed
+const LIVE_STATUSES = ['incomplete', 'trialing', 'active', 'past_due'];
+
+subscriptionSchema.virtual('isLive').get(function() {
+  return LIVE_STATUSES.includes(this.status);
+});
+
+subscriptionSchema.set('toJSON', { virtuals: true });
+
+subscriptionSchema.statics.LIVE_STATUSES = LIVE_STATUSES;
+
+// Static method to get the user's current subscription, if any
+subscriptionSchema.statics.findLiveForUser = function(userId) {
+  return this.findOne({ userId, status: { $in: LIVE_STATUSES } }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { toReportingAmount } = require('../utils/currency');
+const config = require('../config');
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -8,14 +10,30 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['credit_purchase', 'credit_usage', 'signup_bonus', 'premium_subscription', 'refund', 'bonus'],
+    enum: ['credit_purchase', 'credit_usage', 'signup_bonus', 'premium_subscription', 'refund', 'bonus', 'referral_bonus', 'ad_reward', 'adjustment'],
     required: [true, 'Transaction type is required'],
   },
+  // In the smallest unit of `currency`
   amount: {
     type: Number,
     required: [true, 'Transaction amount is required'],
     min: [0, 'Amount cannot be negative'],
   },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true,
+  },
+  // Tax included in `amount`, collected for the tax authorities
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
+  // `amount` less tax in the reporting currency at the time of the transaction; null without an exchange rate
+  reportingAmount: {
+    type: Number,
+    default: null,
+  },
   creditsAdded: {
     type: Number,
     required: [true, 'Credits added is required'],
@@ -29,9 +47,34 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Subscription invoices; unique so a redelivered webhook can't grant twice
+  stripeInvoiceId: {
+    type: String,
+  },
+  // Store transaction behind a RevenueCat purchase; unique for the same reason
+  revenueCatTransactionId: {
+    type: String,
+  },
+  // Refund entries: the Stripe refund or dispute they record; unique so each is applied once
+  stripeRefundId: {
+    type: String,
+  },
+  stripeDisputeId: {
+    type: String,
+  },
+  // Purchases: how much of `amount` was refunded. A refunded purchase stays
+  // `completed`; what the refund took back is its own `refund` entry.
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    // Credit usage is `pending` while held for a running generation, then
+    // `completed` when charged or `released` when the hold is returned.
+    // Purchases are claimed straight to `completed`; `processing` is left on
+    // purchases claimed before that.
+    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'released'],
     default: 'pending',
   },
   description: {
@@ -43,8 +86,62 @@ const transactionSchema = new mongoose.Schema({
     originalPrice: Number,
     discount: Number,
     promotionCode: String,
+    // Amount a promo code took off the price, in the smallest unit of `currency`
+    promoDiscount: Number,
+    // Stripe Tax calculation the checkout was charged by
+    taxCalculationId: String,
     ipAddress: String,
     userAgent: String,
+    // Credit usage
+    generationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Generation',
+    },
+    prompt: String,
+    model: String,
+    imagesGenerated: Number,
+    // Premium subscription period this purchase paid for
+    premiumDays: Number,
+    premiumPeriodStart: Date,
+    premiumPeriodEnd: Date,
+    stripeSubscriptionId: String,
+    // RevenueCat purchases
+    productId: String,
+    store: String,
+    revenueCatEventId: String,
+    // Referral rewards; `referralRole` is `referrer` or `referee`
+    referralId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Referral',
+    },
+    referralRole: String,
+    // Ad rewards
+    adWatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdWatch',
+    },
+    adProvider: String,
+    // Refunds; `refundSource` is `user`, `admin`, `stripe`, `dispute` or `store`
+    originalTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    refundSource: String,
+    refundReason: String,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Credits the clawback policy let the user keep
+    creditsForgiven: Number,
+    // Purchases marked `refunded` instead of getting a `refund` entry: the credits
+    // taken back, which could be less than granted. Older ones don't record it.
+    creditsClawedBack: Number,
+    // Balance reconciliation
+    reconciliationRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReconciliationRun',
+    },
   },
   processedAt: {
     type: Date,
@@ -64,8 +161,60 @@ transactionSchema.index({ status: 1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ paymentId: 1 });
 transactionSchema.index({ stripePaymentIntentId: 1 });
+transactionSchema.index(
+  { stripeInvoiceId: 1 },
+  { unique: true, partialFilterExpression: { stripeInvoiceId: { $type: 'string' } } }
+);
+transactionSchema.index(
+  { revenueCatTransactionId: 1 },
+  { unique: true, partialFilterExpression: { revenueCatTransactionId: { $type: 'string' } } }
+);
+transactionSchema.index(
+  { stripeRefundId: 1 },
+  { unique: true, partialFilterExpression: { stripeRefundId: { $type: 'string' } } }
+);
+transactionSchema.index(
+  { stripeDisputeId: 1 },
+  { unique: true, partialFilterExpression: { stripeDisputeId: { $type: 'string' } } }
+);
+transactionSchema.index({ 'metadata.generationId': 1, status: 1 });
+transactionSchema.index({ 'metadata.originalTransactionId': 1 });
 transactionSchema.index({ createdAt: -1 });
 
+// Record what new transactions are worth in the reporting currency at today's rates
+transactionSchema.pre('save', function(next) {
+  if (this.isNew && this.reportingAmount === null) {
+    this.reportingAmount = toReportingAmount(this.amount - this.taxAmount, this.currency);
+  }
+  next();
+});
+
+// Share of the amount that wasn't refunded
+const KEPT_SHARE = {
+  $cond: [
+    { $gt: ['$amount', 0] },
+    { $divide: [{ $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] }, '$amount'] },
+    1,
+  ],
+};
+
+// Revenue in the reporting currency, net of tax and refunds. Transactions from before
+// currencies were recorded have no `reportingAmount` and were all charged in it.
+const REPORTING_REVENUE = {
+  $round: [{
+    $multiply: [
+      {
+        $cond: [
+          { $eq: [{ $type: '$reportingAmount' }, 'missing'] },
+          '$amount',
+          { $ifNull: ['$reportingAmount', 0] },
+        ],
+      },
+      KEPT_SHARE,
+    ],
+  }, 0],
+};
+
 // Method to complete transaction
 transactionSchema.methods.complete = async function() {
   this.status = 'completed';
@@ -141,7 +290,7 @@ transactionSchema.statics.getRevenueStats = async function(startDate, endDate) {
           type: '$type',
         },
         count: { $sum: 1 },
-        revenue: { $sum: '$amount' },
+        revenue: { $sum: REPORTING_REVENUE },
       },
     },
     { $sort: { '_id.year': 1, '_id.month': 1 } },
@@ -152,16 +301,37 @@ transactionSchema.statics.getRevenueStats = async function(startDate, endDate) {
     {
       $group: {
         _id: null,
-        totalRevenue: { $sum: '$amount' },
+        totalRevenue: { $sum: REPORTING_REVENUE },
         totalTransactions: { $sum: 1 },
       },
     },
   ]);
+
+  // Charged amounts per currency; `unconverted` counts transactions without an exchange rate
+  const byCurrency = await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: { $ifNull: ['$currency', 'usd'] },
+        count: { $sum: 1 },
+        amount: { $sum: '$amount' },
+        refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        revenue: { $sum: REPORTING_REVENUE },
+        unconverted: { $sum: { $cond: [{ $eq: [{ $type: '$reportingAmount' }, 'null'] }, 1, 0] } },
+      },
+    },
+    { $sort: { revenue: -1 } },
+  ]);
   
   return {
+    reportingCurrency: config.currency.reporting,
     monthly: stats,
+    byCurrency,
     total: totalRevenue[0] || { totalRevenue: 0, totalTransactions: 0 },
   };
 };
 
+// Revenue in the reporting currency net of refunds, for admin aggregations
+transactionSchema.statics.reportingRevenue = () => REPORTING_REVENUE;
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
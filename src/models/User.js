@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const config = require('../config');
+const eventBus = require('../utils/eventBus');
+const { urlFor } = require('../storage');
+
+// Profile pictures are shown on every screen, so their signed URLs live longer
+const profilePictureUrl = (ref) => urlFor(ref, { expiresIn: config.storage.urlTtl.profilePictures });
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -35,11 +42,41 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Last name is required'],
     maxlength: [50, 'Last name cannot exceed 50 characters'],
   },
+  // Negative when a refund took back credits that were already spent (see the
+  // refund clawback policy); generation is blocked until it is repaid
   credits: {
     type: Number,
     default: 1,
-    min: [0, 'Credits cannot be negative'],
   },
+  // Credits held for generations that are still running; not part of `credits`
+  reservedCredits: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved credits cannot be negative'],
+  },
+  isPremium: {
+    type: Boolean,
+    default: false,
+  },
+  // Start of the current uninterrupted subscription; renewals don't reset it
+  premiumStartedAt: {
+    type: Date,
+    default: null,
+  },
+  premiumExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  premiumSource: {
+    type: String,
+    enum: ['purchase', 'subscription', 'admin'],
+    default: null,
+  },
+  stripeCustomerId: {
+    type: String,
+    default: null,
+  },
+  // Storage key of an uploaded picture, or the URL of a Google profile photo
   profilePicture: {
     type: String,
     default: null,
@@ -48,6 +85,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Code this user shares to invite others
+  referralCode: {
+    type: String,
+    default: null,
+  },
+  // Referrals this user was rewarded for; capped by REFERRAL_MAX_REWARDS_PER_REFERRER
+  referralRewardCount: {
+    type: Number,
+    default: 0,
+  },
   googleId: {
     type: String,
     default: null,
@@ -104,7 +151,16 @@ const userSchema = new mongoose.Schema({
   }],
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Clients get a signed URL for an uploaded picture's key
+    transform: (doc, ret) => {
+      if (ret.profilePicture) {
+        ret.profilePicture = profilePictureUrl(ret.profilePicture);
+      }
+      return ret;
+    },
+  },
   toObject: { virtuals: true },
 });
 
@@ -113,12 +169,24 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ deviceId: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ isPremium: 1, premiumExpiresAt: 1 });
+userSchema.index({ stripeCustomerId: 1 });
+userSchema.index(
+  { referralCode: 1 },
+  { unique: true, partialFilterExpression: { referralCode: { $type: 'string' } } }
+);
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for premium status; a subscription past its expiry is inactive even
+// before the expiry job clears `isPremium`
+userSchema.virtual('isPremiumActive').get(function() {
+  return Boolean(this.isPremium && this.premiumExpiresAt && this.premiumExpiresAt > Date.now());
+});
+
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -133,26 +201,176 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Letters and digits that can't be confused when typed from a screen
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+userSchema.statics.profilePictureUrl = profilePictureUrl;
+
+userSchema.statics.generateReferralCode = function() {
+  return Array.from(crypto.randomBytes(8), byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+};
+
+// New users get a referral code; older accounts are given one on first use
+userSchema.pre('save', function(next) {
+  if (this.isNew && !this.referralCode) {
+    this.referralCode = this.constructor.generateReferralCode();
+  }
+  next();
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to deduct credits
+// Copy balances from an atomic update without marking them modified, so a later
+// save() of this document can't overwrite concurrent changes
+const syncBalances = (user, updated) => {
+  user.credits = updated.credits;
+  user.reservedCredits = updated.reservedCredits;
+  user.unmarkModified('credits');
+  user.unmarkModified('reservedCredits');
+};
+
+// Notify once when the balance crosses the low credits threshold
+userSchema.statics.notifyLowBalance = function(user, previousCredits) {
+  const threshold = config.credits.lowBalanceThreshold;
+  if (previousCredits >= threshold && user.credits < threshold) {
+    eventBus.emit('credits.low', { user, threshold });
+  }
+};
+
+// Method to deduct credits; the balance check and the update are a single operation
 userSchema.methods.deductCredits = async function(amount) {
-  if (this.credits < amount) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, credits: { $gte: amount } },
+    { $inc: { credits: -amount } },
+    { new: true }
+  );
+  if (!updated) {
     throw new Error('Insufficient credits');
   }
-  this.credits -= amount;
-  return await this.save();
+
+  syncBalances(this, updated);
+  this.constructor.notifyLowBalance(this, updated.credits + amount);
+  return this;
 };
 
 // Method to add credits
 userSchema.methods.addCredits = async function(amount) {
-  this.credits += amount;
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { credits: amount } },
+    { new: true }
+  );
+
+  syncBalances(this, updated);
+  return this;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PREMIUM_FIELDS = ['isPremium', 'premiumStartedAt', 'premiumExpiresAt', 'premiumSource'];
+
+const syncPremium = (user, updated) => {
+  PREMIUM_FIELDS.forEach((field) => {
+    user[field] = updated[field];
+    user.unmarkModified(field);
+  });
+};
+
+// Update pipeline condition: premium is active at `now` in the stored document
+const premiumActiveAt = (now) => ({ $and: ['$isPremium', { $gt: ['$premiumExpiresAt', now] }] });
+
+// Method to start a premium subscription, or extend the active one. Renewals stack:
+// days are added to the current expiry rather than counted from today. One atomic
+// update, so concurrent grants each add their period; `credits` that come with the
+// purchase are added in the same update. Returns the period that was added.
+userSchema.methods.activatePremium = async function(days, { source = 'purchase', credits = 0 } = {}) {
+  const now = new Date();
+  const active = premiumActiveAt(now);
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    [{
+      $set: {
+        isPremium: true,
+        premiumStartedAt: { $cond: [active, '$premiumStartedAt', now] },
+        premiumExpiresAt: { $add: [{ $cond: [active, '$premiumExpiresAt', now] }, days * DAY_MS] },
+        premiumSource: source,
+        credits: { $add: ['$credits', credits] },
+      },
+    }],
+    { new: true }
+  );
+
+  syncPremium(this, updated);
+  syncBalances(this, updated);
+  const periodEnd = updated.premiumExpiresAt;
+  return { periodStart: new Date(periodEnd.getTime() - days * DAY_MS), periodEnd };
+};
+
+// Method to keep premium active until at least `until`, e.g. the end of a paid
+// subscription period. Never shortens an existing entitlement. `credits` that come
+// with the period are added in the same update.
+userSchema.methods.grantPremiumUntil = async function(until, { source = 'subscription', credits = 0 } = {}) {
+  const now = new Date();
+  const active = premiumActiveAt(now);
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    [{
+      $set: {
+        isPremium: true,
+        premiumStartedAt: { $cond: [active, '$premiumStartedAt', now] },
+        premiumExpiresAt: { $cond: [active, { $max: ['$premiumExpiresAt', until] }, until] },
+        premiumSource: source,
+        credits: { $add: ['$credits', credits] },
+      },
+    }],
+    { new: true }
+  );
+
+  syncPremium(this, updated);
+  syncBalances(this, updated);
+  return this;
+};
+
+// Method to add days to an active subscription without changing its source
+userSchema.methods.extendPremium = async function(days) {
+  if (!this.isPremiumActive) {
+    throw new Error('No active premium subscription to extend');
+  }
+  return await this.activatePremium(days, { source: this.premiumSource || 'purchase' });
+};
+
+// Method to end the subscription now, e.g. after a refund or by an admin
+userSchema.methods.deactivatePremium = async function() {
+  this.isPremium = false;
+  this.premiumExpiresAt = this.premiumExpiresAt && this.premiumExpiresAt < Date.now()
+    ? this.premiumExpiresAt
+    : new Date();
   return await this.save();
 };
 
+// Method to clear an expired subscription. Conditional, so a renewal that landed
+// in the meantime is kept; resolves to null in that case.
+userSchema.methods.expirePremium = async function(now = new Date()) {
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      isPremium: true,
+      $or: [{ premiumExpiresAt: { $lte: now } }, { premiumExpiresAt: null }],
+    },
+    { $set: { isPremium: false } },
+    { new: true }
+  );
+
+  if (updated) {
+    this.isPremium = false;
+    this.unmarkModified('isPremium');
+  }
+  return updated;
+};
+
 // Method to generate 6-digit email verification code
 userSchema.methods.generateEmailVerificationCode = function() {
   // Generate 6-digit code
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  responseStatus: {
+    type: Number,
+    default: null,
+  },
+  durationMs: Number,
+  error: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
+
+// One event sent to one endpoint, with every delivery attempt
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: [true, 'Endpoint ID is required'],
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  // Stable across retries and replays so receivers can deduplicate
+  eventId: {
+    type: String,
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: [],
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ userId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+webhookDeliverySchema.index({ status: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'generation.completed',
+  'generation.failed',
+  'generation.cancelled',
+  'credits.low',
+  'payment.succeeded',
+  'payment.refunded',
+];
+
+const webhookEndpointSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    maxlength: [2048, 'Webhook URL cannot exceed 2048 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: '',
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required',
+    },
+  },
+  // Shared secret used to sign payloads; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0,
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null,
+  },
+  disabledAt: {
+    type: Date,
+    default: null,
+  },
+  disabledReason: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+webhookEndpointSchema.index({ userId: 1, isActive: 1 });
+
+webhookEndpointSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+webhookEndpointSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
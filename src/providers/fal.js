@@ -0,0 +1,111 @@
+const { fal } = require('@fal-ai/client');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+// Configure fal.ai client
+if (!config.fal.apiKey || config.fal.apiKey === 'your_fal_ai_api_key_here') {
+  logger.warn('FAL AI API key not configured properly. Please set FAL_AI_API_KEY in environment variables.');
+}
+
+fal.config({
+  credentials: config.fal.apiKey,
+});
+
+const isRateLimitError = (error) => error.status === 429 ||
+  error.message?.includes('429') ||
+  error.message?.includes('Too many requests') ||
+  error.message?.includes('rate limit');
+
+// Normalize the different image shapes fal endpoints return
+const extractImages = (data = {}) => {
+  if (Array.isArray(data.images)) {
+    return data.images.map(img => (typeof img === 'string' ? { url: img } : img));
+  }
+  if (data.image_url) {
+    return [{ url: data.image_url }];
+  }
+  if (data.image?.url) {
+    return [data.image];
+  }
+  if (data.url) {
+    return [{ url: data.url }];
+  }
+  return [];
+};
+
+// Single FAL AI call; rate limit retries are handled by the registry's runModel
+const callFalAI = async (endpoint, input, options = {}) => {
+  const { onQueueUpdate, onEnqueue, attempt = 1 } = options;
+
+  try {
+    logger.info(`Calling fal.ai ${endpoint} (attempt ${attempt}):`, {
+      prompt: input.prompt,
+      image_url: input.image_url,
+      num_images: input.num_images,
+    });
+
+    const result = await fal.subscribe(endpoint, {
+      input,
+      logs: true,
+      onEnqueue,
+      onQueueUpdate: (update) => {
+        if (update.status === 'IN_PROGRESS') {
+          (update.logs || []).map((log) => log.message).forEach(message => {
+            logger.info(`FAL AI Progress: ${message}`);
+          });
+        }
+        if (onQueueUpdate) {
+          onQueueUpdate(update);
+        }
+      },
+    });
+
+    logger.info('FAL AI result:', {
+      requestId: result.requestId,
+      dataKeys: Object.keys(result.data || {})
+    });
+
+    return result;
+  } catch (error) {
+    const rateLimited = isRateLimitError(error);
+
+    logger.error(`FAL AI API error (attempt ${attempt}):`, {
+      message: error.message,
+      isRateLimitError: rateLimited,
+    });
+
+    const wrapped = new Error('AI generation service unavailable: ' + (error.message || 'Unknown error'));
+    wrapped.status = rateLimited ? 429 : error.status;
+    throw wrapped;
+  }
+};
+
+// Provider adapter used by the model registry
+const falProvider = {
+  name: 'fal',
+
+  isConfigured: () => Boolean(config.fal.apiKey && config.fal.apiKey !== 'your_fal_ai_api_key_here'),
+
+  generate: async ({ endpoint, input, onQueueUpdate, onEnqueue, attempt }) => {
+    const result = await callFalAI(endpoint, input, { onQueueUpdate, onEnqueue, attempt });
+
+    return {
+      requestId: result.requestId,
+      images: extractImages(result.data),
+      seed: result.data?.seed ?? null,
+      raw: result.data,
+    };
+  },
+
+  // Cancel a queued or running request; fal may still finish requests already running
+  cancel: async ({ endpoint, requestId }) => {
+    await fal.queue.cancel(endpoint, { requestId });
+    logger.info(`Cancelled fal.ai request ${requestId} on ${endpoint}`);
+  },
+};
+
+module.exports = {
+  falProvider,
+  callFalAI,
+  extractImages,
+};
@@ -0,0 +1,199 @@
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { falProvider } = require('./fal');
+const { mockProvider } = require('./mock');
+const { models: catalog, createInputSchema } = require('./models');
+
+const MODES = ['text-to-image', 'image-to-image'];
+
+// Model ids stored by older versions of the API
+const MODEL_ALIASES = {
+  'fal-ai': 'fal-ai/flux-pro/kontext',
+};
+
+// Generated images are stored as the provider returned them unless a model says otherwise
+const DEFAULT_OUTPUT_POLICY = { format: 'original', maxDimension: null, quality: 90 };
+const OUTPUT_FORMATS = ['original', 'jpeg', 'png', 'webp', 'avif'];
+
+const providers = new Map();
+const models = new Map();
+
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('Provider must have a name and a generate() function');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+const registerModel = (model) => {
+  if (!model || !model.id || !model.provider || typeof model.mapInput !== 'function') {
+    throw new Error(`Invalid model definition: ${model && model.id}`);
+  }
+
+  const unsupported = Object.keys(model.modes || {}).filter(mode => !MODES.includes(mode));
+  if (unsupported.length > 0 || Object.keys(model.modes || {}).length === 0) {
+    throw new Error(`Model ${model.id} must declare supported modes (${MODES.join(', ')})`);
+  }
+
+  const output = { ...DEFAULT_OUTPUT_POLICY, ...model.output };
+  if (!OUTPUT_FORMATS.includes(output.format)) {
+    throw new Error(`Model ${model.id} has an unknown output format: ${output.format}`);
+  }
+
+  models.set(model.id, {
+    creditCost: 1,
+    maxImages: 4,
+    parameters: [],
+    ...model,
+    output,
+    inputSchema: model.inputSchema || createInputSchema(model.parameters || []),
+  });
+  return models.get(model.id);
+};
+
+const getProvider = (name) => providers.get(name) || null;
+
+const getModel = (id) => models.get(MODEL_ALIASES[id] || id) || null;
+
+const getDefaultModel = () => {
+  const all = Array.from(models.values());
+  return all.find(model => model.isDefault) || all[0] || null;
+};
+
+const isKnownModel = (id) => Boolean(getModel(id));
+
+const getSupportedModes = (model) => Object.keys(model.modes);
+
+const supportsMode = (model, mode) => Boolean(model.modes[mode]);
+
+// Public description of models for clients
+const listModels = () => Array.from(models.values()).map(model => ({
+  id: model.id,
+  name: model.name,
+  description: model.description,
+  modes: getSupportedModes(model),
+  creditCost: model.creditCost,
+  maxImages: model.maxImages,
+  parameters: model.parameters,
+  output: { format: model.output.format, maxDimension: model.output.maxDimension },
+  isDefault: Boolean(model.isDefault),
+}));
+
+const calculateCredits = (model, imageCount = 1) => {
+  return Math.max(model.creditCost * (imageCount || 1), 1); // Minimum 1 credit
+};
+
+// Validate and apply defaults to request parameters using the model's schema.
+// Parameters the model does not honor are dropped and reported in `ignored`.
+const validateModelInput = (model, parameters = {}) => {
+  const accepted = Object.keys(model.inputSchema.describe().keys);
+  const ignored = Object.keys(parameters).filter(name => !accepted.includes(name));
+
+  const { error, value } = model.inputSchema.validate(parameters, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return {
+      errors: error.details.map(detail => ({
+        field: `parameters.${detail.path.join('.')}`,
+        message: detail.message,
+      })),
+    };
+  }
+
+  if (value.imageCount > model.maxImages) {
+    return {
+      errors: [{
+        field: 'parameters.imageCount',
+        message: `${model.name} supports at most ${model.maxImages} images per request`,
+      }],
+    };
+  }
+
+  return { value, ignored };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Provider that will serve a model, honouring the AI_PROVIDER override
+const resolveProvider = (model) => {
+  const name = config.ai.provider || model.provider;
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new Error(`AI provider not available: ${name}`);
+  }
+  return provider;
+};
+
+// Run a generation through the model's provider adapter, retrying rate limited calls
+const runModel = async (model, { mode, imageUrl, parameters, onQueueUpdate, onEnqueue }) => {
+  const provider = resolveProvider(model);
+
+  const endpoint = model.modes[mode];
+  if (!endpoint) {
+    throw new Error(`Model ${model.id} does not support ${mode}`);
+  }
+
+  const input = model.mapInput(parameters, { imageUrl, mode });
+  const { maxRetries, retryBaseDelayMs } = config.ai;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await provider.generate({
+        model,
+        endpoint,
+        mode,
+        input,
+        onQueueUpdate,
+        onEnqueue,
+        attempt,
+      });
+    } catch (error) {
+      if (error.status !== 429 || attempt >= maxRetries) {
+        throw error;
+      }
+
+      // Exponential backoff with jitter
+      const delay = retryBaseDelayMs * Math.pow(2, attempt - 1) + Math.random() * retryBaseDelayMs;
+      logger.warn(`Rate limited by ${provider.name}, retrying in ${Math.round(delay)}ms (attempt ${attempt}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Ask the provider to cancel an upstream request started by runModel
+const cancelModelRun = async (model, { mode, requestId }) => {
+  const provider = resolveProvider(model);
+  if (typeof provider.cancel !== 'function') {
+    return false;
+  }
+
+  await provider.cancel({ model, endpoint: model.modes[mode], requestId });
+  return true;
+};
+
+// Built-in providers and models
+registerProvider(falProvider);
+registerProvider(mockProvider);
+catalog.forEach(registerModel);
+
+module.exports = {
+  MODES,
+  registerProvider,
+  registerModel,
+  getProvider,
+  resolveProvider,
+  getModel,
+  getDefaultModel,
+  isKnownModel,
+  getSupportedModes,
+  supportsMode,
+  listModels,
+  calculateCredits,
+  validateModelInput,
+  runModel,
+  cancelModelRun,
+};
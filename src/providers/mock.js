@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Deterministic local provider. Renders placeholder images instead of calling a
+ * paid API so generations can be exercised end to end in development and tests.
+ *
+ * Behaviour can be forced per request with markers in the prompt:
+ * - [mock:fail]        the request fails
+ * - [mock:rate-limit]  the first `rateLimitCount` attempts return 429
+ * - [mock:empty]       the request succeeds without images
+ */
+const MARKERS = {
+  fail: '[mock:fail]',
+  rateLimit: '[mock:rate-limit]',
+  empty: '[mock:empty]',
+};
+
+const DEFAULT_SIZE = 1024;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Request ids cancelled through cancel(); checked between simulated steps
+const cancelledRequests = new Set();
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Stable value in [0, 1) for a prompt, used to pick simulated failures
+const fraction = (prompt, salt) => hash(`${salt}:${prompt}`).readUInt32BE(0) / 0x100000000;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '\'': '&apos;',
+  '"': '&quot;',
+}[char]));
+
+const renderImage = async ({ prompt, seed, index, width, height }) => {
+  const digest = hash(`${seed}:${index}:${prompt}`);
+  const background = { r: digest[0], g: digest[1], b: digest[2] };
+  const label = escapeXml(`${prompt.substring(0, 40)} #${index + 1}`);
+
+  const overlay = Buffer.from(
+    `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <text x="50%" y="50%" font-size="${Math.round(width / 24)}" fill="white" text-anchor="middle" font-family="sans-serif">${label}</text>
+    </svg>`
+  );
+
+  const buffer = await sharp({
+    create: { width, height, channels: 3, background },
+  })
+    .composite([{ input: overlay }])
+    .png()
+    .toBuffer();
+
+  return {
+    url: `data:image/png;base64,${buffer.toString('base64')}`,
+    width,
+    height,
+    content_type: 'image/png',
+  };
+};
+
+const emit = (onQueueUpdate, update) => {
+  if (onQueueUpdate) {
+    onQueueUpdate(update);
+  }
+};
+
+const mockProvider = {
+  name: 'mock',
+
+  isConfigured: () => true,
+
+  generate: async ({ endpoint, input, onQueueUpdate, onEnqueue, attempt = 1 }) => {
+    const settings = config.mockAi;
+    const prompt = input.prompt || '';
+    const requestId = `mock-${hash(`${endpoint}:${prompt}:${input.seed ?? ''}:${attempt}`).toString('hex').substring(0, 16)}`;
+
+    logger.info(`Mock AI request ${requestId} for ${endpoint} (attempt ${attempt})`);
+
+    const rateLimited = prompt.includes(MARKERS.rateLimit) ||
+      fraction(prompt, 'rate-limit') < settings.rateLimitRate;
+    if (rateLimited && attempt <= settings.rateLimitCount) {
+      throw createError('AI generation service unavailable: 429 Too many requests', 429);
+    }
+
+    if (onEnqueue) {
+      await onEnqueue(requestId);
+    }
+
+    for (let position = settings.queuePosition; position > 0; position--) {
+      emit(onQueueUpdate, { status: 'IN_QUEUE', queue_position: position - 1, request_id: requestId });
+    }
+
+    const steps = ['Loading model', 'Generating images', 'Finalizing'];
+    for (let i = 0; i < steps.length; i++) {
+      await sleep(settings.latencyMs / steps.length);
+      if (cancelledRequests.delete(requestId)) {
+        throw createError('AI generation service unavailable: Request was cancelled', 400);
+      }
+      emit(onQueueUpdate, {
+        status: 'IN_PROGRESS',
+        request_id: requestId,
+        logs: steps.slice(0, i + 1).map(message => ({ message })),
+      });
+    }
+
+    if (prompt.includes(MARKERS.fail) || fraction(prompt, 'fail') < settings.failureRate) {
+      throw createError('AI generation service unavailable: Mock generation failed', 500);
+    }
+
+    const seed = input.seed ?? hash(prompt).readUInt32BE(4);
+    const size = input.image_size || {};
+    const [ratioWidth, ratioHeight] = (input.aspect_ratio || '1:1').split(':').map(Number);
+    const width = size.width || DEFAULT_SIZE;
+    const height = size.height || Math.round(DEFAULT_SIZE * ratioHeight / ratioWidth);
+    const count = prompt.includes(MARKERS.empty) ? 0 : (input.num_images || 1);
+
+    const images = [];
+    for (let index = 0; index < count; index++) {
+      images.push(await renderImage({ prompt, seed, index, width, height }));
+    }
+
+    emit(onQueueUpdate, { status: 'COMPLETED', request_id: requestId });
+
+    return {
+      requestId,
+      images,
+      seed,
+      raw: { endpoint, input, seed },
+    };
+  },
+
+  cancel: async ({ requestId }) => {
+    cancelledRequests.add(requestId);
+  },
+};
+
+module.exports = {
+  mockProvider,
+  MARKERS,
+};
@@ -0,0 +1,177 @@
+const Joi = require('joi');
+
+const STYLES = [
+  'photographic',
+  'digital-art',
+  'cinematic',
+  'anime',
+  'fantasy-art',
+  '3d-model',
+  'line-art',
+  'pixel-art',
+];
+
+// Aspect ratios accepted by fal endpoints that do not take explicit dimensions
+const ASPECT_RATIOS = ['21:9', '16:9', '4:3', '3:2', '1:1', '2:3', '3:4', '9:16', '9:21'];
+
+// Parameters every model accepts
+const baseInputSchema = Joi.object({
+  prompt: Joi.string().trim().min(5).max(1000).required().messages({
+    'string.min': 'Prompt must be at least 5 characters long',
+    'string.max': 'Prompt cannot exceed 1000 characters',
+    'any.required': 'Prompt is required',
+  }),
+  imageCount: Joi.number().integer().min(1).max(4).default(1),
+});
+
+// Optional parameters a model may declare support for (ranges match the Generation schema)
+const parameterSchemas = {
+  negativePrompt: Joi.string().trim().max(1000).allow(''),
+  style: Joi.string().valid(...STYLES),
+  seed: Joi.number().integer().min(0).max(4294967295),
+  width: Joi.number().integer().min(512).max(2048),
+  height: Joi.number().integer().min(512).max(2048),
+  guidanceScale: Joi.number().min(1).max(20),
+  steps: Joi.number().integer().min(10).max(50),
+};
+
+const createInputSchema = (supported) => baseInputSchema.keys(
+  supported.reduce((keys, name) => ({ ...keys, [name]: parameterSchemas[name] }), {})
+);
+
+// Drop parameters that were not provided so provider defaults apply
+const compact = (input) => Object.fromEntries(
+  Object.entries(input).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// Style has no provider parameter; it is appended to the prompt
+const styledPrompt = ({ prompt, style }) => (style ? `${prompt}, ${style.replace(/-/g, ' ')} style` : prompt);
+
+const imageSize = ({ width, height }) => (width || height
+  ? { width: width || height, height: height || width }
+  : undefined);
+
+// Closest supported aspect ratio for the requested dimensions
+const aspectRatio = ({ width, height }) => {
+  if (!width || !height) return undefined;
+
+  const target = width / height;
+  return ASPECT_RATIOS.reduce((best, ratio) => {
+    const [w, h] = ratio.split(':').map(Number);
+    const [bw, bh] = best.split(':').map(Number);
+    return Math.abs(w / h - target) < Math.abs(bw / bh - target) ? ratio : best;
+  });
+};
+
+/**
+ * Model catalog. Each entry declares:
+ * - provider: name of a registered provider adapter
+ * - modes: supported generation modes mapped to the provider endpoint
+ * - creditCost: credits charged per generated image
+ * - parameters: optional parameters the model honors; the Joi schema for
+ *   `parameters` in POST /api/generate/create is built from this list
+ * - mapInput: converts validated parameters into the provider's input names
+ * - output: how generated images are stored; `format` is 'original' (as returned)
+ *   or jpeg/png/webp/avif, `maxDimension` caps the longer side (null keeps the
+ *   resolution) and `quality` applies when re-encoding. Defaults to keeping the
+ *   original.
+ */
+const models = [
+  {
+    id: 'fal-ai/flux-pro/kontext',
+    name: 'FLUX.1 Kontext [pro]',
+    description: 'Image editing and text-to-image with strong prompt adherence',
+    provider: 'fal',
+    modes: {
+      'text-to-image': 'fal-ai/flux-pro/kontext/text-to-image',
+      'image-to-image': 'fal-ai/flux-pro/kontext',
+    },
+    creditCost: 1,
+    maxImages: 4,
+    isDefault: true,
+    parameters: ['style', 'seed', 'width', 'height', 'guidanceScale'],
+    mapInput: (parameters, { imageUrl }) => compact({
+      prompt: styledPrompt(parameters),
+      image_url: imageUrl,
+      num_images: parameters.imageCount,
+      seed: parameters.seed,
+      guidance_scale: parameters.guidanceScale,
+      aspect_ratio: aspectRatio(parameters),
+    }),
+  },
+  {
+    id: 'fal-ai/flux/dev',
+    name: 'FLUX.1 [dev]',
+    description: 'Fast general purpose text-to-image and image-to-image',
+    provider: 'fal',
+    modes: {
+      'text-to-image': 'fal-ai/flux/dev',
+      'image-to-image': 'fal-ai/flux/dev/image-to-image',
+    },
+    creditCost: 1,
+    maxImages: 4,
+    parameters: ['style', 'seed', 'width', 'height', 'guidanceScale', 'steps'],
+    mapInput: (parameters, { imageUrl }) => compact({
+      prompt: styledPrompt(parameters),
+      image_url: imageUrl,
+      num_images: parameters.imageCount,
+      seed: parameters.seed,
+      guidance_scale: parameters.guidanceScale,
+      num_inference_steps: parameters.steps,
+      image_size: imageSize(parameters),
+    }),
+    // Drafts: smaller files are worth more than lossless output
+    output: { format: 'jpeg', quality: 90 },
+  },
+  {
+    id: 'fal-ai/flux-pro/v1.1-ultra',
+    name: 'FLUX1.1 [pro] ultra',
+    description: 'High resolution text-to-image',
+    provider: 'fal',
+    modes: {
+      'text-to-image': 'fal-ai/flux-pro/v1.1-ultra',
+    },
+    creditCost: 2,
+    maxImages: 4,
+    parameters: ['style', 'seed', 'width', 'height'],
+    mapInput: (parameters) => compact({
+      prompt: styledPrompt(parameters),
+      num_images: parameters.imageCount,
+      seed: parameters.seed,
+      aspect_ratio: aspectRatio(parameters),
+    }),
+    // Keeps the full resolution this model is chosen for
+    output: { format: 'original', maxDimension: null },
+  },
+  {
+    id: 'fal-ai/stable-diffusion-v35-large',
+    name: 'Stable Diffusion 3.5 Large',
+    description: 'Text-to-image and image-to-image with negative prompt support',
+    provider: 'fal',
+    modes: {
+      'text-to-image': 'fal-ai/stable-diffusion-v35-large',
+      'image-to-image': 'fal-ai/stable-diffusion-v35-large/image-to-image',
+    },
+    creditCost: 1,
+    maxImages: 4,
+    parameters: ['negativePrompt', 'style', 'seed', 'width', 'height', 'guidanceScale', 'steps'],
+    mapInput: (parameters, { imageUrl }) => compact({
+      prompt: styledPrompt(parameters),
+      negative_prompt: parameters.negativePrompt,
+      image_url: imageUrl,
+      num_images: parameters.imageCount,
+      seed: parameters.seed,
+      guidance_scale: parameters.guidanceScale,
+      num_inference_steps: parameters.steps,
+      image_size: imageSize(parameters),
+    }),
+  },
+];
+
+module.exports = {
+  STYLES,
+  baseInputSchema,
+  parameterSchemas,
+  createInputSchema,
+  models,
+};
@@ -44,7 +44,7 @@ const toggleUserStatusSchema = Joi.object({
 const generationQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
-  status: Joi.string().valid('pending', 'processing', 'completed', 'failed').optional(),
+  status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'cancelled').optional(),
   userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   sortBy: Joi.string().valid('createdAt', 'status', 'creditsUsed', 'processingTimeMs').default('createdAt'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
@@ -53,13 +53,147 @@ const generationQuerySchema = Joi.object({
 const transactionQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
-  type: Joi.string().valid('credit_purchase', 'ad_watch', 'premium_subscription', 'refund', 'bonus').optional(),
-  status: Joi.string().valid('pending', 'completed', 'failed', 'refunded').optional(),
+  type: Joi.string().valid('credit_purchase', 'credit_usage', 'signup_bonus', 'premium_subscription', 'refund', 'bonus', 'referral_bonus', 'ad_reward', 'adjustment').optional(),
+  status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'refunded', 'released').optional(),
   userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
   sortBy: Joi.string().valid('createdAt', 'amount', 'status', 'type').default('createdAt'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
 });
 
+const refundTransactionSchema = Joi.object({
+  // In the smallest currency unit; the whole amount left to refund when omitted
+  amount: Joi.number().integer().min(1).optional(),
+  reason: Joi.string().max(500).required().messages({
+    'any.required': 'Refund reason is required',
+  }),
+});
+
+const auditLogQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  action: Joi.string().max(100).optional(),
+  targetType: Joi.string().max(50).optional(),
+  targetId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+});
+
+const reconciliationRunQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('running', 'completed', 'failed').optional(),
+});
+
+const startReconciliationSchema = Joi.object({
+  autoCorrect: Joi.boolean().default(false),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+});
+
+const discrepancyQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('open', 'corrected', 'resolved').optional(),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  runId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+});
+
+const stripeEventQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('processing', 'processed', 'ignored', 'failed').optional(),
+  type: Joi.string().max(100).optional(),
+  objectId: Joi.string().max(255).optional(),
+});
+
+const stripeEventParamsSchema = Joi.object({
+  eventId: Joi.string().pattern(/^evt_[A-Za-z0-9]+$/).required().messages({
+    'string.pattern.base': 'Invalid Stripe event ID format',
+  }),
+});
+
+const productIdsSchema = Joi.object({
+  stripePriceId: Joi.string().max(255).allow(null).optional(),
+  appStore: Joi.string().max(255).allow(null).optional(),
+  playStore: Joi.string().max(255).allow(null).optional(),
+});
+
+const packageFields = {
+  name: Joi.string().max(100),
+  description: Joi.string().max(500).allow(''),
+  price: Joi.number().integer().min(0),
+  currency: Joi.string().length(3).lowercase(),
+  prices: Joi.array().items(Joi.object({
+    currency: Joi.string().length(3).lowercase().required(),
+    amount: Joi.number().integer().min(0).required(),
+  })).unique('currency'),
+  credits: Joi.number().integer().min(0),
+  discount: Joi.number().integer().min(0).max(99),
+  isPremium: Joi.boolean(),
+  productIds: productIdsSchema,
+  isActive: Joi.boolean(),
+  availableOnWeb: Joi.boolean(),
+  sortOrder: Joi.number().integer(),
+};
+
+const createPackageSchema = Joi.object({
+  ...packageFields,
+  key: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).required().messages({
+    'string.pattern.base': 'Package key can only contain lowercase letters, numbers, dashes and underscores',
+    'any.required': 'Package key is required',
+  }),
+  name: packageFields.name.required(),
+  price: packageFields.price.required(),
+  credits: packageFields.credits.required(),
+});
+
+// The key can't change: clients and past purchases refer to it
+const updatePackageSchema = Joi.object(packageFields).min(1);
+
+const packageQuerySchema = Joi.object({
+  isActive: Joi.boolean().optional(),
+});
+
+const promoCodeFields = {
+  description: Joi.string().max(200).allow(''),
+  credits: Joi.number().integer().min(1),
+  percentOff: Joi.number().integer().min(1).max(100),
+  packageKeys: Joi.array().items(Joi.string().pattern(/^[a-z0-9_-]+$/).max(50)),
+  maxRedemptions: Joi.number().integer().min(1).allow(null),
+  maxRedemptionsPerUser: Joi.number().integer().min(1),
+  startsAt: Joi.date().allow(null),
+  expiresAt: Joi.date().allow(null),
+  isActive: Joi.boolean(),
+};
+
+const createPromoCodeSchema = Joi.object({
+  ...promoCodeFields,
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,32}$/).required().messages({
+    'string.pattern.base': 'Promo code must be 3-32 letters, numbers, dashes or underscores',
+    'any.required': 'Promo code is required',
+  }),
+  type: Joi.string().valid('credits', 'discount').required(),
+  credits: promoCodeFields.credits.when('type', { is: 'credits', then: Joi.required(), otherwise: Joi.forbidden() }),
+  percentOff: promoCodeFields.percentOff.when('type', { is: 'discount', then: Joi.required(), otherwise: Joi.forbidden() }),
+  packageKeys: promoCodeFields.packageKeys.when('type', { is: 'discount', otherwise: Joi.forbidden() }),
+});
+
+// The code and type can't change once users may have redeemed it
+const updatePromoCodeSchema = Joi.object(promoCodeFields).min(1);
+
+const promoCodeQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  isActive: Joi.boolean().optional(),
+  type: Joi.string().valid('credits', 'discount').optional(),
+  search: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(32).optional(),
+});
+
+const promoRedemptionQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'completed', 'released').optional(),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+});
+
 const statsQuerySchema = Joi.object({
   days: Joi.number().integer().min(1).max(365).default(30),
 });
@@ -153,6 +287,13 @@ router.get('/generations',
   adminController.getGenerations
 );
 
+/**
+ * @route   POST /api/admin/generations/reap
+ * @desc    Recover or fail generations stuck in pending/processing
+ * @access  Admin
+ */
+router.post('/generations/reap', adminController.reapStuckGenerations);
+
 /**
  * @route   DELETE /api/admin/generations/:generationId
  * @desc    Delete a generation
@@ -175,6 +316,30 @@ router.get('/transactions',
   adminController.getTransactions
 );
 
+/**
+ * @route   GET /api/admin/transactions/:transactionId/refunds
+ * @desc    Get the refunds and disputes recorded against a purchase
+ * @access  Admin
+ * @params  { transactionId }
+ */
+router.get('/transactions/:transactionId/refunds',
+  validateParams(Joi.object({ transactionId: objectIdSchema })),
+  adminController.getTransactionRefunds
+);
+
+/**
+ * @route   POST /api/admin/transactions/:transactionId/refund
+ * @desc    Refund a Stripe purchase in full or in part and claw back its credits
+ * @access  Admin
+ * @params  { transactionId }
+ * @body    { amount?, reason }
+ */
+router.post('/transactions/:transactionId/refund',
+  validateParams(Joi.object({ transactionId: objectIdSchema })),
+  validate(refundTransactionSchema),
+  adminController.refundTransaction
+);
+
 /**
  * @route   GET /api/admin/revenue
  * @desc    Get revenue statistics and analytics
@@ -186,4 +351,208 @@ router.get('/revenue',
   adminController.getRevenueStats
 );
 
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get audit trail of system and admin recovery actions
+ * @access  Admin
+ * @query   { page?, limit?, action?, targetType?, targetId?, userId? }
+ */
+router.get('/audit-logs',
+  validateQuery(auditLogQuerySchema),
+  adminController.getAuditLogs
+);
+
+/**
+ * @route   GET /api/admin/reconciliation
+ * @desc    List credit balance reconciliation runs
+ * @access  Admin
+ * @query   { page?, limit?, status? }
+ */
+router.get('/reconciliation',
+  validateQuery(reconciliationRunQuerySchema),
+  adminController.getReconciliationRuns
+);
+
+/**
+ * @route   POST /api/admin/reconciliation
+ * @desc    Compare user balances with the transaction ledger now
+ * @access  Admin
+ * @body    { autoCorrect?, userId? }
+ */
+router.post('/reconciliation',
+  validate(startReconciliationSchema),
+  adminController.startReconciliation
+);
+
+/**
+ * @route   GET /api/admin/reconciliation/discrepancies
+ * @desc    List users whose balance drifted from the ledger
+ * @access  Admin
+ * @query   { page?, limit?, status?, userId?, runId? }
+ */
+router.get('/reconciliation/discrepancies',
+  validateQuery(discrepancyQuerySchema),
+  adminController.getBalanceDiscrepancies
+);
+
+/**
+ * @route   POST /api/admin/reconciliation/discrepancies/:discrepancyId/correct
+ * @desc    Correct a drifting balance with an audited adjustment transaction
+ * @access  Admin
+ * @params  { discrepancyId }
+ */
+router.post('/reconciliation/discrepancies/:discrepancyId/correct',
+  validateParams(Joi.object({ discrepancyId: objectIdSchema })),
+  adminController.correctBalanceDiscrepancy
+);
+
+/**
+ * @route   GET /api/admin/reconciliation/:runId
+ * @desc    Get a reconciliation run with its discrepancies
+ * @access  Admin
+ * @params  { runId }
+ */
+router.get('/reconciliation/:runId',
+  validateParams(Joi.object({ runId: objectIdSchema })),
+  adminController.getReconciliationRun
+);
+
+/**
+ * @route   GET /api/admin/stripe-events
+ * @desc    List received Stripe webhook events
+ * @access  Admin
+ * @query   { page?, limit?, status?, type?, objectId? }
+ */
+router.get('/stripe-events',
+  validateQuery(stripeEventQuerySchema),
+  adminController.getStripeEvents
+);
+
+/**
+ * @route   GET /api/admin/stripe-events/:eventId
+ * @desc    Get a Stripe webhook event with its payload
+ * @access  Admin
+ * @params  { eventId }
+ */
+router.get('/stripe-events/:eventId',
+  validateParams(stripeEventParamsSchema),
+  adminController.getStripeEvent
+);
+
+/**
+ * @route   POST /api/admin/stripe-events/:eventId/replay
+ * @desc    Process a failed Stripe webhook event again
+ * @access  Admin
+ * @params  { eventId }
+ */
+router.post('/stripe-events/:eventId/replay',
+  validateParams(stripeEventParamsSchema),
+  adminController.replayStripeEventById
+);
+
+/**
+ * @route   GET /api/admin/packages
+ * @desc    List credit packages, including inactive ones
+ * @access  Admin
+ * @query   { isActive? }
+ */
+router.get('/packages',
+  validateQuery(packageQuerySchema),
+  adminController.getPackages
+);
+
+/**
+ * @route   POST /api/admin/packages
+ * @desc    Create a credit package
+ * @access  Admin
+ * @body    { key, name, price, credits, description?, currency?, prices?, discount?, isPremium?, productIds?, isActive?, availableOnWeb?, sortOrder? }
+ */
+router.post('/packages',
+  validate(createPackageSchema),
+  adminController.createPackage
+);
+
+/**
+ * @route   PUT /api/admin/packages/:packageId
+ * @desc    Update a credit package
+ * @access  Admin
+ * @params  { packageId }
+ * @body    { name?, price?, credits?, description?, currency?, prices?, discount?, isPremium?, productIds?, isActive?, availableOnWeb?, sortOrder? }
+ */
+router.put('/packages/:packageId',
+  validateParams(Joi.object({ packageId: objectIdSchema })),
+  validate(updatePackageSchema),
+  adminController.updatePackage
+);
+
+/**
+ * @route   DELETE /api/admin/packages/:packageId
+ * @desc    Withdraw a credit package from sale
+ * @access  Admin
+ * @params  { packageId }
+ */
+router.delete('/packages/:packageId',
+  validateParams(Joi.object({ packageId: objectIdSchema })),
+  adminController.deactivatePackage
+);
+
+/**
+ * @route   GET /api/admin/promo-codes
+ * @desc    List promo codes
+ * @access  Admin
+ * @query   { page?, limit?, isActive?, type?, search? }
+ */
+router.get('/promo-codes',
+  validateQuery(promoCodeQuerySchema),
+  adminController.getPromoCodes
+);
+
+/**
+ * @route   POST /api/admin/promo-codes
+ * @desc    Create a promo code
+ * @access  Admin
+ * @body    { code, type, credits?, percentOff?, packageKeys?, description?, maxRedemptions?, maxRedemptionsPerUser?, startsAt?, expiresAt?, isActive? }
+ */
+router.post('/promo-codes',
+  validate(createPromoCodeSchema),
+  adminController.createPromoCode
+);
+
+/**
+ * @route   GET /api/admin/promo-codes/:promoCodeId
+ * @desc    Get a promo code with its redemption totals
+ * @access  Admin
+ * @params  { promoCodeId }
+ */
+router.get('/promo-codes/:promoCodeId',
+  validateParams(Joi.object({ promoCodeId: objectIdSchema })),
+  adminController.getPromoCode
+);
+
+/**
+ * @route   PUT /api/admin/promo-codes/:promoCodeId
+ * @desc    Update a promo code
+ * @access  Admin
+ * @params  { promoCodeId }
+ * @body    { credits?, percentOff?, packageKeys?, description?, maxRedemptions?, maxRedemptionsPerUser?, startsAt?, expiresAt?, isActive? }
+ */
+router.put('/promo-codes/:promoCodeId',
+  validateParams(Joi.object({ promoCodeId: objectIdSchema })),
+  validate(updatePromoCodeSchema),
+  adminController.updatePromoCode
+);
+
+/**
+ * @route   GET /api/admin/promo-codes/:promoCodeId/redemptions
+ * @desc    List redemptions of a promo code
+ * @access  Admin
+ * @params  { promoCodeId }
+ * @query   { page?, limit?, status?, userId? }
+ */
+router.get('/promo-codes/:promoCodeId/redemptions',
+  validateParams(Joi.object({ promoCodeId: objectIdSchema })),
+  validateQuery(promoRedemptionQuerySchema),
+  adminController.getPromoRedemptions
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const express = require('express');
+const adController = require('../controllers/adController');
+const { authenticateToken } = require('../middleware/auth');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { validate, adWatchStartSchema, adWatchCompletedSchema } = require('../utils/validators');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/ads/admob-ssv
+ * @desc    AdMob server-side verification callback (signed by Google)
+ * @access  Public
+ */
+router.get('/admob-ssv', adController.handleAdMobSsv);
+
+// All other ad routes require authentication
+router.use(authenticateToken);
+router.use(generalLimiter);
+
+/**
+ * @route   GET /api/ads/available
+ * @desc    Get how many rewarded ads the user can still watch today
+ * @access  Private
+ */
+router.get('/available', adController.getAvailability);
+
+/**
+ * @route   POST /api/ads/start
+ * @desc    Start watching a rewarded ad
+ * @access  Private
+ * @body    { adId, adProvider? }
+ */
+router.post('/start',
+  validate(adWatchStartSchema),
+  adController.startWatch
+);
+
+/**
+ * @route   POST /api/ads/complete
+ * @desc    Report that a rewarded ad finished
+ * @access  Private
+ * @body    { adWatchId, watchDurationMs }
+ */
+router.post('/complete',
+  validate(adWatchCompletedSchema),
+  adController.completeWatch
+);
+
+module.exports = router;
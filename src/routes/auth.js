@@ -50,6 +50,8 @@ const googleSignInSchema = Joi.object({
     'any.required': 'Google ID is required',
   }),
   photo: Joi.string().uri().optional().allow(''),
+  deviceId: Joi.string().optional(),
+  referralCode: Joi.string().trim().max(20).optional(),
 });
 
 const forgotPasswordSchema = Joi.object({
@@ -89,7 +91,7 @@ const verifyEmailSchema = Joi.object({
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
- * @body    { email, password, username, firstName, lastName, deviceId? }
+ * @body    { email, password, username, firstName, lastName, deviceId?, referralCode? }
  */
 router.post('/register', validate(registerSchema), authController.register);
 
@@ -105,7 +107,7 @@ router.post('/login', validate(loginSchema), authController.login);
  * @route   POST /api/auth/google
  * @desc    Sign in/up with Google
  * @access  Public
- * @body    { idToken, email, firstName, lastName, googleId, photo? }
+ * @body    { idToken, email, firstName, lastName, googleId, photo?, deviceId?, referralCode? }
  */
 router.post('/google', validate(googleSignInSchema), authController.googleSignIn);
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const fileController = require('../controllers/fileController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/files/:key
+ * @desc    Serve an object of the local or memory storage driver
+ * @access  Signed URL
+ * @params  { key } (may contain slashes)
+ * @query   { expires, signature }
+ */
+router.get('/*', fileController.getFile);
+
+module.exports = router;
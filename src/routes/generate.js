@@ -1,13 +1,17 @@
 const express = require('express');
 const generationController = require('../controllers/generationController');
-const { authenticateToken, requireCredits } = require('../middleware/auth');
+const { authenticateToken, allowQueryToken, requireCredits } = require('../middleware/auth');
 const { generationLimiter } = require('../middleware/rateLimiter');
 const { uploadSingle, requireFile } = require('../middleware/upload');
-const { validate, validateQuery, validateParams, createGenerationSchema, paginationSchema, objectIdSchema } = require('../utils/validators');
+const { validate, validateQuery, validateParams, createGenerationSchema, paginationSchema, objectIdSchema, imageSizeSchema } = require('../utils/validators');
+const { isKnownModel } = require('../providers');
 const Joi = require('joi');
 
 const router = express.Router();
 
+// SSE clients may pass the access token in the query string
+router.use('/:id/events', allowQueryToken);
+
 // Apply auth middleware to all routes
 router.use(authenticateToken);
 
@@ -17,8 +21,12 @@ const generationBodySchema = Joi.object({
   inputImageUrl: Joi.string().uri().optional().allow(null, '').messages({
     'string.uri': 'Input image URL must be a valid URL',
   }),
+
+  // Model id from GET /api/generate/models (defaults to the registry default)
+  model: Joi.string().max(100).optional(),
   
-  // Parameters object containing all generation settings
+  // Parameters object containing all generation settings.
+  // Model-specific parameters are validated against the model's input schema in the controller.
   parameters: Joi.object({
     prompt: Joi.string().min(5).max(1000).required().messages({
       'string.min': 'Prompt must be at least 5 characters long',
@@ -26,14 +34,19 @@ const generationBodySchema = Joi.object({
       'any.required': 'Prompt is required',
     }),
     imageCount: Joi.number().integer().min(1).max(4).default(1),
-  }).required(),
+  }).unknown(true).required(),
 });
 
 const historyQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(10),
-  status: Joi.string().valid('pending', 'processing', 'completed', 'failed').optional(),
-  modelUsed: Joi.string().valid('fal-ai', 'fal-ai/flux-pro/kontext', 'custom-model-1', 'custom-model-2').optional(),
+  status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'cancelled').optional(),
+  modelUsed: Joi.string().max(100).custom((value, helpers) => {
+    return isKnownModel(value) ? value : helpers.error('any.invalid');
+  }).optional().messages({
+    'any.invalid': 'Unknown model',
+  }),
+  size: imageSizeSchema,
 });
 
 /**
@@ -48,11 +61,18 @@ router.post('/upload',
   generationController.uploadReferenceImage
 );
 
+/**
+ * @route   GET /api/generate/models
+ * @desc    List available AI models with supported modes and credit cost
+ * @access  Private
+ */
+router.get('/models', generationController.getModels);
+
 /**
  * @route   POST /api/generate/create
  * @desc    Create new AI generation request
  * @access  Private
- * @body    { inputImageUrl?, parameters: { prompt, imageCount?, style?, quality?, ... } }
+ * @body    { model?, inputImageUrl?, parameters: { prompt, imageCount?, negativePrompt?, style?, seed?, width?, height?, guidanceScale?, steps? } }
  */
 router.post('/create',
   generationLimiter, // Apply rate limiting only to generation creation
@@ -72,11 +92,23 @@ router.get('/:id',
   generationController.getGeneration
 );
 
+/**
+ * @route   GET /api/generate/:id/events
+ * @desc    Stream generation progress as Server-Sent Events
+ * @access  Private (Authorization header or ?access_token=)
+ * @params  { id }
+ * @headers { Last-Event-ID? }
+ */
+router.get('/:id/events',
+  validateParams(Joi.object({ id: objectIdSchema })),
+  generationController.streamGenerationEvents
+);
+
 /**
  * @route   GET /api/generate
  * @desc    Get user's generation history
  * @access  Private
- * @query   { page?, limit?, status?, modelUsed? }
+ * @query   { page?, limit?, status?, modelUsed?, size? }
  */
 router.get('/',
   validateQuery(historyQuerySchema),
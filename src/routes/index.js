@@ -4,6 +4,9 @@ const userRoutes = require('./user');
 const generateRoutes = require('./generate');
 const paymentRoutes = require('./payment');
 const adminRoutes = require('./admin');
+const webhookRoutes = require('./webhooks');
+const adRoutes = require('./ads');
+const fileRoutes = require('./files');
 const ApiResponse = require('../utils/apiResponse');
 
 const router = express.Router();
@@ -32,6 +35,9 @@ router.get('/', (req, res) => {
       generate: '/api/generate',
       payment: '/api/payment',
       admin: '/api/admin',
+      webhooks: '/api/webhooks',
+      ads: '/api/ads',
+      files: '/api/files',
     },
   }, 'Welcome to Aime App');
 });
@@ -44,5 +50,8 @@ router.use('/user', userRoutes);
 router.use('/generate', generateRoutes);
 router.use('/payment', paymentRoutes);
 router.use('/admin', adminRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/ads', adRoutes);
+router.use('/files', fileRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -24,34 +24,39 @@ const refundRequestSchema = Joi.object({
   }),
 });
 
-const revenueCatWebhookSchema = Joi.object({
-  productId: Joi.string().required().messages({
-    'any.required': 'Product ID is required',
-  }),
-  credits: Joi.number().integer().min(1).required().messages({
-    'number.integer': 'Credits must be an integer',
-    'number.min': 'Credits must be at least 1',
-    'any.required': 'Credits amount is required',
+const packageQuerySchema = Joi.object({
+  platform: Joi.string().valid('web', 'ios', 'android').optional(),
+  currency: Joi.string().length(3).lowercase().optional(),
+  locale: Joi.string().max(35).optional(),
+});
+
+const redeemPromoCodeSchema = Joi.object({
+  code: Joi.string().trim().max(32).required().messages({
+    'any.required': 'Promo code is required',
   }),
-  customerInfo: Joi.object({
-    userId: Joi.string().optional(),
-    originalPurchaseDate: Joi.date().optional(),
-    latestExpirationDate: Joi.date().optional(),
-  }).optional(),
+});
+
+const createSubscriptionSchema = Joi.object({
+  paymentMethodId: Joi.string().optional(),
 });
 
 /**
  * @route   GET /api/payment/packages
  * @desc    Get available credit packages
  * @access  Public
+ * @query   { platform?, currency?, locale? }
  */
-router.get('/packages', generalLimiter, paymentController.getCreditPackages);
+router.get('/packages',
+  generalLimiter,
+  validateQuery(packageQuerySchema),
+  paymentController.getCreditPackages
+);
 
 /**
  * @route   POST /api/payment/create-payment-intent
  * @desc    Create Stripe payment intent
  * @access  Private
- * @body    { packageId, paymentMethodId? }
+ * @body    { packageId, paymentMethodId?, promoCode?, currency?, locale? }
  */
 router.post('/create-payment-intent',
   authenticateToken,
@@ -83,6 +88,65 @@ router.post('/webhook',
   paymentController.handleStripeWebhook
 );
 
+/**
+ * @route   POST /api/payment/redeem
+ * @desc    Redeem a promo code for credits
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/redeem',
+  authenticateToken,
+  paymentLimiter,
+  validate(redeemPromoCodeSchema),
+  paymentController.redeemPromoCode
+);
+
+/**
+ * @route   GET /api/payment/subscription
+ * @desc    Get the user's premium subscription
+ * @access  Private
+ */
+router.get('/subscription',
+  authenticateToken,
+  generalLimiter,
+  paymentController.getSubscription
+);
+
+/**
+ * @route   POST /api/payment/subscription
+ * @desc    Start a recurring premium subscription
+ * @access  Private
+ * @body    { paymentMethodId? }
+ */
+router.post('/subscription',
+  authenticateToken,
+  paymentLimiter,
+  validate(createSubscriptionSchema),
+  paymentController.createSubscription
+);
+
+/**
+ * @route   DELETE /api/payment/subscription
+ * @desc    Cancel the subscription at the end of the current period
+ * @access  Private
+ */
+router.delete('/subscription',
+  authenticateToken,
+  paymentLimiter,
+  paymentController.cancelSubscription
+);
+
+/**
+ * @route   POST /api/payment/subscription/resume
+ * @desc    Resume a subscription scheduled to cancel
+ * @access  Private
+ */
+router.post('/subscription/resume',
+  authenticateToken,
+  paymentLimiter,
+  paymentController.resumeSubscription
+);
+
 /**
  * @route   GET /api/payment/history
  * @desc    Get user's payment history
@@ -111,15 +175,12 @@ router.post('/refund',
 
 /**
  * @route   POST /api/payment/revenuecat-webhook
- * @desc    RevenueCat webhook endpoint for adding credits
- * @access  Private
- * @body    { productId, credits, customerInfo? }
+ * @desc    RevenueCat webhook endpoint
+ * @access  Public (RevenueCat, shared secret in the Authorization header)
+ * @body    { api_version, event }
  */
 router.post('/revenuecat-webhook',
-  authenticateToken,
-  paymentLimiter,
-  validate(revenueCatWebhookSchema),
-  paymentController.addCreditsFromRevenueCat
+  paymentController.handleRevenueCatWebhook
 );
 
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,7 @@ const userController = require('../controllers/userController');
 const { authenticateToken } = require('../middleware/auth');
 const { generalLimiter } = require('../middleware/rateLimiter');
 const { uploadProfilePicture } = require('../middleware/upload');
-const { validate, validateQuery, updateProfileSchema, paginationSchema } = require('../utils/validators');
+const { validate, validateQuery, updateProfileSchema, paginationSchema, generationHistorySchema } = require('../utils/validators');
 
 const router = express.Router();
 
@@ -54,10 +54,10 @@ router.get('/credits', userController.getCredits);
  * @route   GET /api/user/generations
  * @desc    Get user's generation history
  * @access  Private
- * @query   { page?, limit?, status? }
+ * @query   { page?, limit?, status?, size? }
  */
 router.get('/generations', 
-  validateQuery(paginationSchema), 
+  validateQuery(generationHistorySchema), 
   userController.getGenerationHistory
 );
 
@@ -79,6 +79,17 @@ router.get('/transactions',
  */
 router.get('/dashboard', userController.getDashboardStats);
 
+/**
+ * @route   GET /api/user/referrals
+ * @desc    Get the user's referral code, invites and earned credits
+ * @access  Private
+ * @query   { page?, limit? }
+ */
+router.get('/referrals',
+  validateQuery(paginationSchema),
+  userController.getReferrals
+);
+
 /**
  * @route   GET /api/user/notifications
  * @desc    Get user notifications
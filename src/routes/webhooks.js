@@ -0,0 +1,133 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, validateQuery, validateParams, objectIdSchema } = require('../utils/validators');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const config = require('../config');
+const Joi = require('joi');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(authenticateToken);
+
+// Validation schemas
+const urlSchema = Joi.string().uri({
+  scheme: config.webhooks.allowHttp ? ['http', 'https'] : ['https'],
+}).max(2048).messages({
+  'string.uriCustomScheme': config.webhooks.allowHttp ? 'Webhook URL must be an http(s) URL' : 'Webhook URL must use https',
+});
+
+const eventsSchema = Joi.array().items(Joi.string().valid(...WebhookEndpoint.EVENTS)).min(1).unique();
+
+const createEndpointSchema = Joi.object({
+  url: urlSchema.required(),
+  events: eventsSchema.required(),
+  description: Joi.string().max(200).allow('').optional(),
+});
+
+const updateEndpointSchema = Joi.object({
+  url: urlSchema.optional(),
+  events: eventsSchema.optional(),
+  description: Joi.string().max(200).allow('').optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
+
+const deliveriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'succeeded', 'failed').optional(),
+  event: Joi.string().valid(...WebhookEndpoint.EVENTS).optional(),
+});
+
+const endpointParamsSchema = Joi.object({ id: objectIdSchema });
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List the user's webhook endpoints and supported events
+ * @access  Private
+ */
+router.get('/', webhookController.getWebhookEndpoints);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook endpoint; the signing secret is returned once
+ * @access  Private
+ * @body    { url, events, description? }
+ */
+router.post('/',
+  validate(createEndpointSchema),
+  webhookController.createWebhookEndpoint
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook endpoint
+ * @access  Private
+ * @params  { id }
+ */
+router.get('/:id',
+  validateParams(endpointParamsSchema),
+  webhookController.getWebhookEndpoint
+);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook endpoint (url, events, description, isActive)
+ * @access  Private
+ * @params  { id }
+ * @body    { url?, events?, description?, isActive? }
+ */
+router.put('/:id',
+  validateParams(endpointParamsSchema),
+  validate(updateEndpointSchema),
+  webhookController.updateWebhookEndpoint
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook endpoint
+ * @access  Private
+ * @params  { id }
+ */
+router.delete('/:id',
+  validateParams(endpointParamsSchema),
+  webhookController.deleteWebhookEndpoint
+);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Generate a new signing secret
+ * @access  Private
+ * @params  { id }
+ */
+router.post('/:id/rotate-secret',
+  validateParams(endpointParamsSchema),
+  webhookController.rotateWebhookSecret
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log for a webhook endpoint
+ * @access  Private
+ * @params  { id }
+ * @query   { page?, limit?, status?, event? }
+ */
+router.get('/:id/deliveries',
+  validateParams(endpointParamsSchema),
+  validateQuery(deliveriesQuerySchema),
+  webhookController.getWebhookDeliveries
+);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * @desc    Send a delivery's event to the endpoint again
+ * @access  Private
+ * @params  { id, deliveryId }
+ */
+router.post('/:id/deliveries/:deliveryId/replay',
+  validateParams(Joi.object({ id: objectIdSchema, deliveryId: objectIdSchema })),
+  webhookController.replayWebhookDelivery
+);
+
+module.exports = router;
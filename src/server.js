@@ -12,10 +12,15 @@ const mongoSanitize = require('express-mongo-sanitize');
 const config = require('./config');
 const connectDB = require('./config/database');
 const { logger } = require('./utils/logger');
+const { createGenerationWorker } = require('./services/generationProcessor');
+const { createWebhookWorker, registerWebhookListeners } = require('./services/webhooks');
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
+const { ensureDefaultPackages } = require('./services/packages');
+const { registerReferralListeners } = require('./services/referrals');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
-const { requestLogger, requestId, securityLogger } = require('./middleware/logging');
+const { requestLogger, requestId, securityLogger, redactUrl } = require('./middleware/logging');
 const { generalLimiter } = require('./middleware/rateLimiter');
 
 // Import routes
@@ -23,6 +28,16 @@ const routes = require('./routes');
 
 const app = express();
 
+// Embedded queue worker (disabled when a separate `npm run worker` process is used)
+let generationWorker = null;
+let webhookWorker = null;
+
+// Deliver domain events (generation.completed, payment.succeeded, ...) to user webhooks
+registerWebhookListeners();
+
+// Reward referrals on an invitee's first purchase
+registerReferralListeners();
+
 // Trust proxy (for accurate IP addresses behind reverse proxy)
 app.set('trust proxy', 1);
 
@@ -76,7 +91,7 @@ app.use(requestLogger);
 
 // Debug middleware - log all requests
 app.use((req, res, next) => {
-  console.log(`🌐 ${req.method} ${req.url} from ${req.ip}`);
+  console.log(`🌐 ${req.method} ${redactUrl(req)} from ${req.ip}`);
   next();
 });
 
@@ -137,8 +152,18 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
-  server.close(() => {
+  stopScheduler();
+
+  server.close(async () => {
     logger.info('HTTP server closed');
+
+    // Let in-flight generation jobs finish before closing the database
+    if (generationWorker) {
+      await generationWorker.stop();
+    }
+    if (webhookWorker) {
+      await webhookWorker.stop();
+    }
     
     // Close database connection
     mongoose.connection.close(false, () => {
@@ -175,6 +200,11 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    // First start: create the default package catalog
+    ensureDefaultPackages().catch(error => {
+      logger.error('Failed to create default packages:', error);
+    });
     
     const PORT = config.port || 3000;
     const server = app.listen(PORT, () => {
@@ -185,6 +215,19 @@ const startServer = async () => {
 
     // Store server reference for graceful shutdown
     global.server = server;
+
+    // Process queued generations and webhook deliveries here unless a standalone worker is used
+    if (config.queue.embeddedWorker && config.nodeEnv !== 'test') {
+      generationWorker = createGenerationWorker();
+      generationWorker.start();
+      webhookWorker = createWebhookWorker();
+      webhookWorker.start();
+    }
+
+    // Scheduled maintenance (stale generation reaper, ...) and startup crash recovery
+    if (config.scheduler.enabled && config.nodeEnv !== 'test') {
+      startScheduler();
+    }
     
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const User = require('../models/User');
+const AdWatch = require('../models/AdWatch');
+const Transaction = require('../models/Transaction');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Allowance for clock skew and network time when comparing reported durations
+const DURATION_TOLERANCE_MS = 2000;
+
+// Unknown key ids trigger a refetch, but not more often than this
+const KEYS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Daily limits reset at midnight UTC
+const startOfDay = (now = new Date()) => {
+  const day = new Date(now);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const countRewardedToday = (userId, now = new Date()) => AdWatch.countDocuments({
+  userId,
+  rewardCredited: true,
+  watchedAt: { $gte: startOfDay(now) },
+});
+
+const getAdAvailability = async (user, now = new Date()) => {
+  const watchedToday = await countRewardedToday(user._id, now);
+  const remaining = Math.max(0, config.ads.maxPerDay - watchedToday);
+
+  return {
+    available: remaining > 0,
+    watchedToday,
+    remaining,
+    maxPerDay: config.ads.maxPerDay,
+    rewardCredits: config.ads.rewardCredits,
+    minWatchDurationMs: config.ads.minWatchDurationMs,
+    resetsAt: new Date(startOfDay(now).getTime() + DAY_MS),
+  };
+};
+
+const requiresSsv = (adWatch) => adWatch.adProvider === 'admob' && config.ads.admob.requireSsv;
+
+// Start a watch. Resolves to `{ adWatch }`, or `{ error }` once the daily limit is reached.
+const startAdWatch = async (user, { adId, adProvider, ipAddress, userAgent, deviceId }) => {
+  const { remaining } = await getAdAvailability(user);
+  if (remaining <= 0) {
+    return { error: 'Daily ad limit reached. Come back tomorrow for more rewards.' };
+  }
+
+  const adWatch = await AdWatch.create({
+    userId: user._id,
+    adId,
+    adProvider,
+    requiredDurationMs: config.ads.minWatchDurationMs,
+    ipAddress,
+    userAgent,
+    deviceId: deviceId || null,
+  });
+
+  return { adWatch };
+};
+
+/**
+ * Score how likely a completed watch is fraudulent, from 0 to 1. Each signal adds
+ * its weight: a reported duration longer than the watch has existed, a different
+ * IP address than at start, many watches started in the last hour, and a device
+ * already rewarded today for another account.
+ */
+const scoreAdWatch = async (adWatch, { watchDurationMs, ipAddress, now = new Date() }) => {
+  const reasons = [];
+  let score = 0;
+
+  const elapsed = now.getTime() - adWatch.watchedAt.getTime();
+  if (watchDurationMs > elapsed + DURATION_TOLERANCE_MS) {
+    reasons.push('duration_exceeds_elapsed');
+    score += 0.7;
+  }
+
+  if (ipAddress && adWatch.ipAddress && ipAddress !== adWatch.ipAddress) {
+    reasons.push('ip_changed');
+    score += 0.2;
+  }
+
+  const recentStarts = await AdWatch.countDocuments({
+    userId: adWatch.userId,
+    watchedAt: { $gte: new Date(now.getTime() - HOUR_MS) },
+  });
+  if (recentStarts > config.ads.maxPerDay * 2) {
+    reasons.push('rapid_starts');
+    score += 0.3;
+  }
+
+  if (adWatch.deviceId) {
+    const sharedDevice = await AdWatch.exists({
+      deviceId: adWatch.deviceId,
+      userId: { $ne: adWatch.userId },
+      rewardCredited: true,
+      watchedAt: { $gte: startOfDay(now) },
+    });
+    if (sharedDevice) {
+      reasons.push('shared_device');
+      score += 0.4;
+    }
+  }
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+};
+
+/**
+ * Credit a watch. The watch is claimed with a rewardCredited false → true update,
+ * so the client completion and the AdMob callback reward it once. Resolves to the
+ * watch, or null if it was already rewarded or can't be.
+ */
+const rewardAdWatch = async (adWatchId, updates = {}) => {
+  const claimed = await AdWatch.findOneAndUpdate(
+    { _id: adWatchId, rewardCredited: false, status: { $in: ['started', 'completed'] } },
+    { $set: { ...updates, rewardCredited: true, status: 'completed' } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  // Checked again now that this watch counts, so concurrent watches can't pass the limit
+  const rewardedToday = await countRewardedToday(claimed.userId, claimed.watchedAt);
+  if (rewardedToday > config.ads.maxPerDay) {
+    claimed.rewardCredited = false;
+    claimed.status = 'limit_reached';
+    return await claimed.save();
+  }
+
+  const credits = config.ads.rewardCredits;
+  const transaction = await Transaction.create({
+    userId: claimed.userId,
+    type: 'ad_reward',
+    amount: 0,
+    creditsAdded: credits,
+    status: 'pending',
+    description: 'Ad reward',
+    metadata: { adWatchId: claimed._id, adProvider: claimed.adProvider },
+  });
+
+  try {
+    const user = await User.findById(claimed.userId);
+    await user.addCredits(credits);
+    await transaction.complete();
+  } catch (error) {
+    await transaction.fail('Ad reward failed');
+    // Undo the claim, including a verification it recorded, so the reward can be retried
+    const revert = { rewardCredited: false };
+    if (updates.ssvVerified) {
+      revert.ssvVerified = false;
+      revert.ssvTransactionId = null;
+    }
+    await AdWatch.updateOne({ _id: claimed._id }, { $set: revert });
+    throw error;
+  }
+
+  claimed.creditsEarned = credits;
+  claimed.transactionId = transaction._id;
+  await claimed.save();
+
+  logger.info(`Ad watch ${claimed._id} rewarded ${credits} credits to user ${claimed.userId}`);
+  return claimed;
+};
+
+/**
+ * Record the client's report that an ad finished. Short watches are abandoned and
+ * high fraud scores are flagged; anything else is rewarded, except AdMob ads when
+ * SSV is required, which wait for the verified callback. Resolves to the watch as
+ * it stands; reporting a watch that was already finished changes nothing.
+ */
+const completeAdWatch = async (adWatch, { watchDurationMs, ipAddress, now = new Date() }) => {
+  if (adWatch.status !== 'started') {
+    return adWatch;
+  }
+
+  const updates = { watchDurationMs, completedAt: now };
+
+  if (watchDurationMs < adWatch.requiredDurationMs) {
+    updates.status = 'abandoned';
+  } else {
+    const { score, reasons } = await scoreAdWatch(adWatch, { watchDurationMs, ipAddress, now });
+    updates.fraudScore = score;
+    updates.fraudReasons = reasons;
+    updates.status = score >= config.ads.fraudThreshold ? 'fraud_detected' : 'completed';
+  }
+
+  const updated = await AdWatch.findOneAndUpdate(
+    { _id: adWatch._id, status: 'started' },
+    { $set: updates },
+    { new: true }
+  );
+  if (!updated) {
+    // The AdMob callback got there first
+    return await AdWatch.findById(adWatch._id);
+  }
+
+  if (updated.status === 'fraud_detected') {
+    logger.warn(`Ad watch ${updated._id} flagged as fraud (${updated.fraudReasons.join(', ')})`);
+  }
+
+  if (updated.status === 'completed' && !requiresSsv(updated)) {
+    return await rewardAdWatch(updated._id) || await AdWatch.findById(updated._id);
+  }
+  return updated;
+};
+
+let verifierKeys = null;
+let verifierKeysFetchedAt = 0;
+
+const getVerifierKeys = async ({ refresh = false } = {}) => {
+  const age = Date.now() - verifierKeysFetchedAt;
+  const stale = !verifierKeys || age > config.ads.admob.verifierKeysTtlMs;
+
+  if (stale || (refresh && age > KEYS_REFRESH_INTERVAL_MS)) {
+    const { data } = await axios.get(config.ads.admob.verifierKeysUrl, { timeout: 10000 });
+    verifierKeys = new Map(data.keys.map(key => [String(key.keyId), key.pem]));
+    verifierKeysFetchedAt = Date.now();
+  }
+  return verifierKeys;
+};
+
+// AdMob signs the raw query string up to `&signature=`; `signature` and `key_id` come last
+const verifyAdMobSignature = async (queryString) => {
+  const signatureIndex = queryString.indexOf('&signature=');
+  if (signatureIndex === -1) {
+    return false;
+  }
+
+  const message = queryString.substring(0, signatureIndex);
+  const params = new URLSearchParams(queryString.substring(signatureIndex + 1));
+  const signature = params.get('signature');
+  const keyId = params.get('key_id');
+  if (!signature || !keyId) {
+    return false;
+  }
+
+  let keys = await getVerifierKeys();
+  if (!keys.has(keyId)) {
+    // Google rotates its keys
+    keys = await getVerifierKeys({ refresh: true });
+  }
+  const pem = keys.get(keyId);
+  if (!pem) {
+    return false;
+  }
+
+  try {
+    return crypto.verify('sha256', Buffer.from(message), pem, Buffer.from(signature, 'base64url'));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Apply a verified AdMob SSV callback. The app passes our user id as `user_id` and
+ * the ad watch id as `custom_data`. Resolves to the reason the callback was
+ * ignored, or null once the watch was rewarded.
+ */
+const handleAdMobCallback = async (params) => {
+  const { user_id: userId, custom_data: adWatchId, transaction_id: ssvTransactionId } = params;
+
+  if (!OBJECT_ID_PATTERN.test(adWatchId || '') || !OBJECT_ID_PATTERN.test(userId || '')) {
+    return 'Callback does not reference an ad watch';
+  }
+
+  const adWatch = await AdWatch.findOne({ _id: adWatchId, userId });
+  if (!adWatch) {
+    return `No ad watch ${adWatchId} for user ${userId}`;
+  }
+  if (adWatch.ssvVerified) {
+    return `Ad watch ${adWatchId} was already verified`;
+  }
+
+  const verification = { ssvVerified: true, ssvTransactionId: ssvTransactionId || null };
+  try {
+    const rewarded = await rewardAdWatch(adWatch._id, verification);
+    if (rewarded) {
+      return rewarded.rewardCredited ? null : `Ad watch ${adWatchId} is ${rewarded.status}`;
+    }
+
+    // Watches rewarded by the client report, abandoned or flagged still record the verification
+    const current = await AdWatch.findByIdAndUpdate(adWatch._id, { $set: verification }, { new: true });
+    return `Ad watch ${adWatchId} is ${current.status}${current.rewardCredited ? ' and already rewarded' : ''}`;
+  } catch (error) {
+    if (error.code === 11000) {
+      return `AdMob transaction ${ssvTransactionId} was already processed`;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getAdAvailability,
+  startAdWatch,
+  scoreAdWatch,
+  completeAdWatch,
+  rewardAdWatch,
+  verifyAdMobSignature,
+  handleAdMobCallback,
+};
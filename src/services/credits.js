@@ -0,0 +1,113 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { logger } = require('../utils/logger');
+
+/**
+ * Credits for a generation move through a hold recorded in the Transaction ledger:
+ *
+ * - reserve: `credits` -> `reservedCredits`, ledger entry created as `pending`
+ * - commit:  `reservedCredits` is consumed, entry becomes `completed`
+ * - release: `reservedCredits` -> `credits`, entry becomes `released`
+ *
+ * Every balance change is a conditional `$inc`, and a hold is settled by an atomic
+ * `pending` -> final status update, so each hold is committed or released once.
+ */
+
+const describeGeneration = (prompt) => {
+  return `AI Image Generation - ${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}`;
+};
+
+// Hold credits for a generation. Resolves to the ledger entry, or null if the
+// user's available balance is too low.
+const reserveCredits = async (user, amount, generation) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, credits: { $gte: amount } },
+    { $inc: { credits: -amount, reservedCredits: amount } },
+    { new: true }
+  );
+  if (!updated) {
+    return null;
+  }
+
+  let hold;
+  try {
+    hold = await Transaction.create({
+      userId: user._id,
+      type: 'credit_usage',
+      amount: 0,
+      creditsAdded: -amount, // Negative for deduction
+      status: 'pending',
+      description: describeGeneration(generation.prompt),
+      metadata: {
+        generationId: generation._id,
+        prompt: generation.prompt,
+        model: generation.modelUsed,
+      },
+    });
+  } catch (error) {
+    // Without a ledger entry the hold could never be settled; give the credits back
+    await User.updateOne({ _id: user._id }, { $inc: { credits: amount, reservedCredits: -amount } });
+    throw error;
+  }
+
+  user.credits = updated.credits;
+  user.reservedCredits = updated.reservedCredits;
+  User.notifyLowBalance(updated, updated.credits + amount);
+
+  logger.info(`Reserved ${amount} credits for generation ${generation._id} (user ${user._id})`);
+  return hold;
+};
+
+const settleHold = async (filter, update) => {
+  return await Transaction.findOneAndUpdate(
+    { ...filter, type: 'credit_usage', status: 'pending' },
+    { $set: { ...update, processedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Charge the held credits once the generation completed. Null if nothing was held
+// (premium users are never charged).
+const commitCredits = async (generationId, { imagesGenerated } = {}) => {
+  const hold = await settleHold(
+    { 'metadata.generationId': generationId },
+    { status: 'completed', 'metadata.imagesGenerated': imagesGenerated }
+  );
+  if (!hold) {
+    return null;
+  }
+
+  await User.updateOne({ _id: hold.userId }, { $inc: { reservedCredits: hold.creditsAdded } });
+
+  logger.info(`Committed ${-hold.creditsAdded} credits for generation ${generationId}`);
+  return hold;
+};
+
+const returnHeldCredits = async (hold) => {
+  const amount = -hold.creditsAdded;
+  await User.updateOne({ _id: hold.userId }, { $inc: { credits: amount, reservedCredits: -amount } });
+  logger.info(`Released ${amount} credits held for generation ${hold.metadata.generationId}: ${hold.failureReason}`);
+  return hold;
+};
+
+// Return the held credits to the user after a failure or cancellation
+const releaseCredits = async (generationId, reason) => {
+  const hold = await settleHold(
+    { 'metadata.generationId': generationId },
+    { status: 'released', failureReason: reason }
+  );
+  return hold ? await returnHeldCredits(hold) : null;
+};
+
+// Release one specific hold, e.g. when the request that created it is abandoned
+const releaseHold = async (hold, reason) => {
+  const released = await settleHold({ _id: hold._id }, { status: 'released', failureReason: reason });
+  return released ? await returnHeldCredits(released) : null;
+};
+
+module.exports = {
+  reserveCredits,
+  commitCredits,
+  releaseCredits,
+  releaseHold,
+};
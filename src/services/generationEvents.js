@@ -0,0 +1,102 @@
+const { EventEmitter } = require('events');
+const Generation = require('../models/Generation');
+const GenerationEvent = require('../models/GenerationEvent');
+const { logger } = require('../utils/logger');
+
+const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+// Wakes up SSE streams in this process as soon as an event is stored; streams
+// served by other API instances pick events up by polling.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Store a progress event. Never throws, so progress reporting can't fail a generation.
+const publishGenerationEvent = async (generationId, type, data = {}) => {
+  try {
+    const generation = await Generation.findByIdAndUpdate(
+      generationId,
+      { $inc: { eventSeq: 1 } },
+      { new: true, projection: { eventSeq: 1 }, timestamps: false }
+    );
+
+    if (!generation) {
+      return null;
+    }
+
+    const event = await GenerationEvent.create({
+      generationId,
+      seq: generation.eventSeq,
+      type,
+      data,
+    });
+
+    emitter.emit(generationId.toString(), event);
+    return event;
+  } catch (error) {
+    logger.error(`Failed to publish ${type} event for generation ${generationId}:`, error);
+    return null;
+  }
+};
+
+const getGenerationEvents = async (generationId, afterSeq = 0) => {
+  return await GenerationEvent.find({ generationId, seq: { $gt: afterSeq } })
+    .sort({ seq: 1 })
+    .lean();
+};
+
+const clearGenerationEvents = async (generationId) => {
+  await GenerationEvent.deleteMany({ generationId });
+};
+
+// Returns an unsubscribe function
+const subscribeToGeneration = (generationId, listener) => {
+  const key = generationId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+/**
+ * Translates provider queue updates into progress events, publishing only
+ * changes: fal resends the full log on every IN_PROGRESS update. Events are
+ * published in order; await `flush()` before publishing anything after them.
+ */
+const createQueueUpdateHandler = (generationId) => {
+  let lastPosition = null;
+  let logCount = 0;
+  let inProgress = false;
+  let pending = Promise.resolve();
+
+  const publish = (type, data) => {
+    pending = pending.then(() => publishGenerationEvent(generationId, type, data));
+  };
+
+  const handler = (update) => {
+    if (update.status === 'IN_QUEUE' && update.queue_position !== lastPosition) {
+      lastPosition = update.queue_position;
+      publish('queue', { state: 'in_queue', position: update.queue_position });
+    }
+
+    if (update.status === 'IN_PROGRESS') {
+      if (!inProgress) {
+        inProgress = true;
+        publish('queue', { state: 'in_progress', position: 0 });
+      }
+
+      const logs = update.logs || [];
+      logs.slice(logCount).forEach(log => publish('log', { message: log.message }));
+      logCount = Math.max(logCount, logs.length);
+    }
+  };
+
+  handler.flush = () => pending;
+  return handler;
+};
+
+module.exports = {
+  TERMINAL_EVENTS,
+  publishGenerationEvent,
+  getGenerationEvents,
+  clearGenerationEvents,
+  subscribeToGeneration,
+  createQueueUpdateHandler,
+};
@@ -0,0 +1,364 @@
+const Generation = require('../models/Generation');
+const { storeImageBuffer, copyImage } = require('../utils/upload');
+const { getStorage, isUrl, keyFor, urlFor } = require('../storage');
+const { fetchRemoteImage, createImageUrlError } = require('../utils/remoteImage');
+const { detectImageFormat } = require('../utils/imageFormat');
+const { enqueue, createWorker } = require('../utils/jobQueue');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { getModel, runModel, cancelModelRun } = require('../providers');
+const { publishGenerationEvent, createQueueUpdateHandler } = require('./generationEvents');
+const { commitCredits, releaseCredits } = require('./credits');
+
+// Input images are normalized for the providers
+const INPUT_IMAGE_POLICY = { format: 'jpeg', maxDimension: 1024, quality: 90 };
+
+// Bytes of a `data:` URL, e.g. inline images returned by the mock provider
+const decodeDataUrl = (imageUrl) => {
+  const buffer = Buffer.from(imageUrl.substring(imageUrl.indexOf(',') + 1), 'base64');
+  if (buffer.length > config.remoteImages.maxBytes) {
+    throw createImageUrlError(`Image is larger than ${config.remoteImages.maxBytes} bytes`);
+  }
+  if (!detectImageFormat(buffer)) {
+    throw createImageUrlError('Image data is not a JPEG, PNG, GIF, WebP or AVIF image');
+  }
+  return buffer;
+};
+
+// Store an image given by URL and its variants under `prefix` following an output policy
+// (see utils/upload storeImageBuffer). Resolves to `{ key, variants, metadata }`. Objects
+// already in our storage, e.g. uploaded reference images, are copied without a download
+// or metadata. Anything else is downloaded with fetchRemoteImage; `fetchOptions` override
+// its limits. URLs that can't be used throw errors with code `INVALID_IMAGE_URL`.
+const storeRemoteImage = async (imageUrl, { prefix, policy = INPUT_IMAGE_POLICY, fetchOptions = {} }) => {
+  // Bare keys would let clients reference objects they were never given
+  if (!isUrl(imageUrl)) {
+    throw createImageUrlError('Image URL must be an absolute URL');
+  }
+
+  // Mobile clients sometimes send paths on the device
+  if (imageUrl.startsWith('file:')) {
+    throw createImageUrlError('Image URL is a local file path; upload the image with POST /api/generate/upload first');
+  }
+
+  logger.info(`Storing image under ${prefix}`, {
+    imageUrl: imageUrl.startsWith('data:') ? 'data:<inline>' : imageUrl,
+  });
+
+  // Our own signed URLs are copied without a round trip; knowing a key isn't enough
+  const existingKey = getStorage().keyFromSignedUrl(imageUrl);
+  if (existingKey) {
+    const copy = await copyImage(existingKey, prefix);
+    if (!copy) {
+      throw createImageUrlError('Uploaded image no longer exists; upload it again');
+    }
+    return copy;
+  }
+
+  let buffer;
+  if (imageUrl.startsWith('data:')) {
+    buffer = decodeDataUrl(imageUrl);
+  } else {
+    // Presigned URLs into our bucket aren't subject to the allow list; S3 checks them
+    const options = keyFor(imageUrl) ? { allowedHosts: [], ...fetchOptions } : fetchOptions;
+    ({ buffer } = await fetchRemoteImage(imageUrl, options));
+  }
+
+  return await storeImageBuffer(buffer, { prefix, policy });
+};
+
+// Parameters in the shape the model's mapInput expects
+const getModelParameters = (generation) => {
+  const stored = generation.parameters ? generation.parameters.toObject() : {};
+  return {
+    ...stored,
+    prompt: generation.prompt,
+    imageCount: stored.imageCount || stored.num_images || 1,
+  };
+};
+
+const getGenerationMode = (generation) => {
+  return generation.mode || (generation.originalImageUrl ? 'image-to-image' : 'text-to-image');
+};
+
+const createCancelledError = (generationId) => {
+  const error = new Error(`Generation ${generationId} was cancelled`);
+  error.code = 'GENERATION_CANCELLED';
+  return error;
+};
+
+// Provider outages, rate limits and database hiccups are worth another attempt; bad
+// input, documents that fail validation and requests the provider rejected are not
+const isRetryableError = (error) => {
+  if (['INVALID_IMAGE_URL', 'MODEL_UNAVAILABLE'].includes(error.code)) {
+    return false;
+  }
+  if (['ValidationError', 'CastError'].includes(error.name)) {
+    return false;
+  }
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return true;
+};
+
+const isCancelled = async (generationId) => {
+  return Boolean(await Generation.exists({ _id: generationId, status: 'cancelled' }));
+};
+
+// Rejects once the generation is cancelled, possibly from another process, so the
+// worker stops waiting on a provider call that was cancelled upstream.
+const watchForCancellation = (generationId) => {
+  let timer;
+  const promise = new Promise((resolve, reject) => {
+    timer = setInterval(() => {
+      isCancelled(generationId)
+        .then(cancelled => {
+          if (cancelled) {
+            reject(createCancelledError(generationId));
+          }
+        })
+        .catch(error => logger.error(`Cancellation check failed for generation ${generationId}:`, error));
+    }, config.queue.cancelCheckIntervalMs);
+  });
+
+  return {
+    promise,
+    stop: () => clearInterval(timer),
+  };
+};
+
+// Best effort: ask the provider to drop the upstream request
+const cancelUpstreamJob = async (generation) => {
+  const model = getModel(generation.modelUsed);
+  if (!model || !generation.externalJobId) {
+    return;
+  }
+
+  try {
+    await cancelModelRun(model, { mode: getGenerationMode(generation), requestId: generation.externalJobId });
+  } catch (error) {
+    logger.warn(`Failed to cancel upstream job ${generation.externalJobId} for generation ${generation._id}:`, error);
+  }
+};
+
+// Remember the provider request id; cancel it right away if the generation was
+// cancelled before the id was known.
+const recordExternalJob = async (generationId, requestId) => {
+  try {
+    const generation = await Generation.findByIdAndUpdate(
+      generationId,
+      { $set: { externalJobId: requestId } },
+      { new: true }
+    );
+
+    if (generation && generation.status === 'cancelled') {
+      await cancelUpstreamJob(generation);
+    }
+  } catch (error) {
+    logger.error(`Failed to record external job ${requestId} for generation ${generationId}:`, error);
+  }
+};
+
+// Cancel a pending or processing generation. Returns null if it already finished.
+const cancelGenerationRun = async (generation, reason = 'Cancelled by user') => {
+  const cancelled = await generation.cancel(reason);
+  if (!cancelled) {
+    return null;
+  }
+
+  await publishGenerationEvent(cancelled._id, 'cancelled', { status: 'cancelled', reason });
+  await releaseCredits(cancelled._id, reason);
+  await cancelUpstreamJob(cancelled);
+
+  logger.info(`Generation cancelled: ${cancelled._id}`);
+  return cancelled;
+};
+
+// Charge the credits held for a completed generation. Does nothing once the hold
+// is settled, so a run that completed but failed before charging can finish it.
+const chargeCompletedGeneration = async (generation) => {
+  return await commitCredits(generation._id, { imagesGenerated: generation.generatedImageUrls.length });
+};
+
+// Run a generation through its model and store the results. Retryable errors are
+// rethrown while the job has attempts left so the queue retries it with backoff; the
+// generation fails and its held credits are released on any other error, or once the
+// last attempt fails. Direct calls get a single attempt.
+const processGeneration = async (generationId, { attempt = 1, maxAttempts = 1 } = {}) => {
+  try {
+    const generation = await Generation.findById(generationId);
+
+    // A retry of a run that completed the generation but failed before charging it
+    if (generation && generation.status === 'completed') {
+      await chargeCompletedGeneration(generation);
+      return;
+    }
+
+    // A generation can already be `processing` when its job lease expired and
+    // the job was reclaimed after a worker crash; the lease guarantees exclusivity.
+    if (!generation || !['pending', 'processing'].includes(generation.status)) {
+      return;
+    }
+
+    const model = getModel(generation.modelUsed);
+    if (!model) {
+      const error = new Error(`Model not available: ${generation.modelUsed}`);
+      error.code = 'MODEL_UNAVAILABLE';
+      throw error;
+    }
+
+    // Start processing; null means it was cancelled after we loaded it
+    if (!await generation.startProcessing()) {
+      logger.info(`Generation ${generationId} is no longer active, skipping`);
+      return;
+    }
+    logger.info(`Started processing generation: ${generationId} with model ${model.id}`);
+    await publishGenerationEvent(generation._id, 'status', { status: 'processing', model: model.id });
+
+    // Call the model's AI provider, forwarding queue position and logs to SSE clients
+    const onQueueUpdate = createQueueUpdateHandler(generation._id);
+    const cancellation = watchForCancellation(generation._id);
+    let result;
+    try {
+      result = await Promise.race([
+        runModel(model, {
+          mode: getGenerationMode(generation),
+          imageUrl: urlFor(generation.originalImageUrl),
+          parameters: getModelParameters(generation),
+          onQueueUpdate,
+          onEnqueue: (requestId) => recordExternalJob(generation._id, requestId),
+        }),
+        cancellation.promise,
+      ]);
+    } finally {
+      cancellation.stop();
+      await onQueueUpdate.flush();
+    }
+
+    if (await isCancelled(generation._id)) {
+      throw createCancelledError(generationId);
+    }
+
+    const providerImageUrls = result.images.map(img => img.url).filter(Boolean);
+
+    if (providerImageUrls.length === 0) {
+      throw new Error(`No images generated by ${model.provider} provider`);
+    }
+
+    logger.info(`Generated ${providerImageUrls.length} images for generation: ${generationId}`);
+
+    // Copy generated images into storage; the generation keeps their keys
+    const generatedImageKeys = [];
+    const generatedVariants = [];
+    const generatedMetadata = [];
+    const total = providerImageUrls.length;
+    for (let i = 0; i < total; i++) {
+      await publishGenerationEvent(generation._id, 'upload', { index: i + 1, total, state: 'uploading' });
+
+      // Provider CDNs aren't on the allow list meant for client URLs
+      const stored = await storeRemoteImage(providerImageUrls[i], {
+        prefix: `generations/${generationId}`,
+        policy: model.output,
+        fetchOptions: { allowedHosts: [] },
+      }).catch((error) => {
+        logger.error(`Failed to store image ${i + 1} of generation ${generationId}:`, error);
+        return null;
+      });
+      if (stored) {
+        generatedImageKeys.push(stored.key);
+        generatedVariants.push(stored.variants);
+        generatedMetadata.push(stored.metadata);
+      }
+
+      await publishGenerationEvent(generation._id, 'upload', {
+        index: i + 1,
+        total,
+        state: stored ? 'uploaded' : 'failed',
+      });
+    }
+
+    // Provider URLs expire, so there is nothing to fall back to
+    if (generatedImageKeys.length === 0) {
+      throw new Error('None of the generated images could be stored');
+    }
+
+    logger.info(`Stored ${generatedImageKeys.length} images for generation: ${generationId}`);
+
+    // Record the seed the provider used so the result can be reproduced
+    if (result.seed !== null && result.seed !== undefined) {
+      generation.parameters.seed = result.seed;
+    }
+
+    // Complete generation; null means it was cancelled meanwhile and must not be charged
+    if (!await generation.complete(generatedImageKeys, generatedVariants, generatedMetadata)) {
+      throw createCancelledError(generationId);
+    }
+
+    // Charge the credits held when the generation was created, before anything
+    // else can fail and leave the hold pending
+    await chargeCompletedGeneration(generation);
+
+    await publishGenerationEvent(generation._id, 'completed', {
+      status: 'completed',
+      generatedImageUrls: generatedImageKeys.map(ref => urlFor(ref)),
+      seed: generation.parameters.seed,
+      processingTimeMs: generation.processingTimeMs,
+    });
+
+    logger.info(`Completed generation: ${generationId}`);
+
+  } catch (error) {
+    if (error.code === 'GENERATION_CANCELLED') {
+      logger.info(`Stopped processing cancelled generation: ${generationId}`);
+      return;
+    }
+
+    const willRetry = attempt < maxAttempts && isRetryableError(error);
+    logger.error(`Generation processing failed: ${generationId} (attempt ${attempt}/${maxAttempts})`, error);
+
+    // The generation stays active; the job goes back in the queue
+    if (willRetry) {
+      throw error;
+    }
+
+    try {
+      const generation = await Generation.findById(generationId);
+      if (generation && generation.status === 'completed') {
+        // Failed after completing; the work was delivered, so charge for it
+        await chargeCompletedGeneration(generation);
+      } else if (generation && await generation.fail(error.message)) {
+        await publishGenerationEvent(generation._id, 'failed', { status: 'failed', reason: error.message });
+
+        // Give back the credits held for it
+        await releaseCredits(generation._id, 'Generation failed');
+        logger.info(`Generation failed, held credits released: ${generationId}`);
+      }
+    } catch (updateError) {
+      logger.error(`Failed to update generation status: ${generationId}`, updateError);
+    }
+  }
+};
+
+// Persist a generation job so it survives restarts and can be picked up by any worker
+const enqueueGeneration = async (generationId, options = {}) => {
+  return await enqueue('generation', { generationId: generationId.toString() }, options);
+};
+
+// Worker that drains generation jobs from the queue
+const createGenerationWorker = (options = {}) => {
+  return createWorker({
+    generation: (job) => processGeneration(job.payload.generationId, {
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+    }),
+  }, options);
+};
+
+module.exports = {
+  storeRemoteImage,
+  processGeneration,
+  cancelGenerationRun,
+  enqueueGeneration,
+  createGenerationWorker,
+};
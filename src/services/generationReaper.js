@@ -0,0 +1,158 @@
+const Generation = require('../models/Generation');
+const AuditLog = require('../models/AuditLog');
+const { findOpenJob } = require('../utils/jobQueue');
+const { enqueueGeneration } = require('./generationProcessor');
+const { publishGenerationEvent } = require('./generationEvents');
+const { releaseCredits } = require('./credits');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const formatMinutes = (ms) => `${Math.round(ms / 60000)} minutes`;
+
+// Generations stuck in `processing` past the timeout, or `pending` for too long
+const findStaleGenerations = async (now = new Date()) => {
+  const { processingTimeoutMs, pendingTimeoutMs, batchSize } = config.reaper;
+
+  return await Generation.find({
+    $or: [
+      { status: 'processing', processingStartedAt: { $lt: new Date(now.getTime() - processingTimeoutMs) } },
+      // Legacy documents may be processing without a start time
+      { status: 'processing', processingStartedAt: null, updatedAt: { $lt: new Date(now.getTime() - processingTimeoutMs) } },
+      { status: 'pending', createdAt: { $lt: new Date(now.getTime() - pendingTimeoutMs) } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(batchSize);
+};
+
+const requeueGeneration = async (generation, context) => {
+  // Conditional reset so we never clobber a generation a worker just finished
+  const reset = await Generation.findOneAndUpdate(
+    { _id: generation._id, status: generation.status, updatedAt: generation.updatedAt },
+    {
+      $set: { status: 'pending', processingStartedAt: null, failureReason: null },
+      $inc: { recoveryAttempts: 1 },
+    },
+    { new: true }
+  );
+
+  if (!reset) {
+    return 'skipped';
+  }
+
+  const job = await enqueueGeneration(generation._id);
+  await publishGenerationEvent(generation._id, 'status', { status: 'pending', requeued: true });
+
+  await AuditLog.record({
+    action: 'generation.requeued',
+    actorType: context.actorId ? 'admin' : 'system',
+    actorId: context.actorId || null,
+    targetType: 'Generation',
+    targetId: generation._id,
+    userId: generation.userId,
+    reason: `Stuck in ${generation.status} and re-enqueued by reaper`,
+    details: {
+      trigger: context.trigger,
+      previousStatus: generation.status,
+      processingStartedAt: generation.processingStartedAt,
+      recoveryAttempt: reset.recoveryAttempts,
+      jobId: job._id,
+    },
+  });
+
+  logger.warn(`Reaper re-enqueued stale generation ${generation._id} (was ${generation.status})`);
+  return 'requeued';
+};
+
+const failStaleGeneration = async (generation, reason, context) => {
+  const previousStatus = generation.status;
+  const failed = await generation.fail(reason);
+  if (!failed) {
+    // Completed or cancelled while we were looking at it
+    return 'skipped';
+  }
+  await publishGenerationEvent(generation._id, 'failed', { status: 'failed', reason });
+  await releaseCredits(generation._id, 'Generation failed');
+
+  await AuditLog.record({
+    action: 'generation.reaped',
+    actorType: context.actorId ? 'admin' : 'system',
+    actorId: context.actorId || null,
+    targetType: 'Generation',
+    targetId: generation._id,
+    userId: generation.userId,
+    reason,
+    details: {
+      trigger: context.trigger,
+      previousStatus,
+      processingStartedAt: generation.processingStartedAt,
+      recoveryAttempts: generation.recoveryAttempts,
+    },
+  });
+
+  logger.warn(`Reaper failed stale generation ${generation._id}: ${reason}`);
+  return 'failed';
+};
+
+// Detect stuck generations and either re-enqueue or fail them, recording an audit entry for each action
+const reapStaleGenerations = async (context = {}) => {
+  const { hardTimeoutMs, maxRecoveries } = config.reaper;
+  const now = new Date();
+  const summary = { scanned: 0, requeued: 0, failed: 0, skipped: 0 };
+  const runContext = { trigger: 'schedule', ...context };
+
+  const generations = await findStaleGenerations(now);
+  summary.scanned = generations.length;
+
+  for (const generation of generations) {
+    try {
+      let outcome;
+      const startedAt = generation.processingStartedAt || generation.createdAt;
+      const age = now.getTime() - startedAt.getTime();
+      const openJob = await findOpenJob('generation', { generationId: generation._id.toString() });
+
+      if (generation.status === 'processing' && age > hardTimeoutMs) {
+        outcome = await failStaleGeneration(
+          generation,
+          `Generation timed out after ${formatMinutes(age)} of processing`,
+          runContext
+        );
+      } else if (openJob) {
+        // A live worker holds the job or it is still waiting in the queue
+        outcome = 'skipped';
+      } else if (generation.recoveryAttempts < maxRecoveries) {
+        outcome = await requeueGeneration(generation, runContext);
+      } else {
+        outcome = await failStaleGeneration(
+          generation,
+          `Generation was interrupted and could not be recovered after ${generation.recoveryAttempts} attempt(s)`,
+          runContext
+        );
+      }
+
+      summary[outcome] += 1;
+    } catch (error) {
+      summary.skipped += 1;
+      logger.error(`Reaper failed to handle generation ${generation._id}:`, error);
+    }
+  }
+
+  if (summary.requeued || summary.failed) {
+    logger.info('Stale generation reaper finished:', { ...summary, trigger: runContext.trigger });
+  }
+
+  return summary;
+};
+
+const countStaleGenerations = async () => {
+  const { processingTimeoutMs } = config.reaper;
+  return await Generation.countDocuments({
+    status: 'processing',
+    processingStartedAt: { $lt: new Date(Date.now() - processingTimeoutMs) },
+  });
+};
+
+module.exports = {
+  reapStaleGenerations,
+  countStaleGenerations,
+};
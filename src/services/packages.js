@@ -0,0 +1,149 @@
+const Package = require('../models/Package');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Catalog created on first start; manage it afterwards through /api/admin/packages
+const DEFAULT_PACKAGES = [
+  {
+    key: 'small',
+    name: '10 Credits',
+    credits: 10,
+    price: 199,
+    description: 'Perfect for trying out the app',
+    sortOrder: 10,
+  },
+  {
+    key: 'medium',
+    name: '50 Credits',
+    credits: 50,
+    price: 799,
+    description: 'Most popular package',
+    discount: 20,
+    sortOrder: 20,
+  },
+  {
+    key: 'large',
+    name: '100 Credits',
+    credits: 100,
+    price: 1299,
+    description: 'Best value for heavy users',
+    discount: 35,
+    sortOrder: 30,
+  },
+  {
+    key: 'premium',
+    name: 'Premium Monthly',
+    credits: 0, // Unlimited
+    price: config.premium.price,
+    description: `Unlimited generations for ${config.premium.durationDays} days`,
+    isPremium: true,
+    productIds: { stripePriceId: config.stripe.premiumPriceId || null },
+    sortOrder: 40,
+  },
+  // In-app purchases through RevenueCat; the stores charge their own prices
+  ...[
+    ['try', 'Try Package', 5, 99],
+    ['mini', 'Mini Package', 15, 299],
+    ['starter', 'Starter Package', 30, 499],
+    ['popular', 'Popular Package', 75, 999],
+    ['value', 'Value Package', 150, 1799],
+    ['mega', 'Mega Package', 400, 3999],
+  ].map(([key, name, credits, price], index) => ({
+    key,
+    name,
+    credits,
+    price,
+    availableOnWeb: false,
+    productIds: { appStore: key, playStore: key },
+    sortOrder: 100 + index * 10,
+  })),
+  {
+    key: 'premium_monthly',
+    name: 'Premium Monthly',
+    credits: config.premium.credits,
+    price: config.premium.price,
+    isPremium: true,
+    availableOnWeb: false,
+    productIds: { appStore: 'premium_monthly', playStore: 'premium_monthly' },
+    sortOrder: 200,
+  },
+];
+
+const PLATFORM_FILTERS = {
+  web: (pkg) => pkg.availableOnWeb,
+  ios: (pkg) => Boolean(pkg.productIds.appStore),
+  android: (pkg) => Boolean(pkg.productIds.playStore),
+};
+
+// Every package, including inactive ones, cached for `packages.cacheTtlMs`
+let cache = null;
+
+const loadPackages = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.packages;
+  }
+
+  const packages = await Package.find().sort({ sortOrder: 1, createdAt: 1 });
+  cache = { packages, expiresAt: Date.now() + config.packages.cacheTtlMs };
+  return packages;
+};
+
+// Drop the cache after the catalog changes; other processes pick it up within the TTL
+const invalidatePackageCache = () => {
+  cache = null;
+};
+
+// Active packages in display order, optionally only those sold on `platform`
+const listActivePackages = async ({ platform } = {}) => {
+  const packages = (await loadPackages()).filter(pkg => pkg.isActive);
+  return platform ? packages.filter(PLATFORM_FILTERS[platform]) : packages;
+};
+
+// Package a customer can buy on the web; null if unknown or unavailable
+const findWebPackage = async (key) => {
+  const packages = await listActivePackages({ platform: 'web' });
+  return packages.find(pkg => pkg.key === key) || null;
+};
+
+// Package behind a store product. Inactive packages still match so that purchases
+// made before a package was withdrawn are credited.
+const findPackageByProductId = async (productId) => {
+  const packages = await loadPackages();
+  return packages.find(pkg => pkg.productIds.appStore === productId || pkg.productIds.playStore === productId) || null;
+};
+
+const findPremiumPackage = async () => {
+  const packages = await listActivePackages();
+  return packages.find(pkg => pkg.isPremium && pkg.productIds.stripePriceId) || null;
+};
+
+// Create the default catalog when there is none yet
+const ensureDefaultPackages = async () => {
+  if (await Package.exists({})) {
+    return 0;
+  }
+
+  try {
+    const created = await Package.insertMany(DEFAULT_PACKAGES, { ordered: false });
+    logger.info(`Created ${created.length} default packages`);
+    return created.length;
+  } catch (error) {
+    // Another process created them at the same time
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return 0;
+  } finally {
+    invalidatePackageCache();
+  }
+};
+
+module.exports = {
+  DEFAULT_PACKAGES,
+  listActivePackages,
+  findWebPackage,
+  findPackageByProductId,
+  findPremiumPackage,
+  invalidatePackageCache,
+  ensureDefaultPackages,
+};
@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { completeForTransaction, releaseForTransaction } = require('./promoCodes');
+const { recordTaxTransaction } = require('./tax');
+const eventBus = require('../utils/eventBus');
+const { sendPremiumUpgradeEmail } = require('../utils/email');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Grant what a succeeded payment intent paid for. The transaction is claimed with
+ * a pending → completed transition first, so the webhook, a replay and
+ * `confirmPayment` racing on the same payment grant it once; the losers resolve
+ * to false. Premium and credits are granted in one update, so a failed grant
+ * leaves the balance untouched and the claim is undone for a retry. Once the
+ * balance changed the transaction stays completed whatever fails afterwards.
+ */
+const processSuccessfulPayment = async (transaction, paymentIntent) => {
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: { status: 'completed', processedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    logger.info(`Payment ${paymentIntent.id} was already processed`);
+    return false;
+  }
+
+  // Grant what the transaction recorded at purchase, even if the package changed since
+  const isPremium = claimed.type === 'premium_subscription';
+  const creditsAdded = isPremium ? config.premium.credits : claimed.creditsAdded;
+  const days = config.premium.durationDays;
+
+  let user;
+  let period = null;
+  try {
+    user = await User.findById(claimed.userId);
+    if (isPremium) {
+      // Activate premium subscription; a renewal extends the current period
+      period = await user.activatePremium(days, { source: 'purchase', credits: creditsAdded });
+    } else {
+      await user.addCredits(creditsAdded);
+    }
+  } catch (error) {
+    logger.error('Payment processing failed:', error);
+    // Nothing was granted, so a retry or replay may process it again
+    await Transaction.updateOne(
+      { _id: claimed._id, status: 'completed' },
+      { $set: { status: 'pending', processedAt: null } }
+    );
+    throw error;
+  }
+
+  // Only once the grant stands, so a failed grant leaves the promo code reserved
+  // for the retry. The grant stands either way.
+  await completeForTransaction(claimed._id).catch(error => {
+    logger.error(`Failed to complete the promo redemption of transaction ${claimed._id}:`, error);
+  });
+  await recordTaxTransaction(claimed.metadata.taxCalculationId, paymentIntent.id).catch(error => {
+    logger.error(`Failed to record the tax of transaction ${claimed._id} with Stripe Tax:`, error);
+  });
+
+  if (period) {
+    claimed.metadata.premiumDays = days;
+    claimed.metadata.premiumPeriodStart = period.periodStart;
+    claimed.metadata.premiumPeriodEnd = period.periodEnd;
+    // Only a record of the period; the grant stands either way
+    await claimed.save().catch(error => {
+      logger.error(`Failed to record the premium period of transaction ${claimed._id}:`, error);
+    });
+
+    // Send premium upgrade email
+    sendPremiumUpgradeEmail(user).catch(err => {
+      logger.error('Failed to send premium upgrade email:', err);
+    });
+  }
+
+  eventBus.emit('payment.succeeded', {
+    user,
+    transaction: claimed,
+    creditsAdded,
+  });
+
+  logger.info(`Payment processed successfully: ${paymentIntent.id} for user ${user._id}`);
+  return true;
+};
+
+const handlePaymentIntentSucceeded = async (paymentIntent) => {
+  const transaction = await Transaction.findOne({
+    stripePaymentIntentId: paymentIntent.id,
+  });
+
+  if (transaction) {
+    await processSuccessfulPayment(transaction, paymentIntent);
+  }
+};
+
+// Fail the pending transaction of a payment intent and give back its promo code use
+const failPendingPayment = async (paymentIntent, reason) => {
+  const failed = await Transaction.findOneAndUpdate(
+    { stripePaymentIntentId: paymentIntent.id, status: 'pending' },
+    { $set: { status: 'failed', failureReason: reason, processedAt: new Date() } },
+    { new: true }
+  );
+
+  if (failed) {
+    await releaseForTransaction(failed._id);
+    logger.info(`${reason}: ${paymentIntent.id}`);
+  }
+};
+
+const handlePaymentIntentFailed = (paymentIntent) => failPendingPayment(paymentIntent, 'Payment failed');
+
+const handlePaymentIntentCanceled = (paymentIntent) => failPendingPayment(paymentIntent, 'Payment canceled');
+
+module.exports = {
+  processSuccessfulPayment,
+  handlePaymentIntentSucceeded,
+  handlePaymentIntentFailed,
+  handlePaymentIntentCanceled,
+};
@@ -0,0 +1,36 @@
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Clear `isPremium` on subscriptions that ran out. Access already ends at
+// `premiumExpiresAt` through `isPremiumActive`; this keeps stored flags, admin
+// stats and filters accurate.
+const expirePremiumSubscriptions = async (now = new Date()) => {
+  const summary = { scanned: 0, expired: 0 };
+
+  const users = await User.find({
+    isPremium: true,
+    $or: [{ premiumExpiresAt: { $lte: now } }, { premiumExpiresAt: null }],
+  })
+    .sort({ premiumExpiresAt: 1 })
+    .limit(config.premium.expiryBatchSize);
+  summary.scanned = users.length;
+
+  for (const user of users) {
+    try {
+      // null: renewed after we loaded it
+      if (await user.expirePremium(now)) {
+        summary.expired += 1;
+        logger.info(`Premium subscription expired for user ${user._id} (expired at ${user.premiumExpiresAt})`);
+      }
+    } catch (error) {
+      logger.error(`Failed to expire premium subscription for user ${user._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  expirePremiumSubscriptions,
+};
@@ -0,0 +1,277 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Transaction = require('../models/Transaction');
+const stripe = require('../utils/stripe');
+const { minimumCharge } = require('../utils/currency');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Why the code can't be used this way, or null
+const checkEligibility = (promoCode, type, pkg = null) => {
+  if (!promoCode || !promoCode.isRedeemableAt()) {
+    return 'This promo code is invalid or has expired';
+  }
+  if (promoCode.type !== type) {
+    return type === 'credits'
+      ? 'This promo code gives a discount at checkout'
+      : 'This promo code can only be redeemed for credits';
+  }
+  if (pkg && promoCode.packageKeys.length > 0 && !promoCode.packageKeys.includes(pkg.key)) {
+    return 'This promo code does not apply to this package';
+  }
+  return null;
+};
+
+// Give back a pending redemption's use of the code
+const releaseWhere = async (filter) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { ...filter, status: 'pending' },
+    { $set: { status: 'released' } },
+    { new: true }
+  );
+  if (redemption) {
+    await PromoCode.updateOne({ _id: redemption.promoCodeId }, { $inc: { redemptionCount: -1 } });
+  }
+  return redemption;
+};
+
+/**
+ * Take one use of the code for the user, enforcing both limits. The code's counter
+ * is claimed with a conditional update; the per-user limit is checked after the
+ * redemption is written, so concurrent requests from one user can't both pass.
+ * Resolves to `{ redemption }` or `{ error }`.
+ */
+const reserveRedemption = async (promoCode, user, fields) => {
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCode._id,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: 'This promo code has reached its redemption limit' };
+  }
+
+  const redemption = await PromoRedemption.create({
+    promoCodeId: promoCode._id,
+    code: promoCode.code,
+    userId: user._id,
+    type: promoCode.type,
+    ...fields,
+  });
+
+  const used = await PromoRedemption.countDocuments({
+    promoCodeId: promoCode._id,
+    userId: user._id,
+    status: { $in: ['pending', 'completed'] },
+  });
+  if (used > promoCode.maxRedemptionsPerUser) {
+    await releaseWhere({ _id: redemption._id });
+    return { error: 'You have already used this promo code' };
+  }
+
+  return { redemption };
+};
+
+// Redeem a credits code. Resolves to `{ redemption, transaction }` or `{ error }`.
+const redeemCreditsCode = async (user, code) => {
+  const promoCode = await PromoCode.findOne({ code: normalizeCode(code) });
+  const ineligible = checkEligibility(promoCode, 'credits');
+  if (ineligible) {
+    return { error: ineligible };
+  }
+
+  const { redemption, error } = await reserveRedemption(promoCode, user, {
+    creditsGranted: promoCode.credits,
+  });
+  if (error) {
+    return { error };
+  }
+
+  const transaction = await Transaction.create({
+    userId: user._id,
+    type: 'bonus',
+    amount: 0,
+    creditsAdded: promoCode.credits,
+    status: 'pending',
+    description: `Promo code ${promoCode.code}`,
+    metadata: { promotionCode: promoCode.code },
+  });
+
+  try {
+    await user.addCredits(promoCode.credits);
+    await transaction.complete();
+  } catch (err) {
+    await transaction.fail('Promo code redemption failed');
+    await releaseWhere({ _id: redemption._id });
+    throw err;
+  }
+
+  redemption.status = 'completed';
+  redemption.transactionId = transaction._id;
+  redemption.completedAt = new Date();
+  await redemption.save();
+
+  logger.info(`Promo code ${promoCode.code} redeemed by user ${user._id} for ${promoCode.credits} credits`);
+  return { redemption, transaction };
+};
+
+/**
+ * Apply a discount code to a package purchase. `pkg` is `{ key, price, currency }`
+ * with the price in the smallest unit of its currency (the default currency when
+ * omitted). The redemption stays pending until the payment succeeds
+ * (`completeForTransaction`) or fails (`releaseForTransaction`).
+ * Resolves to `{ redemption, price, discountAmount }` or `{ error }`.
+ */
+const applyDiscountCode = async (user, code, pkg) => {
+  const promoCode = await PromoCode.findOne({ code: normalizeCode(code) });
+  const ineligible = checkEligibility(promoCode, 'discount', pkg);
+  if (ineligible) {
+    return { error: ineligible };
+  }
+
+  const currency = pkg.currency || config.currency.default;
+  const discountAmount = Math.round(pkg.price * promoCode.percentOff / 100);
+  const price = pkg.price - discountAmount;
+  if (price < minimumCharge(currency)) {
+    return { error: 'This promo code cannot be used for this package' };
+  }
+
+  const { redemption, error } = await reserveRedemption(promoCode, user, {
+    discountAmount,
+    currency,
+    packageKey: pkg.key,
+  });
+  if (error) {
+    return { error };
+  }
+
+  return { redemption, price, discountAmount };
+};
+
+const completeForTransaction = async (transactionId) => {
+  await PromoRedemption.updateOne(
+    { transactionId, status: 'pending' },
+    { $set: { status: 'completed', completedAt: new Date() } }
+  );
+};
+
+const releaseForTransaction = (transactionId) => releaseWhere({ transactionId });
+
+const releaseRedemption = (redemption) => releaseWhere({ _id: redemption._id });
+
+// Settle one abandoned discount. Its payment intent is cancelled first, so the
+// discount can't be paid for once its use is given back. True if it was released.
+const releaseStaleRedemption = async (redemption) => {
+  const transaction = redemption.transactionId ? await Transaction.findById(redemption.transactionId) : null;
+
+  if (transaction && transaction.status === 'completed') {
+    // Paid, but completing the redemption failed after the grant
+    await completeForTransaction(transaction._id);
+    return false;
+  }
+
+  if (transaction && transaction.status === 'pending' && transaction.stripePaymentIntentId) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(transaction.stripePaymentIntentId);
+    // Being paid right now; the payment intent webhooks settle it
+    if (['processing', 'succeeded'].includes(paymentIntent.status)) {
+      return false;
+    }
+    if (paymentIntent.status !== 'canceled') {
+      await stripe.paymentIntents.cancel(paymentIntent.id, { cancellation_reason: 'abandoned' });
+    }
+    await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'failed', failureReason: 'Checkout abandoned', processedAt: new Date() } }
+    );
+  }
+
+  return Boolean(await releaseWhere({ _id: redemption._id }));
+};
+
+/**
+ * Give back the uses of discounts still pending after `PROMO_PENDING_TTL_MS`,
+ * for checkouts that were abandoned or whose payment intent events were missed.
+ * Resolves to `{ scanned, released }`.
+ */
+const releaseStaleRedemptions = async (now = new Date()) => {
+  const summary = { scanned: 0, released: 0 };
+
+  const redemptions = await PromoRedemption.find({
+    type: 'discount',
+    status: 'pending',
+    createdAt: { $lt: new Date(now.getTime() - config.promoCodes.pendingTtlMs) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(config.promoCodes.releaseBatchSize);
+  summary.scanned = redemptions.length;
+
+  for (const redemption of redemptions) {
+    try {
+      if (await releaseStaleRedemption(redemption)) {
+        summary.released += 1;
+        logger.info(`Released abandoned ${redemption.code} redemption ${redemption._id}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to release promo redemption ${redemption._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Redemption totals for a code, by status. Discounts are summed per currency,
+// e.g. `discountAmount: { usd: 249, eur: 200 }`, in each one's smallest unit.
+const getRedemptionSummary = async (promoCodeId) => {
+  const rows = await PromoRedemption.aggregate([
+    { $match: { promoCodeId } },
+    {
+      $group: {
+        // Discounts from before checkout took other currencies were charged in USD
+        _id: {
+          status: '$status',
+          currency: { $cond: [{ $eq: ['$type', 'discount'] }, { $ifNull: ['$currency', 'usd'] }, null] },
+        },
+        count: { $sum: 1 },
+        creditsGranted: { $sum: '$creditsGranted' },
+        discountAmount: { $sum: '$discountAmount' },
+        users: { $addToSet: '$userId' },
+      },
+    },
+  ]);
+
+  const summary = {};
+  const users = {};
+  for (const row of rows) {
+    const { status, currency } = row._id;
+    const totals = summary[status] || { count: 0, creditsGranted: 0, discountAmount: {}, uniqueUsers: 0 };
+    totals.count += row.count;
+    totals.creditsGranted += row.creditsGranted;
+    if (currency) {
+      totals.discountAmount[currency] = (totals.discountAmount[currency] || 0) + row.discountAmount;
+    }
+
+    users[status] = new Set([...(users[status] || []), ...row.users.map(String)]);
+    totals.uniqueUsers = users[status].size;
+    summary[status] = totals;
+  }
+  return summary;
+};
+
+module.exports = {
+  normalizeCode,
+  redeemCreditsCode,
+  applyDiscountCode,
+  completeForTransaction,
+  releaseForTransaction,
+  releaseRedemption,
+  releaseStaleRedemptions,
+  getRedemptionSummary,
+};
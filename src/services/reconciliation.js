@@ -0,0 +1,264 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const EMPTY_LEDGER = { credits: 0, reservedCredits: 0 };
+
+// Purchases marked `refunded` granted their credits and took back `creditsClawedBack`
+// of them; without a recorded amount they were taken back in full
+const REFUNDED_NET_CREDITS = {
+  $subtract: ['$creditsAdded', { $ifNull: ['$metadata.creditsClawedBack', '$creditsAdded'] }],
+};
+
+/**
+ * Balances implied by the ledger for each user:
+ * - credits: every completed entry, plus credit usage still held (`pending`), plus
+ *   what refunded purchases left the user after their clawback
+ * - reservedCredits: the credit usage still held
+ * Failed and released entries never moved the balance.
+ */
+const computeLedgerBalances = async (userIds) => {
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        userId: { $in: userIds },
+        $or: [
+          { status: { $in: ['completed', 'refunded'] } },
+          { type: 'credit_usage', status: 'pending' },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: '$userId',
+        credits: {
+          $sum: { $cond: [{ $eq: ['$status', 'refunded'] }, REFUNDED_NET_CREDITS, '$creditsAdded'] },
+        },
+        reservedCredits: {
+          $sum: { $cond: [{ $eq: ['$status', 'pending'] }, { $multiply: ['$creditsAdded', -1] }, 0] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), {
+    credits: row.credits,
+    reservedCredits: row.reservedCredits,
+  }]));
+};
+
+// Difference between a user's stored balances and the ledger; null when they agree
+const measureDrift = (user, ledger = EMPTY_LEDGER) => {
+  const storedReservedCredits = user.reservedCredits || 0;
+  const drift = user.credits - ledger.credits;
+  const reservedDrift = storedReservedCredits - ledger.reservedCredits;
+
+  if (drift === 0 && reservedDrift === 0) {
+    return null;
+  }
+
+  return {
+    userId: user._id,
+    storedCredits: user.credits,
+    ledgerCredits: ledger.credits,
+    drift,
+    storedReservedCredits,
+    ledgerReservedCredits: ledger.reservedCredits,
+    reservedDrift,
+  };
+};
+
+const measureUser = async (userId) => {
+  const user = await User.findById(userId).select('credits reservedCredits').lean();
+  if (!user) {
+    return { user: null, drift: null };
+  }
+
+  const ledgers = await computeLedgerBalances([user._id]);
+  return { user, drift: measureDrift(user, ledgers.get(user._id.toString())) };
+};
+
+const scanBatch = async (users) => {
+  const ledgers = await computeLedgerBalances(users.map(user => user._id));
+  return users
+    .map(user => measureDrift(user, ledgers.get(user._id.toString())))
+    .filter(Boolean);
+};
+
+/**
+ * Bring a user's balances and ledger back in line, re-measuring first:
+ * - reservedCredits is set to what the pending holds account for; any difference
+ *   moves to or from the available balance
+ * - whatever drift remains in credits is booked as an `adjustment` transaction,
+ *   so the ledger matches the balance the user actually has
+ * Resolves to the updated discrepancy; it stays open if the balance changed meanwhile.
+ */
+const correctDiscrepancy = async (discrepancy, { actorId = null } = {}) => {
+  const { user, drift: current } = await measureUser(discrepancy.userId);
+
+  if (!user) {
+    discrepancy.note = 'User no longer exists';
+    return await discrepancy.save();
+  }
+
+  if (!current) {
+    discrepancy.status = 'resolved';
+    discrepancy.note = 'Balance matched the ledger when re-checked';
+    return await discrepancy.save();
+  }
+
+  let credits = user.credits;
+  if (current.reservedDrift !== 0) {
+    const moved = current.reservedDrift;
+    // Only apply if nothing touched the balances since they were measured
+    const updated = user.credits + moved >= 0 && await User.findOneAndUpdate(
+      { _id: user._id, credits: user.credits, reservedCredits: current.storedReservedCredits },
+      { $inc: { reservedCredits: -moved, credits: moved } },
+      { new: true }
+    );
+
+    if (!updated) {
+      discrepancy.note = 'Balance changed or is too low to release the reserved drift; re-run reconciliation';
+      return await discrepancy.save();
+    }
+    credits = updated.credits;
+  }
+
+  const drift = credits - current.ledgerCredits;
+  let adjustment = null;
+  if (drift !== 0) {
+    adjustment = await Transaction.create({
+      userId: user._id,
+      type: 'adjustment',
+      amount: 0,
+      creditsAdded: drift,
+      status: 'completed',
+      processedAt: new Date(),
+      description: `Balance reconciliation adjustment (${drift > 0 ? '+' : ''}${drift} credits)`,
+      metadata: {
+        reconciliationRunId: discrepancy.runId,
+      },
+    });
+  }
+
+  discrepancy.status = 'corrected';
+  discrepancy.note = null;
+  discrepancy.adjustmentTransactionId = adjustment ? adjustment._id : null;
+  discrepancy.correctedBy = actorId;
+  discrepancy.correctedAt = new Date();
+  await discrepancy.save();
+
+  await AuditLog.record({
+    action: 'credits.reconciled',
+    actorType: actorId ? 'admin' : 'system',
+    actorId,
+    targetType: 'User',
+    targetId: user._id,
+    userId: user._id,
+    reason: 'Stored balance did not match the transaction ledger',
+    details: {
+      runId: discrepancy.runId,
+      discrepancyId: discrepancy._id,
+      storedCredits: current.storedCredits,
+      ledgerCredits: current.ledgerCredits,
+      storedReservedCredits: current.storedReservedCredits,
+      ledgerReservedCredits: current.ledgerReservedCredits,
+      reservedCreditsReleased: current.reservedDrift,
+      adjustment: drift,
+      adjustmentTransactionId: adjustment ? adjustment._id : null,
+    },
+  });
+
+  logger.warn(`Reconciled credits for user ${user._id}: reserved ${current.reservedDrift}, adjustment ${drift}`);
+  return discrepancy;
+};
+
+// Compare every user's balances with the ledger, recording a discrepancy per drifting user
+const runReconciliation = async ({
+  trigger = 'schedule',
+  actorId = null,
+  userId = null,
+  autoCorrect = config.reconciliation.autoCorrect,
+} = {}) => {
+  const { batchSize, maxAutoCorrect } = config.reconciliation;
+  const run = await ReconciliationRun.create({ trigger, actorId, userId, autoCorrect });
+
+  try {
+    const candidates = [];
+    const cursor = User.find(userId ? { _id: userId } : {})
+      .select('credits reservedCredits')
+      .lean()
+      .cursor({ batchSize });
+
+    let batch = [];
+    for await (const user of cursor) {
+      batch.push(user);
+      if (batch.length >= batchSize) {
+        candidates.push(...await scanBatch(batch));
+        run.usersScanned += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      candidates.push(...await scanBatch(batch));
+      run.usersScanned += batch.length;
+    }
+
+    for (const candidate of candidates) {
+      // Re-measure so a generation reserved between the two reads isn't reported
+      const { drift } = await measureUser(candidate.userId);
+      if (!drift) {
+        continue;
+      }
+
+      let discrepancy = await BalanceDiscrepancy.create({ runId: run._id, ...drift });
+      run.discrepancies += 1;
+      run.netDrift += drift.drift;
+
+      if (autoCorrect) {
+        if (Math.abs(drift.drift) + Math.abs(drift.reservedDrift) > maxAutoCorrect) {
+          discrepancy.note = `Drift exceeds the auto-correct limit of ${maxAutoCorrect} credits`;
+          await discrepancy.save();
+        } else {
+          discrepancy = await correctDiscrepancy(discrepancy, { actorId });
+          if (discrepancy.status === 'corrected') {
+            run.corrected += 1;
+          }
+        }
+      }
+    }
+
+    run.status = 'completed';
+    run.completedAt = new Date();
+    await run.save();
+
+    if (run.discrepancies > 0) {
+      logger.warn('Credit reconciliation found drifting balances:', {
+        runId: run._id.toString(),
+        usersScanned: run.usersScanned,
+        discrepancies: run.discrepancies,
+        corrected: run.corrected,
+        netDrift: run.netDrift,
+      });
+    }
+
+    return run;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    run.completedAt = new Date();
+    await run.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  computeLedgerBalances,
+  measureDrift,
+  correctDiscrepancy,
+  runReconciliation,
+};
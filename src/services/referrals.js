@@ -0,0 +1,277 @@
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const Transaction = require('../models/Transaction');
+const eventBus = require('../utils/eventBus');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Give an account created before referral codes existed its code
+const ensureReferralCode = async (user) => {
+  if (user.referralCode) {
+    return user.referralCode;
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, referralCode: null },
+    { $set: { referralCode: User.generateReferralCode() } },
+    { new: true }
+  ) || await User.findById(user._id).select('referralCode');
+
+  user.referralCode = updated.referralCode;
+  user.unmarkModified('referralCode');
+  return user.referralCode;
+};
+
+// Active user owning the code, or null
+const findReferrer = async (code) => {
+  const referralCode = normalizeCode(code);
+  if (!referralCode) {
+    return null;
+  }
+  return await User.findOne({ referralCode, isActive: true });
+};
+
+const signupIpOf = async (userId) => {
+  const signup = await Transaction.findOne({ userId, type: 'signup_bonus' }).select('metadata.ipAddress');
+  return signup ? signup.metadata.ipAddress : null;
+};
+
+// Why an invite looks like someone inviting themselves, or null
+const checkAbuse = async (referrer, user, { ipAddress, deviceId }) => {
+  if (referrer._id.equals(user._id)) {
+    return 'Users cannot refer themselves';
+  }
+
+  if (deviceId) {
+    if (referrer.deviceId === deviceId) {
+      return 'Invitee signed up on the referrer\'s device';
+    }
+    if (await User.exists({ deviceId, _id: { $ne: user._id } })) {
+      return 'Device already belongs to another account';
+    }
+  }
+
+  if (ipAddress) {
+    if (ipAddress === await signupIpOf(referrer._id)) {
+      return 'Invitee signed up from the referrer\'s IP address';
+    }
+    const fromIp = await Referral.countDocuments({ referrerId: referrer._id, signupIp: ipAddress });
+    if (fromIp >= config.referrals.maxPerIp) {
+      return 'Too many invitees from this IP address';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record that a new user signed up with `referrer`'s code. Invites that fail the
+ * abuse checks are kept as `rejected` so they show up for the referrer and admins,
+ * but are never rewarded. Resolves to the referral, or null if the user was
+ * already referred.
+ */
+const createReferral = async (referrer, user, { ipAddress = null, deviceId = null } = {}) => {
+  const rejectReason = await checkAbuse(referrer, user, { ipAddress, deviceId });
+
+  let referral;
+  try {
+    referral = await Referral.create({
+      referrerId: referrer._id,
+      refereeId: user._id,
+      code: referrer.referralCode,
+      status: rejectReason ? 'rejected' : 'pending',
+      rejectReason,
+      signupIp: ipAddress,
+      deviceId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (rejectReason) {
+    logger.warn(`Referral of user ${user._id} by ${referrer._id} rejected: ${rejectReason}`);
+  }
+  return referral;
+};
+
+// Credit one side of a referral. The transaction is claimed pending → completed
+// before crediting, so a retry after a failure credits it at most once.
+const rewardUser = async (user, referral, role, credits) => {
+  const filter = {
+    userId: user._id,
+    type: 'referral_bonus',
+    'metadata.referralId': referral._id,
+    'metadata.referralRole': role,
+  };
+
+  // A failed attempt leaves its transaction pending for the retry
+  if (!await Transaction.exists(filter)) {
+    await Transaction.create({
+      userId: user._id,
+      type: 'referral_bonus',
+      amount: 0,
+      creditsAdded: credits,
+      status: 'pending',
+      description: role === 'referrer' ? 'Referral reward - friend joined' : 'Referral reward - welcome',
+      metadata: { referralId: referral._id, referralRole: role },
+    });
+  }
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { ...filter, status: 'pending' },
+    { $set: { status: 'completed', processedAt: new Date() } },
+    { new: true }
+  );
+  if (!transaction) {
+    // Credited by an attempt that failed before recording it on the referral
+    return await Transaction.findOne({ ...filter, status: 'completed' });
+  }
+
+  try {
+    await user.addCredits(transaction.creditsAdded);
+  } catch (error) {
+    // Nothing was credited, so the retry may claim it again
+    await Transaction.updateOne(
+      { _id: transaction._id, status: 'completed' },
+      { $set: { status: 'pending', processedAt: null } }
+    );
+    throw error;
+  }
+  return transaction;
+};
+
+// Take one of the referrer's reward slots. False once the limit is reached.
+const claimRewardSlot = async (referrer) => {
+  const claimed = await User.updateOne(
+    { _id: referrer._id, referralRewardCount: { $lt: config.referrals.maxRewardsPerReferrer } },
+    { $inc: { referralRewardCount: 1 } }
+  );
+  return claimed.modifiedCount === 1;
+};
+
+const releaseRewardSlot = (referrer) => User.updateOne(
+  { _id: referrer._id, referralRewardCount: { $gt: 0 } },
+  { $inc: { referralRewardCount: -1 } }
+);
+
+/**
+ * Reward both sides of a pending referral once the invitee qualifies. The referral
+ * is claimed with a pending → processing transition so concurrent triggers reward
+ * it once; a failure returns it to pending for the next trigger.
+ * Resolves to the referral, or null if there was nothing pending for this trigger.
+ */
+const qualifyReferral = async (refereeId, trigger) => {
+  if (!config.referrals.enabled || config.referrals.qualifyOn !== trigger) {
+    return null;
+  }
+
+  const referral = await Referral.findOneAndUpdate(
+    { refereeId, status: 'pending' },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+  if (!referral) {
+    return null;
+  }
+
+  const [referrer, referee] = await Promise.all([
+    User.findById(referral.referrerId),
+    User.findById(referral.refereeId),
+  ]);
+  if (!referrer || !referrer.isActive || !referee) {
+    referral.status = 'rejected';
+    referral.rejectReason = 'Referrer or invitee account is no longer active';
+    return await referral.save();
+  }
+
+  // A retry whose referrer reward already landed still holds its slot
+  if (!referral.referrerTransactionId && !await claimRewardSlot(referrer)) {
+    referral.status = 'rejected';
+    referral.rejectReason = 'Referrer reached the reward limit';
+    return await referral.save();
+  }
+
+  // Completed rewards are recorded on the referral as they land, so a retry skips them
+  try {
+    if (!referral.referrerTransactionId) {
+      const transaction = await rewardUser(referrer, referral, 'referrer', config.referrals.referrerCredits);
+      referral.referrerTransactionId = transaction._id;
+      referral.referrerCredits = transaction.creditsAdded;
+    }
+    if (!referral.refereeTransactionId) {
+      const transaction = await rewardUser(referee, referral, 'referee', config.referrals.refereeCredits);
+      referral.refereeTransactionId = transaction._id;
+      referral.refereeCredits = transaction.creditsAdded;
+    }
+  } catch (error) {
+    logger.error(`Referral reward for user ${refereeId} failed:`, error);
+    if (!referral.referrerTransactionId) {
+      await releaseRewardSlot(referrer);
+    }
+    referral.status = 'pending';
+    await referral.save();
+    throw error;
+  }
+
+  referral.status = 'rewarded';
+  referral.qualifiedBy = trigger;
+  referral.rewardedAt = new Date();
+  await referral.save();
+
+  logger.info(`Referral rewarded: ${referrer._id} invited ${referee._id} (${trigger})`);
+  return referral;
+};
+
+// Invites and earnings of a referrer, by status
+const getReferralSummary = async (referrerId) => {
+  const rows = await Referral.aggregate([
+    { $match: { referrerId } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        creditsEarned: { $sum: '$referrerCredits' },
+      },
+    },
+  ]);
+
+  const byStatus = Object.fromEntries(rows.map(row => [row._id, row]));
+  const countOf = (status) => (byStatus[status] ? byStatus[status].count : 0);
+
+  return {
+    invited: rows.reduce((sum, row) => sum + row.count, 0),
+    pending: countOf('pending') + countOf('processing'),
+    rewarded: countOf('rewarded'),
+    rejected: countOf('rejected'),
+    creditsEarned: byStatus.rewarded ? byStatus.rewarded.creditsEarned : 0,
+  };
+};
+
+let registered = false;
+
+// A first purchase qualifies the invitee when `REFERRAL_QUALIFY_ON=purchase`
+const registerReferralListeners = () => {
+  if (registered) return;
+  registered = true;
+
+  eventBus.on('payment.succeeded', ({ user }) => {
+    qualifyReferral(user._id, 'purchase').catch(error => {
+      logger.error(`Failed to qualify referral for user ${user._id}:`, error);
+    });
+  });
+};
+
+module.exports = {
+  normalizeCode,
+  ensureReferralCode,
+  findReferrer,
+  createReferral,
+  qualifyReferral,
+  getReferralSummary,
+  registerReferralListeners,
+};
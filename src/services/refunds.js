@@ -0,0 +1,294 @@
+const stripe = require('../utils/stripe');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const eventBus = require('../utils/eventBus');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * A refund leaves the purchase `completed` and records what it took back as a
+ * `refund` entry linked through `metadata.originalTransactionId`:
+ *
+ * - the purchase's `refundedAmount` grows by the refunded amount
+ * - the entry's `amount` is the money returned, `creditsAdded` the credits clawed back
+ *
+ * Refunds and disputes from Stripe are recorded once, keyed by their Stripe id, so a
+ * refund made here and the `charge.refunded` webhook it causes apply it once. Store
+ * refunds reported by RevenueCat go through `recordRefund` too.
+ */
+
+const REFUNDABLE_TYPES = ['credit_purchase', 'premium_subscription'];
+
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value || null);
+
+const refundableAmount = (transaction) => transaction.amount - (transaction.refundedAmount || 0);
+
+// Credits granted for the share of the price refunded so far; cumulative so partial refunds add up exactly
+const creditsForShare = (transaction, refundedAmount) => {
+  // Free grants have no price to take a share of
+  if (!transaction.amount) {
+    return 0;
+  }
+  const credits = Math.max(0, transaction.creditsAdded);
+  return Math.round(credits * refundedAmount / transaction.amount);
+};
+
+/**
+ * Take `credits` from the user according to `config.refunds.clawbackPolicy`.
+ * Resolves to the credits taken and the credits forgiven.
+ */
+const clawBackCredits = async (userId, credits) => {
+  if (credits <= 0) {
+    return { clawedBack: 0, forgiven: 0 };
+  }
+
+  if (config.refunds.clawbackPolicy !== 'clamp') {
+    await User.updateOne({ _id: userId }, { $inc: { credits: -credits } });
+    return { clawedBack: credits, forgiven: 0 };
+  }
+
+  // Take what the user still has; a balance spent in the meantime is read again
+  for (;;) {
+    const user = await User.findById(userId).select('credits');
+    if (!user) {
+      return { clawedBack: 0, forgiven: credits };
+    }
+    const take = Math.min(Math.max(user.credits, 0), credits);
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, credits: { $gte: take } },
+      { $inc: { credits: -take } }
+    );
+    if (updated) {
+      return { clawedBack: take, forgiven: credits - take };
+    }
+  }
+};
+
+/**
+ * Record a refund of `amount` against a completed purchase and claw back its share
+ * of the credits. Resolves to `{ refund }`, `{ duplicate }` with the entry already
+ * recorded for the same Stripe refund or dispute, or `{ error }` when the purchase
+ * can't be refunded that much.
+ */
+const recordRefund = async (transaction, {
+  amount,
+  source,
+  reason,
+  actorId = null,
+  stripeRefundId = null,
+  stripeDisputeId = null,
+}) => {
+  if (!REFUNDABLE_TYPES.includes(transaction.type)) {
+    return { error: 'Only purchases can be refunded' };
+  }
+
+  let refund;
+  try {
+    refund = await Transaction.create({
+      userId: transaction.userId,
+      type: 'refund',
+      amount,
+      currency: transaction.currency,
+      creditsAdded: 0,
+      status: 'pending',
+      stripeRefundId,
+      stripeDisputeId,
+      stripePaymentIntentId: transaction.stripePaymentIntentId,
+      description: stripeDisputeId ? 'Payment disputed' : 'Payment refunded',
+      metadata: {
+        originalTransactionId: transaction._id,
+        refundSource: source,
+        refundReason: reason,
+        refundedBy: actorId,
+      },
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const duplicate = await Transaction.findOne(stripeRefundId ? { stripeRefundId } : { stripeDisputeId });
+    return { duplicate };
+  }
+
+  // Claim the amount on the purchase, so concurrent refunds can't exceed what was paid
+  const original = await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: 'completed',
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, '$amount'] },
+    },
+    { $inc: { refundedAmount: amount } }
+  );
+  if (!original) {
+    await Transaction.deleteOne({ _id: refund._id });
+    return { error: 'Refund exceeds the amount left to refund' };
+  }
+
+  const refundedBefore = original.refundedAmount || 0;
+  const refundedAfter = refundedBefore + amount;
+  const credits = creditsForShare(original, refundedAfter) - creditsForShare(original, refundedBefore);
+
+  let clawback;
+  try {
+    clawback = await clawBackCredits(original.userId, credits);
+  } catch (error) {
+    await Transaction.updateOne({ _id: original._id }, { $inc: { refundedAmount: -amount } });
+    await Transaction.deleteOne({ _id: refund._id });
+    throw error;
+  }
+
+  refund.creditsAdded = -clawback.clawedBack;
+  refund.metadata.creditsForgiven = clawback.forgiven;
+  await refund.complete();
+
+  const user = await User.findById(original.userId);
+
+  // A fully refunded premium purchase no longer pays for premium
+  if (original.type === 'premium_subscription' && refundedAfter >= original.amount && user) {
+    await user.deactivatePremium();
+  }
+
+  await AuditLog.record({
+    action: stripeDisputeId ? 'transaction.disputed' : 'transaction.refunded',
+    actorType: actorId ? (source === 'admin' ? 'admin' : 'user') : 'system',
+    actorId,
+    targetType: 'Transaction',
+    targetId: original._id,
+    userId: original.userId,
+    reason,
+    details: {
+      refundTransactionId: refund._id,
+      amount,
+      refundedAmount: refundedAfter,
+      creditsClawedBack: clawback.clawedBack,
+      creditsForgiven: clawback.forgiven,
+      clawbackPolicy: config.refunds.clawbackPolicy,
+      stripeRefundId,
+      stripeDisputeId,
+    },
+  });
+
+  if (user) {
+    eventBus.emit('payment.refunded', { user, transaction: original, refund });
+  }
+
+  logger.info(`Refunded ${amount} ${original.currency} of transaction ${original._id} (${source}): ${clawback.clawedBack} credits clawed back, ${clawback.forgiven} forgiven`);
+  return { refund };
+};
+
+/**
+ * Refund a Stripe purchase through Stripe and record it. `amount` defaults to what
+ * is left to refund. Resolves like `recordRefund`.
+ */
+const refundStripePayment = async (transaction, { amount, source, reason, actorId = null }) => {
+  if (!transaction.stripePaymentIntentId) {
+    return { error: 'Transaction was not paid through Stripe' };
+  }
+
+  const remaining = refundableAmount(transaction);
+  const refundAmount = amount || remaining;
+  if (remaining <= 0) {
+    return { error: 'Transaction was already refunded' };
+  }
+  if (refundAmount > remaining) {
+    return { error: `At most ${remaining} can still be refunded` };
+  }
+
+  const stripeRefund = await stripe.refunds.create({
+    payment_intent: transaction.stripePaymentIntentId,
+    amount: refundAmount,
+    reason: 'requested_by_customer',
+    metadata: {
+      transactionId: transaction._id.toString(),
+      source,
+      reason: reason || '',
+    },
+  });
+
+  return await recordRefund(transaction, {
+    amount: stripeRefund.amount,
+    source,
+    reason,
+    actorId,
+    stripeRefundId: stripeRefund.id,
+  });
+};
+
+const findStripePurchase = (paymentIntentId) => Transaction.findOne({
+  stripePaymentIntentId: paymentIntentId,
+  type: { $in: REFUNDABLE_TYPES },
+  status: 'completed',
+});
+
+// `charge.refunded`: record refunds made in the Stripe dashboard or by Stripe itself
+const handleChargeRefunded = async (charge) => {
+  const paymentIntentId = idOf(charge.payment_intent);
+  const transaction = paymentIntentId ? await findStripePurchase(paymentIntentId) : null;
+  if (!transaction) {
+    logger.info(`No purchase recorded for refunded charge ${charge.id}`);
+    return;
+  }
+
+  // Webhook charges don't include their refunds
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+
+  for (const stripeRefund of refunds.data) {
+    if (stripeRefund.status !== 'succeeded' || await Transaction.exists({ stripeRefundId: stripeRefund.id })) {
+      continue;
+    }
+
+    // Read again each time; earlier refunds in this loop moved `refundedAmount`
+    const current = await Transaction.findById(transaction._id);
+    const amount = Math.min(stripeRefund.amount, refundableAmount(current));
+    if (amount <= 0) {
+      logger.warn(`Stripe refund ${stripeRefund.id} exceeds what is left of transaction ${current._id}`);
+      continue;
+    }
+
+    const result = await recordRefund(current, {
+      amount,
+      source: stripeRefund.metadata && stripeRefund.metadata.source ? stripeRefund.metadata.source : 'stripe',
+      reason: (stripeRefund.metadata && stripeRefund.metadata.reason) || stripeRefund.reason || undefined,
+      stripeRefundId: stripeRefund.id,
+    });
+    if (result.error) {
+      logger.warn(`Stripe refund ${stripeRefund.id} not recorded: ${result.error}`);
+    }
+  }
+};
+
+// `charge.dispute.created`: the disputed funds are withdrawn, so the credits go too
+const handleDisputeCreated = async (dispute) => {
+  const paymentIntentId = idOf(dispute.payment_intent);
+  const transaction = paymentIntentId ? await findStripePurchase(paymentIntentId) : null;
+  if (!transaction) {
+    logger.info(`No purchase recorded for disputed charge ${idOf(dispute.charge)}`);
+    return;
+  }
+
+  const amount = Math.min(dispute.amount, refundableAmount(transaction));
+  if (amount <= 0) {
+    logger.info(`Dispute ${dispute.id} is for transaction ${transaction._id}, which was already refunded`);
+    return;
+  }
+
+  const result = await recordRefund(transaction, {
+    amount,
+    source: 'dispute',
+    reason: dispute.reason,
+    stripeDisputeId: dispute.id,
+  });
+  if (result.refund) {
+    logger.warn(`Payment disputed (${dispute.reason}): transaction ${transaction._id} of user ${transaction.userId}`);
+  }
+};
+
+module.exports = {
+  refundableAmount,
+  clawBackCredits,
+  recordRefund,
+  refundStripePayment,
+  handleChargeRefunded,
+  handleDisputeCreated,
+};
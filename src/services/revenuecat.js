@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Transaction = require('../models/Transaction');
+const RevenueCatEvent = require('../models/RevenueCatEvent');
+const { findPackageByProductId } = require('./packages');
+const { refundableAmount, recordRefund } = require('./refunds');
+const eventBus = require('../utils/eventBus');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An event still `processing` after this was abandoned (e.g. the process died) and may be taken over
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const toDate = (ms) => (ms ? new Date(ms) : null);
+
+const toCents = (price) => Math.max(0, Math.round((price || 0) * 100));
+
+// RevenueCat sends the configured value verbatim in the Authorization header
+const verifyAuthorization = (header) => {
+  const secret = config.revenuecat.webhookSecret;
+  if (!secret || !header) {
+    return false;
+  }
+
+  const received = Buffer.from(header.replace(/^Bearer /, ''));
+  const expected = Buffer.from(secret.replace(/^Bearer /, ''));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// The app logs in to RevenueCat with our user id, so it is the app_user_id or one of its aliases
+const findUserForEvent = async (event) => {
+  const candidates = [event.app_user_id, event.original_app_user_id, ...(event.aliases || [])]
+    .filter(id => id && OBJECT_ID_PATTERN.test(id));
+
+  for (const id of new Set(candidates)) {
+    const user = await User.findById(id);
+    if (user) {
+      return user;
+    }
+  }
+  return null;
+};
+
+const subscriptionFilter = (event) => ({
+  provider: 'revenuecat',
+  externalId: event.original_transaction_id || event.transaction_id,
+});
+
+const applyPurchase = async (user, event, product) => {
+  const transactionId = event.transaction_id || event.id;
+  const periodStart = toDate(event.purchased_at_ms) || new Date();
+  const periodEnd = product.isPremium
+    ? toDate(event.expiration_at_ms) || new Date(periodStart.getTime() + config.premium.durationDays * DAY_MS)
+    : null;
+
+  try {
+    await Transaction.create({
+      userId: user._id,
+      type: product.isPremium ? 'premium_subscription' : 'credit_purchase',
+      amount: toCents(event.price),
+      creditsAdded: product.credits,
+      status: 'pending',
+      revenueCatTransactionId: transactionId,
+      description: event.type === 'RENEWAL'
+        ? `${product.name} renewal`
+        : `${product.name}${product.isPremium ? '' : ` - ${product.credits} Credits`}`,
+      metadata: {
+        packageName: product.name,
+        productId: event.product_id,
+        store: event.store,
+        revenueCatEventId: event.id,
+        premiumPeriodStart: product.isPremium ? periodStart : undefined,
+        premiumPeriodEnd: periodEnd || undefined,
+      },
+    });
+  } catch (error) {
+    // A delivery that failed before granting leaves its transaction pending
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Claim by completing, so only one delivery grants the purchase
+  const transaction = await Transaction.findOneAndUpdate(
+    { revenueCatTransactionId: transactionId, userId: user._id, status: 'pending' },
+    { $set: { status: 'completed', processedAt: new Date() } },
+    { new: true }
+  );
+  if (!transaction) {
+    return `Store transaction ${transactionId} was already processed`;
+  }
+
+  try {
+    if (product.isPremium) {
+      await Subscription.findOneAndUpdate(
+        subscriptionFilter(event),
+        {
+          $set: {
+            customerId: event.app_user_id,
+            priceId: event.product_id,
+            status: 'active',
+            currentPeriodStart: periodStart,
+            currentPeriodEnd: periodEnd,
+            cancelAtPeriodEnd: false,
+            canceledAt: null,
+          },
+          $setOnInsert: { userId: user._id },
+        },
+        { upsert: true }
+      );
+      // Premium and credits in one update, so a failure grants neither
+      await user.grantPremiumUntil(periodEnd, { source: 'subscription', credits: product.credits });
+    } else if (product.credits > 0) {
+      await user.addCredits(product.credits);
+    }
+  } catch (error) {
+    // Nothing was granted; the redelivered event picks the transaction up again
+    await Transaction.updateOne(
+      { _id: transaction._id, status: 'completed' },
+      { $set: { status: 'pending', processedAt: null } }
+    );
+    throw error;
+  }
+
+  eventBus.emit('payment.succeeded', { user, transaction, creditsAdded: product.credits });
+  logger.info(`RevenueCat ${event.type} processed: ${event.product_id} for user ${user._id}`);
+  return null;
+};
+
+// Auto-renew was turned off; premium runs until the paid period ends
+const applyCancellation = async (user, event, product) => {
+  if (!product.isPremium) {
+    return 'Cancellation of a non-subscription product';
+  }
+
+  await Subscription.updateOne(subscriptionFilter(event), {
+    $set: { cancelAtPeriodEnd: true, canceledAt: new Date() },
+  });
+  return null;
+};
+
+const applyExpiration = async (user, event, product) => {
+  if (!product.isPremium) {
+    return 'Expiration of a non-subscription product';
+  }
+
+  const expiredAt = toDate(event.expiration_at_ms) || new Date();
+  await Subscription.updateOne(subscriptionFilter(event), {
+    $set: { status: 'expired', endedAt: expiredAt },
+  });
+
+  // Leave premium alone if something else extended it past this subscription
+  if (user.isPremiumActive && user.premiumSource === 'subscription' && user.premiumExpiresAt <= expiredAt) {
+    await user.deactivatePremium();
+  }
+  return null;
+};
+
+// Take back what a refunded purchase granted, under the same clawback policy as Stripe refunds
+const applyRefund = async (user, event, product) => {
+  const transaction = await Transaction.findOne({
+    revenueCatTransactionId: event.transaction_id,
+    userId: user._id,
+    status: 'completed',
+  });
+  if (!transaction) {
+    return `No completed purchase for store transaction ${event.transaction_id}`;
+  }
+
+  const remaining = refundableAmount(transaction);
+  if (remaining <= 0) {
+    return `Store transaction ${event.transaction_id} was already refunded`;
+  }
+
+  // Refund events carry the refunded price as a negative amount
+  const amount = Math.min(toCents(-event.price) || remaining, remaining);
+  const result = await recordRefund(transaction, {
+    amount,
+    source: 'store',
+    reason: event.cancel_reason || event.type,
+  });
+  if (result.error) {
+    return result.error;
+  }
+
+  if (product.isPremium) {
+    await Subscription.updateOne(subscriptionFilter(event), {
+      $set: { status: 'refunded', endedAt: new Date() },
+    });
+  }
+
+  logger.info(`RevenueCat refund processed: ${event.transaction_id} for user ${user._id}`);
+  return null;
+};
+
+// Resolves to the reason the event was ignored, or null once applied
+const applyEvent = async (event, record) => {
+  if (event.environment === 'SANDBOX' && !config.revenuecat.allowSandbox) {
+    return 'Sandbox events are disabled';
+  }
+
+  const user = await findUserForEvent(event);
+  if (!user) {
+    return `No user found for app_user_id ${event.app_user_id}`;
+  }
+  record.userId = user._id;
+
+  // Credits come from the package catalog, never from the client
+  const product = await findPackageByProductId(event.product_id);
+  if (!product) {
+    return `Unknown product ${event.product_id}`;
+  }
+
+  switch (event.type) {
+    case 'INITIAL_PURCHASE':
+    case 'RENEWAL':
+    case 'NON_RENEWING_PURCHASE':
+      return await applyPurchase(user, event, product);
+
+    case 'CANCELLATION':
+      // RevenueCat reports store refunds as cancellations by customer support
+      if (event.cancel_reason === 'CUSTOMER_SUPPORT') {
+        return await applyRefund(user, event, product);
+      }
+      return await applyCancellation(user, event, product);
+
+    case 'REFUND':
+      return await applyRefund(user, event, product);
+
+    case 'EXPIRATION':
+      return await applyExpiration(user, event, product);
+
+    default:
+      return `Unhandled event type ${event.type}`;
+  }
+};
+
+// Record the event, or take over a redelivery of one that failed or was abandoned.
+// Null when already handled.
+const claimEvent = async (event) => {
+  try {
+    return await RevenueCatEvent.create({
+      eventId: event.id,
+      type: event.type,
+      appUserId: event.app_user_id || null,
+      productId: event.product_id || null,
+      environment: event.environment || null,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return await RevenueCatEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Apply a RevenueCat webhook event once. Resolves to its record, or null for a duplicate.
+const processEvent = async (event) => {
+  const record = await claimEvent(event);
+  if (!record) {
+    logger.info(`RevenueCat event ${event.id} was already processed`);
+    return null;
+  }
+
+  try {
+    const note = await applyEvent(event, record);
+    record.status = note ? 'ignored' : 'processed';
+    record.note = note;
+    record.processedAt = new Date();
+    await record.save();
+
+    if (note) {
+      logger.info(`RevenueCat event ${event.id} ignored: ${note}`);
+    }
+    return record;
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  verifyAuthorization,
+  processEvent,
+};
@@ -0,0 +1,101 @@
+const Generation = require('../models/Generation');
+const User = require('../models/User');
+const { getStorage, isUrl, keyFor } = require('../storage');
+const { logger } = require('../utils/logger');
+
+// Documents written before uploads were private stored absolute object URLs
+const STORED_URL = /^https?:\/\//i;
+
+// Key for a URL into our storage; other values are kept as they are
+const toKey = (ref, stats) => {
+  if (!ref || !isUrl(ref)) {
+    return ref;
+  }
+
+  const key = keyFor(ref);
+  if (!key) {
+    stats.externalUrls++;
+    return ref;
+  }
+  return key;
+};
+
+const rewriteGenerations = async (stats, { dryRun }) => {
+  const cursor = Generation.find({
+    $or: [{ originalImageUrl: STORED_URL }, { generatedImageUrls: STORED_URL }],
+  }).select('originalImageUrl generatedImageUrls').lean().cursor();
+
+  for await (const generation of cursor) {
+    const originalImageUrl = toKey(generation.originalImageUrl, stats);
+    const generatedImageUrls = (generation.generatedImageUrls || []).map(ref => toKey(ref, stats));
+
+    const changed = originalImageUrl !== generation.originalImageUrl
+      || generatedImageUrls.some((ref, index) => ref !== generation.generatedImageUrls[index]);
+    if (!changed) continue;
+
+    stats.generationsUpdated++;
+    if (!dryRun) {
+      await Generation.updateOne({ _id: generation._id }, { $set: { originalImageUrl, generatedImageUrls } });
+    }
+  }
+};
+
+const rewriteUsers = async (stats, { dryRun }) => {
+  const cursor = User.find({ profilePicture: STORED_URL }).select('profilePicture').lean().cursor();
+
+  for await (const user of cursor) {
+    const profilePicture = toKey(user.profilePicture, stats);
+    if (profilePicture === user.profilePicture) continue;
+
+    stats.usersUpdated++;
+    if (!dryRun) {
+      await User.updateOne({ _id: user._id }, { $set: { profilePicture } });
+    }
+  }
+};
+
+// Objects uploaded as `public-read` lose their public access
+const makeObjectsPrivate = async (stats, { dryRun }) => {
+  const storage = getStorage();
+  if (!storage.makePrivate) {
+    return;
+  }
+
+  let cursor = null;
+  do {
+    const page = await storage.list('', { limit: 1000, cursor });
+    for (const object of page.objects) {
+      if (!dryRun) {
+        await storage.makePrivate(object.key);
+      }
+      stats.objectsMadePrivate++;
+    }
+    cursor = page.cursor;
+  } while (cursor);
+};
+
+/**
+ * Move stored images to private storage: rewrite the object URLs in generations
+ * and profile pictures to keys, then revoke public access to every object.
+ * Documents go first so clients get signed URLs before the public ones stop
+ * working. Safe to run again; `dryRun` only counts what would change.
+ */
+const migrateToPrivateStorage = async ({ dryRun = false } = {}) => {
+  const stats = {
+    generationsUpdated: 0,
+    usersUpdated: 0,
+    externalUrls: 0,
+    objectsMadePrivate: 0,
+  };
+
+  await rewriteGenerations(stats, { dryRun });
+  await rewriteUsers(stats, { dryRun });
+  await makeObjectsPrivate(stats, { dryRun });
+
+  logger.info(`Private storage migration${dryRun ? ' (dry run)' : ''} finished:`, stats);
+  return stats;
+};
+
+module.exports = {
+  migrateToPrivateStorage,
+};
@@ -0,0 +1,113 @@
+const StripeEvent = require('../models/StripeEvent');
+const {
+  handlePaymentIntentSucceeded,
+  handlePaymentIntentFailed,
+  handlePaymentIntentCanceled,
+} = require('./payments');
+const {
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionChange,
+} = require('./stripeSubscriptions');
+const { handleChargeRefunded, handleDisputeCreated } = require('./refunds');
+const { logger } = require('../utils/logger');
+
+// An event still `processing` after this was abandoned (e.g. the process died) and may be taken over
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const HANDLERS = {
+  'payment_intent.succeeded': (object) => handlePaymentIntentSucceeded(object),
+  'payment_intent.payment_failed': (object) => handlePaymentIntentFailed(object),
+  'payment_intent.canceled': (object) => handlePaymentIntentCanceled(object),
+  'invoice.paid': (object) => handleInvoicePaid(object),
+  'invoice.payment_failed': (object) => handleInvoicePaymentFailed(object),
+  'customer.subscription.created': (object, type) => handleSubscriptionChange(object, type),
+  'customer.subscription.updated': (object, type) => handleSubscriptionChange(object, type),
+  'customer.subscription.deleted': (object, type) => handleSubscriptionChange(object, type),
+  'charge.refunded': (object) => handleChargeRefunded(object),
+  'charge.dispute.created': (object) => handleDisputeCreated(object),
+};
+
+const retryableFilter = () => ({
+  $or: [
+    { status: 'failed' },
+    { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+  ],
+});
+
+// Record the event, or take over a redelivery of one that failed. Null when already handled.
+const claimEvent = async (event) => {
+  try {
+    return await StripeEvent.create({
+      eventId: event.id,
+      type: event.type,
+      livemode: Boolean(event.livemode),
+      objectId: event.data && event.data.object ? event.data.object.id || null : null,
+      payload: event,
+      stripeCreatedAt: event.created ? new Date(event.created * 1000) : null,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return await StripeEvent.findOneAndUpdate(
+    { eventId: event.id, ...retryableFilter() },
+    { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+const runHandler = async (record) => {
+  const handler = HANDLERS[record.type];
+
+  try {
+    if (handler) {
+      await handler(record.payload.data.object, record.type);
+    } else {
+      logger.info(`Unhandled event type: ${record.type}`);
+    }
+
+    record.status = handler ? 'processed' : 'ignored';
+    record.processedAt = new Date();
+    await record.save();
+    return record;
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+// Apply a verified Stripe event once. Resolves to its record, or null for a duplicate.
+const processStripeEvent = async (event) => {
+  const record = await claimEvent(event);
+  if (!record) {
+    logger.info(`Stripe event ${event.id} was already processed`);
+    return null;
+  }
+
+  return await runHandler(record);
+};
+
+// Run a failed event again from its stored payload. Null unless it is failed or abandoned.
+const replayStripeEvent = async (eventId) => {
+  const record = await StripeEvent.findOneAndUpdate(
+    { eventId, ...retryableFilter() },
+    { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) {
+    return null;
+  }
+
+  logger.info(`Replaying Stripe event ${eventId} (attempt ${record.attempts})`);
+  return await runHandler(record);
+};
+
+module.exports = {
+  processStripeEvent,
+  replayStripeEvent,
+};
@@ -0,0 +1,300 @@
+const stripe = require('../utils/stripe');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Transaction = require('../models/Transaction');
+const eventBus = require('../utils/eventBus');
+const { findPremiumPackage } = require('./packages');
+const { sendPremiumUpgradeEmail } = require('../utils/email');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stripe statuses after which the subscription no longer grants premium
+const ENDED_STATUSES = ['canceled', 'unpaid', 'incomplete_expired'];
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value || null);
+
+// Stripe customer for the user, created on first use
+const ensureStripeCustomer = async (user) => {
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: `${user.firstName} ${user.lastName}`,
+    metadata: { userId: user._id.toString() },
+  }, {
+    idempotencyKey: `customer-${user._id}`,
+  });
+
+  // Keep whichever customer was stored first if two requests raced
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, stripeCustomerId: null },
+    { $set: { stripeCustomerId: customer.id } },
+    { new: true }
+  );
+  const stored = updated || await User.findById(user._id).select('stripeCustomerId');
+
+  user.stripeCustomerId = stored.stripeCustomerId;
+  user.unmarkModified('stripeCustomerId');
+  return user.stripeCustomerId;
+};
+
+const resolveUserId = async (stripeSubscription) => {
+  if (stripeSubscription.metadata && stripeSubscription.metadata.userId) {
+    return stripeSubscription.metadata.userId;
+  }
+
+  const user = await User.findOne({ stripeCustomerId: idOf(stripeSubscription.customer) }).select('_id');
+  return user ? user._id : null;
+};
+
+// Store the latest state of a Stripe subscription
+const syncSubscription = async (stripeSubscription, userId) => {
+  const item = stripeSubscription.items && stripeSubscription.items.data[0];
+
+  return await Subscription.findOneAndUpdate(
+    { provider: 'stripe', externalId: stripeSubscription.id },
+    {
+      $set: {
+        customerId: idOf(stripeSubscription.customer),
+        priceId: item && item.price ? item.price.id : null,
+        status: stripeSubscription.status,
+        currentPeriodStart: toDate(stripeSubscription.current_period_start),
+        currentPeriodEnd: toDate(stripeSubscription.current_period_end),
+        cancelAtPeriodEnd: Boolean(stripeSubscription.cancel_at_period_end),
+        canceledAt: toDate(stripeSubscription.canceled_at),
+        endedAt: toDate(stripeSubscription.ended_at),
+        latestInvoiceId: idOf(stripeSubscription.latest_invoice),
+      },
+      $setOnInsert: { userId },
+    },
+    { new: true, upsert: true }
+  );
+};
+
+// Recurring Stripe price of the premium package, falling back to STRIPE_PREMIUM_PRICE_ID
+const getPremiumPriceId = async () => {
+  const premiumPackage = await findPremiumPackage();
+  return premiumPackage ? premiumPackage.productIds.stripePriceId : config.stripe.premiumPriceId || null;
+};
+
+// Start a premium subscription. Premium is granted when Stripe reports the first
+// invoice paid; the client confirms the returned payment intent if needed.
+const createSubscription = async (user, { priceId, paymentMethodId, ipAddress } = {}) => {
+  const premiumPriceId = priceId || await getPremiumPriceId();
+  if (!premiumPriceId) {
+    throw new Error('Premium subscription price is not configured');
+  }
+
+  const customerId = await ensureStripeCustomer(user);
+
+  if (paymentMethodId) {
+    await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+    await stripe.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId },
+    });
+  }
+
+  // Stripe Tax locates customers without an address by their IP address
+  if (config.tax.enabled && ipAddress) {
+    await stripe.customers.update(customerId, { tax: { ip_address: ipAddress } });
+  }
+
+  const stripeSubscription = await stripe.subscriptions.create({
+    customer: customerId,
+    items: [{ price: premiumPriceId }],
+    automatic_tax: { enabled: config.tax.enabled },
+    payment_behavior: 'default_incomplete',
+    payment_settings: { save_default_payment_method: 'on_subscription' },
+    expand: ['latest_invoice.payment_intent'],
+    metadata: { userId: user._id.toString() },
+  });
+
+  const subscription = await syncSubscription(stripeSubscription, user._id);
+  const invoice = stripeSubscription.latest_invoice;
+  const paymentIntent = invoice && typeof invoice === 'object' ? invoice.payment_intent : null;
+
+  logger.info(`Stripe subscription ${stripeSubscription.id} created for user ${user._id}`);
+
+  return {
+    subscription,
+    clientSecret: paymentIntent && typeof paymentIntent === 'object' ? paymentIntent.client_secret : null,
+  };
+};
+
+// Stop renewing at the end of the paid period; premium lasts until then
+const cancelSubscription = async (subscription) => {
+  const stripeSubscription = await stripe.subscriptions.update(subscription.externalId, {
+    cancel_at_period_end: true,
+  });
+  return await syncSubscription(stripeSubscription, subscription.userId);
+};
+
+// Undo a cancellation that hasn't taken effect yet
+const resumeSubscription = async (subscription) => {
+  const stripeSubscription = await stripe.subscriptions.update(subscription.externalId, {
+    cancel_at_period_end: false,
+  });
+  return await syncSubscription(stripeSubscription, subscription.userId);
+};
+
+// End premium granted by a subscription that stopped; other grants are left alone
+const revokeSubscriptionPremium = async (subscription) => {
+  const user = await User.findById(subscription.userId);
+  if (!user || user.premiumSource !== 'subscription' || !user.isPremiumActive) {
+    return;
+  }
+
+  await user.deactivatePremium();
+  logger.info(`Premium revoked for user ${user._id}: subscription ${subscription.externalId} is ${subscription.status}`);
+};
+
+// invoice.paid: extend premium to the end of the paid period and record the payment
+const handleInvoicePaid = async (invoice) => {
+  if (!invoice.subscription) {
+    return;
+  }
+
+  const stripeSubscription = await stripe.subscriptions.retrieve(idOf(invoice.subscription));
+  const userId = await resolveUserId(stripeSubscription);
+  if (!userId) {
+    logger.warn(`No user found for Stripe subscription ${stripeSubscription.id}`);
+    return;
+  }
+
+  const subscription = await syncSubscription(stripeSubscription, userId);
+  subscription.graceUntil = null;
+  await subscription.save();
+
+  const line = invoice.lines && invoice.lines.data[0];
+  const periodStart = toDate(line && line.period.start) || subscription.currentPeriodStart;
+  const periodEnd = toDate(line && line.period.end) || subscription.currentPeriodEnd;
+
+  try {
+    await Transaction.create({
+      userId,
+      type: 'premium_subscription',
+      amount: invoice.amount_paid,
+      taxAmount: invoice.tax || 0,
+      currency: invoice.currency,
+      creditsAdded: config.premium.credits,
+      status: 'pending',
+      stripeInvoiceId: invoice.id,
+      stripePaymentIntentId: idOf(invoice.payment_intent),
+      description: invoice.billing_reason === 'subscription_create'
+        ? 'Premium subscription'
+        : 'Premium subscription renewal',
+      metadata: {
+        packageName: 'Premium Monthly',
+        stripeSubscriptionId: stripeSubscription.id,
+        premiumPeriodStart: periodStart,
+        premiumPeriodEnd: periodEnd,
+      },
+    });
+  } catch (error) {
+    // A delivery that failed before granting leaves its transaction pending
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Claim by completing, so only one delivery grants the invoice
+  const transaction = await Transaction.findOneAndUpdate(
+    { stripeInvoiceId: invoice.id, status: 'pending' },
+    { $set: { status: 'completed', processedAt: new Date() } },
+    { new: true }
+  );
+  if (!transaction) {
+    logger.info(`Stripe invoice ${invoice.id} was already processed`);
+    return;
+  }
+
+  const user = await User.findById(userId);
+  const newlyPremium = !user.isPremiumActive;
+
+  try {
+    // Premium and credits in one update, so a failure grants neither
+    await user.grantPremiumUntil(periodEnd, { source: 'subscription', credits: config.premium.credits });
+  } catch (error) {
+    // Nothing was granted; the redelivered event picks the transaction up again
+    await Transaction.updateOne(
+      { _id: transaction._id, status: 'completed' },
+      { $set: { status: 'pending', processedAt: null } }
+    );
+    throw error;
+  }
+
+  eventBus.emit('payment.succeeded', { user, transaction, creditsAdded: config.premium.credits });
+
+  if (newlyPremium) {
+    sendPremiumUpgradeEmail(user).catch(err => {
+      logger.error('Failed to send premium upgrade email:', err);
+    });
+  }
+
+  logger.info(`Premium extended to ${periodEnd.toISOString()} for user ${userId} (invoice ${invoice.id})`);
+};
+
+// invoice.payment_failed: keep premium for a grace period while Stripe retries
+const handleInvoicePaymentFailed = async (invoice) => {
+  if (!invoice.subscription || invoice.billing_reason === 'subscription_create') {
+    return;
+  }
+
+  const subscription = await Subscription.findOne({ provider: 'stripe', externalId: idOf(invoice.subscription) });
+  if (!subscription) {
+    return;
+  }
+
+  subscription.latestInvoiceId = invoice.id;
+
+  // The grace period starts at the first failure, not at every retry
+  if (!subscription.graceUntil) {
+    subscription.graceUntil = new Date(Date.now() + config.premium.gracePeriodDays * DAY_MS);
+
+    const user = await User.findById(subscription.userId);
+    if (user && user.premiumSource === 'subscription' && user.isPremiumActive) {
+      await user.grantPremiumUntil(subscription.graceUntil, { source: 'subscription' });
+    }
+  }
+
+  await subscription.save();
+  logger.warn(`Renewal payment failed for subscription ${subscription.externalId}; premium kept until ${subscription.graceUntil.toISOString()}`);
+};
+
+// customer.subscription.created / updated / deleted
+const handleSubscriptionChange = async (object, eventType) => {
+  // Events can arrive out of order; use Stripe's current state unless it's gone
+  const stripeSubscription = eventType === 'customer.subscription.deleted'
+    ? object
+    : await stripe.subscriptions.retrieve(object.id);
+
+  const userId = await resolveUserId(stripeSubscription);
+  if (!userId) {
+    logger.warn(`No user found for Stripe subscription ${stripeSubscription.id}`);
+    return;
+  }
+
+  const subscription = await syncSubscription(stripeSubscription, userId);
+  if (ENDED_STATUSES.includes(subscription.status)) {
+    await revokeSubscriptionPremium(subscription);
+  }
+
+  logger.info(`Stripe subscription ${subscription.externalId} is ${subscription.status}`);
+};
+
+module.exports = {
+  ensureStripeCustomer,
+  getPremiumPriceId,
+  createSubscription,
+  cancelSubscription,
+  resumeSubscription,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionChange,
+};
@@ -0,0 +1,52 @@
+const stripe = require('../utils/stripe');
+const config = require('../config');
+
+/**
+ * Tax on a checkout of `amount` in the smallest unit of `currency`, calculated by
+ * Stripe Tax from the customer's IP address. When prices include tax it is part of
+ * `amount`, otherwise it is added on top. Resolves to
+ * `{ subtotal, taxAmount, total, inclusive, calculationId }`, where `total` is what
+ * to charge; without `STRIPE_TAX_ENABLED` there is no tax and no calculation.
+ */
+const calculateTax = async ({ amount, currency, ipAddress, reference }) => {
+  const inclusive = config.tax.pricesIncludeTax;
+  if (!config.tax.enabled) {
+    return { subtotal: amount, taxAmount: 0, total: amount, inclusive, calculationId: null };
+  }
+
+  const calculation = await stripe.tax.calculations.create({
+    currency,
+    customer_details: { ip_address: ipAddress },
+    line_items: [{
+      amount,
+      reference,
+      tax_behavior: inclusive ? 'inclusive' : 'exclusive',
+      tax_code: config.tax.productTaxCode,
+    }],
+  });
+
+  const taxAmount = inclusive ? calculation.tax_amount_inclusive : calculation.tax_amount_exclusive;
+  return {
+    subtotal: inclusive ? amount - taxAmount : amount,
+    taxAmount,
+    total: calculation.amount_total,
+    inclusive,
+    calculationId: calculation.id,
+  };
+};
+
+// Record the tax of a paid checkout with Stripe Tax, so it shows up in tax reports
+const recordTaxTransaction = async (calculationId, paymentIntentId) => {
+  if (!calculationId) {
+    return null;
+  }
+  return await stripe.tax.transactions.createFromCalculation(
+    { calculation: calculationId, reference: paymentIntentId },
+    { idempotencyKey: `tax-${paymentIntentId}` }
+  );
+};
+
+module.exports = {
+  calculateTax,
+  recordTaxTransaction,
+};
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { enqueue, createWorker } = require('../utils/jobQueue');
+const eventBus = require('../utils/eventBus');
+const { logger } = require('../utils/logger');
+const { urlFor } = require('../storage');
+const { isPublicAddress, createPublicLookup } = require('../utils/remoteImage');
+const config = require('../config');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// HMAC-SHA256 over `${timestamp}.${body}`, sent as `t=<timestamp>,v1=<hex>`
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const buildSignatureHeader = (secret, timestamp, body) => `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+
+// Endpoints are checked when registered, but their host can point elsewhere later
+const publicLookup = createPublicLookup(
+  hostname => new Error(`Webhook host ${hostname} resolves to a private network address`)
+);
+
+// Hosts given as an IP address are never looked up, so the lookup can't refuse them
+const isPrivateAddressHost = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(hostname) !== 0 && !isPublicAddress(hostname);
+};
+
+const enqueueDelivery = async (delivery) => {
+  return await enqueue('webhook', { deliveryId: delivery._id.toString() }, {
+    maxAttempts: config.webhooks.maxAttempts,
+  });
+};
+
+// Create a delivery for every active endpoint of the user subscribed to the event
+const dispatchWebhookEvent = async (userId, type, data) => {
+  const endpoints = await WebhookEndpoint.find({ userId, isActive: true, events: type });
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  const payload = {
+    id: `evt_${uuidv4().replace(/-/g, '')}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+
+  const deliveries = [];
+  for (const endpoint of endpoints) {
+    const delivery = await WebhookDelivery.create({
+      endpointId: endpoint._id,
+      userId,
+      eventId: payload.id,
+      event: type,
+      payload,
+    });
+    await enqueueDelivery(delivery);
+    deliveries.push(delivery);
+  }
+
+  logger.info(`Webhook event ${type} (${payload.id}) queued for ${deliveries.length} endpoint(s) of user ${userId}`);
+  return deliveries;
+};
+
+// Send the same event again as a new delivery
+const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    endpointId: delivery.endpointId,
+    userId: delivery.userId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+  });
+  await enqueueDelivery(replay);
+  return replay;
+};
+
+const recordEndpointFailure = async (endpoint) => {
+  const updated = await WebhookEndpoint.findByIdAndUpdate(
+    endpoint._id,
+    { $inc: { consecutiveFailures: 1 } },
+    { new: true }
+  );
+
+  if (updated && updated.isActive && updated.consecutiveFailures >= config.webhooks.disableAfterFailures) {
+    updated.isActive = false;
+    updated.disabledAt = new Date();
+    updated.disabledReason = `${updated.consecutiveFailures} consecutive failed deliveries`;
+    await updated.save();
+    logger.warn(`Webhook endpoint ${endpoint._id} disabled after ${updated.consecutiveFailures} failed deliveries`);
+  }
+};
+
+// Job handler: one delivery attempt. Throwing lets the job queue retry with backoff.
+const deliverWebhook = async (job) => {
+  const delivery = await WebhookDelivery.findById(job.payload.deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return;
+  }
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+  if (!endpoint || !endpoint.isActive) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ error: 'Endpoint deleted or disabled' });
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    if (!config.webhooks.allowPrivateNetworks && isPrivateAddressHost(endpoint.url)) {
+      throw new Error('Webhook URL points to a private network address');
+    }
+
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AimeApp-Webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        [SIGNATURE_HEADER]: buildSignatureHeader(endpoint.secret, timestamp, body),
+      },
+      timeout: config.webhooks.timeoutMs,
+      maxRedirects: 0,
+      proxy: false,
+      lookup: config.webhooks.allowPrivateNetworks ? dns.lookup : publicLookup,
+      // Only the status is kept; the body is never read into the delivery log
+      responseType: 'stream',
+      validateStatus: () => true,
+    });
+
+    responseStatus = response.status;
+    response.data.destroy();
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  delivery.attempts.push({ responseStatus, durationMs: Date.now() - startedAt, error });
+
+  if (!error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    await delivery.save();
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: delivery.deliveredAt } }
+    );
+    return;
+  }
+
+  const exhausted = job.attempts >= job.maxAttempts;
+  if (exhausted) {
+    delivery.status = 'failed';
+  }
+  await delivery.save();
+
+  if (exhausted) {
+    await recordEndpointFailure(endpoint);
+  }
+
+  throw new Error(`Webhook delivery ${delivery._id} failed: ${error}`);
+};
+
+const createWebhookWorker = (options = {}) => {
+  return createWorker({
+    webhook: deliverWebhook,
+  }, {
+    concurrency: config.webhooks.concurrency,
+    retryBaseDelayMs: config.webhooks.retryBaseDelayMs,
+    // A delivery attempt never outlives its HTTP timeout by much
+    leaseMs: config.webhooks.timeoutMs * 6,
+    ...options,
+  });
+};
+
+// Webhook payload bodies for domain events
+const serializeGeneration = (generation) => ({
+  generationId: generation._id.toString(),
+  status: generation.status,
+  model: generation.modelUsed,
+  mode: generation.mode,
+  prompt: generation.prompt,
+  generatedImageUrls: generation.generatedImageUrls.map(ref => urlFor(ref)),
+  creditsUsed: generation.creditsUsed,
+  failureReason: generation.failureReason || null,
+  createdAt: generation.createdAt,
+  completedAt: generation.completedAt,
+});
+
+const listeners = {
+  'generation.completed': (generation) => ({ userId: generation.userId, data: serializeGeneration(generation) }),
+  'generation.failed': (generation) => ({ userId: generation.userId, data: serializeGeneration(generation) }),
+  'generation.cancelled': (generation) => ({ userId: generation.userId, data: serializeGeneration(generation) }),
+  'credits.low': ({ user, threshold }) => ({
+    userId: user._id,
+    data: { credits: user.credits, threshold },
+  }),
+  'payment.succeeded': ({ user, transaction, creditsAdded }) => ({
+    userId: user._id,
+    data: {
+      transactionId: transaction._id.toString(),
+      paymentIntentId: transaction.stripePaymentIntentId,
+      amount: transaction.amount, // cents
+      creditsAdded,
+      credits: user.credits,
+    },
+  }),
+  'payment.refunded': ({ user, transaction, refund }) => ({
+    userId: user._id,
+    data: {
+      transactionId: transaction._id.toString(),
+      refundTransactionId: refund._id.toString(),
+      amount: refund.amount,
+      currency: refund.currency,
+      creditsClawedBack: -refund.creditsAdded,
+      credits: user.credits,
+    },
+  }),
+};
+
+let registered = false;
+
+// Subscribe to domain events; called once by each process entry point
+const registerWebhookListeners = () => {
+  if (registered) return;
+  registered = true;
+
+  Object.entries(listeners).forEach(([type, toEvent]) => {
+    eventBus.on(type, (subject) => {
+      const { userId, data } = toEvent(subject);
+      dispatchWebhookEvent(userId, type, data).catch(error => {
+        logger.error(`Failed to dispatch webhook event ${type} for user ${userId}:`, error);
+      });
+    });
+  });
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  dispatchWebhookEvent,
+  replayDelivery,
+  deliverWebhook,
+  createWebhookWorker,
+  registerWebhookListeners,
+};
@@ -0,0 +1,81 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { createS3Driver } = require('./s3');
+const { createLocalDriver } = require('./local');
+const { createMemoryDriver } = require('./memory');
+const { verifySignature } = require('./signing');
+
+/**
+ * Storage drivers keep objects by key and implement:
+ *
+ * - put(key, body, { contentType })  -> { key, size }
+ * - get(key)                         -> { body, contentType, size } or null
+ * - delete(key)                      -> false if the object didn't exist
+ * - list(prefix, { limit, cursor })  -> { objects: [{ key, size, lastModified }], cursor }
+ * - url(key)                        -> unsigned URL of the object
+ * - signedUrl(key, { expiresIn })    -> URL a client can fetch until it expires
+ * - keyFromUrl(url)                  -> key of a URL pointing into this storage, or null
+ * - keyFromSignedUrl(url)            -> key of a valid signed URL this driver checks itself, or null
+ * - makePrivate(key)                 (optional) revoke public access to an object
+ *
+ * Objects are private: clients only get signed URLs, minted by `urlFor` whenever a
+ * response is built. Documents store keys. Values stored before keys were used may
+ * still be absolute URLs; `urlFor` passes those through and `keyFor` maps them back
+ * to a key (scripts/migrate-private-storage.js rewrites them).
+ */
+
+const factories = new Map();
+let storage = null;
+
+const registerDriver = (name, factory) => {
+  factories.set(name, factory);
+};
+
+// The configured driver, created on first use
+const getStorage = () => {
+  if (!storage) {
+    const factory = factories.get(config.storage.driver);
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+// Use a specific driver instance, e.g. a fresh memory driver in tests
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+const isUrl = (value) => /^[a-z][a-z0-9+.-]*:/i.test(value);
+
+const createKey = (prefix, extension) => `${prefix}/${uuidv4()}.${extension}`;
+
+// Signed URL a client can fetch for a stored key; legacy URLs are returned as they are
+const urlFor = (ref, { expiresIn = config.storage.urlTtl.images } = {}) => {
+  if (!ref) return null;
+  return isUrl(ref) ? ref : getStorage().signedUrl(ref, { expiresIn });
+};
+
+// Key for a stored key or a URL into this storage; null for anything else
+const keyFor = (ref) => {
+  if (!ref) return null;
+  return isUrl(ref) ? getStorage().keyFromUrl(ref) : ref;
+};
+
+// Built-in drivers
+registerDriver('s3', () => createS3Driver(config.aws));
+registerDriver('local', () => createLocalDriver(config.storage.local));
+registerDriver('memory', () => createMemoryDriver());
+
+module.exports = {
+  registerDriver,
+  getStorage,
+  setStorage,
+  isUrl,
+  createKey,
+  urlFor,
+  keyFor,
+  verifySignature,
+};
@@ -0,0 +1,103 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { publicUrl, signedUrl, keyFromPublicUrl, keyFromSignedUrl } = require('./signing');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+};
+
+/**
+ * Objects stored as files under `root`, served by the API at `STORAGE_PUBLIC_URL`.
+ * The content type is derived from the key's extension.
+ */
+const createLocalDriver = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Keys can't point outside the storage root
+  const fileFor = (key) => {
+    const file = path.resolve(rootDir, key);
+    if (!file.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const nested = await Promise.all(entries.map(entry => {
+      const full = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(full) : [full];
+    }));
+    return nested.flat();
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, body) => {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return { key, size: body.length };
+    },
+
+    get: async (key) => {
+      try {
+        const body = await fs.readFile(fileFor(key));
+        return {
+          body,
+          contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+          size: body.length,
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.unlink(fileFor(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    list: async (prefix = '', { limit = 1000, cursor = null } = {}) => {
+      const files = await walk(rootDir);
+      const keys = files
+        .map(file => path.relative(rootDir, file).split(path.sep).join('/'))
+        .filter(key => key.startsWith(prefix) && (!cursor || key > cursor))
+        .sort();
+      const page = keys.slice(0, limit);
+
+      const objects = await Promise.all(page.map(async key => {
+        const stat = await fs.stat(fileFor(key));
+        return { key, size: stat.size, lastModified: stat.mtime };
+      }));
+
+      return { objects, cursor: keys.length > limit ? page[page.length - 1] : null };
+    },
+
+    url: publicUrl,
+    signedUrl,
+    keyFromUrl: keyFromPublicUrl,
+    keyFromSignedUrl,
+  };
+};
+
+module.exports = { createLocalDriver };
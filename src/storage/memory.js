@@ -0,0 +1,50 @@
+const { publicUrl, signedUrl, keyFromPublicUrl, keyFromSignedUrl } = require('./signing');
+
+/**
+ * Objects kept in process memory. For tests and single-process development: the
+ * API and the worker don't share them, and they are gone on restart.
+ */
+const createMemoryDriver = () => {
+  const objects = new Map();
+
+  return {
+    name: 'memory',
+
+    put: async (key, body, { contentType = 'application/octet-stream' } = {}) => {
+      objects.set(key, { body: Buffer.from(body), contentType, lastModified: new Date() });
+      return { key, size: body.length };
+    },
+
+    get: async (key) => {
+      const object = objects.get(key);
+      return object ? { body: object.body, contentType: object.contentType, size: object.body.length } : null;
+    },
+
+    delete: async (key) => objects.delete(key),
+
+    list: async (prefix = '', { limit = 1000, cursor = null } = {}) => {
+      const keys = Array.from(objects.keys()).filter(key => key.startsWith(prefix)).sort();
+      const start = cursor ? keys.findIndex(key => key > cursor) : 0;
+      const page = start === -1 ? [] : keys.slice(start, start + limit);
+
+      return {
+        objects: page.map(key => ({
+          key,
+          size: objects.get(key).body.length,
+          lastModified: objects.get(key).lastModified,
+        })),
+        cursor: start !== -1 && start + limit < keys.length ? page[page.length - 1] : null,
+      };
+    },
+
+    url: publicUrl,
+    signedUrl,
+    keyFromUrl: keyFromPublicUrl,
+    keyFromSignedUrl,
+
+    // Drop every object; tests call this between cases
+    clear: () => objects.clear(),
+  };
+};
+
+module.exports = { createMemoryDriver };
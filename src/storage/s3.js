@@ -0,0 +1,101 @@
+const AWS = require('aws-sdk');
+const { encodeKey } = require('./signing');
+
+/**
+ * Objects in an S3 bucket, private to the bucket owner. Signed URLs point at the
+ * bucket directly; `keyFromUrl` also recognises the virtual-hosted and path-style
+ * URLs older uploads were stored as.
+ */
+const createS3Driver = ({ accessKeyId, secretAccessKey, region, s3Bucket: bucket }) => {
+  if (!accessKeyId || !secretAccessKey || !bucket) {
+    throw new Error('AWS S3 not configured. Set AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and AWS_S3_BUCKET.');
+  }
+
+  const s3 = new AWS.S3({ accessKeyId, secretAccessKey, region, signatureVersion: 'v4' });
+  const baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType = 'application/octet-stream' } = {}) => {
+      await s3.putObject({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ACL: 'private',
+      }).promise();
+      return { key, size: body.length };
+    },
+
+    get: async (key) => {
+      try {
+        const object = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+        return { body: object.Body, contentType: object.ContentType, size: object.ContentLength };
+      } catch (error) {
+        if (error.code === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    // Objects uploaded before uploads were private were `public-read`
+    makePrivate: async (key) => {
+      await s3.putObjectAcl({ Bucket: bucket, Key: key, ACL: 'private' }).promise();
+    },
+
+    // S3 doesn't report whether the key existed
+    delete: async (key) => {
+      await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+      return true;
+    },
+
+    list: async (prefix = '', { limit = 1000, cursor = null } = {}) => {
+      const result = await s3.listObjectsV2({
+        Bucket: bucket,
+        Prefix: prefix,
+        MaxKeys: limit,
+        ContinuationToken: cursor || undefined,
+      }).promise();
+
+      return {
+        objects: result.Contents.map(object => ({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+        })),
+        cursor: result.IsTruncated ? result.NextContinuationToken : null,
+      };
+    },
+
+    url: (key) => `${baseUrl}/${encodeKey(key)}`,
+
+    signedUrl: (key, { expiresIn }) => s3.getSignedUrl('getObject', { Bucket: bucket, Key: key, Expires: expiresIn }),
+
+    keyFromUrl: (url) => {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return null;
+      }
+
+      const host = parsed.hostname;
+      const path = decodeURIComponent(parsed.pathname.substring(1));
+      if (!host.endsWith('.amazonaws.com') || !path) {
+        return null;
+      }
+      if (host.startsWith(`${bucket}.s3`)) {
+        return path;
+      }
+      if (host.startsWith('s3') && path.startsWith(`${bucket}/`)) {
+        return path.substring(bucket.length + 1) || null;
+      }
+      return null;
+    },
+
+    // S3 checks its own signatures; callers fetch these URLs like any other
+    keyFromSignedUrl: () => null,
+  };
+};
+
+module.exports = { createS3Driver };
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Signed URLs for objects the API serves itself (local and memory drivers)
+
+const sign = (key, expires) => crypto
+  .createHmac('sha256', config.storage.signingSecret)
+  .update(`${key}:${expires}`)
+  .digest('base64url');
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const publicUrl = (key) => `${config.storage.publicUrl}/${encodeKey(key)}`;
+
+const signedUrl = (key, { expiresIn }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${publicUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+const verifySignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Key of a URL built by publicUrl or signedUrl, or null for any other URL
+const keyFromPublicUrl = (url) => {
+  const prefix = `${config.storage.publicUrl}/`;
+  if (!url.startsWith(prefix)) {
+    return null;
+  }
+  return decodeURIComponent(url.substring(prefix.length).split('?')[0]);
+};
+
+// Key of a signed URL that is still valid, or null
+const keyFromSignedUrl = (url) => {
+  const key = keyFromPublicUrl(url);
+  if (!key) {
+    return null;
+  }
+
+  const { searchParams } = new URL(url);
+  return verifySignature(key, searchParams.get('expires'), searchParams.get('signature')) ? key : null;
+};
+
+module.exports = {
+  encodeKey,
+  publicUrl,
+  signedUrl,
+  verifySignature,
+  keyFromPublicUrl,
+  keyFromSignedUrl,
+};
@@ -0,0 +1,134 @@
+const config = require('../config');
+
+// Currencies Stripe charges in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf',
+]);
+
+// Stripe's minimum charge per currency, in whole units
+const MINIMUM_CHARGES = {
+  usd: 0.5, aed: 2, aud: 0.5, bgn: 1, brl: 0.5, cad: 0.5, chf: 0.5, czk: 15, dkk: 2.5, eur: 0.5, gbp: 0.3,
+  hkd: 4, huf: 175, inr: 0.5, jpy: 50, mxn: 10, myr: 2, nok: 3, nzd: 0.5, pln: 2, ron: 2, sek: 3, sgd: 0.5, thb: 10,
+};
+
+// Currency charged by default in each region of a client locale
+const REGION_CURRENCIES = {
+  US: 'usd',
+  GB: 'gbp',
+  CA: 'cad',
+  AU: 'aud',
+  NZ: 'nzd',
+  JP: 'jpy',
+  KR: 'krw',
+  IN: 'inr',
+  BR: 'brl',
+  MX: 'mxn',
+  TR: 'try',
+  CH: 'chf',
+  SE: 'sek',
+  NO: 'nok',
+  DK: 'dkk',
+  PL: 'pln',
+  AT: 'eur',
+  BE: 'eur',
+  CY: 'eur',
+  DE: 'eur',
+  EE: 'eur',
+  ES: 'eur',
+  FI: 'eur',
+  FR: 'eur',
+  GR: 'eur',
+  HR: 'eur',
+  IE: 'eur',
+  IT: 'eur',
+  LT: 'eur',
+  LU: 'eur',
+  LV: 'eur',
+  MT: 'eur',
+  NL: 'eur',
+  PT: 'eur',
+  SI: 'eur',
+  SK: 'eur',
+};
+
+const DEFAULT_LOCALE = 'en-US';
+
+const normalizeCurrency = (currency) => String(currency || '').trim().toLowerCase();
+
+// Amounts are stored in the smallest unit; this is how many of them make one unit
+const minorUnitsPerUnit = (currency) => (ZERO_DECIMAL_CURRENCIES.has(normalizeCurrency(currency)) ? 1 : 100);
+
+// Smallest amount Stripe charges in `currency`, in its smallest unit. Currencies
+// without a published minimum use the reporting currency's at the configured
+// exchange rate, or half a unit without one.
+const minimumCharge = (currency) => {
+  const code = normalizeCurrency(currency);
+  const rate = config.currency.exchangeRates[code];
+  const reportingMinimum = MINIMUM_CHARGES[config.currency.reporting];
+  const units = MINIMUM_CHARGES[code] || (rate && reportingMinimum ? reportingMinimum / rate : 0.5);
+  return Math.ceil(units * minorUnitsPerUnit(code));
+};
+
+// First language tag of an Accept-Language header, e.g. `de-DE,de;q=0.9` → `de-DE`
+const localeFromHeader = (header) => {
+  const tag = String(header || '').split(',')[0].split(';')[0].trim();
+  return tag && tag !== '*' ? tag : null;
+};
+
+// A supported canonical locale, or null for malformed tags
+const canonicalLocale = (locale) => {
+  if (!locale) {
+    return null;
+  }
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+const currencyForLocale = (locale) => {
+  const canonical = canonicalLocale(locale);
+  if (!canonical) {
+    return null;
+  }
+  // `de` alone maximizes to `de-Latn-DE`
+  const { region } = new Intl.Locale(canonical).maximize();
+  return REGION_CURRENCIES[region] || null;
+};
+
+// An explicit currency wins over the one implied by the locale
+const resolveCurrency = ({ currency, locale } = {}) => (
+  normalizeCurrency(currency) || currencyForLocale(locale) || config.currency.default
+);
+
+const formatPrice = (amount, currency, locale = DEFAULT_LOCALE) => new Intl.NumberFormat(
+  canonicalLocale(locale) || DEFAULT_LOCALE,
+  { style: 'currency', currency: currency.toUpperCase() }
+).format(amount / minorUnitsPerUnit(currency));
+
+/**
+ * Convert an amount in the smallest unit of `currency` to the smallest unit of the
+ * reporting currency, using `config.currency.exchangeRates`. Null when there is no
+ * rate for the currency.
+ */
+const toReportingAmount = (amount, currency) => {
+  const from = normalizeCurrency(currency);
+  const to = config.currency.reporting;
+  const rate = from === to ? 1 : config.currency.exchangeRates[from];
+  if (!rate) {
+    return null;
+  }
+  return Math.round(amount / minorUnitsPerUnit(from) * rate * minorUnitsPerUnit(to));
+};
+
+module.exports = {
+  normalizeCurrency,
+  minorUnitsPerUnit,
+  minimumCharge,
+  localeFromHeader,
+  currencyForLocale,
+  resolveCurrency,
+  formatPrice,
+  toReportingAmount,
+};
@@ -0,0 +1,8 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for domain events (generation.completed, payment.succeeded, ...).
+// Models and controllers emit; integrations such as outbound webhooks subscribe.
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+module.exports = eventBus;
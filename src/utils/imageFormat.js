@@ -0,0 +1,32 @@
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Image format of a buffer from its leading bytes, or null if it isn't an image we handle
+const detectImageFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return 'gif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' && ['avif', 'avis'].includes(buffer.toString('ascii', 8, 12))) {
+    return 'avif';
+  }
+  return null;
+};
+
+const contentTypeFor = (format) => `image/${format}`;
+
+module.exports = {
+  detectImageFormat,
+  contentTypeFor,
+};
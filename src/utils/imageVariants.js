@@ -0,0 +1,22 @@
+// Renditions derived from every uploaded and generated image, stored next to it
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 256, height: 256, fit: 'cover', format: 'jpeg', quality: 70 },
+  medium: { width: 512, height: 512, fit: 'inside', format: 'jpeg', quality: 80 },
+  webp: { width: 1024, height: 1024, fit: 'inside', format: 'webp', quality: 80 },
+  avif: { width: 1024, height: 1024, fit: 'inside', format: 'avif', quality: 50 },
+};
+
+const VARIANT_NAMES = Object.keys(IMAGE_VARIANTS);
+
+// Sizes clients can ask for; `original` is the stored image itself
+const IMAGE_SIZES = ['original', ...VARIANT_NAMES];
+
+// `generations/<id>/<uuid>.jpeg` -> `generations/<id>/<uuid>-thumbnail.jpeg`
+const variantKey = (key, name) => `${key.replace(/\.[^./]+$/, '')}-${name}.${IMAGE_VARIANTS[name].format}`;
+
+module.exports = {
+  IMAGE_VARIANTS,
+  VARIANT_NAMES,
+  IMAGE_SIZES,
+  variantKey,
+};
@@ -0,0 +1,246 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Job = require('../models/Job');
+const config = require('../config');
+const { logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Add a job to the queue
+const enqueue = async (type, payload = {}, options = {}) => {
+  const {
+    priority = 0,
+    delayMs = 0,
+    maxAttempts = config.queue.maxAttempts,
+  } = options;
+
+  const job = await Job.create({
+    type,
+    payload,
+    priority,
+    maxAttempts,
+    runAt: new Date(Date.now() + delayMs),
+  });
+
+  logger.info(`Job enqueued: ${job._id} (${type})`, { payload });
+  return job;
+};
+
+// Atomically lease the next available job. A job is available when it is queued
+// and due, or when it is active but its lease expired (its worker died).
+const claimNext = async (workerId, types, leaseMs = config.queue.leaseMs) => {
+  const now = new Date();
+
+  return await Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'active', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'active',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        lastHeartbeatAt: now,
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    {
+      new: true,
+      sort: { priority: -1, runAt: 1 },
+    }
+  );
+};
+
+// Extend the lease of a job this worker still owns. Returns false if the lease was lost.
+const heartbeat = async (job, workerId, leaseMs = config.queue.leaseMs) => {
+  const now = new Date();
+  const result = await Job.updateOne(
+    { _id: job._id, status: 'active', lockedBy: workerId },
+    {
+      $set: {
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        lastHeartbeatAt: now,
+      },
+    }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+const completeJob = async (job, workerId) => {
+  return await Job.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: {
+        status: 'completed',
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: null,
+      },
+    }
+  );
+};
+
+// Put the job back in the queue with exponential backoff, or fail it permanently
+const failJob = async (job, workerId, error, retryBaseDelayMs = config.queue.retryBaseDelayMs) => {
+  const message = error?.message || String(error);
+  const exhausted = job.attempts >= job.maxAttempts;
+
+  const update = exhausted
+    ? { status: 'failed', completedAt: new Date() }
+    : { status: 'queued', runAt: new Date(Date.now() + Math.pow(2, job.attempts) * retryBaseDelayMs) };
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: {
+        ...update,
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: message,
+      },
+    }
+  );
+
+  return exhausted;
+};
+
+// Find a queued job, or an active job whose lease is still live, matching the payload
+const findOpenJob = async (type, payloadQuery = {}) => {
+  const query = {
+    type,
+    $or: [
+      { status: 'queued' },
+      { status: 'active', lockedUntil: { $gte: new Date() } },
+    ],
+  };
+
+  Object.entries(payloadQuery).forEach(([key, value]) => {
+    query[`payload.${key}`] = value;
+  });
+
+  return await Job.findOne(query);
+};
+
+const getQueueStats = async () => {
+  const now = new Date();
+  const [byStatus, expiredLeases] = await Promise.all([
+    Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+    ]),
+    Job.countDocuments({ status: 'active', lockedUntil: { $lt: now } }),
+  ]);
+
+  return { byStatus, expiredLeases };
+};
+
+// Create a polling worker that processes up to `concurrency` jobs at once.
+// `handlers` maps a job type to an async function receiving the job document.
+const createWorker = (handlers, options = {}) => {
+  const settings = {
+    concurrency: config.queue.concurrency,
+    pollIntervalMs: config.queue.pollIntervalMs,
+    leaseMs: config.queue.leaseMs,
+    heartbeatMs: config.queue.heartbeatMs,
+    retryBaseDelayMs: config.queue.retryBaseDelayMs,
+    ...options,
+  };
+
+  const workerId = options.workerId || `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+  const types = Object.keys(handlers);
+  const running = new Set();
+  let stopped = true;
+  let loopPromise = null;
+
+  const runJob = async (job) => {
+    const handler = handlers[job.type];
+    const timer = setInterval(() => {
+      heartbeat(job, workerId, settings.leaseMs)
+        .then(owned => {
+          if (!owned) {
+            logger.warn(`Lost lease on job ${job._id}, another worker may pick it up`);
+          }
+        })
+        .catch(error => logger.error(`Heartbeat failed for job ${job._id}:`, error));
+    }, settings.heartbeatMs);
+
+    try {
+      logger.info(`Worker ${workerId} started job ${job._id} (${job.type}, attempt ${job.attempts}/${job.maxAttempts})`);
+      await handler(job);
+      await completeJob(job, workerId);
+      logger.info(`Worker ${workerId} completed job ${job._id}`);
+    } catch (error) {
+      const exhausted = await failJob(job, workerId, error, settings.retryBaseDelayMs);
+      logger.error(`Job ${job._id} failed${exhausted ? ' permanently' : ', will retry'}:`, error);
+    } finally {
+      clearInterval(timer);
+    }
+  };
+
+  const loop = async () => {
+    while (!stopped) {
+      if (running.size >= settings.concurrency) {
+        await Promise.race(running);
+        continue;
+      }
+
+      let job = null;
+      try {
+        job = await claimNext(workerId, types, settings.leaseMs);
+      } catch (error) {
+        logger.error('Failed to claim job:', error);
+      }
+
+      if (!job) {
+        await sleep(settings.pollIntervalMs);
+        continue;
+      }
+
+      const promise = runJob(job)
+        .catch(error => logger.error(`Worker ${workerId} crashed on job ${job._id}:`, error))
+        .finally(() => running.delete(promise));
+      running.add(promise);
+    }
+  };
+
+  const start = () => {
+    if (!stopped) return;
+    stopped = false;
+    logger.info(`Job worker ${workerId} started (types: ${types.join(', ')}, concurrency: ${settings.concurrency})`);
+    loopPromise = loop();
+  };
+
+  // Stop claiming new jobs and wait for in-flight jobs to finish
+  const stop = async () => {
+    if (stopped) return;
+    stopped = true;
+    await loopPromise;
+    await Promise.allSettled(running);
+    logger.info(`Job worker ${workerId} stopped`);
+  };
+
+  return {
+    workerId,
+    start,
+    stop,
+    isRunning: () => !stopped,
+    activeJobs: () => running.size,
+  };
+};
+
+module.exports = {
+  enqueue,
+  claimNext,
+  heartbeat,
+  completeJob,
+  failJob,
+  findOpenJob,
+  getQueueStats,
+  createWorker,
+};
@@ -0,0 +1,223 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const config = require('../config');
+const { detectImageFormat } = require('./imageFormat');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local (cloud metadata), shared, multicast, reserved and
+// documentation ranges, and IPv6 forms that can wrap an IPv4 address. One list per
+// family: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules.
+const blockList = (family, subnets) => {
+  const list = new net.BlockList();
+  subnets.forEach(([address, prefix]) => list.addSubnet(address, prefix, family));
+  return list;
+};
+
+const blockedAddresses = {
+  4: blockList('ipv4', [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+  ]),
+  6: blockList('ipv6', [
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001::', 32],
+    ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  ]),
+};
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockedAddresses[family].check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Errors about the URL or what it returned, as opposed to failures on our side
+const createImageUrlError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE_URL';
+  return error;
+};
+
+const isImageUrlError = (error) => Boolean(error) && (error.code === 'INVALID_IMAGE_URL'
+  || Boolean(error.cause && error.cause.code === 'INVALID_IMAGE_URL'));
+
+// An entry matches the host itself and its subdomains
+const matchesHost = (hostname, hosts) => hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+const checkUrl = (url, { allowedHosts, deniedHosts, allowPrivateNetworks }) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createImageUrlError('Image URL is not a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw createImageUrlError('Image URL must use http or https');
+  }
+  if (parsed.username || parsed.password) {
+    throw createImageUrlError('Image URL must not contain credentials');
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (matchesHost(hostname, deniedHosts) || (allowedHosts.length > 0 && !matchesHost(hostname, allowedHosts))) {
+    throw createImageUrlError(`Images from ${hostname} are not allowed`);
+  }
+  // Hosts given as an IP address are never looked up
+  if (net.isIP(hostname) && !allowPrivateNetworks && !isPublicAddress(hostname)) {
+    throw createImageUrlError('Image URL points to a private network address');
+  }
+
+  return parsed;
+};
+
+// dns.lookup refusing hosts with any non-public address. The connection uses the
+// address checked here, so a second DNS answer can't redirect it. `createError`
+// builds the error for a refused host.
+const createPublicLookup = (createError) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(createError(hostname));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicLookup = createPublicLookup(
+  hostname => createImageUrlError(`Image host ${hostname} resolves to a private network address`)
+);
+
+// Whether a host is an IP address or name that only reaches public addresses.
+// Hosts that don't resolve are not public.
+const isPublicHost = async (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (net.isIP(host)) {
+    return isPublicAddress(host);
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+const readBody = (stream, { maxBytes, signal, onTimeout }) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  const fail = (error) => {
+    stream.destroy();
+    reject(error);
+  };
+
+  signal.addEventListener('abort', () => fail(onTimeout()), { once: true });
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      fail(createImageUrlError(`Image is larger than ${maxBytes} bytes`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+/**
+ * Download an image from a URL we don't control. Only public http(s) hosts
+ * allowed by the host lists are contacted, including after each redirect. The
+ * whole download is bounded by `timeoutMs` and `maxBytes`, and the body must be
+ * a JPEG, PNG, GIF, WebP or AVIF image whatever the server says it is.
+ * Options override `config.remoteImages`.
+ *
+ * Resolves to `{ buffer, format }`. Problems with the URL or its response are
+ * thrown as errors with code `INVALID_IMAGE_URL` and a message for the client.
+ */
+const fetchRemoteImage = async (url, options = {}) => {
+  const settings = { ...config.remoteImages, ...options };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+  const timeoutError = () => createImageUrlError(`Image URL did not respond within ${settings.timeoutMs} ms`);
+
+  try {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      checkUrl(current, settings);
+
+      const response = await axios.get(current, {
+        responseType: 'stream',
+        maxRedirects: 0,
+        proxy: false,
+        signal: controller.signal,
+        lookup: settings.allowPrivateNetworks ? dns.lookup : publicLookup,
+        headers: { Accept: 'image/*' },
+        validateStatus: () => true,
+      });
+
+      if (REDIRECT_STATUSES.includes(response.status)) {
+        response.data.destroy();
+        if (redirects >= settings.maxRedirects) {
+          throw createImageUrlError(`Image URL redirected more than ${settings.maxRedirects} times`);
+        }
+        if (!response.headers.location) {
+          throw createImageUrlError('Image URL redirected without a location');
+        }
+        current = new URL(response.headers.location, current).toString();
+        continue;
+      }
+
+      if (response.status !== 200) {
+        response.data.destroy();
+        throw createImageUrlError(`Image URL responded with HTTP ${response.status}`);
+      }
+
+      const contentType = response.headers['content-type'];
+      if (contentType && !/^(image\/|application\/octet-stream)/i.test(contentType)) {
+        response.data.destroy();
+        throw createImageUrlError(`Image URL returned ${contentType.split(';')[0]}, not an image`);
+      }
+      if (parseInt(response.headers['content-length']) > settings.maxBytes) {
+        response.data.destroy();
+        throw createImageUrlError(`Image is larger than ${settings.maxBytes} bytes`);
+      }
+
+      const buffer = await readBody(response.data, {
+        maxBytes: settings.maxBytes,
+        signal: controller.signal,
+        onTimeout: timeoutError,
+      });
+
+      const format = detectImageFormat(buffer);
+      if (!format) {
+        throw createImageUrlError('Image URL did not return a JPEG, PNG, GIF, WebP or AVIF image');
+      }
+      return { buffer, format };
+    }
+  } catch (error) {
+    // Errors raised in our lookup reach us wrapped by axios
+    if (isImageUrlError(error)) {
+      throw error.cause && error.cause.code === 'INVALID_IMAGE_URL' ? error.cause : error;
+    }
+    if (controller.signal.aborted) {
+      throw timeoutError();
+    }
+    throw createImageUrlError(`Image URL could not be fetched (${error.code || error.message})`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = {
+  fetchRemoteImage,
+  createImageUrlError,
+  isImageUrlError,
+  isPublicAddress,
+  isPublicHost,
+  createPublicLookup,
+};
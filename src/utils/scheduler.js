@@ -0,0 +1,69 @@
+const cron = require('node-cron');
+const config = require('../config');
+const { logger } = require('./logger');
+const { reapStaleGenerations } = require('../services/generationReaper');
+const { runReconciliation } = require('../services/reconciliation');
+const { expirePremiumSubscriptions } = require('../services/premium');
+const { releaseStaleRedemptions } = require('../services/promoCodes');
+
+const tasks = [];
+
+// Register a cron task that never overlaps with its own previous run
+const scheduleTask = (name, expression, handler) => {
+  if (!cron.validate(expression)) {
+    logger.error(`Invalid cron expression for ${name}: ${expression}`);
+    return null;
+  }
+
+  let running = false;
+  const task = cron.schedule(expression, async () => {
+    if (running) {
+      logger.warn(`Scheduled task ${name} is still running, skipping this run`);
+      return;
+    }
+
+    running = true;
+    try {
+      await handler();
+    } catch (error) {
+      logger.error(`Scheduled task ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, {
+    timezone: config.scheduler.timezone,
+  });
+
+  tasks.push({ name, expression, task });
+  logger.info(`Scheduled task registered: ${name} (${expression})`);
+  return task;
+};
+
+const startScheduler = async () => {
+  scheduleTask('generation-reaper', config.reaper.schedule, () => reapStaleGenerations({ trigger: 'schedule' }));
+  scheduleTask('premium-expiry', config.premium.expirySchedule, () => expirePremiumSubscriptions());
+  scheduleTask('credit-reconciliation', config.reconciliation.schedule, () => runReconciliation({ trigger: 'schedule' }));
+  scheduleTask('promo-redemption-release', config.promoCodes.releaseSchedule, () => releaseStaleRedemptions());
+
+  // Recover generations stranded by a previous crash or deploy
+  try {
+    const summary = await reapStaleGenerations({ trigger: 'startup' });
+    logger.info('Startup generation recovery completed:', summary);
+  } catch (error) {
+    logger.error('Startup generation recovery failed:', error);
+  }
+};
+
+const stopScheduler = () => {
+  tasks.forEach(({ task }) => task.stop());
+  tasks.length = 0;
+};
+
+const getScheduledTasks = () => tasks.map(({ name, expression }) => ({ name, expression }));
+
+module.exports = {
+  scheduleTask,
+  startScheduler,
+  stopScheduler,
+  getScheduledTasks,
+};
@@ -4,7 +4,11 @@ const User = require('../models/User');
 const Generation = require('../models/Generation');
 const Transaction = require('../models/Transaction');
 const AdWatch = require('../models/AdWatch');
+const Package = require('../models/Package');
+const Referral = require('../models/Referral');
+const { ensureDefaultPackages } = require('../services/packages');
 const connectDB = require('../config/database');
+const { listModels } = require('../providers');
 const { logger } = require('./logger');
 
 const seedData = {
@@ -74,7 +78,7 @@ const seedGenerations = async (users) => {
 
     const generations = [];
     const statuses = ['pending', 'processing', 'completed', 'failed'];
-    const models = ['fal-ai', 'custom-model-1', 'custom-model-2'];
+    const models = listModels().map(model => model.id);
     const prompts = [
       'A beautiful sunset over mountains',
       'A futuristic city with flying cars',
@@ -246,6 +250,20 @@ const seedAdWatches = async (users) => {
   }
 };
 
+const seedPackages = async () => {
+  try {
+    // Reset the catalog to the defaults
+    await Package.deleteMany({});
+    logger.info('Cleared existing packages');
+
+    const created = await ensureDefaultPackages();
+    logger.info(`Created ${created} packages`);
+  } catch (error) {
+    logger.error('Error seeding packages:', error);
+    throw error;
+  }
+};
+
 const seedDatabase = async () => {
   try {
     logger.info('Starting database seeding...');
@@ -254,6 +272,7 @@ const seedDatabase = async () => {
     await connectDB();
 
     // Seed data in order
+    await seedPackages();
     const users = await seedUsers();
     const generations = await seedGenerations(users);
     const transactions = await seedTransactions(users);
@@ -286,6 +305,8 @@ const clearDatabase = async () => {
       Generation.deleteMany({}),
       Transaction.deleteMany({}),
       AdWatch.deleteMany({}),
+      Package.deleteMany({}),
+      Referral.deleteMany({}),
     ]);
 
     logger.info('Database cleared successfully!');
@@ -311,6 +332,7 @@ if (process.argv[2] === 'clear') {
 module.exports = {
   seedDatabase,
   clearDatabase,
+  seedPackages,
   seedUsers,
   seedGenerations,
   seedTransactions,
@@ -0,0 +1,7 @@
+const Stripe = require('stripe');
+const config = require('../config');
+
+// Shared Stripe client
+const stripe = Stripe(config.stripe.secretKey);
+
+module.exports = stripe;
@@ -1,28 +1,9 @@
-const AWS = require('aws-sdk');
-// const cloudinary = require('cloudinary').v2; // Disabled - using S3 only
 const sharp = require('sharp');
-const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const { logger } = require('./logger');
-
-// Configure AWS S3
-let s3;
-if (config.aws.accessKeyId && config.aws.secretAccessKey) {
-  s3 = new AWS.S3({
-    accessKeyId: config.aws.accessKeyId,
-    secretAccessKey: config.aws.secretAccessKey,
-    region: config.aws.region,
-  });
-}
-
-// Configure Cloudinary (disabled for now - using S3 only)
-// if (config.cloudinary.cloudName && config.cloudinary.apiKey && config.cloudinary.apiSecret) {
-//   cloudinary.config({
-//     cloud_name: config.cloudinary.cloudName,
-//     api_key: config.cloudinary.apiKey,
-//     api_secret: config.cloudinary.apiSecret,
-//   });
-// }
+const { getStorage, createKey, keyFor } = require('../storage');
+const { IMAGE_VARIANTS, VARIANT_NAMES, variantKey } = require('./imageVariants');
+const { detectImageFormat, contentTypeFor } = require('./imageFormat');
 
 const processImage = async (buffer, options = {}) => {
   const {
@@ -30,14 +11,16 @@ const processImage = async (buffer, options = {}) => {
     height = 1024,
     quality = 80,
     format = 'jpeg',
+    fit = 'inside',
   } = options;
 
   try {
     let processedImage = sharp(buffer);
 
-    // Resize image while maintaining aspect ratio
+    // Resize image; `inside` keeps the aspect ratio, `cover` crops to fill
     processedImage = processedImage.resize(width, height, {
-      fit: 'inside',
+      fit,
+      position: 'center',
       withoutEnlargement: true,
     });
 
@@ -48,6 +31,8 @@ const processImage = async (buffer, options = {}) => {
       processedImage = processedImage.png({ compressionLevel: 9 });
     } else if (format === 'webp') {
       processedImage = processedImage.webp({ quality });
+    } else if (format === 'avif') {
+      processedImage = processedImage.avif({ quality });
     }
 
     return await processedImage.toBuffer();
@@ -57,88 +42,112 @@ const processImage = async (buffer, options = {}) => {
   }
 };
 
-const uploadToS3 = async (buffer, fileName, contentType) => {
-  if (!s3) {
-    throw new Error('AWS S3 not configured');
+// Render the variants of a stored image and store them next to it. Resolves to their
+// keys by variant name, or null if rendering failed; the original works without them.
+const storeVariants = async (key, buffer) => {
+  try {
+    const variants = {};
+    // One at a time: AVIF encoding is memory hungry
+    for (const name of VARIANT_NAMES) {
+      const variant = IMAGE_VARIANTS[name];
+      variants[name] = variantKey(key, name);
+      await getStorage().put(variants[name], await processImage(buffer, variant), {
+        contentType: `image/${variant.format}`,
+      });
+    }
+    return variants;
+  } catch (error) {
+    logger.error(`Failed to create variants of ${key}:`, error);
+    return null;
   }
+};
 
-  const key = `uploads/${Date.now()}-${fileName}`;
-
+const storeImage = async (file, { processOptions = {}, prefix = 'uploads', variants = false }) => {
   try {
-    const uploadParams = {
-      Bucket: config.aws.s3Bucket,
-      Key: key,
-      Body: buffer,
-      ContentType: contentType,
-      ACL: 'public-read',
-    };
-
-    const result = await s3.upload(uploadParams).promise();
-    
-    logger.info(`File uploaded to S3: ${result.Location}`);
-    return result.Location;
+    const format = processOptions.format || 'jpeg';
+    const processedBuffer = await processImage(file.buffer, processOptions);
+
+    const key = createKey(prefix, format);
+    await getStorage().put(key, processedBuffer, { contentType: `image/${format}` });
+
+    logger.info(`Image stored: ${key}`);
+    return { key, variants: variants ? await storeVariants(key, processedBuffer) : null };
   } catch (error) {
-    logger.error('S3 upload error:', error);
-    throw new Error('Failed to upload to S3');
+    logger.error('Image upload error:', error);
+    throw error;
   }
 };
 
-const uploadToCloudinary = async (buffer, fileName, options = {}) => {
-  if (!cloudinary.config().cloud_name) {
-    throw new Error('Cloudinary not configured');
+// Process an uploaded image and store it under `prefix`. Resolves to its storage key.
+const uploadImage = async (file, options = {}) => {
+  const { key } = await storeImage(file, options);
+  return key;
+};
+
+// Like uploadImage, also storing the variants. Resolves to `{ key, variants }`.
+const uploadImageWithVariants = (file, options = {}) => storeImage(file, { ...options, variants: true });
+
+// Store image bytes and their variants under `prefix` following an output policy:
+// `format` ('original' keeps the detected one), `maxDimension` and `quality`. The
+// bytes are stored as they are unless the format changes or the image is larger
+// than `maxDimension`. Resolves to `{ key, variants, metadata }`.
+const storeImageBuffer = async (buffer, { prefix, policy = {} }) => {
+  const { format: targetFormat = 'original', maxDimension = null, quality = 90 } = policy;
+
+  const sourceFormat = detectImageFormat(buffer);
+  if (!sourceFormat) {
+    throw new Error('Unsupported image data');
   }
 
-  try {
-    return new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'image',
-          public_id: `uploads/${Date.now()}-${fileName.split('.')[0]}`,
-          folder: 'mobile-app',
-          ...options,
-        },
-        (error, result) => {
-          if (error) {
-            logger.error('Cloudinary upload error:', error);
-            reject(new Error('Failed to upload to Cloudinary'));
-          } else {
-            logger.info(`File uploaded to Cloudinary: ${result.secure_url}`);
-            resolve(result.secure_url);
-          }
-        }
-      );
-
-      uploadStream.end(buffer);
+  const source = await sharp(buffer).metadata();
+  const format = targetFormat === 'original' ? sourceFormat : targetFormat;
+  const oversized = Boolean(maxDimension) && Math.max(source.width, source.height) > maxDimension;
+
+  let body = buffer;
+  let { width, height } = source;
+  if (format !== sourceFormat || oversized) {
+    body = await processImage(buffer, {
+      width: maxDimension || width,
+      height: maxDimension || height,
+      format,
+      quality,
     });
-  } catch (error) {
-    logger.error('Cloudinary upload error:', error);
-    throw new Error('Failed to upload to Cloudinary');
+    ({ width, height } = await sharp(body).metadata());
   }
+
+  const key = createKey(prefix, format);
+  await getStorage().put(key, body, { contentType: contentTypeFor(format) });
+  logger.info(`Image stored: ${key} (${format}, ${width}x${height})`);
+
+  return {
+    key,
+    variants: await storeVariants(key, body),
+    metadata: { width, height, bytes: body.length, format },
+  };
 };
 
-const uploadImage = async (file, options = {}) => {
-  const {
-    processOptions = {},
-    useS3 = true, // Default to S3, fallback to Cloudinary
-  } = options;
+// Copy a stored image and its variants under `prefix`; variants the source lacks are
+// rendered. Resolves to `{ key, variants }`, or null if the source doesn't exist.
+const copyImage = async (sourceKey, prefix) => {
+  const storage = getStorage();
+  const object = await storage.get(sourceKey);
+  if (!object) {
+    return null;
+  }
 
-  try {
-    // Process the image
-    const processedBuffer = await processImage(file.buffer, processOptions);
-    
-    const fileName = `${uuidv4()}.${processOptions.format || 'jpeg'}`;
-    const contentType = `image/${processOptions.format || 'jpeg'}`;
+  const key = createKey(prefix, sourceKey.split('.').pop());
+  await storage.put(key, object.body, { contentType: object.contentType });
 
-    // Use S3 only
-    if (s3) {
-      return await uploadToS3(processedBuffer, fileName, contentType);
+  const variants = {};
+  for (const name of VARIANT_NAMES) {
+    const variant = await storage.get(variantKey(sourceKey, name));
+    if (!variant) {
+      return { key, variants: await storeVariants(key, object.body) };
     }
-
-    throw new Error('AWS S3 not configured. Please check your environment variables.');
-  } catch (error) {
-    logger.error('Image upload error:', error);
-    throw error;
+    variants[name] = variantKey(key, name);
+    await storage.put(variants[name], variant.body, { contentType: variant.contentType });
   }
+  return { key, variants };
 };
 
 const validateImageFile = (file) => {
@@ -165,69 +174,17 @@ const validateImageFile = (file) => {
   };
 };
 
-const generateThumbnail = async (imageBuffer, size = 200) => {
-  try {
-    return await sharp(imageBuffer)
-      .resize(size, size, {
-        fit: 'cover',
-        position: 'center',
-      })
-      .jpeg({ quality: 70 })
-      .toBuffer();
-  } catch (error) {
-    logger.error('Thumbnail generation error:', error);
-    throw new Error('Failed to generate thumbnail');
-  }
-};
-
-const deleteFromS3 = async (imageUrl) => {
-  if (!s3 || !imageUrl.includes(config.aws.s3Bucket)) {
+// Delete a stored image by key, or by a legacy URL into the storage. False for foreign URLs.
+const deleteImage = async (ref) => {
+  const key = keyFor(ref);
+  if (!key) {
     return false;
   }
 
   try {
-    const key = imageUrl.split('/').slice(-2).join('/'); // Get the key from URL
-    
-    await s3.deleteObject({
-      Bucket: config.aws.s3Bucket,
-      Key: key,
-    }).promise();
-
-    logger.info(`File deleted from S3: ${key}`);
-    return true;
-  } catch (error) {
-    logger.error('S3 deletion error:', error);
-    return false;
-  }
-};
-
-const deleteFromCloudinary = async (imageUrl) => {
-  if (!cloudinary.config().cloud_name || !imageUrl.includes('cloudinary.com')) {
-    return false;
-  }
-
-  try {
-    const publicId = imageUrl.split('/').slice(-2).join('/').split('.')[0];
-    
-    const result = await cloudinary.uploader.destroy(`mobile-app/${publicId}`);
-    
-    logger.info(`File deleted from Cloudinary: ${publicId}`);
-    return result.result === 'ok';
-  } catch (error) {
-    logger.error('Cloudinary deletion error:', error);
-    return false;
-  }
-};
-
-const deleteImage = async (imageUrl) => {
-  try {
-    // Try S3 first
-    const s3Deleted = await deleteFromS3(imageUrl);
-    if (s3Deleted) return true;
-
-    // Try Cloudinary
-    const cloudinaryDeleted = await deleteFromCloudinary(imageUrl);
-    return cloudinaryDeleted;
+    const deleted = await getStorage().delete(key);
+    logger.info(`Image deleted: ${key}`);
+    return deleted;
   } catch (error) {
     logger.error('Image deletion error:', error);
     return false;
@@ -236,10 +193,11 @@ const deleteImage = async (imageUrl) => {
 
 module.exports = {
   uploadImage,
+  uploadImageWithVariants,
+  storeImageBuffer,
+  copyImage,
+  storeVariants,
   validateImageFile,
   processImage,
-  generateThumbnail,
   deleteImage,
-  uploadToS3,
-  uploadToCloudinary,
-};
\ No newline at end of file
+};
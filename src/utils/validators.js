@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { IMAGE_SIZES } = require('./imageVariants');
 
 // User validation schemas
 const registerSchema = Joi.object({
@@ -28,6 +29,7 @@ const registerSchema = Joi.object({
     'any.required': 'Last name is required',
   }),
   deviceId: Joi.string().optional(),
+  referralCode: Joi.string().trim().max(20).optional(),
 });
 
 const loginSchema = Joi.object({
@@ -71,18 +73,28 @@ const createPaymentIntentSchema = Joi.object({
     'any.required': 'Package ID is required',
   }),
   paymentMethodId: Joi.string().optional(),
+  promoCode: Joi.string().trim().max(32).optional(),
+  currency: Joi.string().length(3).lowercase().optional(),
+  locale: Joi.string().max(35).optional(),
 });
 
 // Ad watch validation schemas
-const adWatchCompletedSchema = Joi.object({
-  adId: Joi.string().required().messages({
+const adWatchStartSchema = Joi.object({
+  adId: Joi.string().max(200).required().messages({
     'any.required': 'Ad ID is required',
   }),
+  adProvider: Joi.string().valid('admob', 'facebook', 'unity', 'custom').default('admob'),
+});
+
+const adWatchCompletedSchema = Joi.object({
+  adWatchId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid ad watch ID format',
+    'any.required': 'Ad watch ID is required',
+  }),
   watchDurationMs: Joi.number().integer().min(0).required().messages({
     'number.min': 'Watch duration must be non-negative',
     'any.required': 'Watch duration is required',
   }),
-  adProvider: Joi.string().valid('admob', 'facebook', 'unity', 'custom').default('admob'),
 });
 
 // Admin validation schemas
@@ -101,6 +113,16 @@ const paginationSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(10),
 });
 
+// Which rendition of each image history responses link to
+const imageSizeSchema = Joi.string().valid(...IMAGE_SIZES).default('original').messages({
+  'any.only': `Size must be one of: ${IMAGE_SIZES.join(', ')}`,
+});
+
+const generationHistorySchema = paginationSchema.keys({
+  status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'cancelled').optional(),
+  size: imageSizeSchema,
+});
+
 const objectIdSchema = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
   'string.pattern.base': 'Invalid ID format',
   'any.required': 'ID is required',
@@ -189,9 +211,12 @@ module.exports = {
   updateProfileSchema,
   createGenerationSchema,
   createPaymentIntentSchema,
+  adWatchStartSchema,
   adWatchCompletedSchema,
   addCreditsSchema,
   paginationSchema,
+  imageSizeSchema,
+  generationHistorySchema,
   objectIdSchema,
   
   // Middleware
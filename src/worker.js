@@ -0,0 +1,52 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+const config = require('./config');
+const connectDB = require('./config/database');
+const { logger } = require('./utils/logger');
+const { createGenerationWorker } = require('./services/generationProcessor');
+const { createWebhookWorker, registerWebhookListeners } = require('./services/webhooks');
+
+// Standalone queue worker. Run with `npm run worker` and set
+// QUEUE_EMBEDDED_WORKER=false on the API so jobs are only processed here.
+const workers = [createGenerationWorker(), createWebhookWorker()];
+
+// Generations completed here emit domain events that become webhook deliveries
+registerWebhookListeners();
+
+const gracefulShutdown = async (signal) => {
+  logger.info(`Received ${signal}. Waiting for in-flight jobs to finish...`);
+
+  // Force close after the lease expires; unfinished jobs will be reclaimed by another worker
+  setTimeout(() => {
+    logger.error('Worker could not finish jobs in time, forcefully shutting down');
+    process.exit(1);
+  }, config.queue.leaseMs).unref();
+
+  await Promise.all(workers.map(worker => worker.stop()));
+  await mongoose.connection.close();
+  logger.info('MongoDB connection closed');
+  process.exit(0);
+};
+
+process.on('unhandledRejection', (err) => {
+  logger.error('Unhandled Promise Rejection in worker:', err);
+  process.exit(1);
+});
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+const startWorker = async () => {
+  const connected = await connectDB();
+  if (connected === false) {
+    logger.error('Worker cannot start without a database connection');
+    process.exit(1);
+  }
+
+  workers.forEach(worker => worker.start());
+  logger.info(`Worker running in ${config.nodeEnv} mode with concurrency ${config.queue.concurrency}`);
+};
+
+startWorker();
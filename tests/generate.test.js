@@ -0,0 +1,208 @@
+const request = require('supertest');
+const app = require('../src/server');
+const Generation = require('../src/models/Generation');
+const User = require('../src/models/User');
+const Transaction = require('../src/models/Transaction');
+const { publishGenerationEvent } = require('../src/services/generationEvents');
+const { reserveCredits } = require('../src/services/credits');
+
+describe('Generation Endpoints', () => {
+  let accessToken;
+  let userId;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'test@example.com',
+        password: 'password123',
+        username: 'testuser',
+        firstName: 'Test',
+        lastName: 'User',
+      });
+
+    accessToken = response.body.data.accessToken;
+    userId = response.body.data.user.id;
+  });
+
+  describe('GET /api/generate/:id/events', () => {
+    let generation;
+
+    beforeEach(async () => {
+      generation = await Generation.create({
+        userId,
+        prompt: 'A lighthouse at dusk',
+        creditsUsed: 1,
+      });
+
+      await publishGenerationEvent(generation._id, 'status', { status: 'processing' });
+      await publishGenerationEvent(generation._id, 'log', { message: 'Generating' });
+      await generation.complete(['https://example.com/image.jpg']);
+      await publishGenerationEvent(generation._id, 'completed', {
+        status: 'completed',
+        generatedImageUrls: ['https://example.com/image.jpg'],
+      });
+    });
+
+    it('should replay events and close after the final state', async () => {
+      const response = await request(app)
+        .get(`/api/generate/${generation._id}/events`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(response.text).toContain('id: 1\nevent: status');
+      expect(response.text).toContain('id: 2\nevent: log');
+      expect(response.text).toContain('id: 3\nevent: completed');
+    });
+
+    it('should resume after Last-Event-ID', async () => {
+      const response = await request(app)
+        .get(`/api/generate/${generation._id}/events?access_token=${accessToken}`)
+        .set('Last-Event-ID', '2')
+        .expect(200);
+
+      expect(response.text).not.toContain('id: 2\n');
+      expect(response.text).toContain('id: 3\nevent: completed');
+    });
+
+    it('should keep query string access tokens out of request logs', async () => {
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        await request(app)
+          .get(`/api/generate/${generation._id}/events?access_token=${accessToken}`)
+          .expect(200);
+
+        const logged = consoleLog.mock.calls.flat().join('\n');
+        expect(logged).toContain('access_token=[REDACTED]');
+        expect(logged).not.toContain(accessToken);
+      } finally {
+        consoleLog.mockRestore();
+      }
+    });
+
+    it('should stop reconnection once the final event was received', async () => {
+      await request(app)
+        .get(`/api/generate/${generation._id}/events`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Last-Event-ID', '3')
+        .expect(204);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get(`/api/generate/${generation._id}/events`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/generate/create', () => {
+    it('should reject input images on private networks and release the held credits', async () => {
+      const { credits } = await User.findById(userId);
+
+      const response = await request(app)
+        .post('/api/generate/create')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          inputImageUrl: 'http://169.254.169.254/latest/meta-data/',
+          parameters: { prompt: 'A lighthouse at dusk' },
+        })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([{
+        field: 'inputImageUrl',
+        message: 'Image URL points to a private network address',
+      }]);
+      expect(await Generation.countDocuments({ userId })).toBe(0);
+
+      const user = await User.findById(userId);
+      expect(user.credits).toBe(credits);
+      expect(user.reservedCredits).toBe(0);
+    });
+
+    it('should ask for an upload instead of a local file path', async () => {
+      const response = await request(app)
+        .post('/api/generate/create')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          inputImageUrl: 'file:///var/mobile/photo.jpg',
+          parameters: { prompt: 'A lighthouse at dusk' },
+        })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('inputImageUrl');
+      expect(response.body.errors[0].message).toContain('upload the image');
+    });
+  });
+
+  describe('DELETE /api/generate/:id', () => {
+    it('should release the credits held for an active generation', async () => {
+      const user = await User.findById(userId);
+      const generation = await Generation.create({
+        userId,
+        prompt: 'A lighthouse at dusk',
+        creditsUsed: 1,
+      });
+      await reserveCredits(user, 1, generation);
+
+      await request(app)
+        .delete(`/api/generate/${generation._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(await Generation.exists({ _id: generation._id })).toBeNull();
+
+      const updated = await User.findById(userId);
+      expect(updated.credits).toBe(user.credits + 1);
+      expect(updated.reservedCredits).toBe(0);
+
+      const hold = await Transaction.findOne({ userId, type: 'credit_usage' });
+      expect(hold.status).toBe('released');
+    });
+  });
+
+  describe('GET /api/generate', () => {
+    beforeEach(async () => {
+      const generation = await Generation.create({
+        userId,
+        prompt: 'A lighthouse at dusk',
+        creditsUsed: 2,
+      });
+      await generation.complete(['generations/g1/a.jpeg', 'generations/g1/b.jpeg'], [
+        { thumbnail: 'generations/g1/a-thumbnail.jpeg', medium: 'generations/g1/a-medium.jpeg' },
+        null,
+      ]);
+    });
+
+    it('should link to the requested image size', async () => {
+      const response = await request(app)
+        .get('/api/generate?size=thumbnail')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const [generation] = response.body.data;
+      expect(generation.generatedImageUrls[0]).toContain('/generations/g1/a-thumbnail.jpeg?');
+      // Images without the variant keep the original
+      expect(generation.generatedImageUrls[1]).toContain('/generations/g1/b.jpeg?');
+      expect(generation.imageUrl).toBe(generation.generatedImageUrls[0]);
+      expect(Object.keys(generation.variants.generated[0])).toEqual(['thumbnail', 'medium']);
+    });
+
+    it('should default to the original images', async () => {
+      const response = await request(app)
+        .get('/api/generate')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data[0].generatedImageUrls[0]).toContain('/generations/g1/a.jpeg?');
+    });
+
+    it('should reject unknown sizes', async () => {
+      await request(app)
+        .get('/api/generate?size=huge')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+
+describe('Transaction Model', () => {
+  let user;
+
+  const purchase = (amount, currency) => Transaction.create({
+    userId: user._id,
+    type: 'credit_purchase',
+    amount,
+    currency,
+    creditsAdded: 10,
+    status: 'completed',
+  });
+
+  beforeEach(async () => {
+    config.currency.reporting = 'usd';
+    config.currency.exchangeRates = { eur: 1.1 };
+
+    user = await User.create({
+      email: 'ledger@example.com',
+      password: 'password123',
+      username: 'ledger',
+      firstName: 'Ledger',
+      lastName: 'User',
+    });
+  });
+
+  describe('getRevenueStats', () => {
+    it('should report revenue in the reporting currency', async () => {
+      await purchase(799, 'usd');
+      await purchase(1000, 'eur');
+      await purchase(2000, 'brl');
+
+      const stats = await Transaction.getRevenueStats();
+
+      expect(stats.reportingCurrency).toBe('usd');
+      expect(stats.total.totalRevenue).toBe(799 + 1100);
+      expect(stats.total.totalTransactions).toBe(3);
+
+      const brl = stats.byCurrency.find(row => row._id === 'brl');
+      expect(brl.amount).toBe(2000);
+      expect(brl.unconverted).toBe(1);
+    });
+
+    it('should count transactions recorded before currencies as reporting currency', async () => {
+      await Transaction.collection.insertOne({
+        userId: user._id,
+        type: 'credit_purchase',
+        amount: 499,
+        creditsAdded: 25,
+        status: 'completed',
+        createdAt: new Date(),
+      });
+
+      const stats = await Transaction.getRevenueStats();
+
+      expect(stats.total.totalRevenue).toBe(499);
+    });
+  });
+});
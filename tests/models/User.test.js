@@ -184,6 +184,78 @@ describe('User Model', () => {
         
         expect(timeDifference).toBeLessThan(1000); // Within 1 second
       });
+
+      it('should stack a renewal onto the active subscription', async () => {
+        await user.activatePremium(30);
+        const firstExpiry = user.premiumExpiresAt;
+        const startedAt = user.premiumStartedAt;
+
+        const period = await user.activatePremium(30);
+
+        expect(period.periodStart.getTime()).toBe(firstExpiry.getTime());
+        expect(user.premiumExpiresAt.getTime()).toBe(firstExpiry.getTime() + 30 * 24 * 60 * 60 * 1000);
+        expect(user.premiumStartedAt.getTime()).toBe(startedAt.getTime());
+      });
+
+      it('should add every period when grants run at the same time', async () => {
+        await user.activatePremium(30);
+        const firstExpiry = user.premiumExpiresAt;
+
+        // Two copies read before either grant, e.g. a webhook and confirmPayment
+        const [first, second] = await Promise.all([User.findById(user._id), User.findById(user._id)]);
+        await Promise.all([first.activatePremium(30), second.activatePremium(30)]);
+
+        const updated = await User.findById(user._id);
+        expect(updated.premiumExpiresAt.getTime()).toBe(firstExpiry.getTime() + 60 * 24 * 60 * 60 * 1000);
+      });
+
+      it('should start a new period after the previous one expired', async () => {
+        user.isPremium = true;
+        user.premiumExpiresAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        await user.save();
+
+        const { periodStart } = await user.activatePremium(30);
+
+        expect(Math.abs(periodStart.getTime() - Date.now())).toBeLessThan(1000);
+        expect(user.isPremiumActive).toBe(true);
+      });
+    });
+
+    describe('grantPremiumUntil', () => {
+      it('should never shorten an active entitlement', async () => {
+        await user.activatePremium(30);
+        const expiry = user.premiumExpiresAt;
+
+        await user.grantPremiumUntil(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+        expect(user.premiumExpiresAt.getTime()).toBe(expiry.getTime());
+        expect(user.premiumSource).toBe('subscription');
+        expect((await User.findById(user._id)).premiumExpiresAt.getTime()).toBe(expiry.getTime());
+      });
+    });
+
+    describe('extendPremium', () => {
+      it('should refuse to extend without an active subscription', async () => {
+        await expect(user.extendPremium(7)).rejects.toThrow('No active premium subscription');
+      });
+    });
+
+    describe('expirePremium', () => {
+      it('should clear an expired subscription', async () => {
+        user.isPremium = true;
+        user.premiumExpiresAt = new Date(Date.now() - 1000);
+        await user.save();
+
+        expect(await user.expirePremium()).not.toBeNull();
+        expect((await User.findById(user._id)).isPremium).toBe(false);
+      });
+
+      it('should keep a subscription that was renewed', async () => {
+        await user.activatePremium(30);
+
+        expect(await user.expirePremium()).toBeNull();
+        expect((await User.findById(user._id)).isPremium).toBe(true);
+      });
     });
   });
 
@@ -0,0 +1,73 @@
+const { getModel, registerModel, validateModelInput } = require('../../src/providers');
+
+describe('Model parameters', () => {
+  const sdModel = getModel('fal-ai/stable-diffusion-v35-large');
+  const kontextModel = getModel('fal-ai/flux-pro/kontext');
+
+  it('should validate and map supported parameters to provider input names', () => {
+    const { value, errors } = validateModelInput(sdModel, {
+      prompt: 'A lighthouse at dusk',
+      negativePrompt: 'blur',
+      style: 'cinematic',
+      seed: 42,
+      width: 768,
+      height: 1024,
+      guidanceScale: 4.5,
+      steps: 30,
+    });
+
+    expect(errors).toBeUndefined();
+    expect(sdModel.mapInput(value, {})).toEqual({
+      prompt: 'A lighthouse at dusk, cinematic style',
+      negative_prompt: 'blur',
+      num_images: 1,
+      seed: 42,
+      guidance_scale: 4.5,
+      num_inference_steps: 30,
+      image_size: { width: 768, height: 1024 },
+    });
+  });
+
+  it('should reject out of range parameters', () => {
+    const { errors } = validateModelInput(sdModel, {
+      prompt: 'A lighthouse at dusk',
+      steps: 500,
+      style: 'watercolor',
+    });
+
+    expect(errors.map(error => error.field)).toEqual(
+      expect.arrayContaining(['parameters.steps', 'parameters.style'])
+    );
+  });
+
+  it('should drop and report parameters the model does not honor', () => {
+    const { value, ignored } = validateModelInput(kontextModel, {
+      prompt: 'A lighthouse at dusk',
+      negativePrompt: 'blur',
+      steps: 30,
+      width: 1920,
+      height: 1080,
+    });
+
+    expect(ignored).toEqual(['negativePrompt', 'steps']);
+    expect(value.negativePrompt).toBeUndefined();
+    expect(kontextModel.mapInput(value, {})).toEqual({
+      prompt: 'A lighthouse at dusk',
+      num_images: 1,
+      aspect_ratio: '16:9',
+    });
+  });
+
+  it('should keep generated images as returned unless the model sets an output policy', () => {
+    expect(kontextModel.output).toEqual({ format: 'original', maxDimension: null, quality: 90 });
+    expect(getModel('fal-ai/flux/dev').output).toEqual({ format: 'jpeg', maxDimension: null, quality: 90 });
+
+    expect(() => registerModel({
+      id: 'test/bmp-output',
+      provider: 'mock',
+      modes: { 'text-to-image': 'test/bmp-output' },
+      mapInput: parameters => parameters,
+      output: { format: 'bmp' },
+    })).toThrow('unknown output format');
+  });
+});
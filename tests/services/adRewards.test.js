@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const AdWatch = require('../../src/models/AdWatch');
+const Transaction = require('../../src/models/Transaction');
+const {
+  getAdAvailability,
+  startAdWatch,
+  completeAdWatch,
+  verifyAdMobSignature,
+  handleAdMobCallback,
+} = require('../../src/services/adRewards');
+
+describe('Rewarded ads', () => {
+  let user;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  // A watch started `agoMs` ago
+  const startedWatch = async (agoMs, fields = {}) => {
+    const { adWatch } = await startAdWatch(user, { adId: 'ad_1', adProvider: 'unity', ipAddress: '10.0.0.1' });
+    adWatch.watchedAt = new Date(Date.now() - agoMs);
+    adWatch.set(fields);
+    return await adWatch.save();
+  };
+
+  const signedQuery = (params) => {
+    const message = new URLSearchParams(params).toString();
+    const signature = crypto.sign('sha256', Buffer.from(message), privateKey).toString('base64url');
+    return `${message}&signature=${signature}&key_id=3335741209`;
+  };
+
+  beforeEach(async () => {
+    config.ads.maxPerDay = 3;
+    config.ads.rewardCredits = 1;
+    config.ads.minWatchDurationMs = 30000;
+    config.ads.admob.requireSsv = true;
+
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: { keys: [{ keyId: 3335741209, pem: publicKey.export({ type: 'spki', format: 'pem' }) }] },
+    });
+
+    user = await User.create({
+      email: 'viewer@example.com',
+      password: 'password123',
+      username: 'viewer',
+      firstName: 'Ad',
+      lastName: 'Viewer',
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reward a watch that lasted long enough', async () => {
+    const adWatch = await startedWatch(35000);
+
+    const result = await completeAdWatch(adWatch, { watchDurationMs: 31000, ipAddress: '10.0.0.1' });
+
+    expect(result.status).toBe('completed');
+    expect(result.rewardCredited).toBe(true);
+    expect((await User.findById(user._id)).credits).toBe(2);
+
+    const transaction = await Transaction.findById(result.transactionId);
+    expect(transaction.type).toBe('ad_reward');
+    expect(transaction.status).toBe('completed');
+
+    // Reporting it again changes nothing
+    await completeAdWatch(await AdWatch.findById(adWatch._id), { watchDurationMs: 31000 });
+    expect((await User.findById(user._id)).credits).toBe(2);
+  });
+
+  it('should not reward short watches', async () => {
+    const adWatch = await startedWatch(35000);
+
+    const result = await completeAdWatch(adWatch, { watchDurationMs: 12000 });
+
+    expect(result.status).toBe('abandoned');
+    expect((await User.findById(user._id)).credits).toBe(1);
+  });
+
+  it('should flag durations longer than the watch has existed', async () => {
+    const adWatch = await startedWatch(10000);
+
+    const result = await completeAdWatch(adWatch, { watchDurationMs: 31000, ipAddress: '10.0.0.2' });
+
+    expect(result.status).toBe('fraud_detected');
+    expect(result.fraudReasons).toEqual(['duration_exceeds_elapsed', 'ip_changed']);
+    expect(result.fraudScore).toBe(0.9);
+    expect(await Transaction.countDocuments({ type: 'ad_reward' })).toBe(0);
+  });
+
+  it('should stop at the daily limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      const adWatch = await startedWatch(35000);
+      await completeAdWatch(adWatch, { watchDurationMs: 31000, ipAddress: '10.0.0.1' });
+    }
+
+    const availability = await getAdAvailability(user);
+    const { error } = await startAdWatch(user, { adId: 'ad_4', adProvider: 'unity' });
+
+    expect(availability.remaining).toBe(0);
+    expect(error).toMatch(/Daily ad limit/);
+    expect((await User.findById(user._id)).credits).toBe(4);
+  });
+
+  it('should reward AdMob watches from a verified callback once', async () => {
+    const adWatch = await startedWatch(35000, { adProvider: 'admob' });
+
+    const completed = await completeAdWatch(adWatch, { watchDurationMs: 31000, ipAddress: '10.0.0.1' });
+    expect(completed.status).toBe('completed');
+    expect(completed.rewardCredited).toBe(false);
+
+    const params = {
+      ad_network: '5450213213286189855',
+      ad_unit: '1234567890',
+      custom_data: adWatch._id.toString(),
+      reward_amount: '1',
+      reward_item: 'credit',
+      timestamp: String(Date.now()),
+      transaction_id: 'ssv_txn_1',
+      user_id: user._id.toString(),
+    };
+    const query = signedQuery(params);
+
+    expect(await verifyAdMobSignature(query)).toBe(true);
+    expect(await handleAdMobCallback(params)).toBeNull();
+    expect(await handleAdMobCallback(params)).toMatch(/already verified/);
+
+    const rewarded = await AdWatch.findById(adWatch._id);
+    expect(rewarded.ssvVerified).toBe(true);
+    expect(rewarded.rewardCredited).toBe(true);
+    expect((await User.findById(user._id)).credits).toBe(2);
+  });
+
+  it('should reject tampered callbacks', async () => {
+    const query = signedQuery({ custom_data: 'abc', transaction_id: 'ssv_txn_2', user_id: user._id.toString() });
+
+    expect(await verifyAdMobSignature(query.replace('ssv_txn_2', 'ssv_txn_3'))).toBe(false);
+    expect(await verifyAdMobSignature('user_id=1&transaction_id=2')).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+const User = require('../../src/models/User');
+const Generation = require('../../src/models/Generation');
+const Transaction = require('../../src/models/Transaction');
+const {
+  reserveCredits,
+  commitCredits,
+  releaseCredits,
+  releaseHold,
+} = require('../../src/services/credits');
+
+describe('Credit reservations', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({
+      email: 'credits@example.com',
+      password: 'password123',
+      username: 'credits',
+      firstName: 'Credit',
+      lastName: 'User',
+      credits: 3,
+    });
+  });
+
+  const createGeneration = (creditsUsed = 1) => Generation.create({
+    userId: user._id,
+    prompt: 'A lighthouse at dusk',
+    modelUsed: 'fal-ai/flux-pro/kontext',
+    parameters: { prompt: 'A lighthouse at dusk' },
+    creditsUsed,
+  });
+
+  const balances = async () => {
+    const { credits, reservedCredits } = await User.findById(user._id);
+    return { credits, reservedCredits };
+  };
+
+  it('should hold credits and record a pending ledger entry', async () => {
+    const generation = await createGeneration(2);
+
+    const hold = await reserveCredits(user, 2, generation);
+
+    expect(hold.status).toBe('pending');
+    expect(hold.creditsAdded).toBe(-2);
+    expect(hold.metadata.generationId.toString()).toBe(generation._id.toString());
+    expect(await balances()).toEqual({ credits: 1, reservedCredits: 2 });
+  });
+
+  it('should refuse to hold more credits than are available', async () => {
+    const generation = await createGeneration(4);
+
+    expect(await reserveCredits(user, 4, generation)).toBeNull();
+    expect(await balances()).toEqual({ credits: 3, reservedCredits: 0 });
+    expect(await Transaction.countDocuments({ userId: user._id })).toBe(0);
+  });
+
+  it('should not overspend under concurrent reservations', async () => {
+    const generations = await Promise.all([1, 2, 3, 4, 5].map(() => createGeneration(1)));
+
+    const holds = await Promise.all(generations.map(generation => reserveCredits(user, 1, generation)));
+
+    expect(holds.filter(Boolean)).toHaveLength(3);
+    expect(await balances()).toEqual({ credits: 0, reservedCredits: 3 });
+  });
+
+  it('should charge held credits on commit', async () => {
+    const generation = await createGeneration(2);
+    await reserveCredits(user, 2, generation);
+
+    const hold = await commitCredits(generation._id, { imagesGenerated: 2 });
+
+    expect(hold.status).toBe('completed');
+    expect(hold.metadata.imagesGenerated).toBe(2);
+    expect(await balances()).toEqual({ credits: 1, reservedCredits: 0 });
+  });
+
+  it('should return held credits on release', async () => {
+    const generation = await createGeneration(2);
+    await reserveCredits(user, 2, generation);
+
+    const hold = await releaseCredits(generation._id, 'Generation failed');
+
+    expect(hold.status).toBe('released');
+    expect(hold.failureReason).toBe('Generation failed');
+    expect(await balances()).toEqual({ credits: 3, reservedCredits: 0 });
+  });
+
+  it('should settle a hold only once', async () => {
+    const generation = await createGeneration(1);
+    await reserveCredits(user, 1, generation);
+
+    const results = await Promise.all([
+      commitCredits(generation._id),
+      releaseCredits(generation._id, 'Cancelled by user'),
+      releaseCredits(generation._id, 'Cancelled by user'),
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    const { credits, reservedCredits } = await balances();
+    expect(reservedCredits).toBe(0);
+    expect([2, 3]).toContain(credits);
+  });
+
+  it('should release a specific hold', async () => {
+    const generation = await createGeneration(1);
+    const first = await reserveCredits(user, 1, generation);
+    await reserveCredits(user, 1, generation);
+
+    await releaseHold(first, 'Generation already retried');
+
+    expect(await balances()).toEqual({ credits: 2, reservedCredits: 1 });
+    expect(await Transaction.countDocuments({ 'metadata.generationId': generation._id, status: 'pending' })).toBe(1);
+  });
+});
@@ -0,0 +1,52 @@
+const User = require('../../src/models/User');
+const Generation = require('../../src/models/Generation');
+const {
+  publishGenerationEvent,
+  getGenerationEvents,
+  createQueueUpdateHandler,
+} = require('../../src/services/generationEvents');
+
+describe('Generation Events', () => {
+  let generation;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      email: 'events@example.com',
+      password: 'password123',
+      username: 'events',
+    });
+
+    generation = await Generation.create({
+      userId: user._id,
+      prompt: 'A lighthouse at dusk',
+      creditsUsed: 1,
+    });
+  });
+
+  it('should assign increasing sequence numbers', async () => {
+    await publishGenerationEvent(generation._id, 'status', { status: 'processing' });
+    await publishGenerationEvent(generation._id, 'log', { message: 'Generating' });
+
+    const events = await getGenerationEvents(generation._id);
+    expect(events.map(event => event.seq)).toEqual([1, 2]);
+
+    const afterFirst = await getGenerationEvents(generation._id, 1);
+    expect(afterFirst).toHaveLength(1);
+    expect(afterFirst[0].type).toBe('log');
+  });
+
+  it('should only publish new queue positions and log lines', async () => {
+    const onQueueUpdate = createQueueUpdateHandler(generation._id);
+
+    onQueueUpdate({ status: 'IN_QUEUE', queue_position: 1 });
+    onQueueUpdate({ status: 'IN_QUEUE', queue_position: 1 });
+    onQueueUpdate({ status: 'IN_QUEUE', queue_position: 0 });
+    onQueueUpdate({ status: 'IN_PROGRESS', logs: [{ message: 'Loading model' }] });
+    onQueueUpdate({ status: 'IN_PROGRESS', logs: [{ message: 'Loading model' }, { message: 'Generating' }] });
+    await onQueueUpdate.flush();
+
+    const events = await getGenerationEvents(generation._id);
+    expect(events.map(event => event.type)).toEqual(['queue', 'queue', 'queue', 'log', 'log']);
+    expect(events.map(event => event.data.message).filter(Boolean)).toEqual(['Loading model', 'Generating']);
+  });
+});
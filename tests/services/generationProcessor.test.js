@@ -0,0 +1,273 @@
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Generation = require('../../src/models/Generation');
+const Transaction = require('../../src/models/Transaction');
+const { processGeneration, cancelGenerationRun } = require('../../src/services/generationProcessor');
+const { reserveCredits } = require('../../src/services/credits');
+const { runModel, getModel } = require('../../src/providers');
+
+describe('Generation Processor (mock provider)', () => {
+  let user;
+
+  beforeAll(() => {
+    config.ai.provider = 'mock';
+    config.ai.retryBaseDelayMs = 1;
+    config.mockAi.latencyMs = 0;
+    config.mockAi.failureRate = 0;
+    config.mockAi.rateLimitRate = 0;
+    config.queue.cancelCheckIntervalMs = 20;
+  });
+
+  afterEach(() => {
+    config.mockAi.latencyMs = 0;
+  });
+
+  const waitFor = async (condition, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeEach(async () => {
+    user = await User.create({
+      email: 'generator@example.com',
+      password: 'password123',
+      username: 'generator',
+      credits: 5,
+    });
+  });
+
+  // Mirrors createGeneration in the controller: credits are held up front
+  const createGeneration = async (prompt, imageCount = 1, modelUsed = 'fal-ai/flux-pro/kontext') => {
+    const generation = await Generation.create({
+      userId: user._id,
+      prompt,
+      modelUsed,
+      mode: 'text-to-image',
+      parameters: { prompt, imageCount, num_images: imageCount },
+      creditsUsed: imageCount,
+    });
+    await reserveCredits(user, imageCount, generation);
+    return generation;
+  };
+
+  it('should complete a generation, deduct credits and record a transaction', async () => {
+    const generation = await createGeneration('A lighthouse at dusk', 2);
+
+    await processGeneration(generation._id);
+
+    const updated = await Generation.findById(generation._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.generatedImageUrls).toHaveLength(2);
+    expect(updated.variants.generated).toHaveLength(2);
+    expect(updated.variants.generated[0].thumbnail)
+      .toBe(updated.generatedImageUrls[0].replace(/\.png$/, '-thumbnail.jpeg'));
+
+    // The mock's PNGs are stored as they were returned
+    expect(updated.generatedImageMetadata[0].toObject()).toEqual({
+      width: 1024,
+      height: 1024,
+      bytes: expect.any(Number),
+      format: 'png',
+    });
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.credits).toBe(3);
+    expect(updatedUser.reservedCredits).toBe(0);
+
+    const transaction = await Transaction.findOne({ userId: user._id, type: 'credit_usage' });
+    expect(transaction).not.toBeNull();
+    expect(transaction.status).toBe('completed');
+    expect(transaction.creditsAdded).toBe(-2);
+    expect(transaction.metadata.generationId.toString()).toBe(generation._id.toString());
+    expect(transaction.metadata.imagesGenerated).toBe(2);
+  });
+
+  it('should re-encode and downscale images following the model output policy', async () => {
+    const model = getModel('fal-ai/flux/dev');
+    const output = model.output;
+    model.output = { format: 'webp', maxDimension: 512, quality: 80 };
+
+    try {
+      const generation = await createGeneration('A lighthouse at dusk', 1, 'fal-ai/flux/dev');
+      await processGeneration(generation._id);
+
+      const updated = await Generation.findById(generation._id);
+      expect(updated.generatedImageUrls[0]).toMatch(/\.webp$/);
+      expect(updated.generatedImageMetadata[0]).toMatchObject({ width: 512, height: 512, format: 'webp' });
+    } finally {
+      model.output = output;
+    }
+  });
+
+  it('should store the seed the provider used', async () => {
+    const generation = await createGeneration('A lighthouse at dusk');
+    expect(generation.parameters.seed).toBeNull();
+
+    await processGeneration(generation._id);
+
+    const updated = await Generation.findById(generation._id);
+    expect(typeof updated.parameters.seed).toBe('number');
+  });
+
+  it('should fail the generation without charging credits when the provider fails', async () => {
+    const generation = await createGeneration('A lighthouse at dusk [mock:fail]');
+
+    await processGeneration(generation._id);
+
+    const updated = await Generation.findById(generation._id);
+    expect(updated.status).toBe('failed');
+    expect(updated.failureReason).toMatch(/Mock generation failed/);
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.credits).toBe(5);
+    expect(updatedUser.reservedCredits).toBe(0);
+    expect(await Transaction.countDocuments({ userId: user._id, status: 'completed' })).toBe(0);
+    expect(await Transaction.countDocuments({ userId: user._id, status: 'released' })).toBe(1);
+  });
+
+  it('should leave retryable failures to the job queue until the last attempt', async () => {
+    const generation = await createGeneration('A lighthouse at dusk [mock:fail]');
+
+    await expect(processGeneration(generation._id, { attempt: 1, maxAttempts: 2 }))
+      .rejects.toThrow(/Mock generation failed/);
+
+    let updated = await Generation.findById(generation._id);
+    expect(updated.status).toBe('processing');
+    let updatedUser = await User.findById(user._id);
+    expect(updatedUser.reservedCredits).toBe(1);
+
+    await processGeneration(generation._id, { attempt: 2, maxAttempts: 2 });
+
+    updated = await Generation.findById(generation._id);
+    expect(updated.status).toBe('failed');
+    updatedUser = await User.findById(user._id);
+    expect(updatedUser.credits).toBe(5);
+    expect(updatedUser.reservedCredits).toBe(0);
+  });
+
+  it('should charge a completed generation when the retry follows a failed charge', async () => {
+    const generation = await createGeneration('A lighthouse at dusk');
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(processGeneration(generation._id, { attempt: 1, maxAttempts: 2 }))
+      .rejects.toThrow('Database unavailable');
+    expect((await Generation.findById(generation._id)).status).toBe('completed');
+    expect((await Transaction.findOne({ type: 'credit_usage' })).status).toBe('pending');
+
+    await processGeneration(generation._id, { attempt: 2, maxAttempts: 2 });
+
+    expect((await Transaction.findOne({ type: 'credit_usage' })).status).toBe('completed');
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.credits).toBe(4);
+    expect(updatedUser.reservedCredits).toBe(0);
+  });
+
+  it('should fail right away on errors a retry cannot fix', async () => {
+    const generation = await createGeneration('A lighthouse at dusk', 1, 'custom-model-1');
+
+    await processGeneration(generation._id, { attempt: 1, maxAttempts: 3 });
+
+    const updated = await Generation.findById(generation._id);
+    expect(updated.status).toBe('failed');
+    expect(updated.failureReason).toMatch(/Model not available/);
+  });
+
+  it('should start a retried generation without the failed run\'s results', async () => {
+    const generation = await createGeneration('A lighthouse at dusk');
+    generation.externalJobId = 'mock-previous-run';
+    generation.variants.generated = [{ thumbnail: 'generations/old/a-thumbnail.jpeg' }];
+    generation.generatedImageMetadata = [{ width: 1024, height: 1024, bytes: 1, format: 'png' }];
+    await generation.fail('Provider error');
+
+    const reset = await generation.resetForRetry();
+
+    expect(reset.status).toBe('pending');
+    expect(reset.externalJobId).toBeNull();
+    expect(reset.variants.generated).toHaveLength(0);
+    expect(reset.generatedImageMetadata).toHaveLength(0);
+  });
+
+  it('should retry rate limited requests and then complete', async () => {
+    const generation = await createGeneration('A lighthouse at dusk [mock:rate-limit]');
+
+    await processGeneration(generation._id);
+
+    const updated = await Generation.findById(generation._id);
+    expect(updated.status).toBe('completed');
+  });
+
+  it('should produce identical images for the same prompt and seed', async () => {
+    const model = getModel('fal-ai/flux-pro/kontext');
+    const updates = [];
+    const options = {
+      mode: 'text-to-image',
+      parameters: { prompt: 'A lighthouse at dusk', imageCount: 1 },
+      onQueueUpdate: (update) => updates.push(update.status),
+    };
+
+    const first = await runModel(model, options);
+    const second = await runModel(model, options);
+
+    expect(first.images[0].url).toBe(second.images[0].url);
+    expect(first.seed).toBe(second.seed);
+    expect(updates).toEqual(expect.arrayContaining(['IN_QUEUE', 'IN_PROGRESS', 'COMPLETED']));
+  });
+
+  describe('cancellation', () => {
+    it('should cancel an in-flight generation without completing or charging it', async () => {
+      config.mockAi.latencyMs = 600;
+      const generation = await createGeneration('A lighthouse at dusk');
+
+      const processing = processGeneration(generation._id);
+
+      // Wait until the provider request id is known, then cancel
+      await waitFor(async () => Boolean((await Generation.findById(generation._id)).externalJobId));
+      const cancelled = await cancelGenerationRun(await Generation.findById(generation._id));
+      expect(cancelled.status).toBe('cancelled');
+
+      await processing;
+
+      const updated = await Generation.findById(generation._id);
+      expect(updated.status).toBe('cancelled');
+      expect(updated.generatedImageUrls).toHaveLength(0);
+      expect(updated.externalJobId).toMatch(/^mock-/);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.credits).toBe(5);
+      expect(updatedUser.reservedCredits).toBe(0);
+      expect(await Transaction.countDocuments({ userId: user._id, status: 'completed' })).toBe(0);
+    });
+
+    it('should skip generations cancelled before processing starts', async () => {
+      const generation = await createGeneration('A lighthouse at dusk');
+      await cancelGenerationRun(generation);
+
+      await processGeneration(generation._id);
+
+      const updated = await Generation.findById(generation._id);
+      expect(updated.status).toBe('cancelled');
+      expect(updated.processingStartedAt).toBeNull();
+    });
+
+    it('should never move a cancelled generation to completed or failed', async () => {
+      const generation = await createGeneration('A lighthouse at dusk');
+      await generation.cancel();
+
+      const fresh = await Generation.findById(generation._id);
+      expect(await fresh.complete(['https://example.com/image.jpg'])).toBeNull();
+      expect(await fresh.fail('Provider error')).toBeNull();
+      expect((await Generation.findById(generation._id)).status).toBe('cancelled');
+    });
+
+    it('should refuse to cancel a finished generation', async () => {
+      const generation = await createGeneration('A lighthouse at dusk');
+      await processGeneration(generation._id);
+
+      expect(await cancelGenerationRun(await Generation.findById(generation._id))).toBeNull();
+      expect((await Generation.findById(generation._id)).status).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const Package = require('../../src/models/Package');
+const {
+  DEFAULT_PACKAGES,
+  listActivePackages,
+  findWebPackage,
+  findPackageByProductId,
+  invalidatePackageCache,
+  ensureDefaultPackages,
+} = require('../../src/services/packages');
+
+describe('Package catalog', () => {
+  beforeEach(async () => {
+    await ensureDefaultPackages();
+  });
+
+  it('should create the default catalog only once', async () => {
+    expect(await ensureDefaultPackages()).toBe(0);
+    expect(await Package.countDocuments()).toBe(DEFAULT_PACKAGES.length);
+  });
+
+  it('should list packages for a platform in sort order', async () => {
+    const web = await listActivePackages({ platform: 'web' });
+    const ios = await listActivePackages({ platform: 'ios' });
+
+    expect(web.map(pkg => pkg.key)).toEqual(['small', 'medium', 'large', 'premium']);
+    expect(ios.every(pkg => pkg.productIds.appStore)).toBe(true);
+    expect(ios.some(pkg => pkg.key === 'small')).toBe(false);
+  });
+
+  it('should serve cached packages until the cache is invalidated', async () => {
+    await listActivePackages();
+    await Package.updateOne({ key: 'small' }, { $set: { isActive: false } });
+
+    expect(await findWebPackage('small')).not.toBeNull();
+
+    invalidatePackageCache();
+    expect(await findWebPackage('small')).toBeNull();
+  });
+
+  it('should price packages in other currencies', async () => {
+    const pkg = await Package.findOne({ key: 'medium' });
+    pkg.prices = [{ currency: 'eur', amount: 749 }];
+    await pkg.save();
+
+    expect(pkg.priceFor('eur')).toEqual({ currency: 'eur', amount: 749, originalPrice: 936 });
+    expect(pkg.priceFor('gbp').currency).toBe('usd');
+
+    pkg.prices.push({ currency: 'usd', amount: 899 });
+    await expect(pkg.save()).rejects.toThrow('Each currency can only have one price');
+  });
+
+  it('should still match store products of inactive packages', async () => {
+    await Package.updateOne({ key: 'starter' }, { $set: { isActive: false } });
+    invalidatePackageCache();
+
+    const pkg = await findPackageByProductId('starter');
+
+    expect(pkg.key).toBe('starter');
+    expect(await findWebPackage('starter')).toBeNull();
+  });
+});
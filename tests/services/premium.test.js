@@ -0,0 +1,36 @@
+const User = require('../../src/models/User');
+const { expirePremiumSubscriptions } = require('../../src/services/premium');
+
+describe('Premium expiry', () => {
+  const createUser = (username, premiumExpiresAt) => User.create({
+    email: `${username}@example.com`,
+    password: 'password123',
+    username,
+    firstName: 'Premium',
+    lastName: 'User',
+    isPremium: true,
+    premiumExpiresAt,
+  });
+
+  it('should expire lapsed subscriptions and keep active ones', async () => {
+    const lapsed = await createUser('lapsed', new Date(Date.now() - 60 * 1000));
+    const active = await createUser('active', new Date(Date.now() + 60 * 60 * 1000));
+
+    const summary = await expirePremiumSubscriptions();
+
+    expect(summary).toEqual({ scanned: 1, expired: 1 });
+    expect((await User.findById(lapsed._id)).isPremium).toBe(false);
+    expect((await User.findById(active._id)).isPremium).toBe(true);
+  });
+
+  it('should keep the expiry date of an expired subscription', async () => {
+    const expiresAt = new Date(Date.now() - 60 * 1000);
+    const user = await createUser('history', expiresAt);
+
+    await expirePremiumSubscriptions();
+
+    const updated = await User.findById(user._id);
+    expect(updated.premiumExpiresAt.getTime()).toBe(expiresAt.getTime());
+    expect(updated.isPremiumActive).toBe(false);
+  });
+});
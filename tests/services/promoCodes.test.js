@@ -0,0 +1,231 @@
+const config = require('../../src/config');
+const stripe = require('../../src/utils/stripe');
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const PromoCode = require('../../src/models/PromoCode');
+const PromoRedemption = require('../../src/models/PromoRedemption');
+const { processSuccessfulPayment, handlePaymentIntentCanceled } = require('../../src/services/payments');
+const {
+  redeemCreditsCode,
+  applyDiscountCode,
+  releaseForTransaction,
+  releaseStaleRedemptions,
+  getRedemptionSummary,
+} = require('../../src/services/promoCodes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Promo codes', () => {
+  let user;
+  const pkg = { key: 'medium', price: 499, credits: 60 };
+
+  const createUser = (name) => User.create({
+    email: `${name}@example.com`,
+    password: 'password123',
+    username: name,
+    firstName: 'Promo',
+    lastName: 'User',
+  });
+
+  beforeEach(async () => {
+    user = await createUser('promo');
+  });
+
+  it('should grant credits once per user', async () => {
+    await PromoCode.create({ code: 'welcome10', type: 'credits', credits: 10 });
+
+    const result = await redeemCreditsCode(user, ' Welcome10 ');
+    const again = await redeemCreditsCode(user, 'WELCOME10');
+
+    expect(result.redemption.status).toBe('completed');
+    expect(result.transaction.type).toBe('bonus');
+    expect(again.error).toBe('You have already used this promo code');
+
+    expect((await User.findById(user._id)).credits).toBe(11);
+    expect((await PromoCode.findOne({ code: 'WELCOME10' })).redemptionCount).toBe(1);
+  });
+
+  it('should stop at the global redemption limit', async () => {
+    await PromoCode.create({ code: 'FIRST1', type: 'credits', credits: 5, maxRedemptions: 1 });
+    const other = await createUser('other');
+
+    await redeemCreditsCode(user, 'FIRST1');
+    const result = await redeemCreditsCode(other, 'FIRST1');
+
+    expect(result.error).toBe('This promo code has reached its redemption limit');
+    expect((await User.findById(other._id)).credits).toBe(1);
+  });
+
+  it('should reject codes outside their window', async () => {
+    await PromoCode.create({
+      code: 'EXPIRED',
+      type: 'credits',
+      credits: 5,
+      expiresAt: new Date(Date.now() - DAY_MS),
+    });
+    await PromoCode.create({
+      code: 'LATER',
+      type: 'credits',
+      credits: 5,
+      startsAt: new Date(Date.now() + DAY_MS),
+    });
+
+    expect((await redeemCreditsCode(user, 'EXPIRED')).error).toMatch(/expired/);
+    expect((await redeemCreditsCode(user, 'LATER')).error).toMatch(/expired/);
+    expect((await redeemCreditsCode(user, 'MISSING')).error).toMatch(/invalid/);
+  });
+
+  it('should discount a package and complete with the payment', async () => {
+    await PromoCode.create({ code: 'HALF', type: 'discount', percentOff: 50, packageKeys: ['medium'] });
+
+    const result = await applyDiscountCode(user, 'half', pkg);
+
+    expect(result.price).toBe(250);
+    expect(result.discountAmount).toBe(249);
+    expect(result.redemption.status).toBe('pending');
+    expect((await applyDiscountCode(user, 'HALF', { ...pkg, key: 'large' })).error)
+      .toBe('This promo code does not apply to this package');
+
+    const transaction = await Transaction.create({
+      userId: user._id,
+      type: 'credit_purchase',
+      amount: result.price,
+      creditsAdded: pkg.credits,
+      stripePaymentIntentId: 'pi_promo',
+      status: 'pending',
+    });
+    result.redemption.transactionId = transaction._id;
+    await result.redemption.save();
+
+    await processSuccessfulPayment(transaction, { id: 'pi_promo' });
+
+    expect((await PromoRedemption.findById(result.redemption._id)).status).toBe('completed');
+    expect((await User.findById(user._id)).credits).toBe(1 + pkg.credits);
+  });
+
+  it('should keep the redemption pending until the purchase is granted', async () => {
+    await PromoCode.create({ code: 'HALF', type: 'discount', percentOff: 50 });
+    const { redemption } = await applyDiscountCode(user, 'HALF', pkg);
+    const transaction = await Transaction.create({
+      userId: user._id,
+      type: 'credit_purchase',
+      amount: 250,
+      creditsAdded: pkg.credits,
+      stripePaymentIntentId: 'pi_promo',
+      status: 'pending',
+    });
+    redemption.transactionId = transaction._id;
+    await redemption.save();
+    jest.spyOn(User.prototype, 'addCredits').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(processSuccessfulPayment(transaction, { id: 'pi_promo' })).rejects.toThrow('Database unavailable');
+    expect((await PromoRedemption.findById(redemption._id)).status).toBe('pending');
+
+    expect(await processSuccessfulPayment(transaction, { id: 'pi_promo' })).toBe(true);
+    expect((await PromoRedemption.findById(redemption._id)).status).toBe('completed');
+  });
+
+  it('should give the use back when the payment fails', async () => {
+    await PromoCode.create({ code: 'TENOFF', type: 'discount', percentOff: 10 });
+
+    const { redemption } = await applyDiscountCode(user, 'TENOFF', pkg);
+    const transactionId = new Transaction()._id;
+    redemption.transactionId = transactionId;
+    await redemption.save();
+
+    await releaseForTransaction(transactionId);
+
+    const promoCode = await PromoCode.findOne({ code: 'TENOFF' });
+    expect(promoCode.redemptionCount).toBe(0);
+    expect((await applyDiscountCode(user, 'TENOFF', pkg)).error).toBeUndefined();
+
+    const summary = await getRedemptionSummary(promoCode._id);
+    expect(summary.released.count).toBe(1);
+    expect(summary.pending.uniqueUsers).toBe(1);
+  });
+
+  describe('abandoned checkouts', () => {
+    let redemption;
+    let transaction;
+
+    beforeEach(async () => {
+      config.promoCodes.pendingTtlMs = 60 * 60 * 1000;
+      await PromoCode.create({ code: 'TENOFF', type: 'discount', percentOff: 10, maxRedemptions: 1 });
+      ({ redemption } = await applyDiscountCode(user, 'TENOFF', pkg));
+      transaction = await Transaction.create({
+        userId: user._id,
+        type: 'credit_purchase',
+        amount: 449,
+        creditsAdded: pkg.credits,
+        stripePaymentIntentId: 'pi_abandoned',
+        status: 'pending',
+      });
+      redemption.transactionId = transaction._id;
+      await redemption.save();
+    });
+
+    const later = () => new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+    it('should give the use back when the payment intent is canceled', async () => {
+      await handlePaymentIntentCanceled({ id: 'pi_abandoned' });
+
+      expect((await PromoRedemption.findById(redemption._id)).status).toBe('released');
+      expect((await Transaction.findById(transaction._id)).failureReason).toBe('Payment canceled');
+      expect((await PromoCode.findOne({ code: 'TENOFF' })).redemptionCount).toBe(0);
+    });
+
+    it('should cancel the payment intent and give the use back after the TTL', async () => {
+      jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue({ id: 'pi_abandoned', status: 'requires_payment_method' });
+      const cancel = jest.spyOn(stripe.paymentIntents, 'cancel').mockResolvedValue({ id: 'pi_abandoned', status: 'canceled' });
+
+      expect(await releaseStaleRedemptions()).toEqual({ scanned: 0, released: 0 });
+      expect(await releaseStaleRedemptions(later())).toEqual({ scanned: 1, released: 1 });
+
+      expect(cancel).toHaveBeenCalledWith('pi_abandoned', { cancellation_reason: 'abandoned' });
+      expect((await Transaction.findById(transaction._id)).status).toBe('failed');
+      expect((await PromoCode.findOne({ code: 'TENOFF' })).redemptionCount).toBe(0);
+      expect((await applyDiscountCode(user, 'TENOFF', pkg)).error).toBeUndefined();
+    });
+
+    it('should leave a checkout that is being paid alone', async () => {
+      jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue({ id: 'pi_abandoned', status: 'processing' });
+      const cancel = jest.spyOn(stripe.paymentIntents, 'cancel');
+
+      expect(await releaseStaleRedemptions(later())).toEqual({ scanned: 1, released: 0 });
+
+      expect(cancel).not.toHaveBeenCalled();
+      expect((await PromoRedemption.findById(redemption._id)).status).toBe('pending');
+    });
+  });
+
+  it('should total discounts per currency', async () => {
+    const promoCode = await PromoCode.create({ code: 'TENOFF', type: 'discount', percentOff: 10 });
+    const other = await createUser('other');
+
+    await applyDiscountCode(user, 'TENOFF', { ...pkg, price: 500, currency: 'usd' });
+    await applyDiscountCode(other, 'TENOFF', { ...pkg, price: 400, currency: 'eur' });
+
+    const summary = await getRedemptionSummary(promoCode._id);
+    expect(summary.pending.count).toBe(2);
+    expect(summary.pending.uniqueUsers).toBe(2);
+    expect(summary.pending.discountAmount).toEqual({ usd: 50, eur: 40 });
+  });
+
+  it('should not discount below the minimum charge of the currency', async () => {
+    await PromoCode.create({ code: 'HALF', type: 'discount', percentOff: 50 });
+
+    // Half of 60 pence meets the 30 pence minimum; half of 80 cents is below 50 cents
+    expect((await applyDiscountCode(user, 'HALF', { ...pkg, price: 60, currency: 'gbp' })).error).toBeUndefined();
+    expect((await applyDiscountCode(user, 'HALF', { ...pkg, price: 80, currency: 'usd' })).error)
+      .toBe('This promo code cannot be used for this package');
+  });
+
+  it('should not discount below the minimum charge', async () => {
+    await PromoCode.create({ code: 'FREE', type: 'discount', percentOff: 100 });
+
+    const result = await applyDiscountCode(user, 'FREE', pkg);
+
+    expect(result.error).toBe('This promo code cannot be used for this package');
+    expect(await PromoRedemption.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,152 @@
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Generation = require('../../src/models/Generation');
+const Transaction = require('../../src/models/Transaction');
+const AuditLog = require('../../src/models/AuditLog');
+const BalanceDiscrepancy = require('../../src/models/BalanceDiscrepancy');
+const { reserveCredits, releaseCredits } = require('../../src/services/credits');
+const { runReconciliation, correctDiscrepancy } = require('../../src/services/reconciliation');
+
+describe('Credit reconciliation', () => {
+  let user;
+
+  beforeEach(async () => {
+    config.reconciliation.maxAutoCorrect = 100;
+
+    user = await User.create({
+      email: 'ledger@example.com',
+      password: 'password123',
+      username: 'ledger',
+      firstName: 'Ledger',
+      lastName: 'User',
+      credits: 11,
+    });
+
+    await Transaction.create([
+      { userId: user._id, type: 'signup_bonus', amount: 0, creditsAdded: 1, status: 'completed' },
+      { userId: user._id, type: 'credit_purchase', amount: 499, creditsAdded: 10, status: 'completed' },
+      // Never paid, so never credited
+      { userId: user._id, type: 'credit_purchase', amount: 499, creditsAdded: 10, status: 'failed' },
+    ]);
+  });
+
+  const reserveGeneration = async (creditsUsed) => {
+    const generation = await Generation.create({
+      userId: user._id,
+      prompt: 'A lighthouse at dusk',
+      modelUsed: 'fal-ai/flux-pro/kontext',
+      parameters: { prompt: 'A lighthouse at dusk' },
+      creditsUsed,
+    });
+    await reserveCredits(user, creditsUsed, generation);
+    return generation;
+  };
+
+  it('should find no drift when balances match the ledger', async () => {
+    await reserveGeneration(2);
+    const released = await reserveGeneration(1);
+    await releaseCredits(released._id, 'Generation failed');
+
+    const run = await runReconciliation({ trigger: 'command' });
+
+    expect(run.status).toBe('completed');
+    expect(run.usersScanned).toBe(1);
+    expect(run.discrepancies).toBe(0);
+  });
+
+  it('should count what refunded purchases left the user', async () => {
+    // Refunded when only 4 of its 10 credits were left, and an older refund taken back in full
+    await Transaction.create([
+      {
+        userId: user._id,
+        type: 'credit_purchase',
+        amount: 499,
+        creditsAdded: 10,
+        status: 'refunded',
+        metadata: { creditsClawedBack: 4 },
+      },
+      { userId: user._id, type: 'credit_purchase', amount: 499, creditsAdded: 10, status: 'refunded' },
+    ]);
+    await User.updateOne({ _id: user._id }, { $inc: { credits: 6 } });
+
+    const run = await runReconciliation({ trigger: 'command' });
+
+    expect(run.discrepancies).toBe(0);
+  });
+
+  it('should flag drift without correcting it by default', async () => {
+    await User.updateOne({ _id: user._id }, { $inc: { credits: 5 } });
+
+    const run = await runReconciliation({ trigger: 'command', autoCorrect: false });
+
+    expect(run.discrepancies).toBe(1);
+    expect(run.netDrift).toBe(5);
+
+    const discrepancy = await BalanceDiscrepancy.findOne({ runId: run._id });
+    expect(discrepancy.status).toBe('open');
+    expect(discrepancy.storedCredits).toBe(16);
+    expect(discrepancy.ledgerCredits).toBe(11);
+    expect(discrepancy.drift).toBe(5);
+    expect(await Transaction.countDocuments({ type: 'adjustment' })).toBe(0);
+  });
+
+  it('should book drift as an audited adjustment transaction', async () => {
+    await User.updateOne({ _id: user._id }, { $inc: { credits: -3 } });
+
+    const run = await runReconciliation({ trigger: 'command', autoCorrect: true });
+
+    expect(run.corrected).toBe(1);
+
+    const adjustment = await Transaction.findOne({ userId: user._id, type: 'adjustment' });
+    expect(adjustment.creditsAdded).toBe(-3);
+    expect(adjustment.status).toBe('completed');
+    expect(adjustment.metadata.reconciliationRunId.toString()).toBe(run._id.toString());
+
+    const audit = await AuditLog.findOne({ action: 'credits.reconciled', targetId: user._id });
+    expect(audit).not.toBeNull();
+    expect(audit.details.adjustment).toBe(-3);
+
+    // The next run finds nothing and the balance itself is untouched
+    const next = await runReconciliation({ trigger: 'command', autoCorrect: true });
+    expect(next.discrepancies).toBe(0);
+    expect((await User.findById(user._id)).credits).toBe(8);
+  });
+
+  it('should return reserved credits that no pending hold accounts for', async () => {
+    const generation = await reserveGeneration(2);
+    // A release whose balance update was lost
+    await Transaction.updateOne({ 'metadata.generationId': generation._id }, { $set: { status: 'released' } });
+
+    const run = await runReconciliation({ trigger: 'command', autoCorrect: true });
+
+    expect(run.corrected).toBe(1);
+    const updated = await User.findById(user._id);
+    expect(updated.credits).toBe(11);
+    expect(updated.reservedCredits).toBe(0);
+    expect(await Transaction.countDocuments({ type: 'adjustment' })).toBe(0);
+  });
+
+  it('should leave drift above the auto-correct limit open', async () => {
+    config.reconciliation.maxAutoCorrect = 2;
+    await User.updateOne({ _id: user._id }, { $inc: { credits: 50 } });
+
+    const run = await runReconciliation({ trigger: 'command', autoCorrect: true });
+
+    expect(run.corrected).toBe(0);
+    const discrepancy = await BalanceDiscrepancy.findOne({ runId: run._id });
+    expect(discrepancy.status).toBe('open');
+    expect(discrepancy.note).toMatch(/auto-correct limit/);
+  });
+
+  it('should resolve a discrepancy that disappeared before correction', async () => {
+    await User.updateOne({ _id: user._id }, { $inc: { credits: 1 } });
+    const run = await runReconciliation({ trigger: 'command' });
+    await User.updateOne({ _id: user._id }, { $inc: { credits: -1 } });
+
+    const discrepancy = await BalanceDiscrepancy.findOne({ runId: run._id });
+    const result = await correctDiscrepancy(discrepancy);
+
+    expect(result.status).toBe('resolved');
+    expect(await Transaction.countDocuments({ type: 'adjustment' })).toBe(0);
+  });
+});
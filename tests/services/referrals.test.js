@@ -0,0 +1,180 @@
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const Referral = require('../../src/models/Referral');
+const eventBus = require('../../src/utils/eventBus');
+const {
+  ensureReferralCode,
+  findReferrer,
+  createReferral,
+  qualifyReferral,
+  getReferralSummary,
+  registerReferralListeners,
+} = require('../../src/services/referrals');
+
+// The purchase listener rewards in the background
+const waitForReferral = async (refereeId, status) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const referral = await Referral.findOne({ refereeId });
+    if (referral.status === status) {
+      return referral;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return await Referral.findOne({ refereeId });
+};
+
+describe('Referrals', () => {
+  let referrer;
+
+  const createUser = (name, fields = {}) => User.create({
+    email: `${name}@example.com`,
+    password: 'password123',
+    username: name,
+    firstName: 'Referral',
+    lastName: 'User',
+    ...fields,
+  });
+
+  beforeEach(async () => {
+    config.referrals.qualifyOn = 'email_verified';
+    config.referrals.referrerCredits = 5;
+    config.referrals.refereeCredits = 3;
+    config.referrals.maxPerIp = 2;
+    config.referrals.maxRewardsPerReferrer = 50;
+
+    referrer = await createUser('referrer', { deviceId: 'device-referrer' });
+    await Transaction.create({
+      userId: referrer._id,
+      type: 'signup_bonus',
+      amount: 0,
+      creditsAdded: 1,
+      status: 'completed',
+      metadata: { ipAddress: '10.0.0.1' },
+    });
+  });
+
+  it('should give every user a referral code', async () => {
+    expect(referrer.referralCode).toMatch(/^[A-Z2-9]{8}$/);
+    expect((await findReferrer(referrer.referralCode.toLowerCase()))._id.toString()).toBe(referrer._id.toString());
+
+    await User.updateOne({ _id: referrer._id }, { $set: { referralCode: null } });
+    const legacy = await User.findById(referrer._id);
+    const code = await ensureReferralCode(legacy);
+
+    expect(code).toMatch(/^[A-Z2-9]{8}$/);
+    expect((await User.findById(referrer._id)).referralCode).toBe(code);
+  });
+
+  it('should reward both users once the invitee verifies their email', async () => {
+    const invitee = await createUser('invitee', { deviceId: 'device-invitee' });
+    await createReferral(referrer, invitee, { ipAddress: '10.0.0.2', deviceId: 'device-invitee' });
+
+    const referral = await qualifyReferral(invitee._id, 'email_verified');
+    const again = await qualifyReferral(invitee._id, 'email_verified');
+
+    expect(referral.status).toBe('rewarded');
+    expect(referral.qualifiedBy).toBe('email_verified');
+    expect(again).toBeNull();
+
+    expect((await User.findById(referrer._id)).credits).toBe(6);
+    expect((await User.findById(invitee._id)).credits).toBe(4);
+
+    const rewards = await Transaction.find({ type: 'referral_bonus', status: 'completed' });
+    expect(rewards.map(transaction => transaction.metadata.referralRole).sort()).toEqual(['referee', 'referrer']);
+
+    expect(await getReferralSummary(referrer._id)).toEqual({
+      invited: 1,
+      pending: 0,
+      rewarded: 1,
+      rejected: 0,
+      creditsEarned: 5,
+    });
+  });
+
+  it('should not reward past the limit when invitees qualify at the same time', async () => {
+    config.referrals.maxRewardsPerReferrer = 1;
+    const first = await createUser('first');
+    const second = await createUser('second');
+    await createReferral(referrer, first, { ipAddress: '10.0.0.2' });
+    await createReferral(referrer, second, { ipAddress: '10.0.0.3' });
+
+    const referrals = await Promise.all([
+      qualifyReferral(first._id, 'email_verified'),
+      qualifyReferral(second._id, 'email_verified'),
+    ]);
+
+    expect(referrals.map(referral => referral.status).sort()).toEqual(['rejected', 'rewarded']);
+    const updated = await User.findById(referrer._id);
+    expect(updated.credits).toBe(6);
+    expect(updated.referralRewardCount).toBe(1);
+  });
+
+  it('should credit each side once when a reward fails part way', async () => {
+    const invitee = await createUser('invitee');
+    await createReferral(referrer, invitee, { ipAddress: '10.0.0.2' });
+    const addCredits = User.prototype.addCredits;
+    jest.spyOn(User.prototype, 'addCredits')
+      .mockImplementationOnce(function (amount) { return addCredits.call(this, amount); })
+      .mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(qualifyReferral(invitee._id, 'email_verified')).rejects.toThrow('Database unavailable');
+    expect((await Referral.findOne({ refereeId: invitee._id })).status).toBe('pending');
+
+    const referral = await qualifyReferral(invitee._id, 'email_verified');
+
+    expect(referral.status).toBe('rewarded');
+    expect((await User.findById(referrer._id)).credits).toBe(6);
+    expect((await User.findById(referrer._id)).referralRewardCount).toBe(1);
+    expect((await User.findById(invitee._id)).credits).toBe(4);
+    expect(await Transaction.countDocuments({ type: 'referral_bonus' })).toBe(2);
+  });
+
+  it('should reject invites from the referrer\'s device or IP address', async () => {
+    const sameDevice = await createUser('samedevice');
+    const sameIp = await createUser('sameip');
+
+    const byDevice = await createReferral(referrer, sameDevice, { ipAddress: '10.0.0.3', deviceId: 'device-referrer' });
+    const byIp = await createReferral(referrer, sameIp, { ipAddress: '10.0.0.1' });
+
+    expect(byDevice.status).toBe('rejected');
+    expect(byIp.status).toBe('rejected');
+    expect(await qualifyReferral(sameIp._id, 'email_verified')).toBeNull();
+    expect((await User.findById(referrer._id)).credits).toBe(1);
+  });
+
+  it('should limit invites from one IP address', async () => {
+    const statuses = [];
+    for (const name of ['first', 'second', 'third']) {
+      const invitee = await createUser(name);
+      statuses.push((await createReferral(referrer, invitee, { ipAddress: '10.0.0.9' })).status);
+    }
+
+    expect(statuses).toEqual(['pending', 'pending', 'rejected']);
+  });
+
+  it('should only refer a user once', async () => {
+    const invitee = await createUser('invitee');
+    const other = await createUser('other');
+
+    await createReferral(referrer, invitee, { ipAddress: '10.0.0.2' });
+    expect(await createReferral(other, invitee, { ipAddress: '10.0.0.2' })).toBeNull();
+    expect(await Referral.countDocuments({ refereeId: invitee._id })).toBe(1);
+  });
+
+  it('should wait for a first purchase when configured', async () => {
+    config.referrals.qualifyOn = 'purchase';
+    registerReferralListeners();
+
+    const invitee = await createUser('invitee');
+    await createReferral(referrer, invitee, { ipAddress: '10.0.0.2' });
+
+    expect(await qualifyReferral(invitee._id, 'email_verified')).toBeNull();
+
+    eventBus.emit('payment.succeeded', { user: invitee, transaction: {}, creditsAdded: 60 });
+
+    const referral = await waitForReferral(invitee._id, 'rewarded');
+    expect(referral.status).toBe('rewarded');
+    expect(referral.qualifiedBy).toBe('purchase');
+  });
+});
@@ -0,0 +1,132 @@
+const config = require('../../src/config');
+const stripe = require('../../src/utils/stripe');
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const {
+  recordRefund,
+  refundStripePayment,
+  handleChargeRefunded,
+  handleDisputeCreated,
+} = require('../../src/services/refunds');
+
+describe('Refunds', () => {
+  let user;
+  let purchase;
+
+  const refundsOf = () => Transaction.find({ type: 'refund', 'metadata.originalTransactionId': purchase._id });
+
+  beforeEach(async () => {
+    config.refunds.clawbackPolicy = 'negative_balance';
+
+    user = await User.create({
+      email: 'refunded@example.com',
+      password: 'password123',
+      username: 'refunded',
+      firstName: 'Re',
+      lastName: 'Funded',
+      credits: 100,
+    });
+
+    purchase = await Transaction.create({
+      userId: user._id,
+      type: 'credit_purchase',
+      amount: 1000,
+      creditsAdded: 100,
+      stripePaymentIntentId: 'pi_refund',
+      status: 'completed',
+      processedAt: new Date(),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should claw back credits in proportion to a partial refund', async () => {
+    const { refund } = await recordRefund(purchase, { amount: 250, source: 'admin', reason: 'Partial' });
+
+    expect(refund.status).toBe('completed');
+    expect(refund.creditsAdded).toBe(-25);
+    expect(refund.metadata.originalTransactionId).toEqual(purchase._id);
+
+    const updated = await Transaction.findById(purchase._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.refundedAmount).toBe(250);
+    expect((await User.findById(user._id)).credits).toBe(75);
+  });
+
+  it('should leave spent credits as a negative balance', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { credits: 30 } });
+
+    const { refund } = await recordRefund(purchase, { amount: 1000, source: 'admin', reason: 'Full' });
+
+    expect(refund.creditsAdded).toBe(-100);
+    expect((await User.findById(user._id)).credits).toBe(-70);
+  });
+
+  it('should forgive spent credits under the clamp policy', async () => {
+    config.refunds.clawbackPolicy = 'clamp';
+    await User.updateOne({ _id: user._id }, { $set: { credits: 30 } });
+
+    const { refund } = await recordRefund(purchase, { amount: 1000, source: 'admin', reason: 'Full' });
+
+    expect(refund.creditsAdded).toBe(-30);
+    expect(refund.metadata.creditsForgiven).toBe(70);
+    expect((await User.findById(user._id)).credits).toBe(0);
+  });
+
+  it('should take nothing back for a purchase that cost nothing', async () => {
+    const free = await Transaction.create({
+      userId: user._id,
+      type: 'credit_purchase',
+      amount: 0,
+      creditsAdded: 50,
+      status: 'completed',
+    });
+
+    const { refund } = await recordRefund(free, { amount: 0, source: 'admin', reason: 'Promo' });
+
+    expect(refund.creditsAdded).toBeCloseTo(0);
+    expect((await User.findById(user._id)).credits).toBe(100);
+  });
+
+  it('should not refund more than was paid', async () => {
+    await recordRefund(purchase, { amount: 800, source: 'admin', reason: 'Most' });
+    const result = await recordRefund(purchase, { amount: 300, source: 'admin', reason: 'Too much' });
+
+    expect(result.error).toBeDefined();
+    expect(await refundsOf()).toHaveLength(1);
+  });
+
+  it('should record a Stripe refund once when the webhook follows', async () => {
+    jest.spyOn(stripe.refunds, 'create').mockResolvedValue({ id: 're_1', amount: 400, status: 'succeeded' });
+    jest.spyOn(stripe.refunds, 'list').mockResolvedValue({
+      data: [
+        { id: 're_1', amount: 400, status: 'succeeded', metadata: { source: 'admin' } },
+        { id: 're_2', amount: 100, status: 'succeeded', metadata: {}, reason: 'duplicate' },
+      ],
+    });
+
+    await refundStripePayment(purchase, { amount: 400, source: 'admin', reason: 'Goodwill' });
+    await handleChargeRefunded({ id: 'ch_1', payment_intent: 'pi_refund' });
+    await handleChargeRefunded({ id: 'ch_1', payment_intent: 'pi_refund' });
+
+    const refunds = await refundsOf();
+    expect(refunds.map(refund => refund.stripeRefundId).sort()).toEqual(['re_1', 're_2']);
+    expect((await Transaction.findById(purchase._id)).refundedAmount).toBe(500);
+    expect((await User.findById(user._id)).credits).toBe(50);
+  });
+
+  it('should claw back credits when a payment is disputed', async () => {
+    const dispute = { id: 'dp_1', amount: 1000, reason: 'fraudulent', payment_intent: 'pi_refund', charge: 'ch_1' };
+
+    await handleDisputeCreated(dispute);
+    await handleDisputeCreated(dispute);
+
+    const refunds = await refundsOf();
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0].stripeDisputeId).toBe('dp_1');
+    expect(refunds[0].metadata.refundSource).toBe('dispute');
+    expect((await User.findById(user._id)).credits).toBe(0);
+  });
+});
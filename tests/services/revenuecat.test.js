@@ -0,0 +1,201 @@
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Subscription = require('../../src/models/Subscription');
+const Transaction = require('../../src/models/Transaction');
+const RevenueCatEvent = require('../../src/models/RevenueCatEvent');
+const { DEFAULT_PACKAGES, ensureDefaultPackages } = require('../../src/services/packages');
+const { verifyAuthorization, processEvent } = require('../../src/services/revenuecat');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STARTER_CREDITS = DEFAULT_PACKAGES.find(pkg => pkg.key === 'starter').credits;
+
+describe('RevenueCat webhooks', () => {
+  let user;
+
+  const event = (overrides = {}) => ({
+    id: 'evt_1',
+    type: 'INITIAL_PURCHASE',
+    app_user_id: user._id.toString(),
+    aliases: [],
+    product_id: 'starter',
+    transaction_id: 'txn_1',
+    original_transaction_id: 'txn_1',
+    purchased_at_ms: Date.now(),
+    price: 4.99,
+    store: 'APP_STORE',
+    environment: 'PRODUCTION',
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    config.revenuecat.webhookSecret = 'rc-secret';
+    config.revenuecat.allowSandbox = false;
+    config.refunds.clawbackPolicy = 'negative_balance';
+    await ensureDefaultPackages();
+
+    user = await User.create({
+      email: 'mobile@example.com',
+      password: 'password123',
+      username: 'mobile',
+      firstName: 'Mobile',
+      lastName: 'User',
+    });
+  });
+
+  it('should only accept the configured authorization', () => {
+    expect(verifyAuthorization('rc-secret')).toBe(true);
+    expect(verifyAuthorization('Bearer rc-secret')).toBe(true);
+    expect(verifyAuthorization('wrong')).toBe(false);
+    expect(verifyAuthorization(undefined)).toBe(false);
+  });
+
+  it('should add catalog credits for a purchase exactly once', async () => {
+    const record = await processEvent(event({ credits: 1000 }));
+    const duplicate = await processEvent(event());
+
+    expect(record.status).toBe('processed');
+    expect(duplicate).toBeNull();
+
+    const updated = await User.findById(user._id);
+    expect(updated.credits).toBe(1 + STARTER_CREDITS);
+
+    const transaction = await Transaction.findOne({ revenueCatTransactionId: 'txn_1' });
+    expect(transaction.status).toBe('completed');
+    expect(transaction.amount).toBe(499);
+  });
+
+  it('should not apply the same store transaction under a new event id', async () => {
+    await processEvent(event());
+    const record = await processEvent(event({ id: 'evt_2' }));
+
+    expect(record.status).toBe('ignored');
+    expect((await User.findById(user._id)).credits).toBe(1 + STARTER_CREDITS);
+  });
+
+  it('should finish a purchase whose first delivery failed when the event is redelivered', async () => {
+    jest.spyOn(User.prototype, 'addCredits').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(processEvent(event())).rejects.toThrow('Database unavailable');
+    expect((await Transaction.findOne({ revenueCatTransactionId: 'txn_1' })).status).toBe('pending');
+
+    const record = await processEvent(event());
+
+    expect(record.status).toBe('processed');
+    expect((await User.findById(user._id)).credits).toBe(1 + STARTER_CREDITS);
+    expect((await Transaction.findOne({ revenueCatTransactionId: 'txn_1' })).status).toBe('completed');
+    expect(await Transaction.countDocuments({ revenueCatTransactionId: 'txn_1' })).toBe(1);
+  });
+
+  it('should take over an event abandoned while processing', async () => {
+    await RevenueCatEvent.create({ eventId: 'evt_1', type: 'INITIAL_PURCHASE', status: 'processing' });
+
+    // Still within its processing window
+    expect(await processEvent(event())).toBeNull();
+
+    await RevenueCatEvent.collection.updateOne(
+      { eventId: 'evt_1' },
+      { $set: { updatedAt: new Date(Date.now() - 10 * 60 * 1000) } }
+    );
+    const record = await processEvent(event());
+
+    expect(record.status).toBe('processed');
+    expect((await User.findById(user._id)).credits).toBe(1 + STARTER_CREDITS);
+  });
+
+  it('should ignore events for unknown users and products', async () => {
+    const unknownUser = await processEvent(event({ app_user_id: '$RCAnonymousID:abc' }));
+    const unknownProduct = await processEvent(event({ id: 'evt_2', product_id: 'mystery' }));
+
+    expect(unknownUser.status).toBe('ignored');
+    expect(unknownProduct.status).toBe('ignored');
+    expect(await Transaction.countDocuments()).toBe(0);
+  });
+
+  it('should map users through aliases', async () => {
+    const record = await processEvent(event({
+      app_user_id: '$RCAnonymousID:abc',
+      aliases: ['$RCAnonymousID:abc', user._id.toString()],
+    }));
+
+    expect(record.status).toBe('processed');
+    expect(record.userId.toString()).toBe(user._id.toString());
+  });
+
+  it('should grant premium until the store expiration and renew it', async () => {
+    const firstEnd = Date.now() + 30 * DAY_MS;
+    await processEvent(event({ product_id: 'premium_monthly', expiration_at_ms: firstEnd }));
+
+    let updated = await User.findById(user._id);
+    expect(updated.isPremiumActive).toBe(true);
+    expect(updated.premiumExpiresAt.getTime()).toBe(firstEnd);
+
+    const renewedEnd = firstEnd + 30 * DAY_MS;
+    await processEvent(event({
+      id: 'evt_2',
+      type: 'RENEWAL',
+      product_id: 'premium_monthly',
+      transaction_id: 'txn_2',
+      expiration_at_ms: renewedEnd,
+    }));
+
+    updated = await User.findById(user._id);
+    expect(updated.premiumExpiresAt.getTime()).toBe(renewedEnd);
+
+    const subscription = await Subscription.findOne({ provider: 'revenuecat', externalId: 'txn_1' });
+    expect(subscription.status).toBe('active');
+    expect(subscription.currentPeriodEnd.getTime()).toBe(renewedEnd);
+  });
+
+  it('should keep premium after a cancellation and end it on expiration', async () => {
+    const expiration = Date.now() + 60 * 1000;
+    await processEvent(event({ product_id: 'premium_monthly', expiration_at_ms: expiration }));
+
+    await processEvent(event({ id: 'evt_2', type: 'CANCELLATION', product_id: 'premium_monthly', cancel_reason: 'UNSUBSCRIBE' }));
+    expect((await User.findById(user._id)).isPremiumActive).toBe(true);
+    expect((await Subscription.findOne({ externalId: 'txn_1' })).cancelAtPeriodEnd).toBe(true);
+
+    await processEvent(event({ id: 'evt_3', type: 'EXPIRATION', product_id: 'premium_monthly', expiration_at_ms: expiration }));
+    expect((await User.findById(user._id)).isPremiumActive).toBe(false);
+    expect((await Subscription.findOne({ externalId: 'txn_1' })).status).toBe('expired');
+  });
+
+  it('should take back refunded credits with a linked refund entry', async () => {
+    await processEvent(event());
+    await processEvent(event({ id: 'evt_2', type: 'CANCELLATION', cancel_reason: 'CUSTOMER_SUPPORT', price: -4.99 }));
+
+    expect((await User.findById(user._id)).credits).toBe(1);
+
+    const purchase = await Transaction.findOne({ revenueCatTransactionId: 'txn_1' });
+    expect(purchase.status).toBe('completed');
+    expect(purchase.refundedAmount).toBe(499);
+
+    const refund = await Transaction.findOne({ type: 'refund', 'metadata.originalTransactionId': purchase._id });
+    expect(refund.creditsAdded).toBe(-STARTER_CREDITS);
+    expect(refund.metadata.refundSource).toBe('store');
+  });
+
+  it('should follow the clawback policy for store refunds', async () => {
+    config.refunds.clawbackPolicy = 'clamp';
+    await processEvent(event());
+    await User.updateOne({ _id: user._id }, { $inc: { credits: -STARTER_CREDITS } });
+
+    await processEvent(event({ id: 'evt_2', type: 'REFUND', price: -4.99 }));
+    // A second report of the same refund takes nothing more
+    const again = await processEvent(event({ id: 'evt_3', type: 'REFUND', price: -4.99 }));
+
+    expect(again.status).toBe('ignored');
+    expect((await User.findById(user._id)).credits).toBe(0);
+
+    const refund = await Transaction.findOne({ type: 'refund' });
+    expect(refund.creditsAdded).toBe(-1);
+    expect(refund.metadata.creditsForgiven).toBe(STARTER_CREDITS - 1);
+  });
+
+  it('should ignore sandbox events unless enabled', async () => {
+    const record = await processEvent(event({ environment: 'SANDBOX' }));
+
+    expect(record.status).toBe('ignored');
+    expect(await RevenueCatEvent.countDocuments({ status: 'ignored' })).toBe(1);
+    expect((await User.findById(user._id)).credits).toBe(1);
+  });
+});
@@ -0,0 +1,92 @@
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Generation = require('../../src/models/Generation');
+const { setStorage } = require('../../src/storage');
+const { createMemoryDriver } = require('../../src/storage/memory');
+const { migrateToPrivateStorage } = require('../../src/services/storageMigration');
+
+describe('Private storage migration', () => {
+  const storedUrl = key => `${config.storage.publicUrl}/${key}`;
+  let storage;
+  let user;
+  let generation;
+
+  beforeEach(async () => {
+    storage = { ...createMemoryDriver(), makePrivate: jest.fn().mockResolvedValue() };
+    setStorage(storage);
+    await storage.put('uploads/original.jpeg', Buffer.from('original'));
+    await storage.put('generations/g1/1.jpeg', Buffer.from('generated'));
+
+    user = await User.create({
+      email: 'migrated@example.com',
+      password: 'password123',
+      username: 'migrated',
+      firstName: 'Mi',
+      lastName: 'Grated',
+      profilePicture: storedUrl('profile-pictures/me.jpeg'),
+    });
+    await User.create({
+      email: 'google@example.com',
+      password: 'password123',
+      username: 'google',
+      firstName: 'Go',
+      lastName: 'Ogle',
+      profilePicture: 'https://lh3.googleusercontent.com/photo.jpg',
+    });
+
+    generation = await Generation.create({
+      userId: user._id,
+      prompt: 'A lighthouse at dusk',
+      originalImageUrl: storedUrl('uploads/original.jpeg'),
+      generatedImageUrls: [storedUrl('generations/g1/1.jpeg'), 'generations/g1/2.jpeg'],
+      creditsUsed: 1,
+      status: 'completed',
+    });
+  });
+
+  it('should rewrite stored URLs to keys and make objects private', async () => {
+    const stats = await migrateToPrivateStorage();
+
+    expect(stats).toEqual({
+      generationsUpdated: 1,
+      usersUpdated: 1,
+      externalUrls: 1,
+      objectsMadePrivate: 2,
+    });
+
+    const migrated = await Generation.findById(generation._id).lean();
+    expect(migrated.originalImageUrl).toBe('uploads/original.jpeg');
+    expect(migrated.generatedImageUrls).toEqual(['generations/g1/1.jpeg', 'generations/g1/2.jpeg']);
+    expect((await User.findById(user._id).lean()).profilePicture).toBe('profile-pictures/me.jpeg');
+    expect((await User.findOne({ username: 'google' }).lean()).profilePicture)
+      .toBe('https://lh3.googleusercontent.com/photo.jpg');
+    expect(storage.makePrivate).toHaveBeenCalledWith('uploads/original.jpeg');
+
+    const again = await migrateToPrivateStorage();
+    expect(again.generationsUpdated).toBe(0);
+    expect(again.usersUpdated).toBe(0);
+  });
+
+  it('should only count changes in a dry run', async () => {
+    const stats = await migrateToPrivateStorage({ dryRun: true });
+
+    expect(stats.generationsUpdated).toBe(1);
+    expect(stats.objectsMadePrivate).toBe(2);
+    expect(storage.makePrivate).not.toHaveBeenCalled();
+    expect((await Generation.findById(generation._id).lean()).originalImageUrl).toBe(storedUrl('uploads/original.jpeg'));
+  });
+
+  it('should sign URLs in responses for stored keys', async () => {
+    await migrateToPrivateStorage();
+
+    const json = (await Generation.findById(generation._id)).toJSON();
+    const url = new URL(json.originalImageUrl);
+    expect(url.searchParams.get('signature')).toBeTruthy();
+    expect(Number(url.searchParams.get('expires')))
+      .toBeCloseTo(Date.now() / 1000 + config.storage.urlTtl.images, -1);
+
+    const profile = new URL((await User.findById(user._id)).toJSON().profilePicture);
+    expect(Number(profile.searchParams.get('expires')))
+      .toBeCloseTo(Date.now() / 1000 + config.storage.urlTtl.profilePictures, -1);
+  });
+});
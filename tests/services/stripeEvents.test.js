@@ -0,0 +1,126 @@
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const StripeEvent = require('../../src/models/StripeEvent');
+const { processSuccessfulPayment } = require('../../src/services/payments');
+const { processStripeEvent, replayStripeEvent } = require('../../src/services/stripeEvents');
+
+describe('Stripe webhook events', () => {
+  let user;
+  let transaction;
+
+  const paymentIntent = {
+    id: 'pi_123',
+    status: 'succeeded',
+    metadata: { packageId: 'small' },
+  };
+
+  const succeededEvent = (id = 'evt_1') => ({
+    id,
+    type: 'payment_intent.succeeded',
+    livemode: false,
+    created: Math.floor(Date.now() / 1000),
+    data: { object: paymentIntent },
+  });
+
+  beforeEach(async () => {
+    user = await User.create({
+      email: 'buyer@example.com',
+      password: 'password123',
+      username: 'buyer',
+      firstName: 'Credit',
+      lastName: 'Buyer',
+    });
+
+    transaction = await Transaction.create({
+      userId: user._id,
+      type: 'credit_purchase',
+      amount: 199,
+      creditsAdded: 10,
+      stripePaymentIntentId: paymentIntent.id,
+      status: 'pending',
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record an event and apply it once', async () => {
+    const record = await processStripeEvent(succeededEvent());
+    const duplicate = await processStripeEvent(succeededEvent());
+
+    expect(record.status).toBe('processed');
+    expect(record.objectId).toBe('pi_123');
+    expect(duplicate).toBeNull();
+    expect((await User.findById(user._id)).credits).toBe(11);
+    expect((await Transaction.findById(transaction._id)).status).toBe('completed');
+  });
+
+  it('should credit a payment once when the webhook and confirmation race', async () => {
+    const results = await Promise.all([
+      processSuccessfulPayment(transaction, paymentIntent),
+      processStripeEvent(succeededEvent()),
+      processSuccessfulPayment(transaction, paymentIntent),
+    ]);
+
+    expect(results.filter(result => result === true).length).toBeLessThanOrEqual(1);
+    expect((await User.findById(user._id)).credits).toBe(11);
+  });
+
+  it('should mark unhandled event types as ignored', async () => {
+    const record = await processStripeEvent({
+      id: 'evt_other',
+      type: 'charge.captured',
+      data: { object: { id: 'ch_1' } },
+    });
+
+    expect(record.status).toBe('ignored');
+  });
+
+  it('should record failures and replay them', async () => {
+    jest.spyOn(User.prototype, 'addCredits').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(processStripeEvent(succeededEvent())).rejects.toThrow('Database unavailable');
+
+    let record = await StripeEvent.findOne({ eventId: 'evt_1' });
+    expect(record.status).toBe('failed');
+    expect(record.error).toBe('Database unavailable');
+    // The claim was undone so the payment can still be granted
+    expect((await Transaction.findById(transaction._id)).status).toBe('pending');
+
+    record = await replayStripeEvent('evt_1');
+
+    expect(record.status).toBe('processed');
+    expect(record.attempts).toBe(2);
+    expect((await User.findById(user._id)).credits).toBe(11);
+
+    // Processed events can't be replayed
+    expect(await replayStripeEvent('evt_1')).toBeNull();
+  });
+
+  it('should never grant a payment again once the balance changed', async () => {
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { type: 'premium_subscription' } });
+    const premium = await Transaction.findById(transaction._id);
+    jest.spyOn(Transaction.prototype, 'save').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    expect(await processSuccessfulPayment(premium, paymentIntent)).toBe(true);
+    expect(await processSuccessfulPayment(premium, paymentIntent)).toBe(false);
+
+    expect((await Transaction.findById(transaction._id)).status).toBe('completed');
+    const updated = await User.findById(user._id);
+    expect(updated.credits).toBe(1 + config.premium.credits);
+    const days = (updated.premiumExpiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(config.premium.durationDays);
+  });
+
+  it('should retry a failed event when Stripe redelivers it', async () => {
+    jest.spyOn(User.prototype, 'addCredits').mockRejectedValueOnce(new Error('Database unavailable'));
+    await expect(processStripeEvent(succeededEvent())).rejects.toThrow();
+
+    const record = await processStripeEvent(succeededEvent());
+
+    expect(record.status).toBe('processed');
+    expect((await User.findById(user._id)).credits).toBe(11);
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../../src/utils/email', () => ({
+  sendPremiumUpgradeEmail: jest.fn().mockResolvedValue(),
+}));
+
+const config = require('../../src/config');
+const stripe = require('../../src/utils/stripe');
+const User = require('../../src/models/User');
+const Subscription = require('../../src/models/Subscription');
+const Transaction = require('../../src/models/Transaction');
+const {
+  ensureStripeCustomer,
+  handleInvoicePaid,
+  handleInvoicePaymentFailed,
+  handleSubscriptionChange,
+} = require('../../src/services/stripeSubscriptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const seconds = (date) => Math.floor(date.getTime() / 1000);
+
+describe('Stripe subscriptions', () => {
+  let user;
+  let periodEnd;
+
+  const stripeSubscription = (overrides = {}) => ({
+    id: 'sub_123',
+    customer: 'cus_123',
+    status: 'active',
+    current_period_start: seconds(new Date()),
+    current_period_end: seconds(periodEnd),
+    cancel_at_period_end: false,
+    canceled_at: null,
+    ended_at: null,
+    latest_invoice: 'in_1',
+    items: { data: [{ price: { id: 'price_premium' } }] },
+    metadata: { userId: user._id.toString() },
+    ...overrides,
+  });
+
+  const invoice = (overrides = {}) => ({
+    id: 'in_1',
+    subscription: 'sub_123',
+    billing_reason: 'subscription_create',
+    amount_paid: 999,
+    payment_intent: 'pi_1',
+    lines: { data: [{ period: { start: seconds(new Date()), end: seconds(periodEnd) } }] },
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    config.premium.credits = 100;
+    config.premium.gracePeriodDays = 3;
+    periodEnd = new Date(Date.now() + 30 * DAY_MS);
+
+    user = await User.create({
+      email: 'subscriber@example.com',
+      password: 'password123',
+      username: 'subscriber',
+      firstName: 'Sub',
+      lastName: 'Scriber',
+      stripeCustomerId: 'cus_123',
+    });
+
+    jest.spyOn(stripe.subscriptions, 'retrieve').mockImplementation(async () => stripeSubscription());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should create and store a Stripe customer once', async () => {
+    const other = await User.create({
+      email: 'new@example.com',
+      password: 'password123',
+      username: 'newcustomer',
+      firstName: 'New',
+      lastName: 'Customer',
+    });
+    const create = jest.spyOn(stripe.customers, 'create').mockResolvedValue({ id: 'cus_new' });
+
+    expect(await ensureStripeCustomer(other)).toBe('cus_new');
+    expect(await ensureStripeCustomer(other)).toBe('cus_new');
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect((await User.findById(other._id)).stripeCustomerId).toBe('cus_new');
+  });
+
+  it('should grant premium for a paid invoice exactly once', async () => {
+    await handleInvoicePaid(invoice());
+    await handleInvoicePaid(invoice());
+
+    const updated = await User.findById(user._id);
+    expect(updated.isPremiumActive).toBe(true);
+    expect(updated.premiumSource).toBe('subscription');
+    expect(Math.abs(updated.premiumExpiresAt.getTime() - periodEnd.getTime())).toBeLessThan(1000);
+    expect(updated.credits).toBe(1 + config.premium.credits);
+
+    const transactions = await Transaction.find({ stripeInvoiceId: 'in_1' });
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].status).toBe('completed');
+    expect(transactions[0].metadata.stripeSubscriptionId).toBe('sub_123');
+
+    const subscription = await Subscription.findOne({ externalId: 'sub_123' });
+    expect(subscription.status).toBe('active');
+    expect(subscription.userId.toString()).toBe(user._id.toString());
+  });
+
+  it('should grant an invoice whose first delivery failed when Stripe redelivers it', async () => {
+    jest.spyOn(User.prototype, 'grantPremiumUntil').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(handleInvoicePaid(invoice())).rejects.toThrow('Database unavailable');
+    expect((await Transaction.findOne({ stripeInvoiceId: 'in_1' })).status).toBe('pending');
+
+    await handleInvoicePaid(invoice());
+
+    const updated = await User.findById(user._id);
+    expect(updated.isPremiumActive).toBe(true);
+    expect(updated.credits).toBe(1 + config.premium.credits);
+    expect((await Transaction.findOne({ stripeInvoiceId: 'in_1' })).status).toBe('completed');
+  });
+
+  it('should extend premium on renewal', async () => {
+    await handleInvoicePaid(invoice());
+
+    periodEnd = new Date(periodEnd.getTime() + 30 * DAY_MS);
+    await handleInvoicePaid(invoice({ id: 'in_2', billing_reason: 'subscription_cycle' }));
+
+    const updated = await User.findById(user._id);
+    expect(Math.abs(updated.premiumExpiresAt.getTime() - periodEnd.getTime())).toBeLessThan(1000);
+    expect(await Transaction.countDocuments({ type: 'premium_subscription', status: 'completed' })).toBe(2);
+  });
+
+  it('should keep premium through the grace period after a failed renewal', async () => {
+    await handleInvoicePaid(invoice());
+    // The paid period is about to end
+    await User.updateOne({ _id: user._id }, { $set: { premiumExpiresAt: new Date(Date.now() + 60 * 1000) } });
+
+    await handleInvoicePaymentFailed(invoice({ id: 'in_2', billing_reason: 'subscription_cycle' }));
+    const subscription = await Subscription.findOne({ externalId: 'sub_123' });
+    const graceUntil = subscription.graceUntil.getTime();
+
+    expect(graceUntil).toBeGreaterThan(Date.now() + 2 * DAY_MS);
+    expect((await User.findById(user._id)).premiumExpiresAt.getTime()).toBe(graceUntil);
+
+    // Retries don't push the grace period further out
+    await handleInvoicePaymentFailed(invoice({ id: 'in_2', billing_reason: 'subscription_cycle' }));
+    expect((await Subscription.findOne({ externalId: 'sub_123' })).graceUntil.getTime()).toBe(graceUntil);
+  });
+
+  it('should revoke premium when the subscription ends', async () => {
+    await handleInvoicePaid(invoice());
+
+    await handleSubscriptionChange(
+      stripeSubscription({ status: 'canceled', ended_at: seconds(new Date()) }),
+      'customer.subscription.deleted'
+    );
+
+    const updated = await User.findById(user._id);
+    expect(updated.isPremiumActive).toBe(false);
+    expect((await Subscription.findOne({ externalId: 'sub_123' })).status).toBe('canceled');
+  });
+
+  it('should leave premium from other sources alone when a subscription ends', async () => {
+    await user.activatePremium(30, { source: 'admin' });
+
+    await handleSubscriptionChange(
+      stripeSubscription({ status: 'canceled' }),
+      'customer.subscription.deleted'
+    );
+
+    expect((await User.findById(user._id)).isPremiumActive).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+const config = require('../../src/config');
+const stripe = require('../../src/utils/stripe');
+const { calculateTax, recordTaxTransaction } = require('../../src/services/tax');
+
+describe('Tax', () => {
+  const checkout = { amount: 1200, currency: 'eur', ipAddress: '93.184.216.34', reference: 'medium' };
+
+  beforeEach(() => {
+    config.tax.enabled = true;
+    config.tax.pricesIncludeTax = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should charge the price as it is when tax is disabled', async () => {
+    config.tax.enabled = false;
+    const create = jest.spyOn(stripe.tax.calculations, 'create');
+
+    expect(await calculateTax(checkout)).toEqual({
+      subtotal: 1200,
+      taxAmount: 0,
+      total: 1200,
+      inclusive: true,
+      calculationId: null,
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should take tax out of prices that include it', async () => {
+    const create = jest.spyOn(stripe.tax.calculations, 'create').mockResolvedValue({
+      id: 'taxcalc_1',
+      amount_total: 1200,
+      tax_amount_inclusive: 200,
+      tax_amount_exclusive: 0,
+    });
+
+    expect(await calculateTax(checkout)).toEqual({
+      subtotal: 1000,
+      taxAmount: 200,
+      total: 1200,
+      inclusive: true,
+      calculationId: 'taxcalc_1',
+    });
+    expect(create.mock.calls[0][0].line_items[0]).toMatchObject({ amount: 1200, tax_behavior: 'inclusive' });
+    expect(create.mock.calls[0][0].customer_details).toEqual({ ip_address: '93.184.216.34' });
+  });
+
+  it('should add tax on top of prices that exclude it', async () => {
+    config.tax.pricesIncludeTax = false;
+    jest.spyOn(stripe.tax.calculations, 'create').mockResolvedValue({
+      id: 'taxcalc_2',
+      amount_total: 1440,
+      tax_amount_inclusive: 0,
+      tax_amount_exclusive: 240,
+    });
+
+    expect(await calculateTax(checkout)).toMatchObject({ subtotal: 1200, taxAmount: 240, total: 1440, inclusive: false });
+  });
+
+  it('should record the tax of a paid checkout once per payment', async () => {
+    const record = jest.spyOn(stripe.tax.transactions, 'createFromCalculation').mockResolvedValue({ id: 'tax_1' });
+
+    expect(await recordTaxTransaction(null, 'pi_1')).toBeNull();
+    await recordTaxTransaction('taxcalc_1', 'pi_1');
+
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record).toHaveBeenCalledWith(
+      { calculation: 'taxcalc_1', reference: 'pi_1' },
+      { idempotencyKey: 'tax-pi_1' }
+    );
+  });
+});
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const axios = require('axios');
+const config = require('../../src/config');
+const User = require('../../src/models/User');
+const Job = require('../../src/models/Job');
+const WebhookEndpoint = require('../../src/models/WebhookEndpoint');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const {
+  dispatchWebhookEvent,
+  deliverWebhook,
+  replayDelivery,
+} = require('../../src/services/webhooks');
+
+describe('Webhooks', () => {
+  let user;
+  let endpoint;
+  const secret = 'whsec_test';
+
+  beforeEach(async () => {
+    user = await User.create({
+      email: 'hooks@example.com',
+      password: 'password123',
+      username: 'hooks',
+    });
+
+    endpoint = await WebhookEndpoint.create({
+      userId: user._id,
+      url: 'https://example.com/hooks',
+      events: ['generation.completed'],
+      secret,
+    });
+  });
+
+  const jobFor = (delivery, attempts = 1, maxAttempts = 3) => ({
+    payload: { deliveryId: delivery._id.toString() },
+    attempts,
+    maxAttempts,
+  });
+
+  describe('dispatchWebhookEvent', () => {
+    it('should queue deliveries only for subscribed endpoints', async () => {
+      await WebhookEndpoint.create({
+        userId: user._id,
+        url: 'https://example.com/payments',
+        events: ['payment.succeeded'],
+        secret,
+      });
+
+      const deliveries = await dispatchWebhookEvent(user._id, 'generation.completed', { generationId: 'abc' });
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].endpointId.toString()).toBe(endpoint._id.toString());
+      expect(deliveries[0].payload.type).toBe('generation.completed');
+      expect(await Job.countDocuments({ type: 'webhook' })).toBe(1);
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    it('should POST a signed payload and record the attempt', async () => {
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: Readable.from(['ok']) });
+      const [delivery] = await dispatchWebhookEvent(user._id, 'generation.completed', { generationId: 'abc' });
+
+      await deliverWebhook(jobFor(delivery));
+
+      const [url, body, options] = post.mock.calls[0];
+      expect(url).toBe('https://example.com/hooks');
+
+      const timestamp = options.headers['X-Webhook-Timestamp'];
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      expect(options.headers['X-Webhook-Signature']).toBe(`t=${timestamp},v1=${expected}`);
+
+      const updated = await WebhookDelivery.findById(delivery._id);
+      expect(updated.status).toBe('succeeded');
+      expect(updated.attempts).toHaveLength(1);
+      expect(updated.attempts[0].responseStatus).toBe(200);
+    });
+
+    it('should throw so the job is retried, and fail the delivery on the last attempt', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 500, data: Readable.from(['error']) });
+      const [delivery] = await dispatchWebhookEvent(user._id, 'generation.completed', { generationId: 'abc' });
+
+      await expect(deliverWebhook(jobFor(delivery, 1))).rejects.toThrow('Endpoint responded with 500');
+      expect((await WebhookDelivery.findById(delivery._id)).status).toBe('pending');
+
+      await expect(deliverWebhook(jobFor(delivery, 3))).rejects.toThrow();
+      const updated = await WebhookDelivery.findById(delivery._id);
+      expect(updated.status).toBe('failed');
+      expect(updated.attempts).toHaveLength(2);
+      expect((await WebhookEndpoint.findById(endpoint._id)).consecutiveFailures).toBe(1);
+    });
+
+    it('should refuse endpoints on private network addresses', async () => {
+      config.webhooks.allowPrivateNetworks = false;
+      const post = jest.spyOn(axios, 'post');
+      await WebhookEndpoint.updateOne({ _id: endpoint._id }, { $set: { url: 'http://169.254.169.254/latest' } });
+      const [delivery] = await dispatchWebhookEvent(user._id, 'generation.completed', { generationId: 'abc' });
+
+      await expect(deliverWebhook(jobFor(delivery))).rejects.toThrow('private network address');
+
+      expect(post).not.toHaveBeenCalled();
+      const updated = await WebhookDelivery.findById(delivery._id);
+      expect(updated.attempts[0].error).toBe('Webhook URL points to a private network address');
+    });
+  });
+
+  describe('replayDelivery', () => {
+    it('should queue a new delivery with the same event id', async () => {
+      const [delivery] = await dispatchWebhookEvent(user._id, 'generation.completed', { generationId: 'abc' });
+
+      const replay = await replayDelivery(delivery);
+
+      expect(replay._id.toString()).not.toBe(delivery._id.toString());
+      expect(replay.eventId).toBe(delivery.eventId);
+      expect(replay.replayOf.toString()).toBe(delivery._id.toString());
+      expect(replay.status).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const { createMemoryDriver } = require('../../src/storage/memory');
+const { createLocalDriver } = require('../../src/storage/local');
+const { createS3Driver } = require('../../src/storage/s3');
+const { setStorage, urlFor, keyFor, verifySignature } = require('../../src/storage');
+
+const driverContract = (name, createDriver) => {
+  describe(`${name} driver`, () => {
+    let driver;
+
+    beforeEach(async () => {
+      driver = await createDriver();
+    });
+
+    it('should put, get and delete objects by key', async () => {
+      await driver.put('uploads/user-1/a.png', Buffer.from('image'), { contentType: 'image/png' });
+
+      const object = await driver.get('uploads/user-1/a.png');
+      expect(object.body.toString()).toBe('image');
+      expect(object.contentType).toBe('image/png');
+
+      expect(await driver.delete('uploads/user-1/a.png')).toBe(true);
+      expect(await driver.get('uploads/user-1/a.png')).toBeNull();
+      expect(await driver.delete('uploads/user-1/a.png')).toBe(false);
+    });
+
+    it('should list objects under a prefix in pages', async () => {
+      for (const key of ['generations/g1/1.jpeg', 'generations/g1/2.jpeg', 'generations/g2/1.jpeg', 'uploads/u/1.jpeg']) {
+        await driver.put(key, Buffer.from(key), { contentType: 'image/jpeg' });
+      }
+
+      const first = await driver.list('generations/', { limit: 2 });
+      expect(first.objects.map(object => object.key)).toEqual(['generations/g1/1.jpeg', 'generations/g1/2.jpeg']);
+
+      const second = await driver.list('generations/', { limit: 2, cursor: first.cursor });
+      expect(second.objects.map(object => object.key)).toEqual(['generations/g2/1.jpeg']);
+      expect(second.cursor).toBeNull();
+    });
+
+    it('should sign URLs the API can verify', () => {
+      const url = new URL(driver.signedUrl('uploads/u/1.jpeg', { expiresIn: 60 }));
+      const expires = url.searchParams.get('expires');
+      const signature = url.searchParams.get('signature');
+
+      expect(driver.keyFromUrl(url.toString())).toBe('uploads/u/1.jpeg');
+      expect(verifySignature('uploads/u/1.jpeg', expires, signature)).toBe(true);
+      expect(verifySignature('uploads/u/2.jpeg', expires, signature)).toBe(false);
+      expect(verifySignature('uploads/u/1.jpeg', '1', signature)).toBe(false);
+    });
+
+    it('should only take keys from signed URLs that are still valid', () => {
+      const signed = driver.signedUrl('uploads/u/1.jpeg', { expiresIn: 60 });
+      const expired = driver.signedUrl('uploads/u/1.jpeg', { expiresIn: -60 });
+
+      expect(driver.keyFromSignedUrl(signed)).toBe('uploads/u/1.jpeg');
+      expect(driver.keyFromSignedUrl(expired)).toBeNull();
+      expect(driver.keyFromSignedUrl(driver.url('uploads/u/1.jpeg'))).toBeNull();
+      expect(driver.keyFromSignedUrl(signed.replace('uploads/u/1', 'uploads/u/2'))).toBeNull();
+    });
+  });
+};
+
+describe('Storage', () => {
+  driverContract('memory', () => createMemoryDriver());
+
+  driverContract('local', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    return createLocalDriver({ root });
+  });
+
+  it('should keep local keys inside the storage root', async () => {
+    const driver = createLocalDriver({ root: path.join(os.tmpdir(), 'storage-root-test') });
+    await expect(driver.put('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should map S3 URLs of older uploads to keys', () => {
+    const driver = createS3Driver({
+      accessKeyId: 'key',
+      secretAccessKey: 'secret',
+      region: 'eu-west-1',
+      s3Bucket: 'app-images',
+    });
+
+    expect(driver.keyFromUrl('https://app-images.s3.amazonaws.com/uploads/1-a.jpeg')).toBe('uploads/1-a.jpeg');
+    expect(driver.keyFromUrl('https://s3.eu-west-1.amazonaws.com/app-images/uploads/1-a.jpeg')).toBe('uploads/1-a.jpeg');
+    expect(driver.keyFromUrl('https://other.s3.amazonaws.com/uploads/1-a.jpeg')).toBeNull();
+    expect(driver.url('uploads/a b.jpeg')).toBe('https://app-images.s3.eu-west-1.amazonaws.com/uploads/a%20b.jpeg');
+    expect(driver.signedUrl('uploads/1-a.jpeg', { expiresIn: 60 })).toContain('X-Amz-Expires=60');
+  });
+
+  it('should sign URLs for stored keys and pass legacy URLs through', () => {
+    setStorage(createMemoryDriver());
+
+    const url = new URL(urlFor('generations/g1/1.jpeg', { expiresIn: 120 }));
+    expect(url.toString().startsWith(`${config.storage.publicUrl}/generations/g1/1.jpeg?`)).toBe(true);
+    expect(Number(url.searchParams.get('expires'))).toBeCloseTo(Date.now() / 1000 + 120, -1);
+    expect(verifySignature('generations/g1/1.jpeg', url.searchParams.get('expires'), url.searchParams.get('signature'))).toBe(true);
+
+    expect(urlFor('https://example.com/image.jpg')).toBe('https://example.com/image.jpg');
+    expect(keyFor(`${config.storage.publicUrl}/generations/g1/1.jpeg`)).toBe('generations/g1/1.jpeg');
+    expect(keyFor('https://example.com/image.jpg')).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+const config = require('../../src/config');
+const {
+  localeFromHeader,
+  minimumCharge,
+  resolveCurrency,
+  formatPrice,
+  toReportingAmount,
+} = require('../../src/utils/currency');
+
+describe('Currency', () => {
+  beforeEach(() => {
+    config.currency.default = 'usd';
+    config.currency.reporting = 'usd';
+    config.currency.exchangeRates = { eur: 1.1, jpy: 0.0067 };
+  });
+
+  describe('resolveCurrency', () => {
+    it('should prefer an explicit currency over the locale', () => {
+      expect(resolveCurrency({ currency: 'GBP', locale: 'de-DE' })).toBe('gbp');
+    });
+
+    it('should use the currency of the locale region', () => {
+      expect(resolveCurrency({ locale: 'de-DE' })).toBe('eur');
+      expect(resolveCurrency({ locale: 'en-GB' })).toBe('gbp');
+      expect(resolveCurrency({ locale: 'ja' })).toBe('jpy');
+    });
+
+    it('should fall back to the default currency', () => {
+      expect(resolveCurrency({ locale: 'not a locale' })).toBe('usd');
+      expect(resolveCurrency()).toBe('usd');
+    });
+
+    it('should read the first Accept-Language tag', () => {
+      expect(localeFromHeader('fr-FR,fr;q=0.9,en;q=0.8')).toBe('fr-FR');
+      expect(localeFromHeader('*')).toBeNull();
+    });
+  });
+
+  describe('minimumCharge', () => {
+    it('should use the minimum for the currency in its smallest unit', () => {
+      expect(minimumCharge('usd')).toBe(50);
+      expect(minimumCharge('GBP')).toBe(30);
+      expect(minimumCharge('jpy')).toBe(50);
+      expect(minimumCharge('huf')).toBe(17500);
+    });
+
+    it('should convert the reporting currency minimum otherwise', () => {
+      config.currency.exchangeRates.krw = 0.00075;
+
+      expect(minimumCharge('krw')).toBe(667);
+      expect(minimumCharge('try')).toBe(50);
+    });
+  });
+
+  describe('formatPrice', () => {
+    it('should format for the locale', () => {
+      expect(formatPrice(799, 'eur', 'de-DE')).toBe('7,99 €');
+      expect(formatPrice(799, 'usd', 'en-US')).toBe('$7.99');
+    });
+
+    it('should not divide zero-decimal currencies', () => {
+      expect(formatPrice(500, 'jpy', 'en-US')).toBe('¥500');
+    });
+
+    it('should fall back to en-US for malformed locales', () => {
+      expect(formatPrice(199, 'usd', '!!')).toBe('$1.99');
+    });
+  });
+
+  describe('toReportingAmount', () => {
+    it('should convert between smallest units', () => {
+      expect(toReportingAmount(1000, 'eur')).toBe(1100);
+      expect(toReportingAmount(1500, 'jpy')).toBe(1005);
+      expect(toReportingAmount(1000, 'usd')).toBe(1000);
+    });
+
+    it('should return null without an exchange rate', () => {
+      expect(toReportingAmount(1000, 'brl')).toBeNull();
+    });
+  });
+});
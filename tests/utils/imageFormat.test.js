@@ -0,0 +1,20 @@
+const { detectImageFormat } = require('../../src/utils/imageFormat');
+
+describe('Image format detection', () => {
+  const withHeader = (...parts) => Buffer.concat([...parts.map(part => Buffer.from(part)), Buffer.alloc(16)]);
+
+  it('should recognise image formats from their leading bytes', () => {
+    expect(detectImageFormat(withHeader([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+    expect(detectImageFormat(withHeader([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe('png');
+    expect(detectImageFormat(withHeader('GIF89a'))).toBe('gif');
+    expect(detectImageFormat(withHeader('RIFF', [0, 0, 0, 0], 'WEBPVP8 '))).toBe('webp');
+    expect(detectImageFormat(withHeader([0, 0, 0, 0x1c], 'ftypavif'))).toBe('avif');
+  });
+
+  it('should not recognise other content', () => {
+    expect(detectImageFormat(withHeader('<!DOCTYPE html>'))).toBeNull();
+    expect(detectImageFormat(withHeader([0, 0, 0, 0x1c], 'ftypmp42'))).toBeNull();
+    expect(detectImageFormat(Buffer.from([0xff, 0xd8]))).toBeNull();
+    expect(detectImageFormat(null)).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+const Job = require('../../src/models/Job');
+const { enqueue, claimNext, heartbeat, completeJob, failJob } = require('../../src/utils/jobQueue');
+
+describe('Job Queue', () => {
+  describe('enqueue', () => {
+    it('should create a queued job', async () => {
+      const job = await enqueue('generation', { generationId: 'abc' });
+
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(0);
+      expect(job.payload.generationId).toBe('abc');
+    });
+  });
+
+  describe('claimNext', () => {
+    it('should lease a queued job to a worker', async () => {
+      await enqueue('generation', { generationId: 'abc' });
+
+      const job = await claimNext('worker-1', ['generation'], 60000);
+
+      expect(job.status).toBe('active');
+      expect(job.lockedBy).toBe('worker-1');
+      expect(job.attempts).toBe(1);
+      expect(job.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not hand the same job to two workers', async () => {
+      await enqueue('generation', { generationId: 'abc' });
+
+      const first = await claimNext('worker-1', ['generation'], 60000);
+      const second = await claimNext('worker-2', ['generation'], 60000);
+
+      expect(first).not.toBeNull();
+      expect(second).toBeNull();
+    });
+
+    it('should not claim delayed jobs before they are due', async () => {
+      await enqueue('generation', { generationId: 'abc' }, { delayMs: 60000 });
+
+      const job = await claimNext('worker-1', ['generation'], 60000);
+
+      expect(job).toBeNull();
+    });
+
+    it('should reclaim a job whose lease expired', async () => {
+      const queued = await enqueue('generation', { generationId: 'abc' });
+      await claimNext('worker-1', ['generation'], 60000);
+      await Job.updateOne({ _id: queued._id }, { lockedUntil: new Date(Date.now() - 1000) });
+
+      const job = await claimNext('worker-2', ['generation'], 60000);
+
+      expect(job.lockedBy).toBe('worker-2');
+      expect(job.attempts).toBe(2);
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should extend the lease only for the owning worker', async () => {
+      await enqueue('generation', { generationId: 'abc' });
+      const job = await claimNext('worker-1', ['generation'], 1000);
+
+      expect(await heartbeat(job, 'worker-1', 60000)).toBe(true);
+      expect(await heartbeat(job, 'worker-2', 60000)).toBe(false);
+    });
+  });
+
+  describe('completeJob and failJob', () => {
+    it('should mark a job completed', async () => {
+      await enqueue('generation', { generationId: 'abc' });
+      const job = await claimNext('worker-1', ['generation'], 60000);
+
+      await completeJob(job, 'worker-1');
+
+      const updated = await Job.findById(job._id);
+      expect(updated.status).toBe('completed');
+      expect(updated.lockedBy).toBeNull();
+    });
+
+    it('should requeue a failed job with attempts left', async () => {
+      await enqueue('generation', { generationId: 'abc' }, { maxAttempts: 2 });
+      const job = await claimNext('worker-1', ['generation'], 60000);
+
+      const exhausted = await failJob(job, 'worker-1', new Error('boom'));
+
+      const updated = await Job.findById(job._id);
+      expect(exhausted).toBe(false);
+      expect(updated.status).toBe('queued');
+      expect(updated.lastError).toBe('boom');
+      expect(updated.runAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should fail a job permanently after max attempts', async () => {
+      await enqueue('generation', { generationId: 'abc' }, { maxAttempts: 1 });
+      const job = await claimNext('worker-1', ['generation'], 60000);
+
+      const exhausted = await failJob(job, 'worker-1', new Error('boom'));
+
+      const updated = await Job.findById(job._id);
+      expect(exhausted).toBe(true);
+      expect(updated.status).toBe('failed');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const sharp = require('sharp');
+const { setStorage } = require('../../src/storage');
+const { createMemoryDriver } = require('../../src/storage/memory');
+const { uploadImageWithVariants, storeImageBuffer, copyImage } = require('../../src/utils/upload');
+
+describe('Image uploads', () => {
+  let storage;
+  let image;
+
+  beforeAll(async () => {
+    image = await sharp({
+      create: { width: 1600, height: 900, channels: 3, background: { r: 40, g: 90, b: 160 } },
+    }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    storage = createMemoryDriver();
+    setStorage(storage);
+  });
+
+  it('should store variants next to the original', async () => {
+    const { key, variants } = await uploadImageWithVariants({ buffer: image, mimetype: 'image/png' }, {
+      prefix: 'uploads/user-1',
+    });
+
+    expect(key).toMatch(/^uploads\/user-1\/[0-9a-f-]+\.jpeg$/);
+    expect(variants).toEqual({
+      thumbnail: key.replace('.jpeg', '-thumbnail.jpeg'),
+      medium: key.replace('.jpeg', '-medium.jpeg'),
+      webp: key.replace('.jpeg', '-webp.webp'),
+      avif: key.replace('.jpeg', '-avif.avif'),
+    });
+
+    const thumbnail = await sharp((await storage.get(variants.thumbnail)).body).metadata();
+    expect([thumbnail.width, thumbnail.height]).toEqual([256, 256]);
+
+    const medium = await sharp((await storage.get(variants.medium)).body).metadata();
+    expect([medium.width, medium.height]).toEqual([512, 288]);
+
+    expect((await storage.get(variants.webp)).contentType).toBe('image/webp');
+    expect((await storage.get(variants.avif)).contentType).toBe('image/avif');
+  });
+
+  it('should copy an image with its variants', async () => {
+    const source = await uploadImageWithVariants({ buffer: image, mimetype: 'image/png' }, { prefix: 'uploads/user-1' });
+
+    const copy = await copyImage(source.key, 'inputs/user-1');
+
+    expect(copy.key).toMatch(/^inputs\/user-1\//);
+    expect(copy.variants.thumbnail).toBe(copy.key.replace('.jpeg', '-thumbnail.jpeg'));
+    expect((await storage.get(copy.variants.thumbnail)).body.equals((await storage.get(source.variants.thumbnail)).body))
+      .toBe(true);
+
+    expect(await copyImage('uploads/user-1/missing.jpeg', 'inputs/user-1')).toBeNull();
+  });
+
+  describe('storeImageBuffer', () => {
+    it('should keep the bytes of an image that needs no changes', async () => {
+      const { key, metadata } = await storeImageBuffer(image, { prefix: 'generations/g1' });
+
+      expect(key).toMatch(/\.png$/);
+      expect((await storage.get(key)).body.equals(image)).toBe(true);
+      expect((await storage.get(key)).contentType).toBe('image/png');
+      expect(metadata).toEqual({ width: 1600, height: 900, bytes: image.length, format: 'png' });
+    });
+
+    it('should re-encode and cap the longer side', async () => {
+      const { key, metadata } = await storeImageBuffer(image, {
+        prefix: 'generations/g1',
+        policy: { format: 'webp', maxDimension: 800, quality: 80 },
+      });
+
+      expect(key).toMatch(/\.webp$/);
+      expect(metadata).toMatchObject({ width: 800, height: 450, format: 'webp' });
+      expect(metadata.bytes).toBe((await storage.get(key)).size);
+    });
+
+    it('should reject bytes that are not an image', async () => {
+      await expect(storeImageBuffer(Buffer.from('<html>not an image</html>'), { prefix: 'generations/g1' }))
+        .rejects.toThrow('Unsupported image data');
+    });
+  });
+});